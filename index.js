@@ -1,29 +1,38 @@
 // index.js - Replit Webhook for AI Booking Concierge
 
 const express = require("express");
-const axios = require("axios");
 const dotenv = require("dotenv");
 const moment = require("moment-timezone");
+const crypto = require("crypto"); // For booking reference codes
+const fs = require("fs"); // For the persistent outbox file
+const path = require("path");
 const nodemailer = require('nodemailer'); // For sending emails
-const VoiceResponse = require('twilio').twiml.VoiceResponse; // For Twilio Voice TwiML responses
+const twilio = require('twilio'); // For Twilio SMS (REST API)
+const VoiceResponse = twilio.twiml.VoiceResponse; // For Twilio Voice TwiML responses
+const MessagingResponse = twilio.twiml.MessagingResponse; // For replies to inbound SMS
 const dialogflow = require('@google-cloud/dialogflow'); // NEW: Dialogflow ES client library
 const { SessionsClient } = dialogflow.v2beta1; // Use v2beta1 for ES
 
-let fetch; // Declare fetch here, it will be assigned dynamically
-
-// Use an immediately invoked async function to import node-fetch
-// This is a workaround for ERR_REQUIRE_ESM when using require() in a CommonJS context
-// with a module that is ESM-only.
-(async () => {
-    fetch = (await import('node-fetch')).default;
-})();
-
 
 dotenv.config(); // Load environment variables from .env file
+// Local modules are required after dotenv so that they see the .env settings
+const { formatDubai } = require('./lib/time');
+const { normalizeEmail, normalizePhoneNumber, normalizeGuestName } = require('./lib/contactDetails');
+const { handleWebhookRequest } = require('./intents');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createReplyGenerator } = require('./lib/llm');
+const { VenueRepository } = require('./lib/venueRepository');
+const { createStorage } = require('./lib/storage');
+const { getLanguage, normalizeLanguage, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./lib/languages');
+const { EVENT_FORMATS, AvailabilityUnknownError, inferBookingType: inferTypeFromRules, getPartySizeViolation, checkPartySize: checkPartySizeAgainstRules } = require('./lib/bookingRules');
+const { isOfferedFor, buildQuote, formatMoney, calculateDeposit } = require('./lib/pricing');
+const { createPaymentProvider } = require('./lib/payments');
+const { DEFAULT_TIMEZONE, loadTenants, listTenants, getTenant, findTenant, runWithTenant, currentTenant, currentTimezone } = require('./lib/tenants');
 const app = express();
-const port = process.env.PORT || 3000;
+const port = process.env.PORT || 10000;
 
-app.use(express.json()); // Middleware to parse JSON request bodies
+// Middleware to parse JSON request bodies, keeping the raw body to check payment webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 // IMPORTANT: Keep this for Twilio voice webhooks as it sends URL-encoded data
 app.use(express.urlencoded({ extended: false }));
 
@@ -40,11 +49,28 @@ app.use(express.urlencoded({ extended: false }));
 // EMAIL_SERVICE_USER=your_zoho_email@yourdomain.com
 // EMAIL_SERVICE_PASS=your_zoho_app_password_or_regular_password
 // PDF_URL=https://your-domain.com/your-packages.pdf (This PDF URL will still be used in the email for group leads if you want to send it)
+// EMAIL_TEMPLATES_DIR=./templates/emails (guest confirmation/update/cancellation emails, editable by the venue team)
 
 // NEW: Dialogflow ES specific environment variables
 // DIALOGFLOW_PROJECT_ID=YOUR_DIALOGFLOW_ES_PROJECT_ID
 // GOOGLE_APPLICATION_CREDENTIALS_JSON=YOUR_SERVICE_ACCOUNT_KEY_JSON_CONTENT (Paste the entire JSON content here)
 
+// Staff notifications for new group leads
+// MANAGER_EMAIL=events@yourdomain.com (used when a venue has no manager_email field in Airtable)
+// MANAGER_PHONE=+9715XXXXXXXX (optional SMS, used when a venue has no manager_phone field in Airtable)
+// TWILIO_ACCOUNT_SID=ACXXXXXXXXXXXXXXXX
+// TWILIO_AUTH_TOKEN=YOUR_TWILIO_AUTH_TOKEN
+// TWILIO_SMS_FROM=+1XXXXXXXXXX (the Twilio number SMS are sent from; point its "A message comes in" webhook to /twilio-sms)
+// SMS_REMINDER_HOURS=24,2 (guest SMS reminders are sent this many hours before the booking)
+// DEFAULT_COUNTRY_CODE=971 (added to guest phone numbers given without a country code)
+
+// Languages (see lib/languages.js)
+// SUPPORTED_LANGUAGES=en,ar,hi,ru (optional; only DEFAULT_LANGUAGE if not set. Callers choose one from a keypad
+//   menu when more than one is enabled; the Dialogflow agent needs the same languages added)
+// DEFAULT_LANGUAGE=en
+// Guest emails use EMAIL_TEMPLATES_DIR/<language>/<template>.html when it exists, the English template otherwise.
+// The "Bookings" table needs a "language" text field (left empty for DEFAULT_LANGUAGE bookings).
+
 // Initialize Dialogflow ES SessionsClient
 // This needs to be done using the service account key JSON content
 let sessionClient;
@@ -62,158 +88,632 @@ try {
 }
 
 
-// 🔹 Fetch venues from Airtable
+// --- Availability Settings ---
+// DEFAULT_BOOKING_DURATION_MINUTES=120 (used when a venue has no booking_duration_minutes field in Airtable)
+// VENUE_OPENING_TIME=12:00, VENUE_CLOSING_TIME=00:00 (used when a venue has no opening_time/closing_time fields, HH:mm local time)
+// VENUE_CLOSED_DAYS= (comma-separated weekdays, used when a venue has no closed_days field, e.g. "Monday")
+// MIN_LEAD_HOURS=2, GROUP_MIN_LEAD_HOURS=48 (minimum notice, used when a venue has no min_lead_hours/group_min_lead_hours fields)
+// AIRTABLE_CLOSURES_TABLE_ID=YOUR_CLOSURES_TABLE_ID (optional "Venue_Closures" table: space_id, start_date, end_date, reason; leave space_id empty to close all venues)
+// SLOT_INTERVAL_MINUTES=30 (step between alternative times offered when a slot is taken)
+// SLOT_NEARBY_DAYS=3 (how many days before/after to check for the same time)
+// SLOT_SUGGESTION_COUNT=3 (how many alternatives to offer for the same day and for nearby days)
+const DEFAULT_BOOKING_DURATION_MINUTES = parseInt(process.env.DEFAULT_BOOKING_DURATION_MINUTES) || 120;
+const SLOT_INTERVAL_MINUTES = parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30;
+const SLOT_NEARBY_DAYS = parseInt(process.env.SLOT_NEARBY_DAYS) || 3;
+const SLOT_SUGGESTION_COUNT = parseInt(process.env.SLOT_SUGGESTION_COUNT) || 3;
+const VENUE_OPENING_TIME = process.env.VENUE_OPENING_TIME || '12:00';
+const VENUE_CLOSING_TIME = process.env.VENUE_CLOSING_TIME || '00:00';
+const VENUE_CLOSED_DAYS = process.env.VENUE_CLOSED_DAYS || '';
+const MIN_LEAD_HOURS = parseInt(process.env.MIN_LEAD_HOURS) || 2;
+const GROUP_MIN_LEAD_HOURS = parseInt(process.env.GROUP_MIN_LEAD_HOURS) || 48;
+// BOOKING_REF_PREFIX=GL (prefix of the booking reference codes read out to guests, e.g. "GL-7KQ4")
+const BOOKING_REF_PREFIX = process.env.BOOKING_REF_PREFIX || 'GL';
+const EMAIL_TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, 'templates', 'emails');
+// Booking reference characters, leaving out the easily confused 0/O, 1/I/L
+const BOOKING_REF_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const BOOKING_REF_LENGTH = 4;
+// Booking statuses that hold a venue and block other bookings for the same time
+// ('Reconfirmed' is set when the guest replies C to an SMS reminder, 'Pending Deposit' until the deposit is paid)
+const HOLDING_BOOKING_STATUSES = ['Confirmed', 'Reconfirmed', 'New Lead', 'Pending Deposit'];
+const SMS_REMINDER_HOURS = (process.env.SMS_REMINDER_HOURS || '24,2').split(',').map((h) => parseInt(h)).filter((h) => h > 0);
+
+// --- Tenants ---
+// One deployment can serve several properties (tenants), each with its own Airtable base,
+// timezone, booking rules, email branding, package PDF and manager contacts. Requests are
+// matched to a tenant by the Dialogflow project in the webhook's session path or by the Twilio
+// number that was called (see lib/tenants.js). The environment variables configure the single
+// tenant of a deployment without a tenants file, and the settings tenants in the file leave out.
+// TENANTS_FILE=./config/tenants.json (JSON array of tenants, see fixtures/tenants.json)
+// TIMEZONE=Asia/Dubai (IANA timezone of the property)
+//
+// Booking rules (a tenant's "rules"; venues can override them with fields in the Venues table, see lib/bookingRules.js)
+// GROUP_MIN_GUESTS=10 (bookings of this many guests or more are group bookings; venue field group_min_guests)
+// MIN_PARTY_SIZE=1 (smallest party taken; venue field min_party_size)
+// MAX_PARTY_SIZE=0 (largest party taken, 0 for no limit; venue field max_party_size)
+// MAX_COVERS=0 (guests across all venues at the same time, 0 for no limit; venue field max_covers for one venue)
+//   Venues also need the standing_events checkbox to take standing-capacity events, and can set a
+//   mixed_capacity for mixed (part seated, part standing) events.
+// EMAIL_SENDER_NAME=The Booking Team (sender name and signature of guest emails)
+//
+// Venues, closures and bookings are kept in Airtable, or in a local JSON file to run the bot
+// without Airtable (e.g. locally or against a fixture dataset). See lib/storage.
+// STORAGE_BACKEND=airtable (airtable or json)
+// STORAGE_FILE=./data/storage.json (for the json backend: { "venues": [...], "closures": [...], "bookings": [...] } in Airtable record format;
+//   copy fixtures/storage.json there for a small sample dataset. Tenants from the tenants file use
+//   their storage.file setting, or ./data/storage-<tenant id>.json)
+const tenants = loadTenants(process.env.TENANTS_FILE, {
+  id: 'default',
+  name: 'default',
+  dialogflowProjectId: process.env.DIALOGFLOW_PROJECT_ID,
+  twilioNumbers: process.env.TWILIO_SMS_FROM ? [process.env.TWILIO_SMS_FROM] : [],
+  smsFrom: process.env.TWILIO_SMS_FROM,
+  timezone: process.env.TIMEZONE || DEFAULT_TIMEZONE,
+  rules: {
+    groupMinGuests: parseInt(process.env.GROUP_MIN_GUESTS) || 10,
+    minPartySize: parseInt(process.env.MIN_PARTY_SIZE) || 1,
+    maxPartySize: parseInt(process.env.MAX_PARTY_SIZE) || 0,
+    maxCovers: parseInt(process.env.MAX_COVERS) || 0,
+  },
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'airtable',
+    file: process.env.STORAGE_FILE || path.join(__dirname, 'data', 'storage.json'),
+  },
+  airtable: {
+    baseId: process.env.BASE_ID,
+    token: process.env.AIRTABLE_TOKEN,
+    venuesTableId: process.env.AIRTABLE_VENUES_TABLE_ID,
+    bookingsTableId: process.env.AIRTABLE_BOOKINGS_TABLE_ID,
+    closuresTableId: process.env.AIRTABLE_CLOSURES_TABLE_ID,
+    packagesTableId: process.env.AIRTABLE_PACKAGES_TABLE_ID,
+    addOnsTableId: process.env.AIRTABLE_ADDONS_TABLE_ID,
+    bookingAddonsTableId: process.env.AIRTABLE_BOOKING_ADDONS_TABLE_ID,
+  },
+  pricing: {
+    currency: process.env.CURRENCY || 'AED',
+    vatRate: parseFloat(process.env.VAT_RATE ?? 5),
+  },
+  deposit: { // See "Deposits" below
+    percent: parseFloat(process.env.DEPOSIT_PERCENT ?? 25),
+    perGuest: parseFloat(process.env.DEPOSIT_PER_GUEST ?? 100),
+    minTableGuests: parseInt(process.env.DEPOSIT_MIN_TABLE_GUESTS ?? 8) || 0,
+    holdMinutes: parseInt(process.env.DEPOSIT_HOLD_MINUTES) || 60,
+  },
+  email: {
+    from: process.env.EMAIL_SERVICE_USER,
+    senderName: process.env.EMAIL_SENDER_NAME || 'The Booking Team',
+    templatesDir: EMAIL_TEMPLATES_DIR,
+  },
+  pdfUrl: process.env.PDF_URL,
+  managerEmail: process.env.MANAGER_EMAIL,
+  managerPhone: process.env.MANAGER_PHONE,
+  feedbackUrl: process.env.FEEDBACK_URL,
+});
+
+// 🔹 Fetch venues
+// VENUE_CACHE_TTL_SECONDS=300 (venues are read from the storage at most this often; POST /admin/venues/invalidate reloads them sooner)
+// VENUE_CACHE_RETRY_SECONDS=30 (when Airtable fails, the last loaded venues are used for this long before trying again)
+/**
+ * Turns a record of the "Venues" table into a venue object.
+ * The optional aliases field (comma-separated text or multiple select) lists other names guests
+ * use for the venue, e.g. "roof, sky bar".
+ * @param {object} r - The Airtable record.
+ * @param {object} tenant - The tenant the venue belongs to.
+ * @returns {object} - The venue.
+ */
+function mapVenueRecord(r, tenant) {
+  return {
+    id: r.id, // Include venue ID
+    name: r.fields.space_name,
+    aliases: parseList(r.fields.aliases),
+    description: r.fields.description || "",
+    standing_capacity: r.fields.standing_capacity || 0,
+    seated_capacity: r.fields.seated_capacity || 0,
+    booking_duration: r.fields.booking_duration_minutes || DEFAULT_BOOKING_DURATION_MINUTES,
+    opening_time: r.fields.opening_time || VENUE_OPENING_TIME,
+    closing_time: r.fields.closing_time || VENUE_CLOSING_TIME,
+    closed_days: parseList(r.fields.closed_days || VENUE_CLOSED_DAYS),
+    min_lead_hours: r.fields.min_lead_hours ?? MIN_LEAD_HOURS,
+    group_min_lead_hours: r.fields.group_min_lead_hours ?? GROUP_MIN_LEAD_HOURS,
+    manager_email: r.fields.manager_email || tenant.managerEmail || "",
+    manager_phone: r.fields.manager_phone || tenant.managerPhone || "",
+    // Booking rules of the venue, see lib/bookingRules.js
+    group_min_guests: r.fields.group_min_guests || null,
+    min_party_size: r.fields.min_party_size || null,
+    max_party_size: r.fields.max_party_size || null,
+    standing_events: Boolean(r.fields.standing_events),
+    mixed_capacity: r.fields.mixed_capacity || null,
+    max_covers: r.fields.max_covers || null,
+    minimum_spend: r.fields.minimum_spend || 0, // Group events, before VAT (see lib/pricing.js)
+  };
+}
+
+// Each tenant gets its own storage backend and venue cache
+for (const tenant of tenants) {
+  tenant.store = createStorage({
+    backend: tenant.storage.backend,
+    file: tenant.storage.file || path.join(__dirname, 'data', `storage-${tenant.id}.json`),
+    airtable: tenant.airtable,
+  });
+  tenant.venueRepository = new VenueRepository({
+    storage: tenant.store,
+    mapRecord: (r) => mapVenueRecord(r, tenant),
+    ttlSeconds: parseInt(process.env.VENUE_CACHE_TTL_SECONDS) || 300,
+    retrySeconds: parseInt(process.env.VENUE_CACHE_RETRY_SECONDS) || 30,
+  });
+}
+
+/**
+ * @returns {object} - The storage backend of the current tenant (see lib/storage).
+ */
+function storage() {
+  return currentTenant().store;
+}
+
 /**
- * Fetches available venues from Airtable based on guest count.
- * MODIFIED: Now filters by seated_capacity instead of standing_capacity.
+ * Fetches available venues (from the venue cache) based on guest count.
+ * Filters by the capacity for the event format (seated_capacity unless a group event is standing
+ * or mixed) and by the party size rules of each venue (see lib/bookingRules.js).
+ * When a booking time is given, venues that break a booking rule at that time
+ * (see getVenueRuleViolation) or are already taken by overlapping bookings in one of the
+ * HOLDING_BOOKING_STATUSES are excluded as well.
  * @param {number} guestCount - The number of guests for the booking.
+ * @param {string} [bookingUTC] - The requested booking time as a UTC ISO string.
+ * @param {string} [bookingType] - 'table' or 'group', inferred from guestCount if omitted.
+ * @param {string} [eventFormat='seated'] - 'seated', 'standing' or 'mixed' (see EVENT_FORMATS).
+ * @param {string} [excludeBookingId] - A booking to ignore, e.g. the one being modified.
  * @returns {Promise<Array<object>>} - An array of available venue objects.
+ * @throws {AvailabilityUnknownError} - If a booking time is given and the existing bookings can't be loaded.
  */
-async function getAvailableVenues(guestCount) {
-  const url = `https://api.airtable.com/v0/${process.env.BASE_ID}/${process.env.AIRTABLE_VENUES_TABLE_ID}`;
-  const cfg = {
-    headers: { Authorization: `Bearer ${process.env.AIRTABLE_TOKEN}` },
-  };
+async function getAvailableVenues(guestCount, bookingUTC, bookingType, eventFormat, excludeBookingId) {
+  let venues;
   try {
-    const resp = await axios.get(url, cfg);
-    return resp.data.records
-      .filter((r) => guestCount ? r.fields.seated_capacity >= guestCount : true) // Filter by seated_capacity
-      .map((r) => ({
-        id: r.id, // Include venue ID
-        name: r.fields.space_name,
-        description: r.fields.description || "",
-        standing_capacity: r.fields.standing_capacity || 0,
-        seated_capacity: r.fields.seated_capacity || 0,
-      }))
+    venues = (await currentTenant().venueRepository.getAll())
+      .filter((v) => guestCount ? !getPartySizeViolation(v, guestCount, currentTenant().rules, eventFormat) : true) // Filter by capacity and party size
       .filter((v) => v.name); // Ensure venue name exists
   } catch (error) {
-    console.error("❌ Error fetching venues from Airtable:", error.message);
+    console.error("❌ Error fetching venues:", error.message);
     return []; // Return empty array on error
   }
+
+  if (!bookingUTC) {
+    return venues;
+  }
+  // Throws AvailabilityUnknownError if the bookings can't be loaded: every venue would look free
+  const [activeBookings, closures] = await Promise.all([getActiveBookings(bookingUTC), getVenueClosures(bookingUTC)]);
+  const bookings = activeBookings.filter((b) => b.id !== excludeBookingId);
+  return venues.filter((v) => {
+    const type = inferBookingType(guestCount, v, bookingType); // The venue's group threshold may differ
+    return !getVenueRuleViolation(v, bookingUTC, type, closures) && isVenueFree(v, bookings, bookingUTC, guestCount);
+  });
 }
 
-// REMOVED: 🔹 Fetch available packages from Airtable (getAvailablePackages)
-// REMOVED: 🔹 Fetch available add-ons from Airtable (getAvailableAddOns)
+// 🔹 Fetch bookings that currently hold a venue
+/**
+ * Fetches the bookings in one of the HOLDING_BOOKING_STATUSES around a given time.
+ * Covers the local day of the booking plus the days before and after, so that
+ * bookings running over midnight are taken into account.
+ * @param {string} bookingUTC - The UTC ISO date string to look around.
+ * @param {number} [daysAround=1] - How many days before and after to include.
+ * @returns {Promise<Array<object>>} - An array of { id, venue_id, venue, start, end, guest_count } objects,
+ * where end adds the booking_duration of the booking's own venue.
+ * @throws {AvailabilityUnknownError} - If the bookings can't be loaded.
+ */
+async function getActiveBookings(bookingUTC, daysAround = 1) {
+  const day = moment.utc(bookingUTC).tz(currentTimezone());
+  const dates = [];
+  for (let offset = -daysAround; offset <= daysAround; offset++) {
+    dates.push(day.clone().add(offset, "days").format("YYYY-MM-DD"));
+  }
+
+  let records;
+  try {
+    records = await storage().listBookings({ statuses: HOLDING_BOOKING_STATUSES, localDates: dates });
+  } catch (error) {
+    console.error("❌ Error fetching bookings:", error.message);
+    throw new AvailabilityUnknownError(error); // Without them every venue would look free
+  }
 
+  const venues = await getAvailableVenues(); // For the duration of each booking's venue
+  return records
+    .filter((r) => r.fields.event_date_time_local)
+    .map((r) => {
+      const venueId = Array.isArray(r.fields.space_id) ? r.fields.space_id[0] : r.fields.space_id;
+      const venue = venues.find((v) => venueId ? v.id === venueId : v.name === r.fields.space_name);
+      const start = moment.tz(r.fields.event_date_time_local, "YYYY-MM-DD HH:mm:ss", currentTimezone());
+      return {
+        id: r.id,
+        venue_id: venueId,
+        venue: r.fields.space_name,
+        start,
+        end: start.clone().add(venue ? venue.booking_duration : DEFAULT_BOOKING_DURATION_MINUTES, "minutes"),
+        guest_count: r.fields.guest_count || 0,
+      };
+    });
+}
 
-// 🔹 Format UTC time into Dubai time
 /**
- * Formats a UTC ISO string into Dubai date and time.
- * @param {string} utcIso - The UTC ISO date string.
- * @returns {object} - An object with formatted date and time for Dubai.
+ * Checks whether a venue has room at the requested time. A venue without max_covers is taken by
+ * one booking; a venue with max_covers is shared until the overlapping bookings fill it. The
+ * tenant's maxCovers limits the guests across all venues.
+ * The requested booking lasts the venue's booking_duration; each existing booking lasts that of its own venue.
+ * @param {object} venue - A venue object as returned by getAvailableVenues.
+ * @param {Array<object>} bookings - Bookings as returned by getActiveBookings.
+ * @param {string} bookingUTC - The requested booking time as a UTC ISO string.
+ * @param {number} [guestCount=0] - The number of guests for the booking.
+ * @returns {boolean} - True if the venue is free for the whole duration.
  */
-function formatDubai(utcIso) {
-  const m = moment.utc(utcIso).tz("Asia/Dubai");
-  return {
-    date: m.format("dddd, D MMMM"), // e.g., "Wednesday, 2 July"
-    time: m.format("h:mm A"), // e.g., "9:30 PM"
-    local_datetime: m.format("YYYY-MM-DD HH:mm:ss") // e.g., "2025-07-05 19:00:00"
-  };
+function isVenueFree(venue, bookings, bookingUTC, guestCount = 0) {
+  const start = moment.utc(bookingUTC);
+  const end = start.clone().add(venue.booking_duration, "minutes");
+  const overlapping = bookings.filter((b) => b.start.isBefore(end) && start.isBefore(b.end));
+  const atVenue = overlapping.filter((b) => b.venue_id ? b.venue_id === venue.id : b.venue === venue.name);
+  const covers = (list) => list.reduce((sum, b) => sum + b.guest_count, 0) + guestCount;
+  if (venue.max_covers ? covers(atVenue) > venue.max_covers : atVenue.length > 0) {
+    return false;
+  }
+  const { maxCovers } = currentTenant().rules;
+  return !maxCovers || covers(overlapping) <= maxCovers;
 }
 
-// 🔹 Convert booking date/time to UTC from Dubai
 /**
- * Builds a UTC ISO string from a Dubai date and time.
- * @param {string} date - The date string (YYYY-MM-DD).
- * @param {string} time - The time string (e.g., "7:00 PM", "19:00").
- * @returns {string} - The UTC ISO date string.
+ * Checks whether a booking at the given time fits in the venue's opening hours.
+ * Venues may close after midnight (e.g. 12:00 - 02:00), so the opening window of
+ * the previous day is considered as well.
+ * @param {object} venue - A venue object as returned by getAvailableVenues.
+ * @param {string} bookingUTC - The requested booking time as a UTC ISO string.
+ * @returns {boolean} - True if the booking starts and ends within opening hours.
  */
-function buildDubaiUTC(date, time) {
-  // Handles both 12-hour (h:mm A) and 24-hour (HH:mm) formats
-  return moment.tz(`${date} ${time}`, ["YYYY-MM-DD h:mm A", "YYYY-MM-DD HH:mm"], "Asia/Dubai").toISOString();
+function isWithinOpeningHours(venue, bookingUTC) {
+  const start = moment.utc(bookingUTC).tz(currentTimezone());
+  const end = start.clone().add(venue.booking_duration, "minutes");
+  return [0, -1].some((offset) => {
+    const day = start.clone().add(offset, "days").format("YYYY-MM-DD");
+    const open = moment.tz(`${day} ${venue.opening_time}`, "YYYY-MM-DD HH:mm", currentTimezone());
+    const close = moment.tz(`${day} ${venue.closing_time}`, "YYYY-MM-DD HH:mm", currentTimezone());
+    if (!close.isAfter(open)) {
+      close.add(1, "day"); // Closes after midnight
+    }
+    return !start.isBefore(open) && !end.isAfter(close);
+  });
 }
 
+// 🔹 Fetch venue closures
 /**
- * Extracts a parameter from Dialogflow, checking multiple sources.
- * @param {object} dialogflowRequest The Dialogflow webhook request.
- * @param {string} paramName The name of the parameter to extract.
- * @returns {any} The parameter value, or undefined if not found.
+ * Fetches blackout/closure dates (e.g. private events) from the optional Venue_Closures table.
+ * @param {string} bookingUTC - The UTC ISO date string to look around.
+ * @param {number} [daysAround=1] - How many days before and after to include.
+ * @returns {Promise<Array<object>>} - An array of { venue_id, start_date, end_date, reason } objects,
+ * dates as YYYY-MM-DD and venue_id undefined for closures of all venues.
  */
-function getParameter(dialogflowRequest, paramName) {
-    const queryResult = dialogflowRequest.queryResult;
-    // Check parameters from the current intent
-    if (queryResult.parameters && queryResult.parameters[paramName]) {
-        console.log(`DEBUG: Parameter '${paramName}' found in current intent parameters. Value: ${JSON.stringify(queryResult.parameters[paramName])}`); // Added value logging
-        return queryResult.parameters[paramName];
-    }
-    // Check parameters from input contexts
-    if (queryResult.outputContexts) {
-        for (const context of queryResult.outputContexts) {
-            if (context.parameters && context.parameters[paramName]) {
-                console.log(`DEBUG: Parameter '${paramName}' found in output context: ${context.name}. Value: ${JSON.stringify(context.parameters[paramName])}`); // Added value logging
-                return context.parameters[paramName];
-            }
-        }
-    }
-    console.log(`DEBUG: Parameter '${paramName}' not found.`);
-    return undefined;
+async function getVenueClosures(bookingUTC, daysAround = 1) {
+  const day = moment.utc(bookingUTC).tz(currentTimezone());
+  const firstDate = day.clone().subtract(daysAround, "days").format("YYYY-MM-DD");
+  const lastDate = day.clone().add(daysAround, "days").format("YYYY-MM-DD");
+
+  let records;
+  try {
+    records = await storage().listClosures({ fromDate: firstDate });
+  } catch (error) {
+    console.error("❌ Error fetching venue closures:", error.message);
+    return [];
+  }
+
+  return records
+    .filter((r) => r.fields.start_date && r.fields.start_date <= lastDate)
+    .map((r) => ({
+      venue_id: Array.isArray(r.fields.space_id) ? r.fields.space_id[0] : r.fields.space_id,
+      start_date: r.fields.start_date,
+      end_date: r.fields.end_date || r.fields.start_date,
+      reason: r.fields.reason || "",
+    }));
 }
 
-// 🔹 Gemini-powered AI response generator
 /**
- * Calls the Gemini API to generate natural language responses.
- * Adds a specific tone instruction to the prompt.
- * @param {string} prompt - The prompt to send to the Gemini API.
- * @param {boolean} [isSummaryConfirmation=false] - If true, adjusts tone for summary confirmation.
- * @returns {Promise<string>} - The generated text response.
+ * Checks a venue against its booking rules: minimum lead time, closure dates,
+ * closed weekdays and opening hours.
+ * @param {object} venue - A venue object as returned by getAvailableVenues.
+ * @param {string} bookingUTC - The requested booking time as a UTC ISO string.
+ * @param {string} bookingType - 'table' or 'group'.
+ * @param {Array<object>} closures - Closures as returned by getVenueClosures.
+ * @returns {string|null} - A guest-facing explanation of the broken rule, or null if the venue can take the booking.
  */
-async function generateGeminiReply(prompt, isSummaryConfirmation = false, isFinalConfirmation = false) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`;
+function getVenueRuleViolation(venue, bookingUTC, bookingType, closures) {
+  const start = moment.utc(bookingUTC).tz(currentTimezone());
+  const leadHours = bookingType === 'group' ? venue.group_min_lead_hours : venue.min_lead_hours;
+  if (start.isBefore(moment().add(leadHours, "hours"))) {
+    return `${venue.name} needs at least ${leadHours} hours' notice for ${bookingType === 'group' ? 'group bookings' : 'table reservations'}`;
+  }
 
-  let toneInstruction;
-  if (isFinalConfirmation) { // <-- THIS IS THE NEW CONDITION
-      // NEW: Extremely strict tone for final confirmation
-      toneInstruction = `\n\nTone: You are the official booking concierge. Use a warm, professional, and helpful voice. Speak directly to the user. Be concise. **IMPORTANT: You MUST ONLY confirm the booking using the exact information provided in the prompt. Do NOT ask any follow-up questions. Do NOT introduce new topics or offers (e.g., packages, add-ons). This is the final confirmation message.**`;
-  } else if (isSummaryConfirmation) {
-      // For summary, explicitly tell Gemini to reiterate and then ask for confirmation
-      toneInstruction = `\n\nTone: Use a warm, conversational voice. Be helpful and clear. Avoid emojis and technical terms. **IMPORTANT: Reiterate the provided summary exactly as given, and then ask "Is this all correct? (Yes/No)". Do NOT just respond with "Yes" or "No".**`;
-  } else {
-      // General tone instruction
-      toneInstruction = `\n\nTone: You are the official booking concierge for the venue. Use a warm, professional, and helpful voice. Speak directly to the user. Do NOT use phrases like "Here's what I know," "It sounds like," or "I understand." Avoid emojis, technical terms, and overly conversational fillers. Be concise. **IMPORTANT: Stick ONLY to the information and questions explicitly contained in the prompt. Do NOT add any extra information, suggestions, or unrequested follow-up questions (e.g., about preferences like "vibe" or "cuisine"). When provided with a list of options, you MUST list ALL of them clearly and explicitly, without filtering or summarizing. Just present the list and ask if any work.**`;
-  }
-
-  const payload = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt + toneInstruction,
-          },
-        ],
-      },
-    ],
-  };
+  const date = start.format("YYYY-MM-DD");
+  const closure = closures.find((c) => (!c.venue_id || c.venue_id === venue.id) && date >= c.start_date && date <= c.end_date);
+  if (closure) {
+    return `${venue.name} is closed on ${start.format("dddd, D MMMM")}${closure.reason ? ` (${closure.reason})` : ''}`;
+  }
+
+  if (venue.closed_days.includes(start.format("dddd").toLowerCase())) {
+    return `${venue.name} is closed on ${start.format("dddd")}s`;
+  }
+
+  if (!isWithinOpeningHours(venue, bookingUTC)) {
+    const open = moment(venue.opening_time, "HH:mm").format("h:mm A");
+    const close = moment(venue.closing_time, "HH:mm").format("h:mm A");
+    return `${venue.name} is open from ${open} to ${close}, and a booking there lasts ${venue.booking_duration / 60} hours`;
+  }
+  return null;
+}
+
+/**
+ * Splits a comma-separated Airtable text field (or multi-select array) into lowercase values.
+ * @param {string|Array<string>} value - The raw field value.
+ * @returns {Array<string>} - The trimmed, lowercase, non-empty entries.
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+}
 
+/**
+ * Infers the booking type from the guest count (see lib/bookingRules.js).
+ * @param {number} guestCount - The number of guests for the booking.
+ * @param {object} [venue] - The chosen venue, whose group_min_guests wins over GROUP_MIN_GUESTS.
+ * @param {string} [requestedType] - The type the guest asked for; a group event stays one.
+ * @returns {string} - 'group' for GROUP_MIN_GUESTS (10 by default) or more guests, 'table' otherwise.
+ */
+function inferBookingType(guestCount, venue, requestedType) {
+  return inferTypeFromRules(guestCount, currentTenant().rules, venue, requestedType);
+}
+
+/**
+ * Checks a party size against the booking rules before a date or venue is chosen.
+ * @param {number} guestCount - The number of guests for the booking.
+ * @param {string} [eventFormat] - 'seated', 'standing' or 'mixed'; any format if not chosen yet.
+ * @returns {Promise<string|null>} - A guest-facing explanation (e.g. "the largest party we can host
+ *   is 120 guests"), or null if the party can be booked.
+ */
+async function checkPartySize(guestCount, eventFormat) {
+  let venues;
   try {
-    // Ensure fetch is available before calling
-    if (!fetch) {
-        console.error("❌ fetch is not initialized. Waiting for dynamic import.");
-        return "There was a technical issue. Please try again shortly.";
+    venues = (await currentTenant().venueRepository.getAll()).filter((v) => v.name);
+  } catch (error) {
+    console.error("❌ Error fetching venues:", error.message);
+    venues = []; // Only the tenant-wide rules can be checked
+  }
+  return checkPartySizeAgainstRules(guestCount, venues, currentTenant().rules, eventFormat);
+}
+
+/**
+ * Explains why a venue the guest asked for can't take the current booking.
+ * @param {string} venueName - The venue name as given by the guest (case-insensitive).
+ * @param {object} bookingDetails - The current booking-flow parameters.
+ * @returns {Promise<string|null>} - A guest-facing explanation, or null if no such venue exists.
+ */
+async function explainVenueUnavailable(venueName, bookingDetails) {
+  const venue = (await getAvailableVenues()).find((v) => v.name.toLowerCase() === venueName.toLowerCase());
+  if (!venue) {
+    return null;
+  }
+  const sizeViolation = bookingDetails.guestCount && getPartySizeViolation(venue, bookingDetails.guestCount, currentTenant().rules, bookingDetails.eventFormat);
+  if (sizeViolation) {
+    return sizeViolation;
+  }
+  if (!bookingDetails.bookingUTC) {
+    return null;
+  }
+  const type = inferBookingType(bookingDetails.guestCount, venue, bookingDetails.type);
+  const closures = await getVenueClosures(bookingDetails.bookingUTC);
+  const violation = getVenueRuleViolation(venue, bookingDetails.bookingUTC, type, closures);
+  if (violation) {
+    return violation;
+  }
+  const { date, time } = formatDubai(bookingDetails.bookingUTC);
+  return `${venue.name} is already booked on ${date} at ${time}`;
+}
+
+// 🔹 Suggest alternative time slots
+/**
+ * Suggests alternative times when no venue can take the requested slot.
+ * Looks at venue capacity, booking rules and existing bookings, and returns the
+ * nearest free times on the same day plus the same time on nearby days.
+ * @param {number} guestCount - The number of guests for the booking.
+ * @param {string} bookingUTC - The requested booking time as a UTC ISO string.
+ * @param {string} [bookingType] - 'table' or 'group', inferred from guestCount if omitted.
+ * @param {string} [eventFormat='seated'] - 'seated', 'standing' or 'mixed'.
+ * @returns {Promise<object>} - { reasons, sameDay, otherDays } where reasons explains why the requested
+ * time was rejected (empty if the venues are simply booked), and each slot is { bookingUTC, venues }.
+ * @throws {AvailabilityUnknownError} - If the existing bookings can't be loaded.
+ */
+async function suggestAlternativeSlots(guestCount, bookingUTC, bookingType, eventFormat) {
+  const venues = await getAvailableVenues(guestCount, undefined, bookingType, eventFormat); // Capacity filter only
+  if (venues.length === 0) {
+    return { reasons: [], sameDay: [], otherDays: [] };
+  }
+
+  const [bookings, closures] = await Promise.all([
+    getActiveBookings(bookingUTC, SLOT_NEARBY_DAYS + 1),
+    getVenueClosures(bookingUTC, SLOT_NEARBY_DAYS + 1),
+  ]);
+  const requested = moment.utc(bookingUTC);
+  const now = moment.utc();
+
+  let reasons = [];
+  if (requested.isBefore(now)) {
+    reasons = ['that time has already passed'];
+  } else {
+    const violations = venues.map((v) => getVenueRuleViolation(v, bookingUTC, inferBookingType(guestCount, v, bookingType), closures));
+    if (violations.every(Boolean)) {
+      reasons = violations;
     }
+  }
 
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+  const toSlot = (candidate) => {
+    const candidateUTC = candidate.toISOString();
+    const freeVenues = venues.filter((v) => !getVenueRuleViolation(v, candidateUTC, inferBookingType(guestCount, v, bookingType), closures) && isVenueFree(v, bookings, candidateUTC, guestCount));
+    return freeVenues.length > 0 ? { bookingUTC: candidateUTC, venues: freeVenues } : null;
+  };
+  const byDistance = (x, y) => Math.abs(x.diff(requested)) - Math.abs(y.diff(requested));
+  const pickNearest = (candidates) => candidates
+    .filter((c) => c.isAfter(now) && !c.isSame(requested))
+    .sort(byDistance)
+    .map(toSlot)
+    .filter(Boolean)
+    .slice(0, SLOT_SUGGESTION_COUNT)
+    .sort((x, y) => moment.utc(x.bookingUTC).diff(moment.utc(y.bookingUTC)));
+
+  // Every interval on the requested local day
+  const dayStart = requested.clone().tz(currentTimezone()).startOf("day");
+  const sameDayCandidates = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_INTERVAL_MINUTES) {
+    sameDayCandidates.push(dayStart.clone().add(minutes, "minutes"));
+  }
 
-    const data = await response.json();
+  // The requested time on the days before and after
+  const otherDayCandidates = [];
+  for (let days = 1; days <= SLOT_NEARBY_DAYS; days++) {
+    otherDayCandidates.push(requested.clone().add(days, "days"), requested.clone().subtract(days, "days"));
+  }
 
-    console.log("🟡 Gemini Request Prompt:", prompt);
-    console.log("🟢 Gemini Raw Response:", JSON.stringify(data, null, 2));
+  return {
+    reasons,
+    sameDay: pickNearest(sameDayCandidates),
+    otherDays: pickNearest(otherDayCandidates),
+  };
+}
 
-    const reply = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+// --- Packages and add-ons ---
+// Group bookings can choose a package (priced per person) and add-ons (per person or flat),
+// and get a price quote with the venue's minimum spend and VAT (see lib/pricing.js).
+// AIRTABLE_PACKAGES_TABLE_ID=YOUR_PACKAGES_TABLE_ID (optional "Packages" table: package_name, description, price_per_person,
+//   space_id, min_guests, max_guests; leave space_id empty to offer a package at all venues)
+// AIRTABLE_ADDONS_TABLE_ID=YOUR_ADDONS_TABLE_ID (optional "Add_Ons" table: addon_name, description, price,
+//   pricing ("Per person" or "Flat"), space_id, min_guests, max_guests)
+// AIRTABLE_BOOKING_ADDONS_TABLE_ID=YOUR_BOOKING_ADDONS_TABLE_ID ("Booking_Addons" table: booking_id, addon_id,
+//   booking_ref, addon_name, quantity, unit_price, line_total; one record per add-on of a booking)
+// CURRENCY=AED
+// VAT_RATE=5 (percent, charged on top of the package, add-ons and minimum spend top-up)
+// Venues can have a minimum_spend field (before VAT) for group events.
 
-    if (!reply) {
-      console.error("🔴 Gemini response missing expected structure.");
-      return "Sorry, I didn’t get a proper response. Can I help you another way?";
-    }
+/**
+ * Maps a "Packages" or "Add_Ons" record to an offer (see lib/pricing.js).
+ * @param {object} r - The Airtable record.
+ * @param {'package'|'addon'} kind - The table it comes from.
+ * @returns {object} - The offer.
+ */
+function mapOfferRecord(r, kind) {
+  const f = r.fields;
+  return {
+    id: r.id,
+    name: String((kind === 'package' ? f.package_name : f.addon_name) || '').trim(),
+    description: f.description || "",
+    price: Number(kind === 'package' ? f.price_per_person : f.price) || 0,
+    perPerson: kind === 'package' || String(f.pricing || '').toLowerCase() === 'per person',
+    venueIds: [].concat(f.space_id || []), // Linked "Venues" records
+    minGuests: f.min_guests || null,
+    maxGuests: f.max_guests || null,
+  };
+}
+
+// 🔹 Fetch available packages from Airtable
+/**
+ * Fetches the packages offered at a venue for a party size.
+ * @param {string} venueId - Record id of the chosen venue.
+ * @param {number} guestCount - The number of guests.
+ * @returns {Promise<Array<object>>} - The packages (see Offer in lib/pricing.js); empty if they couldn't be loaded.
+ */
+async function getAvailablePackages(venueId, guestCount) {
+  try {
+    return (await storage().listPackages())
+      .map((r) => mapOfferRecord(r, 'package'))
+      .filter((p) => p.name && isOfferedFor(p, venueId, guestCount));
+  } catch (error) {
+    console.error("❌ Error fetching packages:", error.message);
+    return [];
+  }
+}
 
-    return reply;
+// 🔹 Fetch available add-ons from Airtable
+/**
+ * Fetches the add-ons offered at a venue for a party size.
+ * @param {string} venueId - Record id of the chosen venue.
+ * @param {number} guestCount - The number of guests.
+ * @returns {Promise<Array<object>>} - The add-ons (see Offer in lib/pricing.js); empty if they couldn't be loaded.
+ */
+async function getAvailableAddOns(venueId, guestCount) {
+  try {
+    return (await storage().listAddOns())
+      .map((r) => mapOfferRecord(r, 'addon'))
+      .filter((a) => a.name && isOfferedFor(a, venueId, guestCount));
   } catch (error) {
-    console.error("❌ Gemini API Error:", error.response ? error.response.data : error.message);
-    return "There was a technical issue getting the information. Please try again shortly.";
+    console.error("❌ Error fetching add-ons:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Prices the package and add-ons of a group booking, with the venue's minimum spend and VAT.
+ * @param {object} bookingDetails - Booking-flow parameters with venue_id, guestCount, package_id and addon_ids.
+ * @returns {Promise<object|null>} - The quote (see buildQuote in lib/pricing.js), or null if there
+ *   is nothing to price (no package, add-ons or minimum spend).
+ */
+async function quoteBooking(bookingDetails) {
+  const { venue_id: venueId, guestCount } = bookingDetails;
+  const [packages, addOns, venues] = await Promise.all([
+    getAvailablePackages(venueId, guestCount),
+    getAvailableAddOns(venueId, guestCount),
+    getAvailableVenues(),
+  ]);
+  const pkg = packages.find((p) => p.id === bookingDetails.package_id);
+  const chosenAddOns = addOns.filter((a) => (bookingDetails.addon_ids || []).includes(a.id));
+  const venue = venues.find((v) => v.id === venueId);
+  const minimumSpend = venue ? venue.minimum_spend : 0;
+  if (!pkg && chosenAddOns.length === 0 && !minimumSpend) {
+    return null;
   }
+  const { currency, vatRate } = currentTenant().pricing;
+  return buildQuote({ guestCount, pkg, addOns: chosenAddOns, minimumSpend, vatRate, currency });
+}
+
+
+// 🔹 Reply generation (LLM)
+// Replies are phrased by an LLM provider, falling back through LLM_FALLBACK_ORDER. The
+// "templates" provider uses the prompt's own text without any LLM, so the bot keeps working
+// offline, in tests, or when every provider fails.
+// LLM_PROVIDER=gemini (gemini, openai or templates)
+// LLM_FALLBACK_ORDER=templates (providers tried, in order, when the previous one fails)
+// LLM_TIMEOUT_MS=8000
+// GEMINI_MODEL=gemini-2.0-flash
+// OPENAI_API_KEY=sk-... (for the "openai" provider)
+// OPENAI_BASE_URL=https://api.openai.com/v1 (any OpenAI-compatible chat completions API)
+// OPENAI_MODEL=gpt-4o-mini
+const generateReply = createReplyGenerator({
+  provider: process.env.LLM_PROVIDER || 'gemini',
+  fallbackOrder: (process.env.LLM_FALLBACK_ORDER || 'templates').split(','),
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 8000,
+  gemini: { apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL || undefined },
+  openai: { apiKey: process.env.OPENAI_API_KEY, baseUrl: process.env.OPENAI_BASE_URL || undefined, model: process.env.OPENAI_MODEL || undefined },
+});
+
+/**
+ * Creates the SMTP transport from the EMAIL_SERVICE_* environment variables.
+ * @returns {object} - The nodemailer transport.
+ */
+function createMailTransport() {
+    return nodemailer.createTransport({
+        host: process.env.EMAIL_SERVICE_HOST,
+        port: parseInt(process.env.EMAIL_SERVICE_PORT),
+        secure: process.env.EMAIL_SERVICE_PORT === '465', // Use 'true' if port is 465, 'false' for 587 or 25
+        auth: {
+            user: process.env.EMAIL_SERVICE_USER,
+            pass: process.env.EMAIL_SERVICE_PASS,
+        },
+    });
+}
+
+/**
+ * @returns {object} - The sender of the current tenant's emails, { name, address }.
+ */
+function emailSender() {
+    const { email } = currentTenant();
+    return { name: email.senderName, address: email.from || process.env.EMAIL_SERVICE_USER };
 }
 
 // 🔹 Send Email with PDF (for group leads)
@@ -223,44 +723,37 @@ async function sendEmailWithPdf(recipientEmail, recipientName) {
     console.log(`DEBUG: Checking EMAIL_SERVICE_PASS: ${process.env.EMAIL_SERVICE_PASS ? 'Set' : 'NOT Set'}`);
     console.log(`DEBUG: Checking EMAIL_SERVICE_HOST: ${process.env.EMAIL_SERVICE_HOST ? 'Set' : 'NOT Set'}`);
     console.log(`DEBUG: Checking EMAIL_SERVICE_PORT: ${process.env.EMAIL_SERVICE_PORT ? 'Set' : 'NOT Set'}`);
-    console.log(`DEBUG: Checking PDF_URL: ${process.env.PDF_URL ? 'Set' : 'NOT Set'}`);
+    const pdfUrl = currentTenant().pdfUrl;
+    console.log(`DEBUG: Checking PDF_URL: ${pdfUrl ? 'Set' : 'NOT Set'}`);
     // --- END DEBUG LOGS FOR EMAIL CREDENTIALS ---
 
     if (!process.env.EMAIL_SERVICE_USER || !process.env.EMAIL_SERVICE_PASS || !process.env.EMAIL_SERVICE_HOST || !process.env.EMAIL_SERVICE_PORT) {
         console.warn("⚠️ Email service credentials missing. Skipping email send.");
         return false;
     }
-    if (!process.env.PDF_URL) {
+    if (!pdfUrl) {
         console.warn("⚠️ PDF_URL is not set. Cannot attach PDF. Skipping email send.");
         return false;
     }
 
-    const transporter = nodemailer.createTransport({
-        host: process.env.EMAIL_SERVICE_HOST,
-        port: parseInt(process.env.EMAIL_SERVICE_PORT),
-        secure: process.env.EMAIL_SERVICE_PORT === '465', // Use 'true' if port is 465, 'false' for 587 or 25
-        auth: {
-            user: process.env.EMAIL_SERVICE_USER,
-            pass: process.env.EMAIL_SERVICE_PASS,
-        },
-    });
+    const transporter = createMailTransport();
 
     const mailOptions = {
-        from: process.env.EMAIL_SERVICE_USER,
+        from: emailSender(),
         to: recipientEmail,
         subject: 'Your Group Booking Inquiry Details',
         html: `
             <p>Dear ${recipientName},</p>
             <p>Thank you for your group booking inquiry. Our manager will be in touch with you shortly to discuss your event details and help you finalize your selection.</p>
             <p>In the meantime, you can review our event packages here:</p>
-            <p><a href="${process.env.PDF_URL}">Download Our Event Packages PDF</a></p>
+            <p><a href="${pdfUrl}">Download Our Event Packages PDF</a></p>
             <p>We look forward to hosting your event!</p>
-            <p>Best regards,<br>The Booking Team</p>
+            <p>Best regards,<br>${emailSender().name}</p>
         `,
         attachments: [
             {
                 filename: 'EventPackages.pdf',
-                path: process.env.PDF_URL // Nodemailer will fetch this URL
+                path: pdfUrl // Nodemailer will fetch this URL
             }
         ]
     };
@@ -276,806 +769,1532 @@ async function sendEmailWithPdf(recipientEmail, recipientName) {
 }
 
 
-// 🔹 Create a new booking record in the "Bookings" table (MODIFIED: No package/add-on fields)
 /**
- * Creates a new booking record in the main "Bookings" Airtable table.
+ * Builds the Airtable "Bookings" fields that describe the guest, date/time, guest count and venue.
+ * Shared by createBooking and updateBooking.
  * @param {object} bookingDetails - Object containing all booking and customer details.
- * @param {string} status - The status to set for the booking (e.g., 'Confirmed', 'New Lead').
- * @returns {Promise<object>} - The created record from Airtable.
-*/
-async function createBooking(bookingDetails, status) {
-  try {
-    const url = `https://api.airtable.com/v0/${process.env.BASE_ID}/${process.env.AIRTABLE_BOOKINGS_TABLE_ID}`;
-    const cfg = {
-      headers: {
-        Authorization: `Bearer ${process.env.AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    };
-
-    const now = moment();
-    // const storageTimeUtc = now.toISOString(); // Removed: This field is computed in Airtable
-
-      const { date: formattedBookingDate, time: formattedBookingTime, local_datetime: eventDateTimeLocal } = formatDubai(bookingDetails.bookingUTC);
-    const eventDateTime = `${formattedBookingDate} ${formattedBookingTime}`; // e.g., "Wednesday, 2 July 9:00 PM"
-
-    // Prepare fields for Airtable
-    const fields = {
-      guest_name: bookingDetails.full_name,
-      phone_no: bookingDetails.mobile_number,
-      email: bookingDetails.email_id,
-      // MODIFIED: 'Table Booking' changed to 'General Reservation'
-      booking_type: bookingDetails.type === 'table' ? 'General Reservation' : 'Group Booking',
-      event_date_time: eventDateTime, // Combined date and time string
-      guest_count: bookingDetails.guestCount, // Corrected from guest_count to guestCount
-      "Status": status, // CHANGED: From 'Booking Status' to 'Status' to match CSV
-     event_date_time_local: eventDateTimeLocal, // Local Dubai time in YYYY-MM-DD HH:mm:ss
-      // storage_time_utc: storageTimeUtc, // Removed: This field is computed in Airtable
-    };
+ * @returns {object} - The Airtable fields.
+ */
+function buildBookingFields(bookingDetails) {
+  const { date: formattedBookingDate, time: formattedBookingTime, local_datetime: eventDateTimeLocal } = formatDubai(bookingDetails.bookingUTC);
+  const eventDateTime = `${formattedBookingDate} ${formattedBookingTime}`; // e.g., "Wednesday, 2 July 9:00 PM"
+
+  const fields = {
+    guest_name: normalizeGuestName(bookingDetails.full_name) || bookingDetails.full_name,
+    phone_no: normalizePhoneNumber(bookingDetails.mobile_number) || bookingDetails.mobile_number,
+    email: normalizeEmail(bookingDetails.email_id) || bookingDetails.email_id,
+    // MODIFIED: 'Table Booking' changed to 'General Reservation'
+    booking_type: bookingDetails.type === 'table' ? 'General Reservation' : 'Group Booking',
+    event_date_time: eventDateTime, // Combined date and time string
+    guest_count: bookingDetails.guestCount, // Corrected from guest_count to guestCount
+    event_date_time_local: eventDateTimeLocal, // Local time of the property in YYYY-MM-DD HH:mm:ss
+    booking_ref: bookingDetails.booking_ref, // Reference code read out to the guest, e.g. "GL-7KQ4"
+    // storage_time_utc: storageTimeUtc, // Removed: This field is computed in Airtable
+  };
 
-    // Add venue details
-    if (bookingDetails.venue) {
-      fields.space_name = bookingDetails.venue; // Matches CSV 'space_name'
-      if (bookingDetails.venue_id) { // Corrected from space_id to venue_id as per context
-        fields.space_id = [bookingDetails.venue_id]; // Ensure this is an array for linked records
-      }
+  // Add venue details
+  if (bookingDetails.venue) {
+    fields.space_name = bookingDetails.venue; // Matches CSV 'space_name'
+    if (bookingDetails.venue_id) { // Corrected from space_id to venue_id as per context
+      fields.space_id = [bookingDetails.venue_id]; // Ensure this is an array for linked records
     }
-
-    // Explicitly set package and add-on related fields to null for ALL bookings
-    fields.package_name = null;
-    fields.package_id = null;
-    fields.booking_addons = null;
-    fields.grand_total = null; // No grand total calculated by bot anymore
-
-    const data = { records: [{ fields }] };
-    const response = await axios.post(url, data, cfg);
-    console.log('Booking successful:', response.data.records[0].id);
-    return response.data.records[0]; // Return the created record
-  } catch (error) {
-    console.error('Error creating booking:', error.response ? error.response.data : error.message);
-    throw new Error('Failed to create booking.');
   }
+  // Seated dinner, standing/cocktail or mixed (group events only)
+  if (bookingDetails.eventFormat && EVENT_FORMATS[bookingDetails.eventFormat]) {
+    fields.event_format = EVENT_FORMATS[bookingDetails.eventFormat].label;
+  }
+  // Language the guest booked in, for emails and SMS
+  if (bookingDetails.language && bookingDetails.language !== DEFAULT_LANGUAGE) {
+    fields.language = bookingDetails.language;
+  }
+  return fields;
 }
 
-// REMOVED: 🔹 Create records in the "Booking_Addons" table for selected add-ons (createBookingAddons)
+// 🔹 Send booking confirmation/update/cancellation email with calendar invite
+/**
+ * Sends a guest email for a booking from the templates in EMAIL_TEMPLATES_DIR.
+ * Confirmation, update and cancellation emails get an .ics calendar invite attached.
+ * @param {string} kind - 'confirmation', 'update', 'cancellation' or 'thank-you' (the template name).
+ * @param {object} bookingDetails - Booking details in booking-flow shape (needs email_id and bookingUTC).
+ * @param {object} [extraValues={}] - Additional template placeholder values.
+ * @returns {Promise<boolean>} - True if the email was sent.
+ */
+async function sendBookingEmail(kind, bookingDetails, extraValues = {}) {
+    if (!process.env.EMAIL_SERVICE_USER || !process.env.EMAIL_SERVICE_PASS || !process.env.EMAIL_SERVICE_HOST || !process.env.EMAIL_SERVICE_PORT) {
+        console.warn("⚠️ Email service credentials missing. Skipping email send.");
+        return false;
+    }
+    if (!bookingDetails.email_id) {
+        console.warn(`⚠️ No email address for booking ${bookingDetails.booking_ref}. Skipping ${kind} email.`);
+        return false;
+    }
 
+    const language = normalizeLanguage(bookingDetails.language);
+    const { date, time } = formatDubai(bookingDetails.bookingUTC, language);
+    let email;
+    try {
+        email = renderEmailTemplate(kind, {
+            guest_name: bookingDetails.full_name,
+            booking_ref: bookingDetails.booking_ref || '',
+            venue: bookingDetails.venue,
+            date,
+            time,
+            guest_count: bookingDetails.guestCount,
+            sender_name: emailSender().name,
+            ...extraValues,
+        }, language);
+    } catch (error) {
+        console.error(`❌ Error rendering ${kind} email template:`, error.message);
+        return false;
+    }
 
-// 🔹 Dialogflow Webhook Endpoint
-app.post("/webhook", async (req, res) => {
-  const intent = req.body.queryResult.intent.displayName;
-  const session = req.body.session;
-  const params = req.body.queryResult.parameters;
-  const contexts = req.body.queryResult.outputContexts || [];
-
-  // Helper to find a context by its display name
-  const findContext = (contextName) => {
-    return contexts.find((c) => c.name.endsWith(`/contexts/${contextName}`));
-  };
+    const mailOptions = {
+        from: emailSender(),
+        to: bookingDetails.email_id,
+        subject: email.subject,
+        html: email.html,
+    };
+    if (['confirmation', 'update', 'cancellation'].includes(kind)) {
+        mailOptions.icalEvent = {
+            filename: 'booking.ics',
+            method: kind === 'cancellation' ? 'CANCEL' : 'REQUEST',
+            content: buildBookingCalendarEvent(bookingDetails, kind === 'cancellation', await getBookingDurationMinutes(bookingDetails)),
+        };
+    }
 
-  // Log the exact intent string and its length for debugging
-  console.log(`DEBUG: Webhook received intent (exact): "${intent}" (length: ${intent.length})`);
-
-  try { // START OF MAIN TRY BLOCK FOR WEBHOOK
-    // ✅ Welcome Intent (MODIFIED: All fulfillment text from Gemini)
-    if (intent === "Welcome Intent") {
-        console.log("DEBUG: Entering Welcome Intent.");
-        const venues = await getAvailableVenues(); // Get all venues, no guest count filter yet
-        const venueNames = venues.map(v => v.name).join(', ');
-        const prompt = `Hello! Welcome to our booking service. We offer bookings for ${venueNames}. Are you looking to book a table or a group event?`;
-        return res.json({
-            fulfillmentText: await generateGeminiReply(prompt), // Now uses Gemini
-            outputContexts: [{
-                name: `${session}/contexts/awaiting-booking-type`,
-                lifespanCount: 5
-            }]
-        });
+    try {
+        await createMailTransport().sendMail(mailOptions);
+        console.log(`📧 ${kind} email sent successfully to ${bookingDetails.email_id}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error sending ${kind} email to ${bookingDetails.email_id}:`, error);
+        return false;
     }
+}
 
-    // ✅ Booking Intent (MODIFIED: Handles flexible initial parameters)
-    if (intent === "Booking Intent") {
-        console.log("DEBUG: Entering Booking Intent.");
+/**
+ * Renders an email template from the current tenant's templates folder (EMAIL_TEMPLATES_DIR by default).
+ * The template's <title> line is used as the subject and
+ * {{placeholders}} are replaced with the given values (HTML-escaped in the body).
+ * @param {string} name - The template file name without extension.
+ * @param {object} values - Placeholder values.
+ * @param {string} [language=DEFAULT_LANGUAGE] - Uses the template in the language's subfolder if there is one.
+ * @returns {object} - { subject, html }.
+ */
+function renderEmailTemplate(name, values, language = DEFAULT_LANGUAGE) {
+    const templatesDir = currentTenant().email.templatesDir || EMAIL_TEMPLATES_DIR;
+    const translated = path.join(templatesDir, language, `${name}.html`);
+    const templateFile = language !== 'en' && fs.existsSync(translated) ? translated : path.join(templatesDir, `${name}.html`);
+    const template = fs.readFileSync(templateFile, 'utf8');
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const fill = (text, escape) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escape(values[key]));
+    const titleMatch = template.match(/<title>([\s\S]*?)<\/title>/i);
+    return {
+        subject: titleMatch ? fill(titleMatch[1].trim(), (value) => String(value ?? '')) : 'Your Booking',
+        html: fill(template.replace(/<title>[\s\S]*?<\/title>\s*/i, ''), escapeHtml),
+    };
+}
 
-        let guestCount = Array.isArray(params.guestCount) ? params.guestCount[0] : params.guestCount;
-        const rawBookingDate = Array.isArray(params.bookingdate) ? params.bookingdate[0] : params.bookingdate;
-        let rawBookingTime;
-        if (Array.isArray(params.bookingtime)) {
-            rawBookingTime = params.bookingtime[params.bookingtime.length - 1];
-        } else {
-            rawBookingTime = params.bookingtime;
-        }
+/**
+ * Finds how long a booking lasts: the booking_duration of its venue.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {Promise<number>} - Minutes, DEFAULT_BOOKING_DURATION_MINUTES if the venue isn't found.
+ */
+async function getBookingDurationMinutes(bookingDetails) {
+    const venue = (await getAvailableVenues()).find((v) => v.id === bookingDetails.venue_id || v.name === bookingDetails.venue);
+    return venue ? venue.booking_duration : DEFAULT_BOOKING_DURATION_MINUTES;
+}
 
-        let fulfillmentText;
-        let outputContexts = [];
-        let bookingType;
-        let currentBookingDetails = {};
-
-        // Scenario 1: All initial parameters (guest count, date, time) are provided
-        if (guestCount && rawBookingDate && rawBookingTime) {
-            console.log("DEBUG: Booking Intent - All parameters provided.");
-            const bookingDateOnly = moment(rawBookingDate).format("YYYY-MM-DD");
-            let bookingTimeStr;
-            const timeStartIndex = rawBookingTime.indexOf('T') + 1;
-            const timeEndIndex = rawBookingTime.indexOf('+');
-            if (timeStartIndex !== -1 && timeEndIndex !== -1 && timeEndIndex > timeStartIndex) {
-                bookingTimeStr = rawBookingTime.substring(timeStartIndex, timeEndIndex).substring(0, 5);
-            } else {
-                bookingTimeStr = moment(rawBookingTime).format("HH:mm");
-                console.warn(`WARN: Fallback time parsing used for rawBookingTime: ${rawBookingTime}`);
-            }
-            const bookingUTC = buildDubaiUTC(bookingDateOnly, bookingTimeStr);
-
-            bookingType = (guestCount >= 10) ? 'group' : 'table';
-            currentBookingDetails.type = bookingType;
-            currentBookingDetails.guestCount = guestCount;
-            currentBookingDetails.bookingDate = bookingDateOnly; // Store formatted date
-            currentBookingDetails.bookingTime = bookingTimeStr; // Store formatted time
-            currentBookingDetails.bookingUTC = bookingUTC;
-
-            const venues = await getAvailableVenues(guestCount); // Filtered by seated_capacity
-            const venueNames = venues.map(v => v.name).join(', ');
-
-            // MODIFIED PROMPT: Explicitly ask Gemini to list all venues and forbid greetings/filtering
-            fulfillmentText = await generateGeminiReply(`
-                For your reservation of ${guestCount} on ${formatDubai(bookingUTC).date} at ${formatDubai(bookingUTC).time}, these are the venues available for booking:
-
-                ${venueNames.split(', ').map(v => `* ${v.trim()}`).join('\n')}
-
-                Do any of these venues work for you?
-
-                **Strictly adhere to the following:**
-                **1. Do NOT include any greetings (e.g., "Good morning", "Good evening", "Hello").**
-                **2. Start the response with the exact sentence: "For your reservation of ${guestCount} on ${formatDubai(bookingUTC).date} at ${formatDubai(bookingUTC).time}, these are the venues available for booking:"**
-                **3. After that sentence, list ALL the provided venue options clearly with bullet points, each on a new line.**
-                **4. Conclude with the exact question: "Do any of these venues work for you?"**
-                **5. Do NOT filter or ask about preferences like 'vibe'.**
-            `);
-
-            outputContexts.push({
-                name: `${session}/contexts/booking-flow`,
-                lifespanCount: 5,
-                parameters: currentBookingDetails // Store all initial details
-            });
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-venue-selection`, // Direct to venue selection
-                lifespanCount: 2
-            });
+/**
+ * Builds an iCalendar (.ics) event for a booking. Updates and cancellations reuse the
+ * booking's UID with a higher SEQUENCE so calendar apps replace the original event.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @param {boolean} [cancelled=false] - True to build a cancellation.
+ * @param {number} [durationMinutes=DEFAULT_BOOKING_DURATION_MINUTES] - How long the booking lasts (see getBookingDurationMinutes).
+ * @returns {string} - The .ics content.
+ */
+function buildBookingCalendarEvent(bookingDetails, cancelled = false, durationMinutes = DEFAULT_BOOKING_DURATION_MINUTES) {
+    const icsDate = (m) => m.utc().format('YYYYMMDD[T]HHmmss[Z]');
+    const icsText = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    const start = moment.utc(bookingDetails.bookingUTC);
+    const end = start.clone().add(durationMinutes, 'minutes');
+    const reference = bookingDetails.booking_ref || bookingDetails.booking_id;
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Booking Concierge//EN',
+        `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+        'BEGIN:VEVENT',
+        `UID:${reference}@booking-concierge`,
+        `SEQUENCE:${Math.floor(Date.now() / 1000)}`, // Always increasing, so later updates win
+        `DTSTAMP:${icsDate(moment())}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(end)}`,
+        `SUMMARY:${icsText(`Reservation at ${bookingDetails.venue}`)}`,
+        `LOCATION:${icsText(bookingDetails.venue)}`,
+        `DESCRIPTION:${icsText(`Booking reference: ${reference}\nGuests: ${bookingDetails.guestCount}`)}`,
+        `ORGANIZER;CN=${icsText(emailSender().name)}:mailto:${emailSender().address}`,
+        `ATTENDEE;CN=${icsText(bookingDetails.full_name)};RSVP=FALSE:mailto:${bookingDetails.email_id}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ].join('\r\n');
+}
 
-        }
-        // Scenario 2: Only date and time are provided (e.g., "I want to book an event on 29th July")
-        else if (rawBookingDate && rawBookingTime) {
-            console.log("DEBUG: Booking Intent - Only date and time provided.");
-            const bookingDateOnly = moment(rawBookingDate).format("YYYY-MM-DD");
-            let bookingTimeStr;
-            const timeStartIndex = rawBookingTime.indexOf('T') + 1;
-            const timeEndIndex = rawBookingTime.indexOf('+');
-            if (timeStartIndex !== -1 && timeEndIndex !== -1 && timeEndIndex > timeStartIndex) {
-                bookingTimeStr = rawBookingTime.substring(timeStartIndex, timeEndIndex).substring(0, 5);
-            } else {
-                bookingTimeStr = moment(rawBookingTime).format("HH:mm");
-            }
-            const bookingUTC = buildDubaiUTC(bookingDateOnly, bookingTimeStr);
 
-            currentBookingDetails.bookingDate = bookingDateOnly;
-            currentBookingDetails.bookingTime = bookingTimeStr;
-            currentBookingDetails.bookingUTC = bookingUTC;
+// 🔹 Send SMS through Twilio
+/**
+ * Sends an SMS from the current tenant's number (TWILIO_SMS_FROM by default).
+ * @param {string} to - The recipient's phone number (E.164).
+ * @param {string} body - The message text.
+ * @returns {Promise<boolean>} - True if Twilio accepted the message.
+ */
+async function sendSms(to, body) {
+    const from = currentTenant().smsFrom;
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !from) {
+        console.warn("⚠️ Twilio SMS credentials missing. Skipping SMS send.");
+        return false;
+    }
+    try {
+        const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        const message = await client.messages.create({ from, to, body });
+        console.log(`📱 SMS sent successfully to ${to} (${message.sid})`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error sending SMS to ${to}:`, error.message);
+        return false;
+    }
+}
 
-            fulfillmentText = await generateGeminiReply(`Okay, for ${formatDubai(bookingUTC).date} at ${formatDubai(bookingUTC).time}. How many guests will there be?`);
-            outputContexts.push({
-                name: `${session}/contexts/booking-flow`,
-                lifespanCount: 5,
-                parameters: currentBookingDetails
-            });
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-guest-count`,
-                lifespanCount: 2
-            });
-        }
-        // Scenario 3: Only guest count is provided
-        else if (guestCount) {
-            console.log("DEBUG: Booking Intent - Only guest count provided.");
-            currentBookingDetails.guestCount = guestCount;
-            // Infer type now if not already set (e.g., if user says "book for 5")
-            if (!currentBookingDetails.type) {
-                currentBookingDetails.type = (guestCount >= 10) ? 'group' : 'table';
-            }
+// 🔹 Notify the venue manager of a new group lead
+/**
+ * Finds the manager contact details for a booking's venue.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {Promise<object>} - { email, phone }, either may be empty.
+ */
+async function getVenueManagerContacts(bookingDetails) {
+    const venue = (await getAvailableVenues()).find((v) => v.id === bookingDetails.venue_id || v.name === bookingDetails.venue);
+    return {
+        email: venue ? venue.manager_email : (currentTenant().managerEmail || ""),
+        phone: venue ? venue.manager_phone : (currentTenant().managerPhone || ""),
+    };
+}
 
-            fulfillmentText = await generateGeminiReply(`Got it! For ${guestCount} guests. And on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`);
-            outputContexts.push({
-                name: `${session}/contexts/booking-flow`,
-                lifespanCount: 5,
-                parameters: currentBookingDetails
-            });
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-datetime`,
-                lifespanCount: 2
-            });
-        }
-        // Scenario 4: No key parameters provided initially (e.g., "I want to book something")
-        else {
-            console.log("DEBUG: Booking Intent - No key parameters provided initially.");
-            fulfillmentText = await generateGeminiReply(`To help you book, how many guests will there be?`);
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-guest-count`,
-                lifespanCount: 2
-            });
-        }
-        return res.json({ fulfillmentText, outputContexts });
+/**
+ * Emails the venue manager about a group lead.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @param {string} [templateName='staff-new-lead'] - The email template, e.g. 'staff-lead-follow-up'.
+ * @param {object} [extraValues={}] - Additional template placeholder values.
+ * @returns {Promise<boolean>} - True if the email was sent or no manager email is configured.
+ */
+async function sendStaffLeadEmail(bookingDetails, templateName = 'staff-new-lead', extraValues = {}) {
+    const { email } = await getVenueManagerContacts(bookingDetails);
+    if (!email) {
+        console.warn(`⚠️ No manager email configured for ${bookingDetails.venue}. Skipping staff notification email.`);
+        return true;
+    }
+    if (!process.env.EMAIL_SERVICE_USER || !process.env.EMAIL_SERVICE_PASS || !process.env.EMAIL_SERVICE_HOST || !process.env.EMAIL_SERVICE_PORT) {
+        console.warn("⚠️ Email service credentials missing. Skipping email send.");
+        return false;
     }
 
-    // ✅ Select Booking Type Intent
-    if (intent === "Select Booking Type Intent") {
-        console.log("DEBUG: Entering Select Booking Type Intent.");
-        const bookingType = getParameter(req.body, 'booking_type'); // Use req.body for getParameter
-        let fulfillmentText = ``;
-        let outputContexts = [];
-        // Get current booking details from context if any (e.g., if guest count was captured earlier)
-        const bookingFlowCtx = findContext("booking-flow", contexts);
-        let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
-
-        currentBookingDetails.type = bookingType; // Set/update booking type
+    const { date, time } = formatDubai(bookingDetails.bookingUTC);
+    const quote = bookingDetails.quote; // Package and add-ons the guest chose, see quoteBooking
+    const packageLine = quote && quote.lines.find((line) => line.kind === 'package');
+    const message = renderEmailTemplate(templateName, {
+        guest_name: bookingDetails.full_name,
+        guest_email: bookingDetails.email_id,
+        guest_phone: bookingDetails.mobile_number,
+        booking_ref: bookingDetails.booking_ref || '',
+        venue: bookingDetails.venue,
+        date,
+        time,
+        guest_count: bookingDetails.guestCount,
+        event_format: bookingDetails.eventFormat ? EVENT_FORMATS[bookingDetails.eventFormat].label : 'Not specified',
+        package_name: packageLine ? packageLine.name : 'None',
+        grand_total: quote ? formatMoney(quote.grandTotal, quote.currency) : 'Not quoted',
+        sender_name: emailSender().name,
+        ...extraValues,
+    });
 
-        outputContexts.push({
-            name: `${session}/contexts/booking-flow`,
-            lifespanCount: 5,
-            parameters: currentBookingDetails // Pass updated parameters
+    try {
+        await createMailTransport().sendMail({
+            from: emailSender(),
+            to: email,
+            replyTo: bookingDetails.email_id, // So the manager can answer the guest directly
+            subject: message.subject,
+            html: message.html,
         });
-
-        if (bookingType === 'table') {
-            // If guest count is already known, proceed to date/time
-            if (currentBookingDetails.guestCount) {
-                fulfillmentText = await generateGeminiReply(`Great! For ${currentBookingDetails.guestCount} guests, on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`);
-                outputContexts.push({
-                    name: `${session}/contexts/awaiting-datetime`,
-                    lifespanCount: 2
-                });
-            } else { // If guest count not known, ask for it
-                fulfillmentText = await generateGeminiReply("Great! For a table booking, how many guests will there be?");
-                outputContexts.push({
-                    name: `${session}/contexts/awaiting-guest-count`,
-                    lifespanCount: 2
-                });
-            }
-        } else if (bookingType === 'group') {
-            // For group, directly ask for guest count, skip package selection
-            if (currentBookingDetails.guestCount) {
-                fulfillmentText = await generateGeminiReply(`Alright, for a group event with ${currentBookingDetails.guestCount} guests, on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`);
-                outputContexts.push({
-                    name: `${session}/contexts/awaiting-datetime`,
-                    lifespanCount: 2
-                });
-            } else {
-                fulfillmentText = await generateGeminiReply(`Alright, for a group event, I'll need a few details to get started. How many guests will there be?`);
-                outputContexts.push({
-                    name: `${session}/contexts/awaiting-guest-count`,
-                    lifespanCount: 2
-                });
-            }
-        } else {
-            fulfillmentText = await generateGeminiReply("I'm sorry, I didn't understand the booking type. Please choose 'table' or 'group'.");
-        }
-
-        return res.json({ fulfillmentText, outputContexts });
+        console.log(`📧 Staff lead notification sent successfully to ${email}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error sending staff lead notification to ${email}:`, error);
+        return false;
     }
+}
 
-    // REMOVED: Select Packages Intent
-
-    // ✅ Capture Guest Count Intent
-    if (intent === "Capture Guest Count Intent") {
-        console.log(`DEBUG: Entering Capture Guest Count Intent.`);
-        const guestCount = getParameter(req.body, 'number'); // Use req.body for getParameter
-        const bookingFlowCtx = findContext("booking-flow", contexts); // Use contexts from webhook scope
-        let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
-
-        if (!guestCount || guestCount <= 0) {
-            return res.json({ fulfillmentText: await generateGeminiReply("Please provide a valid number of guests.") });
-        }
-
-        currentBookingDetails.guestCount = guestCount; // Corrected to guestCount
-        // If booking type wasn't set earlier, set it now based on guest count
-        if (!currentBookingDetails.type) {
-            currentBookingDetails.type = (guestCount >= 10) ? 'group' : 'table';
-        }
-
-        return res.json({
-            fulfillmentText: await generateGeminiReply("And on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')"),
-            outputContexts: [
-                {
-                    name: `${session}/contexts/booking-flow`,
-                    lifespanCount: 5,
-                    parameters: currentBookingDetails
-                },
-                {
-                    name: `${session}/contexts/awaiting-datetime`,
-                    lifespanCount: 2
-                }
-            ]
-        });
+/**
+ * Texts the venue manager a short summary of a new group lead, if a manager phone is configured.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {Promise<boolean>} - True if the SMS was sent or no manager phone is configured.
+ */
+async function sendStaffLeadSms(bookingDetails) {
+    const { phone } = await getVenueManagerContacts(bookingDetails);
+    if (!phone) {
+        return true; // SMS notifications are optional
     }
+    const { date, time } = formatDubai(bookingDetails.bookingUTC);
+    const format = bookingDetails.eventFormat ? ` (${EVENT_FORMATS[bookingDetails.eventFormat].name})` : '';
+    const body = `New group lead ${bookingDetails.booking_ref || ''}: ${bookingDetails.guestCount} guests${format} at ${bookingDetails.venue}, ${date} ${time}. ` +
+        `${bookingDetails.full_name}, ${bookingDetails.mobile_number}, ${bookingDetails.email_id}`;
+    return sendSms(phone, body);
+}
 
-    // ✅ Capture DateTime Intent
-    if (intent === "Capture DateTime Intent") {
-        console.log(`DEBUG: Entering Capture DateTime Intent.`);
-        const dateParam = getParameter(req.body, 'date'); // Use req.body for getParameter
-        const timeParam = getParameter(req.body, 'time'); // Use req.body for getParameter
-        const bookingFlowCtx = findContext("booking-flow", contexts); // Use contexts from webhook scope
-        let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
 
-        if (!dateParam || !timeParam) {
-            return res.json({ fulfillmentText: await generateGeminiReply("I need both a date and a time for your booking. Please tell me again.") });
-        }
+// 🔹 Guest SMS confirmations and reminders
+/**
+ * Texts the guest that their reservation is confirmed.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {Promise<boolean>} - True if the SMS was sent.
+ */
+async function sendBookingConfirmationSms(bookingDetails) {
+    if (!bookingDetails.mobile_number) {
+        console.warn(`⚠️ No mobile number for booking ${bookingDetails.booking_ref}. Skipping confirmation SMS.`);
+        return true;
+    }
+    const { date, time } = formatDubai(bookingDetails.bookingUTC);
+    return sendSms(bookingDetails.mobile_number,
+        `Your reservation for ${bookingDetails.guestCount} guests at ${bookingDetails.venue} on ${date} at ${time} is confirmed. ` +
+        `Booking reference: ${bookingDetails.booking_ref}. Reply X to cancel.`);
+}
 
-        const bookingDateTimeStr = `${dateParam.substring(0, 10)}T${timeParam.substring(11, 19)}`;
-        const bookingMoment = moment.tz(bookingDateTimeStr, 'YYYY-MM-DDTHH:mm:ss', 'Asia/Dubai');
+/**
+ * Texts the guest a reminder of an upcoming booking, asking them to reply C or X.
+ * Called by the smsReminders scheduled job.
+ * @param {object} booking - The booking in booking-flow shape.
+ * @returns {Promise<boolean>} - True if the SMS was sent or the booking has no mobile number.
+ */
+async function sendSmsReminder(booking) {
+    if (!booking.mobile_number) {
+        return true;
+    }
+    const { date, time } = formatDubai(booking.bookingUTC);
+    return sendSms(booking.mobile_number,
+        `Reminder: your reservation for ${booking.guestCount} guests at ${booking.venue} is on ${date} at ${time} (ref ${booking.booking_ref}). ` +
+        `Reply C to confirm you're coming or X to cancel.`);
+}
 
-        if (!bookingMoment.isValid()) {
-            console.error(`Invalid date or time from Dialogflow: Date=${dateParam}, Time=${timeParam}`);
-            return res.json({ fulfillmentText: await generateGeminiReply("I couldn't understand that date or time. Please use a common format like 'tomorrow at 7 PM'.") });
-        }
+/**
+ * Finds the guest's next upcoming confirmed booking by the phone number they text from.
+ * Numbers are compared on their last 9 digits, so "+971 50 123 4567" matches "050 123 4567".
+ * @param {string} phone - The sender's phone number.
+ * @returns {Promise<object|null>} - The booking in booking-flow shape, or null if none.
+ */
+async function findUpcomingBookingByPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').slice(-9);
+    if (!digits) {
+        return null;
+    }
+    const records = await storage().listBookings({ statuses: ['Confirmed', 'Reconfirmed'], phoneDigits: digits });
+    const now = moment.utc();
+    return records
+        .filter((r) => r.fields.event_date_time_local)
+        .map(bookingFromRecord)
+        .filter((b) => moment.utc(b.bookingUTC).isAfter(now))
+        .sort((a, b) => moment.utc(a.bookingUTC).diff(moment.utc(b.bookingUTC)))[0] || null;
+}
 
-        currentBookingDetails.bookingDate = bookingMoment.format('YYYY-MM-DD');
-        currentBookingDetails.bookingTime = bookingMoment.format('HH:mm');
-        currentBookingDetails.bookingUTC = bookingMoment.toISOString();
-
-        const venues = await getAvailableVenues(currentBookingDetails.guestCount); // Filtered by seated_capacity
-        const venueNames = venues.map(v => v.name).join(', ');
-
-        // MODIFIED PROMPT: Explicitly ask Gemini to list all venues and forbid filtering
-        return res.json({
-            fulfillmentText: await generateGeminiReply(`Got it! For ${currentBookingDetails.guestCount} guests on ${formatDubai(currentBookingDetails.bookingUTC).date} at ${formatDubai(currentBookingDetails.bookingUTC).time}. Which venue would you like to book? Here are our options: ${venueNames}. Please list ALL of these options clearly to the user and ask if any of these work for them. Do NOT filter or ask about preferences like 'vibe'.`),
-            outputContexts: [
-                {
-                    name: `${session}/contexts/booking-flow`,
-                    lifespanCount: 5,
-                    parameters: currentBookingDetails
-                },
-                {
-                    name: `${session}/contexts/awaiting-venue-selection`,
-                    lifespanCount: 2
-                }
-            ]
-        });
+
+// 🔹 Create a new booking record in the "Bookings" table
+/**
+ * Creates a new booking record in the main "Bookings" table.
+ * @param {object} bookingDetails - Object containing all booking and customer details.
+ * @param {string} status - The status to set for the booking (e.g., 'Confirmed', 'New Lead').
+ * @returns {Promise<object>} - The created record.
+*/
+async function createBooking(bookingDetails, status) {
+  try {
+    // Prepare fields for Airtable
+    const fields = {
+      ...buildBookingFields(bookingDetails),
+      "Status": status, // CHANGED: From 'Booking Status' to 'Status' to match CSV
+    };
+
+    // The quote the guest agreed to in the summary (group bookings). The add-ons are written
+    // to the "Booking_Addons" table by the createBookingAddons outbox job.
+    const quote = bookingDetails.quote;
+    const packageLine = quote && quote.lines.find((line) => line.kind === 'package');
+    if (packageLine) {
+      fields.package_name = packageLine.name;
+      fields.package_id = [packageLine.id]; // Linked "Packages" record
+    }
+    if (quote) {
+      fields.grand_total = quote.grandTotal;
     }
+    // The deposit that holds a 'Pending Deposit' booking, see "Deposits"
+    const deposit = bookingDetails.deposit;
+    if (deposit && deposit.paymentId) {
+      fields.deposit_amount = deposit.amount;
+      fields.deposit_status = 'Pending';
+      fields.payment_id = deposit.paymentId;
+      fields.payment_link = deposit.url;
+      fields.deposit_due_at = deposit.dueAt;
+    }
+
+    const record = await storage().createBooking(fields);
+    console.log('Booking successful:', record.id);
+    return record; // Return the created record
+  } catch (error) {
+    console.error('Error creating booking:', error.response ? error.response.data : error.message);
+    throw new Error('Failed to create booking.');
+  }
+}
 
-    // ✅ Ask Venue Details Intent
-    if (intent === "Ask Venue Details Intent") { // Corrected intent name with spaces
-      console.log(`DEBUG: Entering Ask Venue Details Intent.`);
-      // Prioritize 'venue_name' as per user's request, fallback to 'space_name'
-      let venueRaw = getParameter(req.body, 'venue_name') || getParameter(req.body, 'space_name');
+// 🔹 Update an existing booking record in the "Bookings" table
+/**
+ * Updates an existing booking record in place (date/time, guest count, venue and/or status).
+ * @param {string} recordId - The record id of the booking.
+ * @param {object} fields - The Airtable fields to change.
+ * @returns {Promise<object>} - The updated record.
+ */
+async function updateBooking(recordId, fields) {
+  try {
+    const record = await storage().updateBooking(recordId, fields);
+    console.log('Booking updated:', record.id);
+    return record;
+  } catch (error) {
+    console.error('Error updating booking:', error.response ? error.response.data : error.message);
+    throw new Error('Failed to update booking.');
+  }
+}
 
-      if (Array.isArray(venueRaw)) {
-          venueRaw = venueRaw[venueRaw.length - 1]; // Take the last element if it's an array
-      }
-      if (typeof venueRaw === 'object' && venueRaw !== null && venueRaw.name) {
-          venueRaw = venueRaw.name; // If it's an object with a 'name' property
-      }
-      // Ensure venueRaw is definitely a string before proceeding
-      venueRaw = String(venueRaw || '').trim();
+// 🔹 Find an existing booking by guest contact details and booking reference
+/**
+ * Looks up a booking for the "Manage Booking" flow. The guest must give the booking
+ * reference (e.g. "GL-7KQ4", or the Airtable record id for older bookings) plus the
+ * email address or phone number the booking was made with.
+ * @param {object} lookup - { reference, email, phone } as given by the guest.
+ * @returns {Promise<object|null>} - The booking as booking-flow parameters (see bookingFromRecord), or null if not found.
+ */
+async function findBooking({ reference, email, phone }) {
+  const emailLower = email ? String(email).trim().toLowerCase() : undefined;
+  // Compare the last 9 digits so bookings stored before numbers were normalized still match
+  const phoneDigits = (normalizePhoneNumber(phone) || String(phone || '')).replace(/\D/g, '').slice(-9) || undefined;
+  if (!reference || (!emailLower && !phoneDigits)) {
+    return null;
+  }
+  const bookingRef = normalizeBookingReference(reference);
+  const [record] = await storage().listBookings({
+    ...(bookingRef ? { reference: bookingRef } : { recordId: String(reference).trim() }),
+    email: emailLower,
+    phoneDigits,
+    maxRecords: 1,
+  });
+  return record ? bookingFromRecord(record) : null;
+}
 
-      console.log(`DEBUG: Ask Venue Details Intent - venueRaw (after string conversion and trim): '${venueRaw}' (type: ${typeof venueRaw})`);
+/**
+ * Converts a "Bookings" record into the same shape as the booking-flow context parameters.
+ * @param {object} record - The record, see lib/storage.
+ * @returns {object} - The booking details, plus booking_id and status.
+ */
+function bookingFromRecord(record) {
+  const f = record.fields;
+  return {
+    booking_id: record.id,
+    booking_ref: f.booking_ref,
+    created_at: record.createdTime,
+    status: f.Status,
+    type: f.booking_type === 'Group Booking' ? 'group' : 'table',
+    guestCount: f.guest_count,
+    bookingUTC: moment.tz(f.event_date_time_local, "YYYY-MM-DD HH:mm:ss", currentTimezone()).toISOString(),
+    venue: f.space_name,
+    venue_id: Array.isArray(f.space_id) ? f.space_id[0] : f.space_id,
+    full_name: f.guest_name,
+    mobile_number: f.phone_no,
+    email_id: f.email,
+    eventFormat: Object.keys(EVENT_FORMATS).find((format) => EVENT_FORMATS[format].label === f.event_format),
+    language: normalizeLanguage(f.language),
+    package_id: Array.isArray(f.package_id) ? f.package_id[0] : f.package_id,
+    package_name: f.package_name,
+    grand_total: f.grand_total,
+    deposit: f.deposit_amount ? {
+      amount: f.deposit_amount,
+      currency: currentTenant().pricing.currency,
+      status: f.deposit_status,
+      paymentId: f.payment_id,
+      url: f.payment_link,
+      dueAt: f.deposit_due_at,
+    } : undefined,
+  };
+}
 
-      if (!venueRaw) {
-        console.log(`DEBUG: Ask Venue Details Intent - No venue name provided.`);
-        return res.json({
-          fulfillmentText: await generateGeminiReply(`I couldn't catch the venue name you're asking about. Could you please say it again?`),
-        });
+// 🔹 Generate a booking reference code
+/**
+ * Generates a short, easy-to-say booking reference such as "GL-7KQ4" that is
+ * not yet used by any record in the "Bookings" table.
+ * @returns {Promise<string>} - The booking reference.
+ */
+async function generateBookingReference() {
+  let reference;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let code = '';
+    for (let i = 0; i < BOOKING_REF_LENGTH; i++) {
+      code += BOOKING_REF_ALPHABET[crypto.randomInt(BOOKING_REF_ALPHABET.length)];
+    }
+    reference = `${BOOKING_REF_PREFIX}-${code}`;
+    try {
+      if (!(await getBookingByReference(reference))) {
+        return reference;
       }
+      console.warn(`⚠️ Booking reference ${reference} already in use. Generating another one.`);
+    } catch (error) {
+      // A collision is very unlikely, so don't hold up the booking if the bookings can't be checked
+      console.error("❌ Error checking booking reference uniqueness:", error.message);
+      return reference;
+    }
+  }
+  return reference;
+}
 
-      // Add an explicit check and conversion just before toLowerCase, as a final safeguard
-      let venueName = '';
-      if (typeof venueRaw === 'string') {
-          venueName = venueRaw.toLowerCase();
-      } else {
-          console.error(`CRITICAL ERROR: venueRaw is not a string before toLowerCase in Ask Venue Details Intent: ${venueRaw} (type: ${typeof venueRaw})`);
-          return res.json({
-              fulfillmentText: await generateGeminiReply("There was an unexpected issue with the venue name. Please try again.")
-          });
-      }
+/**
+ * Fetches a booking by its reference code alone (for internal use, not for guest lookups).
+ * @param {string} reference - The booking reference, e.g. "GL-7KQ4".
+ * @returns {Promise<object|null>} - The booking as booking-flow parameters (see bookingFromRecord), or null if not found.
+ */
+async function getBookingByReference(reference) {
+  const [record] = await storage().listBookings({ reference, maxRecords: 1 });
+  return record ? bookingFromRecord(record) : null;
+}
 
-      const url = `https://api.airtable.com/v0/${process.env.BASE_ID}/${process.env.AIRTABLE_VENUES_TABLE_ID}`;
-      const cfg = {
-        headers: { Authorization: `Bearer ${process.env.AIRTABLE_TOKEN}` },
-      };
-      let resp;
+/**
+ * Normalizes a booking reference as typed or spoken by the guest, e.g. "gl 7kq4" or "GL7KQ4" to "GL-7KQ4".
+ * @param {string} reference - The raw reference.
+ * @returns {string|null} - The normalized reference, or null if it isn't in the booking reference format.
+ */
+function normalizeBookingReference(reference) {
+  const compact = String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (compact.length !== BOOKING_REF_PREFIX.length + BOOKING_REF_LENGTH || !compact.startsWith(BOOKING_REF_PREFIX.toUpperCase())) {
+    return null;
+  }
+  return `${BOOKING_REF_PREFIX.toUpperCase()}-${compact.slice(BOOKING_REF_PREFIX.length)}`;
+}
+
+/**
+ * Spells out booking references for text-to-speech, e.g. "GL-7KQ4" becomes "G L 7 K Q 4".
+ * @param {string} text - The text to be spoken.
+ * @returns {string} - The text with every booking reference spelled out.
+ */
+function spellOutBookingReferences(text) {
+  const pattern = new RegExp(`\\b${BOOKING_REF_PREFIX}-[${BOOKING_REF_ALPHABET}]{${BOOKING_REF_LENGTH}}\\b`, 'gi');
+  return text.replace(pattern, (reference) => reference.replace('-', '').toUpperCase().split('').join(' '));
+}
+
+/**
+ * Describes a booking for guest-facing messages.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {string} - e.g. "4 guests at The Terrace on Wednesday, 2 July at 9:00 PM".
+ */
+function describeBooking(bookingDetails) {
+  const { date, time } = formatDubai(bookingDetails.bookingUTC);
+  return `${bookingDetails.guestCount} guests at ${bookingDetails.venue} on ${date} at ${time}`;
+}
+
+// 🔹 Create records in the "Booking_Addons" table for selected add-ons
+/**
+ * Writes one "Booking_Addons" record per add-on of a booking's quote, linked to the booking.
+ * @param {object} bookingDetails - Booking details with booking_ref and quote.
+ * @returns {Promise<Array<object>>} - The created records.
+ * @throws {Error} - If the booking isn't in the "Bookings" table yet, or the records couldn't be written.
+ */
+async function createBookingAddons(bookingDetails) {
+  const addOnLines = bookingDetails.quote ? bookingDetails.quote.lines.filter((line) => line.kind === 'addon') : [];
+  if (addOnLines.length === 0) {
+    return [];
+  }
+  const booking = await getBookingByReference(bookingDetails.booking_ref);
+  if (!booking) {
+    throw new Error(`Booking ${bookingDetails.booking_ref} not found.`);
+  }
+  const records = await storage().createBookingAddons(addOnLines.map((line) => ({
+    booking_id: [booking.booking_id],
+    addon_id: [line.id],
+    booking_ref: bookingDetails.booking_ref,
+    addon_name: line.name,
+    quantity: line.quantity,
+    unit_price: line.unitPrice,
+    line_total: line.amount,
+  })));
+  console.log(`DEBUG: Created ${records.length} Booking_Addons records for ${bookingDetails.booking_ref}.`);
+  return records;
+}
+
+// 🔹 Re-price a group booking after Modify Booking
+/**
+ * Works out what a change of guest count, venue or booking type does to the price of a booking.
+ * The package and add-ons the guest chose are quoted again for the new party size and venue;
+ * those no longer offered there are dropped. A deposit isn't charged or refunded automatically:
+ * when the deposit due differs from the one paid (e.g. a table grew past DEPOSIT_MIN_TABLE_GUESTS),
+ * the venue manager is asked to settle it.
+ * @param {object} previous - The booking before the change (see bookingFromRecord).
+ * @param {object} updated - The booking with the change.
+ * @returns {Promise<object>} - { fields, quote, droppedItems, depositPaid, depositDue, needsStaff }: the
+ *   "Bookings" fields to update, the new quote (null for table bookings), names of the items dropped,
+ *   the deposit paid and now due, and whether the venue manager needs to follow up.
+ */
+async function repriceBooking(previous, updated) {
+  const depositPaid = previous.deposit && previous.deposit.status === 'Paid' ? previous.deposit.amount : 0;
+  if (previous.type !== 'group' && updated.type !== 'group') {
+    // Tables have no package or quote, but a larger table may now need a deposit (DEPOSIT_MIN_TABLE_GUESTS)
+    const depositDue = paymentProvider ? calculateDeposit(updated, currentTenant().deposit) : 0;
+    return { fields: {}, quote: null, droppedItems: [], depositPaid, depositDue, needsStaff: depositPaid !== depositDue };
+  }
+  const addOnRecords = previous.booking_ref ? await storage().listBookingAddons({ reference: previous.booking_ref }) : [];
+  const chosen = {
+    package_id: previous.package_id,
+    addon_ids: addOnRecords.map((r) => [].concat(r.fields.addon_id || [])[0]).filter(Boolean),
+  };
+  const quote = updated.type === 'group' ? await quoteBooking({ ...updated, ...chosen }) : null;
+  const quotedIds = quote ? quote.lines.map((line) => line.id) : [];
+  const droppedItems = [
+    ...(chosen.package_id && !quotedIds.includes(chosen.package_id) ? [`${previous.package_name || 'the'} package`] : []),
+    ...addOnRecords.filter((r) => !quotedIds.includes([].concat(r.fields.addon_id || [])[0])).map((r) => r.fields.addon_name),
+  ];
+  const packageLine = quote && quote.lines.find((line) => line.kind === 'package');
+  const fields = {
+    package_name: packageLine ? packageLine.name : null,
+    package_id: packageLine ? [packageLine.id] : [],
+    grand_total: quote ? quote.grandTotal : null,
+  };
+  const depositDue = paymentProvider ? calculateDeposit({ ...updated, quote }, currentTenant().deposit) : 0;
+  const needsStaff = droppedItems.length > 0 || previous.type !== updated.type
+    || depositPaid !== depositDue
+    || (previous.grand_total || null) !== fields.grand_total;
+  return { fields, quote, droppedItems, depositPaid, depositDue, needsStaff };
+}
+
+/**
+ * Replaces the "Booking_Addons" records of a booking with the add-ons of its new quote.
+ * @param {object} bookingDetails - Booking details with booking_ref and quote (null if it has none).
+ */
+async function replaceBookingAddons(bookingDetails) {
+  const existing = await storage().listBookingAddons({ reference: bookingDetails.booking_ref });
+  if (existing.length > 0) {
+    await storage().deleteBookingAddons(existing.map((r) => r.id));
+  }
+  await createBookingAddons(bookingDetails);
+}
+
+// --- Deposits ---
+// Group bookings and large tables can be asked for a deposit before they are confirmed. After the
+// summary the guest is told the amount; on confirming, a payment link is made and texted to them,
+// and the booking is written with Status 'Pending Deposit', which holds the venue like a confirmed
+// booking. The payment provider calls /payments/webhook: a paid deposit sets Status to 'Confirmed';
+// a failed or expired payment, or no payment within DEPOSIT_HOLD_MINUTES (see the depositHolds
+// job), sets it to 'Deposit Expired' and frees the venue.
+// DEPOSIT_PROVIDER= (fake or stripe; no deposits are asked when unset)
+// DEPOSIT_PERCENT=25 (percent of the quoted total of a group booking)
+// DEPOSIT_PER_GUEST=100 (per guest, for bookings without a quote)
+// DEPOSIT_MIN_TABLE_GUESTS=8 (tables of this many guests or more pay a deposit; 0 for group bookings only)
+// DEPOSIT_HOLD_MINUTES=60 (how long an unpaid booking is held; at least 31 with Stripe, whose links last that long)
+// PAYMENT_WEBHOOK_SECRET=A_LONG_RANDOM_STRING (fake provider: signs the events posted to /payments/webhook;
+//   without it /payments/webhook answers 503)
+// PAYMENT_WEBHOOK_ALLOW_UNSIGNED=false (fake provider: set to true only for local testing without a secret)
+// STRIPE_SECRET_KEY=sk_live_...
+// STRIPE_WEBHOOK_SECRET=whsec_... (signing secret of the Stripe webhook endpoint for /payments/webhook)
+// PAYMENT_SUCCESS_URL=https://your-domain.com/deposit-paid (page guests return to after paying; required with
+//   Stripe, the app doesn't start without it)
+// PAYMENT_CANCEL_URL=https://your-domain.com (page guests return to without paying)
+// The deposit percent, per-guest amount, table size and hold can be set per tenant ("deposit" in the tenants file).
+// Bookings table fields: deposit_amount, deposit_status ("Pending", "Paid" or "Expired"), payment_id,
+// payment_link, deposit_due_at (ISO date) and deposit_paid_at.
+const paymentProvider = createPaymentProvider({
+  provider: process.env.DEPOSIT_PROVIDER,
+  fake: {
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${port}`,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    allowUnsigned: process.env.PAYMENT_WEBHOOK_ALLOW_UNSIGNED === 'true',
+  },
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    successUrl: process.env.PAYMENT_SUCCESS_URL,
+    cancelUrl: process.env.PAYMENT_CANCEL_URL,
+  },
+});
+if (paymentProvider) {
+  tenants.filter((tenant) => tenant.deposit.holdMinutes < paymentProvider.minHoldMinutes).forEach((tenant) => {
+    console.warn(`⚠️ ${paymentProvider.name} payment links can't expire within ${tenant.deposit.holdMinutes} minutes. Holding bookings of tenant "${tenant.id}" for ${paymentProvider.minHoldMinutes} minutes instead.`);
+    tenant.deposit.holdMinutes = paymentProvider.minHoldMinutes;
+  });
+}
+
+/**
+ * Works out the deposit a booking needs, for the summary.
+ * @param {object} bookingDetails - The booking draft (type, guestCount and the quote of a group booking).
+ * @returns {object|null} - { amount, currency, holdMinutes }, or null if no deposit is needed.
+ */
+function quoteDeposit(bookingDetails) {
+  if (!paymentProvider) {
+    return null;
+  }
+  const { deposit: rules, pricing } = currentTenant();
+  const amount = calculateDeposit(bookingDetails, rules);
+  return amount > 0 ? { amount, currency: pricing.currency, holdMinutes: rules.holdMinutes } : null;
+}
+
+/**
+ * Makes the payment link for the deposit of a booking that is about to be written.
+ * @param {object} bookingDetails - The booking with booking_ref and deposit (see quoteDeposit).
+ * @returns {Promise<object>} - The deposit with { paymentId, url, dueAt } added.
+ */
+async function createDepositLink(bookingDetails) {
+  const { deposit } = bookingDetails;
+  const dueAt = moment.utc().add(deposit.holdMinutes, 'minutes').toISOString();
+  const { paymentId, url } = await paymentProvider.createPaymentLink({
+    reference: bookingDetails.booking_ref,
+    tenantId: currentTenant().id,
+    amount: deposit.amount,
+    currency: deposit.currency,
+    description: `Deposit for ${bookingDetails.booking_ref}: ${describeBooking(bookingDetails)}`,
+    email: bookingDetails.email_id,
+    expiresAt: dueAt,
+  });
+  console.log(`DEBUG: Created ${paymentProvider.name} payment link ${paymentId} for the deposit of ${bookingDetails.booking_ref}.`);
+  return { ...deposit, paymentId, url, dueAt };
+}
+
+/**
+ * Texts the guest the link to pay the deposit of a held booking.
+ * @param {object} bookingDetails - Booking details in booking-flow shape, with the deposit.
+ * @returns {Promise<boolean>} - True if the SMS was sent or the booking has no mobile number.
+ */
+async function sendDepositLinkSms(bookingDetails) {
+    if (!bookingDetails.mobile_number) {
+        return true;
+    }
+    const { deposit } = bookingDetails;
+    const { date, time } = formatDubai(deposit.dueAt); // A hold can run into the next day
+    return sendSms(bookingDetails.mobile_number,
+        `We're holding your booking ${bookingDetails.booking_ref} (${describeBooking(bookingDetails)}) until ${time} on ${date}. ` +
+        `Pay the ${formatMoney(deposit.amount, deposit.currency)} deposit to confirm it: ${deposit.url}`);
+}
+
+/**
+ * Texts the guest that their booking was released because the deposit wasn't paid.
+ * @param {object} bookingDetails - Booking details in booking-flow shape.
+ * @returns {Promise<boolean>} - True if the SMS was sent or the booking has no mobile number.
+ */
+async function sendHoldReleasedSms(bookingDetails) {
+    if (!bookingDetails.mobile_number) {
+        return true;
+    }
+    return sendSms(bookingDetails.mobile_number,
+        `Your booking ${bookingDetails.booking_ref} (${describeBooking(bookingDetails)}) was released as the deposit wasn't paid. ` +
+        `Message us any time to book again.`);
+}
+
+/**
+ * Confirms a held booking whose deposit was paid and queues the guest's confirmation.
+ * A deposit paid after the hold was released is recorded and sent to the venue manager to rebook
+ * or refund, but doesn't bring the booking back: the venue may have been booked in the meantime.
+ * @param {object} booking - The booking in booking-flow shape (see bookingFromRecord).
+ */
+async function confirmDepositPaid(booking) {
+  const paidFields = { deposit_status: 'Paid', deposit_paid_at: new Date().toISOString() };
+  if (booking.status !== 'Pending Deposit') {
+    if (booking.deposit && booking.deposit.status !== 'Paid') {
+      await updateBooking(booking.booking_id, paidFields);
+      console.warn(`⚠️ Deposit for ${booking.booking_ref} was paid while the booking is '${booking.status}'. Staff need to rebook or refund it.`);
+      enqueueOutboxJob('notifyStaffOfLateDeposit', { bookingDetails: booking });
+    }
+    return;
+  }
+  await updateBooking(booking.booking_id, { ...paidFields, "Status": "Confirmed" });
+  console.log(`DEBUG: Deposit paid. Booking ${booking.booking_ref} is Confirmed.`);
+  enqueueOutboxJob('sendBookingEmail', { kind: 'confirmation', bookingDetails: booking });
+  enqueueOutboxJob('sendBookingConfirmationSms', { bookingDetails: booking });
+}
+
+/**
+ * Releases a held booking whose deposit wasn't paid, freeing the venue.
+ * @param {object} booking - The booking in booking-flow shape (see bookingFromRecord).
+ * @param {string} reason - For the logs, e.g. "payment expired".
+ * @returns {Promise<boolean>} - True if the booking was released now.
+ */
+async function releaseDepositHold(booking, reason) {
+  if (booking.status !== 'Pending Deposit') {
+    return false;
+  }
+  await updateBooking(booking.booking_id, { "Status": "Deposit Expired", deposit_status: 'Expired' });
+  console.log(`DEBUG: Released booking ${booking.booking_ref} (${reason}).`);
+  enqueueOutboxJob('sendHoldReleasedSms', { bookingDetails: booking });
+  return true;
+}
+
+/**
+ * Applies a payment provider event to the booking it is for. Runs for the booking's tenant.
+ * @param {object} event - The PaymentEvent, see lib/payments.
+ */
+async function handlePaymentEvent(event) {
+  const booking = await getBookingByReference(event.reference);
+  if (!booking) {
+    // The booking may still be waiting in the outbox: fail so the provider sends the event again
+    throw new Error(`Booking ${event.reference} not found.`);
+  }
+  if (booking.deposit && booking.deposit.paymentId && event.paymentId && booking.deposit.paymentId !== event.paymentId) {
+    console.warn(`⚠️ Ignoring ${event.status} payment ${event.paymentId} for ${event.reference}: the booking's payment is ${booking.deposit.paymentId}.`);
+    return;
+  }
+  if (event.status === 'paid') {
+    await confirmDepositPaid(booking);
+  } else {
+    await releaseDepositHold(booking, `payment ${event.status}`);
+  }
+}
+
+
+// --- Booking Outbox ---
+// Background tasks (Airtable writes, emails) are written to a local file before the guest
+// is told the booking is confirmed, then run and retried with exponential backoff.
+// Jobs that keep failing are marked 'failed' and can be replayed by staff via /admin/outbox.
+// OUTBOX_FILE=./data/outbox.json
+// OUTBOX_MAX_ATTEMPTS=8
+// OUTBOX_RETRY_BASE_SECONDS=30 (delay before the first retry, doubled after each failure)
+// OUTBOX_POLL_SECONDS=15
+// ADMIN_API_TOKEN=A_LONG_RANDOM_STRING (required for the /admin endpoints, sent as "Authorization: Bearer ...")
+const OUTBOX_FILE = process.env.OUTBOX_FILE || path.join(__dirname, 'data', 'outbox.json');
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const OUTBOX_RETRY_BASE_SECONDS = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 30;
+const OUTBOX_POLL_SECONDS = parseInt(process.env.OUTBOX_POLL_SECONDS) || 15;
+const OUTBOX_RETENTION_DAYS = 7; // Completed jobs are dropped from the file after this long
+
+// Job type -> handler. A handler throws to have the job retried.
+const OUTBOX_HANDLERS = {
+  createBooking: async ({ bookingDetails, status }, job) => {
+    // A previous attempt may have reached Airtable even though it reported an error
+    if (job.attempts > 0 && bookingDetails.booking_ref && await getBookingByReference(bookingDetails.booking_ref)) {
+      console.log(`DEBUG: Outbox - Booking ${bookingDetails.booking_ref} already exists in Airtable. Skipping create.`);
+      return;
+    }
+    await createBooking(bookingDetails, status);
+    console.log(`DEBUG: Booking successfully created in Airtable with status: ${status}.`);
+  },
+  replaceBookingAddons: async ({ bookingDetails }) => {
+    await replaceBookingAddons(bookingDetails); // Deletes before it creates, so it can simply run again
+  },
+  notifyStaffOfBookingChange: async ({ bookingDetails, changes }) => {
+    if (!(await sendStaffLeadEmail(bookingDetails, 'staff-booking-changed', changes))) {
+      throw new Error(`Failed to notify staff by email of the change to ${bookingDetails.booking_ref}.`);
+    }
+  },
+  notifyStaffOfLateDeposit: async ({ bookingDetails }) => {
+    if (!(await sendStaffLeadEmail(bookingDetails, 'staff-late-deposit', depositEmailValues(bookingDetails)))) {
+      throw new Error(`Failed to notify staff by email of the late deposit for ${bookingDetails.booking_ref}.`);
+    }
+  },
+  notifyStaffOfCancelledDeposit: async ({ bookingDetails }) => {
+    if (!(await sendStaffLeadEmail(bookingDetails, 'staff-cancelled-deposit', depositEmailValues(bookingDetails)))) {
+      throw new Error(`Failed to notify staff by email of the paid deposit of cancelled booking ${bookingDetails.booking_ref}.`);
+    }
+  },
+  createBookingAddons: async ({ bookingDetails }, job) => {
+    if (job.attempts > 0 && (await storage().listBookingAddons({ reference: bookingDetails.booking_ref })).length > 0) {
+      console.log(`DEBUG: Outbox - Add-ons of ${bookingDetails.booking_ref} already exist in Airtable. Skipping create.`);
+      return;
+    }
+    await createBookingAddons(bookingDetails);
+  },
+  sendEmailWithPdf: async ({ recipientEmail, recipientName }) => {
+    const emailSent = await sendEmailWithPdf(recipientEmail, recipientName);
+    if (!emailSent) {
+      throw new Error(`Failed to send email to ${recipientEmail}.`);
+    }
+  },
+  notifyStaffByEmail: async ({ bookingDetails }) => {
+    if (!(await sendStaffLeadEmail(bookingDetails))) {
+      throw new Error(`Failed to notify staff by email of lead ${bookingDetails.booking_ref}.`);
+    }
+  },
+  notifyStaffBySms: async ({ bookingDetails }) => {
+    if (!(await sendStaffLeadSms(bookingDetails))) {
+      throw new Error(`Failed to notify staff by SMS of lead ${bookingDetails.booking_ref}.`);
+    }
+  },
+  sendBookingConfirmationSms: async ({ bookingDetails }) => {
+    if (!(await sendBookingConfirmationSms(bookingDetails))) {
+      throw new Error(`Failed to send confirmation SMS for ${bookingDetails.booking_ref}.`);
+    }
+  },
+  sendDepositLinkSms: async ({ bookingDetails }) => {
+    if (!(await sendDepositLinkSms(bookingDetails))) {
+      throw new Error(`Failed to send the deposit link SMS for ${bookingDetails.booking_ref}.`);
+    }
+  },
+  sendHoldReleasedSms: async ({ bookingDetails }) => {
+    if (!(await sendHoldReleasedSms(bookingDetails))) {
+      throw new Error(`Failed to send the hold released SMS for ${bookingDetails.booking_ref}.`);
+    }
+  },
+  sendBookingEmail: async ({ kind, bookingDetails }) => {
+    if (!bookingDetails.email_id) {
+      return; // Nothing to send
+    }
+    const emailSent = await sendBookingEmail(kind, bookingDetails);
+    if (!emailSent) {
+      throw new Error(`Failed to send ${kind} email to ${bookingDetails.email_id}.`);
+    }
+  },
+};
+
+/**
+ * @param {object} bookingDetails - Booking details with status and deposit.
+ * @returns {object} - The deposit values of the staff-late-deposit and staff-cancelled-deposit templates.
+ */
+function depositEmailValues(bookingDetails) {
+  const { deposit } = bookingDetails;
+  return { booking_status: bookingDetails.status, deposit_amount: formatMoney(deposit.amount, deposit.currency), payment_id: deposit.paymentId || '' };
+}
+
+let outboxJobs = loadOutbox();
+let outboxProcessing = false;
+
+/**
+ * Reads the outbox file. Jobs that were running when the process stopped are retried.
+ * @returns {Array<object>} - The outbox jobs.
+ */
+function loadOutbox() {
+  try {
+    const jobs = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+    return jobs.map((job) => job.status === 'processing' ? { ...job, status: 'pending' } : job);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error("❌ Error reading outbox file:", error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Writes the outbox to disk atomically (write to a temp file, then rename).
+ * Throws if the file can't be written.
+ */
+function saveOutbox() {
+  fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+  const tmpFile = `${OUTBOX_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(outboxJobs, null, 2));
+  fs.renameSync(tmpFile, OUTBOX_FILE);
+}
+
+/**
+ * Durably stores a background job and starts processing it. The job runs for the current tenant.
+ * @param {string} type - A key of OUTBOX_HANDLERS.
+ * @param {object} payload - The handler's arguments.
+ * @param {string} [runAt] - ISO date to delay the job until (e.g. reminders); runs right away if omitted.
+ * @returns {object} - The stored job.
+ */
+function enqueueOutboxJob(type, payload, runAt) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    tenant: currentTenant().id,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    created_at: now,
+    next_attempt_at: runAt || now,
+  };
+  outboxJobs.push(job);
+  saveOutbox();
+  setImmediate(processOutbox);
+  return job;
+}
+
+/**
+ * Runs all due outbox jobs one after another, rescheduling failures with exponential backoff.
+ */
+async function processOutbox() {
+  if (outboxProcessing) {
+    return;
+  }
+  outboxProcessing = true;
+  try {
+    const now = Date.now();
+    const dueJobs = outboxJobs.filter((job) => job.status === 'pending' && Date.parse(job.next_attempt_at) <= now);
+    for (const job of dueJobs) {
+      job.status = 'processing';
+      saveOutbox();
       try {
-        resp = await axios.get(url, cfg);
-        console.log(`DEBUG: Ask Venue Details Intent - Fetched venues from Airtable.`);
+        // Jobs queued before tenants were recorded belong to the first tenant
+        const tenant = getTenant(job.tenant) || listTenants()[0];
+        await runWithTenant(tenant, () => OUTBOX_HANDLERS[job.type](job.payload, job));
+        job.status = 'done';
+        job.completed_at = new Date().toISOString();
       } catch (error) {
-        console.error("❌ Ask Venue Details Intent - Error fetching venues from Airtable:", error.message);
-        return res.json({
-            fulfillmentText: await generateGeminiReply("There was a problem fetching venue details. Please try again.")
-        });
+        job.attempts += 1;
+        job.last_error = error.message;
+        if (job.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          job.status = 'failed';
+          console.error(`❌ Outbox job ${job.id} (${job.type}) failed permanently after ${job.attempts} attempts:`, error.message);
+        } else {
+          const delaySeconds = OUTBOX_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+          job.status = 'pending';
+          job.next_attempt_at = new Date(Date.now() + delaySeconds * 1000).toISOString();
+          console.warn(`⚠️ Outbox job ${job.id} (${job.type}) failed, retrying in ${delaySeconds}s:`, error.message);
+        }
       }
+      saveOutbox();
+    }
 
-      const match = resp.data.records.find(
-        (r) =>
-          r.fields.space_name &&
-          r.fields.space_name.toLowerCase() === venueName
-      );
+    const cutoff = Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    outboxJobs = outboxJobs.filter((job) => job.status !== 'done' || Date.parse(job.completed_at) > cutoff);
+    saveOutbox();
+  } catch (error) {
+    console.error("❌ Error processing outbox:", error.message);
+  } finally {
+    outboxProcessing = false;
+  }
+}
 
-      if (!match) {
-        console.log(`DEBUG: Ask Venue Details Intent - No match found for venue: ${venueName}`);
-        return res.json({
-          fulfillmentText: await generateGeminiReply(`Sorry, I couldn't find details for "${venueRaw}". Please ensure you're asking about one of our listed venues.`),
-        });
-      }
+// --- Scheduled Jobs ---
+// A small built-in job runner that periodically scans the Bookings table. Every message a
+// job sends is recorded in JOB_HISTORY_FILE, so a restart never sends the same message twice.
+// Staff mark guests who turned up by setting Status to one of ATTENDED_BOOKING_STATUSES.
+// JOB_HISTORY_FILE=./data/job-history.json
+// SCHEDULER_DISABLED_JOBS= (comma-separated job names, e.g. "noShows")
+// NO_SHOW_GRACE_MINUTES=60 (bookings still Confirmed this long after their start are flagged 'No Show')
+// LEAD_FOLLOW_UP_DAYS=3 (managers are reminded of group leads still 'New Lead' after this many days)
+// THANK_YOU_DELAY_HOURS=12 (hours after the booking ends to send the thank-you email)
+// FEEDBACK_URL=https://your-domain.com/feedback
+const JOB_HISTORY_FILE = process.env.JOB_HISTORY_FILE || path.join(__dirname, 'data', 'job-history.json');
+const SCHEDULER_DISABLED_JOBS = parseList(process.env.SCHEDULER_DISABLED_JOBS); // Lowercase job names
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 60;
+const LEAD_FOLLOW_UP_DAYS = parseInt(process.env.LEAD_FOLLOW_UP_DAYS) || 3;
+const THANK_YOU_DELAY_HOURS = parseInt(process.env.THANK_YOU_DELAY_HOURS) || 12;
+const SENT_HISTORY_RETENTION_DAYS = 60;
+const CONFIRMED_BOOKING_STATUSES = ['Confirmed', 'Reconfirmed'];
+const ATTENDED_BOOKING_STATUSES = ['Seated', 'Completed'];
+
+const SCHEDULED_JOBS = [
+  { name: 'smsReminders', everyMinutes: 15, run: runSmsReminders },
+  { name: 'noShows', everyMinutes: 30, run: runNoShowFlagging },
+  { name: 'leadFollowUps', everyMinutes: 60, run: runLeadFollowUps },
+  { name: 'thankYouMessages', everyMinutes: 60, run: runThankYouMessages },
+  { name: 'depositHolds', everyMinutes: 5, run: runDepositHoldExpiry },
+];
+
+let jobHistory = loadJobHistory();
+const runningJobs = new Set();
 
-      const venue = match.fields;
-      // MODIFIED PROMPT FOR Ask Venue Details Intent - now includes both standing and seated capacity
-      const prompt = `The user asked for details about the venue "${venue.space_name}". It has a standing capacity of ${venue.standing_capacity} and a seated capacity of ${venue.seated_capacity}. Here is the description: ${venue.description || "No description provided."} As a helpful booking concierge, explain this information clearly to the user. Do NOT ask any follow up questions.`;
-
-      console.log(`DEBUG: Ask Venue Details Intent - Gemini prompt: ${prompt}`);
-      const reply = await generateGeminiReply(prompt);
-      console.log(`DEBUG: Ask Venue Details Intent - Gemini reply: ${reply}`);
-
-      // Set the venue name and ID in the booking-flow context
-      const bookingFlowCtx = findContext("booking-flow", contexts);
-      let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
-      currentBookingDetails.venue = venue.space_name;
-      currentBookingDetails.venue_id = match.id; // Store venue ID here
-
-      return res.json({
-        fulfillmentText: reply,
-        outputContexts: [
-          {
-            name: `${session}/contexts/booking-flow`,
-            lifespanCount: 5,
-            parameters: currentBookingDetails, // Ensure updated parameters are passed
-          },
-        ],
-      });
-    }
-
-    // ✅ Select Venue Intent
-    if (intent === "Select Venue Intent") {
-        console.log(`DEBUG: Entering Select Venue Intent.`);
-        // Prioritize 'venue_name' as per user's request, fallback to 'space_name'
-        let venueRaw = getParameter(req.body, 'venue_name') || getParameter(req.body, 'space_name');
-        if (Array.isArray(venueRaw)) {
-            venueRaw = venueRaw[venueRaw.length - 1]; // Take the last element if it's an array
-        }
-        if (typeof venueRaw === 'object' && venueRaw !== null && venueRaw.name) {
-            venueRaw = venueRaw.name; // If it's an object with a 'name' property
-        }
-        // Ensure venueRaw is definitely a string before proceeding
-        venueRaw = String(venueRaw || '').trim();
-
-        console.log(`DEBUG: Select Venue Intent - venueRaw (after string conversion and trim): '${venueRaw}' (type: ${typeof venueRaw})`);
-
-        const bookingFlowCtx = findContext("booking-flow", contexts);
-        let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
-
-        // NEW LOGIC: If venueRaw is empty, but a venue is already selected in context,
-        // then the user is likely trying to confirm or move on from venue selection.
-        // We should then proceed to ask for contact details.
-        if ((!venueRaw || venueRaw.trim() === '') && currentBookingDetails.venue) {
-            console.log("DEBUG: Select Venue Intent - venueRaw empty, but venue already in context. Skipping re-prompt for venue.");
-            return res.json({
-                fulfillmentText: await generateGeminiReply(`Great! You've chosen ${currentBookingDetails.venue}. Now, could I get your full name, email, and phone number to finalize your inquiry?`),
-                outputContexts: [
-                    {
-                        name: `${session}/contexts/booking-flow`,
-                        lifespanCount: 5,
-                        parameters: currentBookingDetails
-                    },
-                    {
-                        name: `${session}/contexts/awaiting-contact-details`, // Direct to contact details
-                        lifespanCount: 2
-                    },
-                    {
-                        name: `${session}/contexts/awaiting-venue-selection`, // Clear this context
-                        lifespanCount: 0
-                    }
-                ]
-            });
-        }
+/**
+ * Reads the job history file: { runs: { [jobName]: lastRun }, sent: { [messageKey]: sentAt } }.
+ * @returns {object} - The job history.
+ */
+function loadJobHistory() {
+  try {
+    const history = JSON.parse(fs.readFileSync(JOB_HISTORY_FILE, 'utf8'));
+    return { runs: history.runs || {}, sent: history.sent || {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error("❌ Error reading job history file:", error.message);
+    }
+    return { runs: {}, sent: {} };
+  }
+}
 
-        // OLD LOGIC (for when venueRaw is truly empty and no venue is in context)
-        if (!venueRaw || venueRaw.trim() === '') { // This block will now only hit if no venue is in context either
-            let prompt;
-            if (currentBookingDetails.guestCount && currentBookingDetails.bookingUTC) {
-                const { date, time } = formatDubai(currentBookingDetails.bookingUTC);
-                prompt = `Okay, for ${currentBookingDetails.guestCount} guests on ${date} at ${time}. Which venue are you interested in?`;
-            } else {
-                prompt = `Which venue are you interested in?`;
-            }
-            return res.json({
-                fulfillmentText: await generateGeminiReply(prompt),
-                outputContexts: [
-                    {
-                        name: `${session}/contexts/awaiting-venue-name`, // New context to explicitly await venue name
-                        lifespanCount: 2
-                    },
-                    // Keep booking-flow context if it exists
-                    ...(bookingFlowCtx ? [{
-                        name: `${session}/contexts/booking-flow`,
-                        lifespanCount: 5,
-                        parameters: bookingFlowCtx.parameters
-                    }] : [])
-                ]
-            });
-        }
+/**
+ * Writes the job history to disk atomically, dropping old sent-message keys.
+ */
+function saveJobHistory() {
+  const cutoff = Date.now() - SENT_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, sentAt] of Object.entries(jobHistory.sent)) {
+    if (Date.parse(sentAt) < cutoff) {
+      delete jobHistory.sent[key];
+    }
+  }
+  fs.mkdirSync(path.dirname(JOB_HISTORY_FILE), { recursive: true });
+  const tmpFile = `${JOB_HISTORY_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(jobHistory, null, 2));
+  fs.renameSync(tmpFile, JOB_HISTORY_FILE);
+}
 
-        // Add an explicit check and conversion just before toLowerCase, as a final safeguard
-        let venueName = '';
-        if (typeof venueRaw === 'string') {
-            venueName = venueRaw.toLowerCase();
-        } else {
-            console.error(`CRITICAL ERROR: venueRaw is not a string before toLowerCase in Select Venue Intent: ${venueRaw} (type: ${typeof venueRaw})`);
-            return res.json({
-                fulfillmentText: await generateGeminiReply("There was an unexpected issue with the venue name. Please try again.")
-            });
-        }
+/**
+ * Sends a message at most once: skips it if its key is in the job history, otherwise
+ * sends it and records the key. A failed send is logged and retried on the job's next run.
+ * @param {string} messageKey - Unique key of the message, e.g. "smsReminders:GL-7KQ4:2030-01-05T15:00:00.000Z:24h".
+ *   Prefixed with the tenant id for all but the first tenant, as booking references are only unique per tenant.
+ * @param {Function} send - Async function returning true if the message was sent.
+ * @returns {Promise<boolean>} - True if the message was sent now.
+ */
+async function sendOnce(messageKey, send) {
+  const tenant = currentTenant();
+  const key = tenant === listTenants()[0] ? messageKey : `${tenant.id}:${messageKey}`;
+  if (jobHistory.sent[key]) {
+    return false;
+  }
+  try {
+    if (!(await send())) {
+      console.error(`❌ Scheduled message ${key} was not sent. Will retry on the next run.`);
+      return false;
+    }
+  } catch (error) {
+    console.error(`❌ Error sending scheduled message ${key}:`, error.message);
+    return false;
+  }
+  jobHistory.sent[key] = new Date().toISOString();
+  saveJobHistory();
+  return true;
+}
 
-        // Proceed with original logic if venueRaw is not empty
-        // The bookingFlowCtx is already defined above
-        // let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {}; // This line is redundant now
+/**
+ * Fetches bookings with the given statuses whose event is on one of the given local dates.
+ * @param {Array<string>} statuses - Booking statuses to include.
+ * @param {Array<string>} [localDates] - Dates (YYYY-MM-DD) to include; all dates if omitted.
+ * @returns {Promise<Array<object>>} - Bookings in booking-flow shape.
+ */
+async function fetchBookingsForJobs(statuses, localDates) {
+  const records = await storage().listBookings({ statuses, localDates });
+  return records.filter((r) => r.fields.event_date_time_local).map(bookingFromRecord);
+}
 
-        const availableVenues = await getAvailableVenues(currentBookingDetails.guestCount); // Filtered by seated_capacity
-        const selectedVenue = availableVenues.find(v => v.name.toLowerCase() === venueName.toLowerCase());
+/**
+ * Lists local dates from `fromDays` to `toDays` days away from today.
+ * @param {number} fromDays - First day offset (negative for the past).
+ * @param {number} toDays - Last day offset.
+ * @returns {Array<string>} - Dates as YYYY-MM-DD.
+ */
+function dubaiDatesAround(fromDays, toDays) {
+  const today = moment().tz(currentTimezone()).startOf('day');
+  const dates = [];
+  for (let days = fromDays; days <= toDays; days++) {
+    dates.push(today.clone().add(days, 'days').format('YYYY-MM-DD'));
+  }
+  return dates;
+}
 
-        if (!selectedVenue) {
-            return res.json({ fulfillmentText: await generateGeminiReply("I couldn't find that venue. Please select from the available venues.") });
-        }
+/**
+ * Job: texts guests a reminder SMS_REMINDER_HOURS before their confirmed booking.
+ * Each reminder is only sent while it is the latest one due (e.g. the 24h reminder is skipped
+ * once the 2h one is due), and not for bookings made after it was due.
+ * @returns {Promise<number>} - Number of reminders sent.
+ */
+async function runSmsReminders() {
+  const maxHours = Math.max(...SMS_REMINDER_HOURS, 0);
+  const bookings = await fetchBookingsForJobs(CONFIRMED_BOOKING_STATUSES, dubaiDatesAround(0, Math.ceil(maxHours / 24) + 1));
+  const reminderHours = [...SMS_REMINDER_HOURS].sort((a, b) => b - a);
+  const now = moment.utc();
+  let sent = 0;
+  for (const booking of bookings) {
+    const start = moment.utc(booking.bookingUTC);
+    if (!start.isAfter(now)) continue;
+    const dueHours = reminderHours.filter((hours) => !start.clone().subtract(hours, 'hours').isAfter(now));
+    const hoursBefore = dueHours[dueHours.length - 1]; // The smallest due reminder
+    if (hoursBefore === undefined) continue;
+    if (booking.created_at && moment.utc(booking.created_at).isAfter(start.clone().subtract(hoursBefore, 'hours'))) continue;
+    // The booking time is part of the key, so moved bookings get reminded again
+    const key = `smsReminders:${booking.booking_ref || booking.booking_id}:${booking.bookingUTC}:${hoursBefore}h`;
+    if (await sendOnce(key, () => sendSmsReminder(booking))) sent++;
+  }
+  return sent;
+}
 
-        currentBookingDetails.venue = selectedVenue.name;
-        currentBookingDetails.venue_id = selectedVenue.id; // Store venue ID here
-
-        // CORRECTED: For both table and group bookings, now directly ask for contact details
-        return res.json({
-            fulfillmentText: await generateGeminiReply(`Great! You've chosen ${selectedVenue.name}. Now, could I get your full name, email, and phone number to finalize your inquiry?`),
-            outputContexts: [
-                {
-                    name: `${session}/contexts/booking-flow`,
-                    lifespanCount: 5,
-                    parameters: currentBookingDetails
-                },
-                {
-                    name: `${session}/contexts/awaiting-contact-details`, // Direct to contact details
-                    lifespanCount: 2
-                }
-            ]
-        });
+/**
+ * Job: flags confirmed bookings as 'No Show' once NO_SHOW_GRACE_MINUTES have passed since
+ * their start without staff marking the guest as arrived.
+ * @returns {Promise<number>} - Number of bookings flagged.
+ */
+async function runNoShowFlagging() {
+  const bookings = await fetchBookingsForJobs(CONFIRMED_BOOKING_STATUSES, dubaiDatesAround(-2, 0));
+  const cutoff = moment.utc().subtract(NO_SHOW_GRACE_MINUTES, 'minutes');
+  let flagged = 0;
+  for (const booking of bookings) {
+    if (!moment.utc(booking.bookingUTC).isBefore(cutoff)) continue;
+    try {
+      await updateBooking(booking.booking_id, { "Status": "No Show" });
+      console.log(`DEBUG: Flagged booking ${booking.booking_ref || booking.booking_id} as No Show.`);
+      flagged++;
+    } catch (error) {
+      console.error(`❌ Error flagging booking ${booking.booking_ref || booking.booking_id} as No Show:`, error.message);
     }
+  }
+  return flagged;
+}
 
-    // REMOVED: Capture Add-ons Intent
-    // REMOVED: No Add-ons Intent
+/**
+ * Job: reminds the venue manager of group leads that are still 'New Lead' LEAD_FOLLOW_UP_DAYS after they came in.
+ * @returns {Promise<number>} - Number of follow-up emails sent.
+ */
+async function runLeadFollowUps() {
+  const leads = await fetchBookingsForJobs(['New Lead']);
+  const cutoff = moment.utc().subtract(LEAD_FOLLOW_UP_DAYS, 'days');
+  let sent = 0;
+  for (const lead of leads) {
+    if (!lead.created_at || moment.utc(lead.created_at).isAfter(cutoff)) continue;
+    const daysOpen = moment.utc().diff(moment.utc(lead.created_at), 'days');
+    const key = `leadFollowUps:${lead.booking_ref || lead.booking_id}`;
+    if (await sendOnce(key, () => sendStaffLeadEmail(lead, 'staff-lead-follow-up', { days_open: daysOpen }))) sent++;
+  }
+  return sent;
+}
 
-    // ✅ Collect Contact Details Intent
-    if (intent === "CollectContactDetails") { // Corrected intent name
-        console.log(`DEBUG: Entering CollectContactDetails Intent.`);
-        console.log(`DEBUG: Raw params in CollectContactDetails: ${JSON.stringify(params, null, 2)}`);
+/**
+ * Job: emails guests a thank-you with a feedback link THANK_YOU_DELAY_HOURS after their visit.
+ * @returns {Promise<number>} - Number of thank-you emails sent.
+ */
+async function runThankYouMessages() {
+  const bookings = await fetchBookingsForJobs(ATTENDED_BOOKING_STATUSES, dubaiDatesAround(-3, 0));
+  const cutoff = moment.utc().subtract(THANK_YOU_DELAY_HOURS, 'hours');
+  let sent = 0;
+  for (const booking of bookings) {
+    if (!booking.email_id) continue;
+    const visitEnd = moment.utc(booking.bookingUTC).add(await getBookingDurationMinutes(booking), 'minutes');
+    if (visitEnd.isAfter(cutoff)) continue;
+    const key = `thankYouMessages:${booking.booking_ref || booking.booking_id}`;
+    if (await sendOnce(key, () => sendBookingEmail('thank-you', booking, { feedback_url: currentTenant().feedbackUrl || '' }))) sent++;
+  }
+  return sent;
+}
 
-        const bookingFlowCtx = findContext("booking-flow", contexts); // Use contexts from webhook scope
-        let currentBookingDetails = bookingFlowCtx ? bookingFlowCtx.parameters : {};
+/**
+ * Job: releases bookings still 'Pending Deposit' once their hold has run out (see "Deposits").
+ * @returns {Promise<number>} - Number of bookings released.
+ */
+async function runDepositHoldExpiry() {
+  const bookings = await fetchBookingsForJobs(['Pending Deposit']);
+  const now = moment.utc();
+  let released = 0;
+  for (const booking of bookings) {
+    const dueAt = booking.deposit && booking.deposit.dueAt
+      ? moment.utc(booking.deposit.dueAt)
+      : moment.utc(booking.created_at).add(currentTenant().deposit.holdMinutes, 'minutes');
+    if (dueAt.isAfter(now)) continue;
+    try {
+      if (await releaseDepositHold(booking, 'deposit not paid in time')) released++;
+    } catch (error) {
+      console.error(`❌ Error releasing booking ${booking.booking_ref || booking.booking_id}:`, error.message);
+    }
+  }
+  return released;
+}
 
-        // Retrieve existing details from context, or initialize if not present
-        let fullName = currentBookingDetails.full_name || '';
-        let mobileNumber = currentBookingDetails.mobile_number || '';
-        let emailAddress = currentBookingDetails.email_id || '';
+/**
+ * Runs a scheduled job for every tenant and records the outcome in the job history.
+ * A tenant whose run fails doesn't stop the others.
+ * @param {object} job - An entry of SCHEDULED_JOBS.
+ */
+async function runScheduledJob(job) {
+  if (runningJobs.has(job.name)) {
+    return;
+  }
+  runningJobs.add(job.name);
+  const startedAt = new Date().toISOString();
+  let processed = 0;
+  const errors = [];
+  try {
+    for (const tenant of listTenants()) {
+      try {
+        processed += await runWithTenant(tenant, () => job.run());
+      } catch (error) {
+        console.error(`❌ Scheduled job ${job.name} failed for tenant ${tenant.id}:`, error.message);
+        errors.push(listTenants().length > 1 ? `${tenant.id}: ${error.message}` : error.message);
+      }
+    }
+    jobHistory.runs[job.name] = errors.length > 0
+      ? { last_run_at: startedAt, last_status: 'error', processed, last_error: errors.join('; ') }
+      : { last_run_at: startedAt, last_status: 'ok', processed, last_error: null };
+    if (processed > 0) {
+      console.log(`DEBUG: Scheduled job ${job.name} processed ${processed} booking(s).`);
+    }
+  } finally {
+    runningJobs.delete(job.name);
+  }
+  try {
+    saveJobHistory();
+  } catch (error) {
+    console.error("❌ Error writing job history file:", error.message);
+  }
+}
 
-        // Update with new parameters from the current turn
-        // Ensure we handle the personName object structure correctly
-        if (params.personName && typeof params.personName === 'object' && params.personName.name) {
-            fullName = params.personName.name;
-        } else if (params.personName && typeof params.personName === 'string') { // Fallback for direct string
-            fullName = params.personName;
-        }
-        if (params.phoneNumber) {
-            mobileNumber = params.phoneNumber;
-        }
-        if (params.emailAddress) {
-            emailAddress = params.emailAddress;
-        }
+/**
+ * Runs every enabled job whose interval has passed since its last run. Called once a minute.
+ */
+async function runDueScheduledJobs() {
+  const now = Date.now();
+  for (const job of SCHEDULED_JOBS) {
+    if (SCHEDULER_DISABLED_JOBS.includes(job.name.toLowerCase())) continue;
+    const lastRun = jobHistory.runs[job.name];
+    if (lastRun && Date.parse(lastRun.last_run_at) + job.everyMinutes * 60 * 1000 > now) continue;
+    await runScheduledJob(job);
+  }
+}
 
-        // NEW: If personName parameter is still not set, try to extract from queryText
-        if (!fullName) {
-            const queryText = req.body.queryResult.queryText;
-            // More flexible regex for names (e.g., "John Doe", "Dr. Smith", "O'Malley")
-            // This regex attempts to capture common name formats, including optional titles.
-            // MODIFIED REGEX: Made it more generic for common names.
-            const nameRegex = /([A-Za-z'-]+(?:\s+[A-Za-z'-]+){0,2})/; // Captures 1 to 3 words with hyphens/apostrophes
-            const nameMatch = queryText.match(nameRegex);
-            console.log(`DEBUG: CollectContactDetails - queryText for name regex: "${queryText}"`);
-            console.log(`DEBUG: CollectContactDetails - nameMatch result: ${JSON.stringify(nameMatch)}`);
-            if (nameMatch && nameMatch[1]) {
-                fullName = nameMatch[1].trim();
-                console.log(`DEBUG: Extracted name from queryText in CollectContactDetails: ${fullName}`);
-            }
-        }
+/**
+ * Express middleware for the staff-only /admin endpoints.
+ * Expects "Authorization: Bearer <ADMIN_API_TOKEN>".
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    console.warn("⚠️ ADMIN_API_TOKEN is not set. Rejecting admin request.");
+    return res.status(503).json({ error: "Admin API is not configured." });
+  }
+  const provided = String(req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!safeEqual(provided, expected)) {
+    console.warn(`⚠️ Rejected admin request to ${req.path} from ${req.ip}.`);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+
+// --- Webhook Authentication ---
+// /webhook only accepts calls from Dialogflow, configured under Fulfillment > Webhook in the
+// Dialogflow console. Set basic auth, a custom header, or both; every configured check must pass.
+// DIALOGFLOW_WEBHOOK_USERNAME=dialogflow
+// DIALOGFLOW_WEBHOOK_PASSWORD=A_LONG_RANDOM_STRING
+// DIALOGFLOW_WEBHOOK_HEADER_NAME=X-Webhook-Secret (defaults to X-Webhook-Secret)
+// DIALOGFLOW_WEBHOOK_HEADER_SECRET=A_LONG_RANDOM_STRING
+// DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED=false (set to true only for local testing; without it /webhook
+//   answers 503 until a password or header secret is set)
+// /twilio-voice and /twilio-sms check the X-Twilio-Signature header against TWILIO_AUTH_TOKEN.
+// TWILIO_VALIDATE_SIGNATURE=true (set to false only for local testing)
+// PUBLIC_BASE_URL=https://your-app.example.com (the URL Twilio calls; needed when running behind a proxy)
+const DIALOGFLOW_WEBHOOK_HEADER_NAME = process.env.DIALOGFLOW_WEBHOOK_HEADER_NAME || 'X-Webhook-Secret';
+const DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED = process.env.DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED === 'true';
+const TWILIO_VALIDATE_SIGNATURE = process.env.TWILIO_VALIDATE_SIGNATURE !== 'false';
+
+if (!process.env.DIALOGFLOW_WEBHOOK_PASSWORD && !process.env.DIALOGFLOW_WEBHOOK_HEADER_SECRET) {
+  console.warn(DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED
+    ? "⚠️ DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED is true. /webhook accepts unauthenticated requests."
+    : "⚠️ Neither DIALOGFLOW_WEBHOOK_PASSWORD nor DIALOGFLOW_WEBHOOK_HEADER_SECRET is set. /webhook rejects all requests.");
+}
+if (!TWILIO_VALIDATE_SIGNATURE) {
+  console.warn("⚠️ TWILIO_VALIDATE_SIGNATURE is false. /twilio-voice and /twilio-sms accept unsigned requests.");
+}
 
+/**
+ * Compares two strings in constant time.
+ * @param {string} provided - Value sent by the caller.
+ * @param {string} expected - Configured secret.
+ * @returns {boolean} - True if they match.
+ */
+function safeEqual(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-        console.log(`DEBUG: Collected contact details (after update) - Name: '${fullName}' (Type: ${typeof fullName}), Phone: '${mobileNumber}' (Type: ${typeof mobileNumber}), Email: '${emailAddress}' (Type: ${typeof emailAddress})`);
+/**
+ * Express middleware for /webhook. Checks the basic auth credentials and/or header secret
+ * configured for Dialogflow fulfillment; rejects everything when neither is set, unless
+ * DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED is true.
+ */
+function requireDialogflowAuth(req, res, next) {
+  const username = process.env.DIALOGFLOW_WEBHOOK_USERNAME || '';
+  const password = process.env.DIALOGFLOW_WEBHOOK_PASSWORD;
+  const headerSecret = process.env.DIALOGFLOW_WEBHOOK_HEADER_SECRET;
+
+  if (!password && !headerSecret) {
+    if (DIALOGFLOW_WEBHOOK_ALLOW_UNAUTHENTICATED) {
+      return next();
+    }
+    console.error("❌ Rejected /webhook request: neither DIALOGFLOW_WEBHOOK_PASSWORD nor DIALOGFLOW_WEBHOOK_HEADER_SECRET is set.");
+    return res.status(503).json({ error: "Webhook is not configured." });
+  }
+  if (password) {
+    const match = String(req.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+    const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+    if (!safeEqual(credentials, `${username}:${password}`)) {
+      console.warn(`⚠️ Rejected /webhook request from ${req.ip}: missing or invalid basic auth credentials.`);
+      res.set('WWW-Authenticate', 'Basic realm="webhook"');
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+  }
+  if (headerSecret && !safeEqual(req.get(DIALOGFLOW_WEBHOOK_HEADER_NAME) || '', headerSecret)) {
+    console.warn(`⚠️ Rejected /webhook request from ${req.ip}: missing or invalid ${DIALOGFLOW_WEBHOOK_HEADER_NAME} header.`);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
 
-        // --- NEW DEBUG LOGGING ---
-        console.log(`DEBUG: Before final check: fullName='${fullName}', mobileNumber='${mobileNumber}', emailAddress='${emailAddress}'`);
-        console.log(`DEBUG: Condition (fullName && mobileNumber && emailAddress) evaluates to: ${!!(fullName && mobileNumber && emailAddress)}`);
-        // --- END NEW DEBUG LOGGING ---
+/**
+ * Express middleware for the Twilio webhooks. Rejects requests whose X-Twilio-Signature
+ * does not match the URL and form parameters signed with TWILIO_AUTH_TOKEN.
+ */
+function requireTwilioSignature(req, res, next) {
+  if (!TWILIO_VALIDATE_SIGNATURE) {
+    return next();
+  }
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error(`❌ Rejected ${req.path} request: TWILIO_AUTH_TOKEN is not set, so the Twilio signature cannot be checked.`);
+    return res.status(503).type('text/plain').send('Twilio webhook is not configured.');
+  }
+  const signature = req.get('X-Twilio-Signature');
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const url = `${baseUrl}${req.originalUrl}`;
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`⚠️ Rejected ${req.path} request from ${req.ip}: ${signature ? 'invalid' : 'missing'} X-Twilio-Signature for ${url}.`);
+    return res.status(403).type('text/plain').send('Forbidden');
+  }
+  next();
+}
 
+/**
+ * Express middleware that runs the rest of the request for its tenant (see lib/tenants.js),
+ * found by the Dialogflow session path (/webhook) or the Twilio number called ("To").
+ */
+function resolveTenant(req, res, next) {
+  const body = req.body || {};
+  const tenant = findTenant({ sessionPath: body.session, phoneNumber: body.To });
+  runWithTenant(tenant, next);
+}
 
-        // Update bookingDetails in context for persistence
-        currentBookingDetails.full_name = fullName;
-        currentBookingDetails.mobile_number = mobileNumber;
-        currentBookingDetails.email_id = emailAddress;
 
-        let finalConfirmationPrompt;
-        let outputContexts = [
-            {
-                name: `${session}/contexts/booking-flow`,
-                lifespanCount: 5,
-                parameters: currentBookingDetails // Always update booking-flow context
-            }
-        ];
-
-        // Check if all required contact details are present
-        if (fullName && mobileNumber && emailAddress) {
-            console.log("DEBUG: All contact details present. Proceeding to summary.");
-            // Generate summary for confirmation
-            const { date, time } = formatDubai(currentBookingDetails.bookingUTC);
-            const venueName = currentBookingDetails.venue || "the selected venue";
-
-            // Simplified summary as no packages/add-ons/pricing are involved
-            let summaryText;
-            if (currentBookingDetails.type === 'group') {
-                summaryText = `Alright, ${fullName}, let's summarize your group inquiry:\n`;
-                summaryText += `Guests: ${currentBookingDetails.guestCount}\n`;
-                summaryText += `Date: ${date} at ${time}\n`;
-                summaryText += `Venue: ${venueName}\n`;
-                summaryText += `Email: ${currentBookingDetails.email_id}\n`;
-                summaryText += `Mobile: ${currentBookingDetails.mobile_number}\n`;
-                summaryText += `Is this all correct? (Yes/No)`;
-            } else { // It's a table booking (<10 guests)
-                summaryText = `Alright, ${fullName}, let's summarize your table reservation:\n`;
-                summaryText += `Guests: ${currentBookingDetails.guestCount}\n`;
-                summaryText += `Date: ${date} at ${time}\n`;
-                summaryText += `Venue: ${venueName}\n`;
-                summaryText += `Is this all correct? (Yes/No)`;
-            }
+// --- Conversation Sessions ---
+// The booking draft and its step (see intents/bookingFlow.js) are kept server-side per
+// Dialogflow session (the caller's number for phone calls), so a booking can be resumed after
+// Dialogflow's contexts expire or when the guest calls again.
+// SESSION_STORE=memory (or "file" to keep sessions across restarts)
+// SESSION_STORE_FILE=./data/sessions.json
+// SESSION_TTL_MINUTES=1440 (how long an unfinished booking is kept)
+// SESSION_DONE_TTL_MINUTES=30 (how long a session is kept after its booking is confirmed)
+const sessionStore = createSessionStore({
+  backend: process.env.SESSION_STORE || 'memory',
+  file: process.env.SESSION_STORE_FILE || path.join(__dirname, 'data', 'sessions.json'),
+  ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES) || 1440,
+  finishedTtlMinutes: parseInt(process.env.SESSION_DONE_TTL_MINUTES) || 30,
+});
 
-            // Pass isSummaryConfirmation = true to generateGeminiReply
-            finalConfirmationPrompt = await generateGeminiReply(summaryText, true);
-
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-final-confirmation`, // New context to await final confirmation
-                lifespanCount: 2,
-                parameters: {
-                    // Pass collected contact details to this context as well, if needed for the final confirmation prompt
-                    full_name: fullName,
-                    mobile_number: mobileNumber,
-                    email_id: emailAddress
-                }
-            });
-            // Clear awaiting-guest-details context as we have all info
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-contact-details`, // Clear this context
-                lifespanCount: 0,
-            });
+// 🔹 Services available to the intent handlers in ./intents
+// Handlers only reach Airtable, the LLM, the outbox etc. through these, so they can be run with fakes.
+const intentServices = {
+  getAvailableVenues,
+  explainVenueUnavailable,
+  suggestAlternativeSlots,
+  inferBookingType,
+  checkPartySize,
+  getAvailablePackages,
+  getAvailableAddOns,
+  quoteBooking,
+  quoteDeposit,
+  createDepositLink,
+  repriceBooking,
+  generateReply,
+  generateBookingReference,
+  enqueueOutboxJob,
+  findBooking,
+  updateBooking,
+  buildBookingFields,
+  describeBooking,
+  sessionStore,
+};
+
+// 🔹 Payment provider webhook (see "Deposits")
+// The event says which tenant the booking belongs to, so no tenant middleware is needed.
+app.post('/payments/webhook', async (req, res) => {
+  if (!paymentProvider) {
+    return res.status(503).json({ error: "Payments are not configured." });
+  }
+  if (!paymentProvider.webhookConfigured) {
+    console.error(`❌ Rejected /payments/webhook request: the ${paymentProvider.name} provider has no webhook secret.`);
+    return res.status(503).json({ error: "Payment webhook is not configured." });
+  }
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(req);
+  } catch (error) {
+    console.warn(`⚠️ Rejected /payments/webhook request from ${req.ip}: ${error.message}`);
+    return res.status(400).json({ error: "Invalid signature" });
+  }
+  if (!event) {
+    return res.json({ received: true }); // Not an event about a deposit
+  }
+  const tenant = (event.tenantId && getTenant(event.tenantId)) || listTenants()[0];
+  try {
+    await runWithTenant(tenant, () => handlePaymentEvent(event));
+    return res.json({ received: true });
+  } catch (error) {
+    console.error(`❌ Error handling ${event.status} payment ${event.paymentId} for ${event.reference}:`, error.message);
+    return res.status(500).json({ error: "Could not apply the payment event." }); // The provider retries
+  }
+});
 
-        } else {
-            console.log("DEBUG: Missing contact details. Prompting again.");
-            // If not all contact details are present, prompt for them.
-            let missingFields = [];
-            if (!fullName) missingFields.push("full name");
-            if (!mobileNumber) missingFields.push("mobile number");
-            if (!emailAddress) missingFields.push("email address");
-
-            finalConfirmationPrompt = await generateGeminiReply(`I still need your ${missingFields.join(' and ')} to finalize the booking.`);
-
-            // Keep the awaiting-guest-details context active
-            outputContexts.push({
-                name: `${session}/contexts/awaiting-contact-details`,
-                lifespanCount: 2, // Keep active
-                parameters: { // Pass back what was collected to maintain state
-                    personName: fullName, // Use personName as per Dialogflow parameter name
-                    phoneNumber: mobileNumber, // Use phoneNumber as per Dialogflow parameter name
-                    emailAddress: emailAddress // Use emailAddress as per Dialogflow parameter name
-                }
-            });
-        }
-        // --- NEW LOGGING FOR WEBHOOK RESPONSE ---
-        const webhookResponse = {
-            fulfillmentText: finalConfirmationPrompt,
-            outputContexts: outputContexts
-        };
-        console.log(`DEBUG: Webhook response for CollectContactDetails: ${JSON.stringify(webhookResponse, null, 2)}`);
-        // --- END NEW LOGGING ---
-
-        return res.json(webhookResponse);
-    }
-
-      // ✅ Confirm Booking Intent (FINAL REVISED ASYNC FLOW - with name fix)
-      if (intent === "ConfirmBooking") {
-          console.log(`DEBUG: Entering ConfirmBooking Intent.`);
-          const bookingFlowCtx = findContext("booking-flow", contexts);
-
-          if (!bookingFlowCtx || !bookingFlowCtx.parameters) {
-              console.error("❌ ConfirmBooking: booking-flow context or its parameters not found.");
-              return res.json({
-                  fulfillmentText: await generateGeminiReply("I apologize, I seem to have lost track of your booking details. Could you please start over?")
-              });
-          }
-
-          const bookingDetails = bookingFlowCtx.parameters;
-          console.log(`DEBUG: ConfirmBooking: Retrieved booking details from context: ${JSON.stringify(bookingDetails, null, 2)}`);
-
-          let confirmationMessage;
-          const isGroupBooking = bookingDetails.type === 'group';
-
-          if (isGroupBooking) {
-              // INCLUDE full_name IN THE MESSAGE FOR GEMINI
-              confirmationMessage = `Excellent! Your group booking for ${bookingDetails.guestCount} guests at ${bookingDetails.venue} on ${formatDubai(bookingDetails.bookingUTC).date} at ${formatDubai(bookingDetails.bookingUTC).time} for ${bookingDetails.full_name} has been confirmed. A manager will be in touch shortly, and we've sent the event packages to ${bookingDetails.email_id}.`;
-          } else {
-              // INCLUDE full_name IN THE MESSAGE FOR GEMINI
-              confirmationMessage = `Excellent! Your table reservation for ${bookingDetails.guestCount} guests at ${bookingDetails.venue} on ${formatDubai(bookingDetails.bookingUTC).date} at ${formatDubai(bookingDetails.bookingUTC).time} for ${bookingDetails.full_name} has been confirmed. We look forward to seeing you!`;
-          }
-
-          // --- STEP 1: IMMEDIATELY SEND RESPONSE TO DIALOGFLOW ---
-          res.json({
-              fulfillmentText: await generateGeminiReply(confirmationMessage),
-              outputContexts: [
-                  {
-                      name: `${session}/contexts/booking-flow`,
-                      lifespanCount: 0 // Clear booking-flow context to end the session
-                  },
-                  {
-                      name: `${session}/contexts/awaiting-final-confirmation`,
-                      lifespanCount: 0 // Clear this context as well
-                  }
-              ]
-          });
-
-          // --- STEP 2: INITIATE ASYNCHRONOUS BACKGROUND OPERATIONS ---
-          Promise.resolve().then(async () => {
-              console.log("DEBUG: Asynchronous background task started (using Promise.resolve().then).");
-              try {
-                  const airtableStatus = isGroupBooking ? "New Lead" : "Confirmed";
-
-                  await createBooking(bookingDetails, airtableStatus);
-                  console.log(`DEBUG: Booking successfully created in Airtable with status: ${airtableStatus}.`);
-
-                  if (isGroupBooking) {
-                      const emailSent = await sendEmailWithPdf(bookingDetails.email_id, bookingDetails.full_name);
-                      if (emailSent) {
-                          console.log(`DEBUG: Email sent successfully to ${bookingDetails.email_id}.`);
-                      } else {
-                          console.error(`❌ DEBUG: Failed to send email to ${bookingDetails.email_id}.`);
-                      }
-                  }
-
-              } catch (error) {
-                  console.error("❌ Error in background booking confirmation task (Promise.resolve.then):", error.message);
-              }
-          });
-
-          // --- STEP 3: Ensure the main webhook function exits after sending the first response ---
-          return;
-      }
+// Landing page of the fake provider's payment links
+app.get('/payments/fake/:paymentId', (req, res) => {
+  if (!paymentProvider || paymentProvider.name !== 'fake') {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+  res.type('text/plain').send(`Test payment ${req.params.paymentId} for booking ${req.query.reference || ''}. ` +
+    `No money is taken: post a "paid" event to /payments/webhook to pay it (see lib/payments/fake.js).`);
+});
 
-      // Your existing fallback for unhandled intents (outside this block)
-      return res.json({
-          fulfillmentText: await generateGeminiReply("I'm not sure how to handle that request yet.")
-      });
+// 🔹 Dialogflow Webhook Endpoint
+// Each intent is handled by its own module in ./intents/handlers
+app.post("/webhook", requireDialogflowAuth, resolveTenant, async (req, res) => {
+  const { status, body } = await handleWebhookRequest(req.body, intentServices);
+  return res.status(status).json(body);
+});
 
-  } catch (error) { // END OF MAIN TRY BLOCK, START OF CATCH BLOCK
-    console.error("❌ Webhook error:", error);
-    return res.status(500).json({
-      fulfillmentText: await generateGeminiReply("I'm sorry, there was a technical issue. Please try again later."),
+// 🔹 Twilio voice language menu
+/**
+ * Adds the language menu ("For English, press 1. للعربية، اضغط 2. ...") to a voice response,
+ * each option read out in its own voice. The key pressed comes back to /twilio-voice?menu=language.
+ * @param {object} twiml - The VoiceResponse.
+ */
+function sayLanguageMenu(twiml) {
+    const gather = twiml.gather({
+        input: 'dtmf',
+        numDigits: 1,
+        timeout: 8,
+        action: '/twilio-voice?menu=language',
+        method: 'POST',
     });
-  }
-}); // CLOSING BRACE FOR app.post CALLBACK
+    SUPPORTED_LANGUAGES.forEach((code, i) => {
+        const language = getLanguage(code);
+        gather.say({ voice: language.voice, language: language.voiceLanguage }, language.menuPrompt.replace('{digit}', String(i + 1)));
+    });
+    // No key pressed: ask again
+    twiml.redirect({ method: 'POST' }, '/twilio-voice');
+}
 
 // NEW: 🔹 Twilio Voice Webhook Endpoint for Dialogflow ES
 // This endpoint will be called by Twilio when an inbound call is received or when <Gather> sends results.
-app.post('/twilio-voice', async (req, res) => {
+// When more than one language is enabled, the caller first picks one from a keypad menu; the choice is
+// carried in the ?lang= query string of the <Gather> action for the rest of the call.
+app.post('/twilio-voice', requireTwilioSignature, resolveTenant, async (req, res) => {
     console.log("DEBUG: Received incoming Twilio voice call request.");
     const twiml = new VoiceResponse();
 
+    let languageCode = req.query.lang;
+    let languageChosen = false;
+    if (!languageCode && SUPPORTED_LANGUAGES.length === 1) {
+        languageCode = DEFAULT_LANGUAGE;
+    } else if (!languageCode) {
+        const choice = req.query.menu === 'language' ? SUPPORTED_LANGUAGES[parseInt(req.body.Digits) - 1] : undefined;
+        if (!choice) {
+            sayLanguageMenu(twiml);
+            res.type('text/xml');
+            return res.send(twiml.toString());
+        }
+        console.log(`DEBUG: Caller chose language "${choice}".`);
+        languageCode = choice;
+        languageChosen = true;
+    }
+    const language = getLanguage(languageCode);
+    const voice = { voice: language.voice, language: language.voiceLanguage };
+
     // The unique ID for the session (caller's phone number)
     const sessionId = req.body.From;
-    const dialogflowProjectId = process.env.DIALOGFLOW_PROJECT_ID;
+    const dialogflowProjectId = currentTenant().dialogflowProjectId || process.env.DIALOGFLOW_PROJECT_ID;
 
     if (!sessionClient || !dialogflowProjectId) {
         console.error("❌ Dialogflow ES SessionsClient not initialized or project ID missing.");
-        twiml.say('I apologize, the booking system is currently unavailable. Please try again later.');
+        twiml.say(voice, language.voiceMessages.unavailable);
         res.type('text/xml');
         return res.status(500).send(twiml.toString());
     }
@@ -1087,19 +2306,19 @@ app.post('/twilio-voice', async (req, res) => {
 
     let queryInput;
     const speechResult = req.body.SpeechResult; // Speech-to-text from Twilio
-    const digits = req.body.Digits; // DTMF input from Twilio
+    const digits = languageChosen ? undefined : req.body.Digits; // DTMF input from Twilio (not the language menu key)
 
     // Determine the input to send to Dialogflow
     if (speechResult) {
         console.log(`DEBUG: SpeechResult received: "${speechResult}"`);
-        queryInput = { text: { text: speechResult, languageCode: 'en-US' } };
+        queryInput = { text: { text: speechResult, languageCode: language.dialogflow } };
     } else if (digits) {
         console.log(`DEBUG: Digits received: "${digits}"`);
-        queryInput = { text: { text: digits, languageCode: 'en-US' } }; // Treat DTMF as text for Dialogflow
+        queryInput = { text: { text: digits, languageCode: language.dialogflow } }; // Treat DTMF as text for Dialogflow
     } else {
         // This is the initial call, or if no speech/digits were gathered
         console.log("DEBUG: Initial call or no input received. Sending empty query to Dialogflow for welcome intent.");
-        queryInput = { event: { name: 'WELCOME', languageCode: 'en-US' } }; // Trigger Dialogflow's default welcome event
+        queryInput = { event: { name: 'WELCOME', languageCode: language.dialogflow } }; // Trigger Dialogflow's default welcome event
     }
 
     const request = {
@@ -1118,10 +2337,10 @@ app.post('/twilio-voice', async (req, res) => {
 
         // Speak Dialogflow's response
         if (result.fulfillmentText) {
-            twiml.say(result.fulfillmentText);
+            twiml.say(voice, spellOutBookingReferences(result.fulfillmentText));
         } else {
             // Fallback if Dialogflow provides no fulfillment text
-            twiml.say("I'm sorry, I didn't get a clear response. Can you please repeat that?");
+            twiml.say(voice, language.voiceMessages.repeat);
         }
 
         // Check if Dialogflow has indicated the conversation should end
@@ -1129,7 +2348,7 @@ app.post('/twilio-voice', async (req, res) => {
         // In Dialogflow ES, you might set a custom payload or context to signify this.
         // For simplicity, we'll assume if the intent is "End Conversation" or similar, we hang up.
         // You might need to refine this based on your specific Dialogflow agent's design.
-        const endConversationIntents = ["End Conversation", "Thanks", "Goodbye", "ConfirmBooking"]; // Add your ending intents here
+        const endConversationIntents = ["End Conversation", "Thanks", "Goodbye", "ConfirmBooking", "Confirm Cancellation"]; // Add your ending intents here
         const isEndIntent = result.intent && endConversationIntents.includes(result.intent.displayName);
         const endOfConversationContext = result.outputContexts.find(context => context.name.includes('end_of_conversation')); // Example for custom context
 
@@ -1142,8 +2361,9 @@ app.post('/twilio-voice', async (req, res) => {
             twiml.gather({
                 input: 'speech dtmf', // Accept both speech and DTMF tones
                 timeout: 5, // Wait 5 seconds for input
-                action: '/twilio-voice', // Send gathered input back to this endpoint
+                action: `/twilio-voice?lang=${language.code}`, // Send gathered input back to this endpoint
                 method: 'POST',
+                language: language.speech, // Speech recognition language
                 speechTimeout: 'auto', // Automatically determine end of speech
             });
         }
@@ -1154,7 +2374,7 @@ app.post('/twilio-voice', async (req, res) => {
 
     } catch (error) {
         console.error("❌ Error interacting with Dialogflow ES:", error);
-        twiml.say('I apologize, there was an error connecting to our booking agent. Please try again later.');
+        twiml.say(voice, language.voiceMessages.error);
         twiml.hangup(); // Hang up on error
         res.type('text/xml');
         res.status(500).send(twiml.toString());
@@ -1162,8 +2382,131 @@ app.post('/twilio-voice', async (req, res) => {
 });
 
 
-// --- Start the Server ---
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+// 🔹 Admin: list scheduled jobs and their last runs
+app.get('/admin/jobs', requireAdmin, (req, res) => {
+    res.json({
+        jobs: SCHEDULED_JOBS.map((job) => ({
+            name: job.name,
+            every_minutes: job.everyMinutes,
+            enabled: !SCHEDULER_DISABLED_JOBS.includes(job.name.toLowerCase()),
+            ...jobHistory.runs[job.name],
+        })),
+    });
+});
+
+// 🔹 Admin: run a scheduled job now
+app.post('/admin/jobs/:name/run', requireAdmin, async (req, res) => {
+    const job = SCHEDULED_JOBS.find((j) => j.name === req.params.name);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+    await runScheduledJob(job);
+    res.json({ name: job.name, ...jobHistory.runs[job.name] });
 });
+
+/**
+ * Finds the tenant an admin request is for: ?tenant=<id>, the first tenant if not given.
+ * @param {object} req - The Express request.
+ * @returns {object|undefined} - The tenant, undefined for an unknown id.
+ */
+function adminTenant(req) {
+    return req.query.tenant ? getTenant(req.query.tenant) : listTenants()[0];
+}
+
+// 🔹 Admin: venue cache state (?tenant=<id> for other tenants)
+app.get('/admin/venues', requireAdmin, (req, res) => {
+    const tenant = adminTenant(req);
+    if (!tenant) {
+        return res.status(404).json({ error: "Tenant not found." });
+    }
+    res.json(tenant.venueRepository.status());
+});
+
+// 🔹 Admin: reload venues from Airtable, e.g. after editing the Venues table (?tenant=<id> for other tenants)
+app.post('/admin/venues/invalidate', requireAdmin, async (req, res) => {
+    const tenant = adminTenant(req);
+    if (!tenant) {
+        return res.status(404).json({ error: "Tenant not found." });
+    }
+    tenant.venueRepository.invalidate();
+    try {
+        await tenant.venueRepository.getAll();
+    } catch (error) {
+        console.error(`❌ Error reloading venues of tenant ${tenant.id} from Airtable:`, error.message);
+    }
+    res.json(tenant.venueRepository.status());
+});
+
+// 🔹 Twilio SMS Webhook Endpoint (guest replies to confirmations and reminders)
+// Replies: C (or YES) reconfirms the guest's next booking, X (or CANCEL) cancels it.
+app.post('/twilio-sms', requireTwilioSignature, resolveTenant, async (req, res) => {
+    const from = req.body.From;
+    const reply = String(req.body.Body || '').trim().toUpperCase();
+    console.log(`DEBUG: Received SMS from ${from}: "${reply}"`);
+    const twiml = new MessagingResponse();
+
+    try {
+        const booking = await findUpcomingBookingByPhone(from);
+        if (!booking) {
+            twiml.message("We couldn't find an upcoming booking for this number. Please contact us if you need help.");
+        } else if (['C', 'YES', 'CONFIRM'].includes(reply)) {
+            await updateBooking(booking.booking_id, { "Status": "Reconfirmed" });
+            const { date, time } = formatDubai(booking.bookingUTC);
+            twiml.message(`Thank you! Your booking${booking.booking_ref ? ` ${booking.booking_ref}` : ''} at ${booking.venue} on ${date} at ${time} is confirmed. See you soon!`);
+        } else if (['X', 'CANCEL'].includes(reply)) {
+            await updateBooking(booking.booking_id, { "Status": "Cancelled" });
+            enqueueOutboxJob('sendBookingEmail', { kind: 'cancellation', bookingDetails: booking });
+            const depositPaid = booking.deposit && booking.deposit.status === 'Paid';
+            if (depositPaid) {
+                enqueueOutboxJob('notifyStaffOfCancelledDeposit', { bookingDetails: booking }); // Refunds are up to the venue
+            }
+            twiml.message(`Your booking${booking.booking_ref ? ` ${booking.booking_ref}` : ''} at ${booking.venue} has been cancelled.${depositPaid ? ' Our team will be in touch about your deposit.' : ''} We hope to welcome you another time.`);
+        } else {
+            twiml.message("Sorry, we didn't understand that. Reply C to confirm your booking or X to cancel it.");
+        }
+    } catch (error) {
+        console.error("❌ Error handling inbound SMS:", error.message);
+        twiml.message("Sorry, something went wrong. Please try again shortly or contact us directly.");
+    }
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+});
+
+// 🔹 Admin: list outbox jobs (e.g. /admin/outbox?status=failed)
+app.get('/admin/outbox', requireAdmin, (req, res) => {
+    const jobs = req.query.status ? outboxJobs.filter((job) => job.status === req.query.status) : outboxJobs;
+    res.json({ jobs });
+});
+
+// 🔹 Admin: replay a failed outbox job
+app.post('/admin/outbox/:id/replay', requireAdmin, (req, res) => {
+    const job = outboxJobs.find((j) => j.id === req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+    if (job.status !== 'failed') {
+        return res.status(409).json({ error: `Job is ${job.status}, only failed jobs can be replayed.` });
+    }
+    job.status = 'pending';
+    job.attempts = 0;
+    job.next_attempt_at = new Date().toISOString();
+    saveOutbox();
+    console.log(`DEBUG: Outbox job ${job.id} (${job.type}) queued for replay.`);
+    setImmediate(processOutbox);
+    res.json({ job });
+});
+
+
+// --- Start the Server ---
+// Only when run as `node index.js`: the tests in ./test require the app and listen on a port of their own.
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Server is running on port ${port}`);
+        processOutbox(); // Pick up jobs left over from before a restart
+        setInterval(processOutbox, OUTBOX_POLL_SECONDS * 1000);
+        setInterval(runDueScheduledJobs, 60 * 1000);
+    });
+}
+
+module.exports = { app };
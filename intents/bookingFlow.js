@@ -0,0 +1,301 @@
+// intents/bookingFlow.js - The steps of a new booking and how to pick one up again
+//
+// type -> guests -> format -> datetime -> venue -> package -> addons -> contact -> confirm -> done
+// (format, package and addons are for group events only)
+//
+// The current step follows from the booking draft: it is the first step whose details are
+// still missing. The session store keeps the draft and its step, so the flow can be resumed
+// when Dialogflow's contexts have expired or the guest calls again.
+
+const { formatDubai } = require('../lib/time');
+const { EVENT_FORMATS } = require('../lib/bookingRules');
+const { buildVenueOptionsResponse } = require('./venueOptions');
+const { continueAfterVenue } = require('./packageOptions');
+const { describeQuote, formatMoney } = require('../lib/pricing');
+
+/**
+ * Steps in order. `context` is the Dialogflow context that waits for the step's answer.
+ */
+const BOOKING_STEPS = [
+  {
+    name: 'type',
+    context: 'awaiting-booking-type',
+    prompt: "Are you looking to book a table or a group event?",
+    isComplete: (booking) => Boolean(booking.type || booking.guestCount),
+  },
+  {
+    name: 'guests',
+    context: 'awaiting-guest-count',
+    prompt: "How many guests will there be?",
+    isComplete: (booking) => Boolean(booking.guestCount),
+  },
+  {
+    name: 'format',
+    context: 'awaiting-event-format',
+    prompt: "Will it be a seated dinner, a standing (cocktail) event or a mixed event?",
+    isComplete: (booking) => !needsEventFormat(booking),
+  },
+  {
+    name: 'datetime',
+    context: 'awaiting-datetime',
+    prompt: "On what date and time would you like to book? (e.g., 'tomorrow at 7 PM')",
+    isComplete: (booking) => Boolean(booking.bookingUTC),
+  },
+  {
+    name: 'venue',
+    context: 'awaiting-venue-selection',
+    prompt: "Which venue would you like to book?",
+    isComplete: (booking) => Boolean(booking.venue),
+  },
+  {
+    name: 'package',
+    context: 'awaiting-package-selection',
+    prompt: "Which package would you like?",
+    isComplete: (booking) => booking.type !== 'group' || Boolean(booking.package_id),
+  },
+  {
+    name: 'addons',
+    context: 'awaiting-addons',
+    prompt: "Would you like any add-ons?",
+    isComplete: (booking) => booking.type !== 'group' || Array.isArray(booking.addon_ids),
+  },
+  {
+    name: 'contact',
+    context: 'awaiting-contact-details',
+    prompt: "Could I get your full name, email, and phone number to finalize your inquiry?",
+    isComplete: (booking) => Boolean(booking.full_name && booking.mobile_number && booking.email_id),
+  },
+  {
+    name: 'confirm',
+    context: 'awaiting-final-confirmation',
+    prompt: "Shall I confirm this booking? (Yes/No)",
+    isComplete: (booking) => Boolean(booking.booking_ref),
+  },
+];
+
+/**
+ * @param {object} booking - Booking draft (booking-flow parameters).
+ * @returns {boolean} - True for a group event whose format (seated, standing or mixed) isn't known yet.
+ *   Table bookings are always seated.
+ */
+function needsEventFormat(booking) {
+  return booking.type === 'group' && !booking.eventFormat;
+}
+
+/**
+ * @param {object} booking - Booking draft (booking-flow parameters).
+ * @returns {string} - Name of the current step, or 'done' once the booking is confirmed.
+ */
+function getBookingStep(booking) {
+  const step = BOOKING_STEPS.find((s) => !s.isComplete(booking || {}));
+  return step ? step.name : 'done';
+}
+
+/**
+ * @param {string} stepName - A step name.
+ * @returns {object|undefined} - The step definition ('done' has none).
+ */
+function findBookingStep(stepName) {
+  return BOOKING_STEPS.find((s) => s.name === stepName);
+}
+
+/**
+ * Builds the summary the guest confirms before the booking is made.
+ * @param {object} booking - The booking draft with contact details (and the quote of a group booking, see prepareSummary).
+ * @returns {string} - The summary text.
+ */
+function buildBookingSummary(booking) {
+  const { date, time } = formatDubai(booking.bookingUTC);
+  const venueName = booking.venue || "the selected venue";
+
+  let summaryText;
+  if (booking.type === 'group') {
+    summaryText = `Alright, ${booking.full_name}, let's summarize your group inquiry:\n`;
+    summaryText += `Guests: ${booking.guestCount}\n`;
+    if (booking.eventFormat) {
+      summaryText += `Format: ${EVENT_FORMATS[booking.eventFormat].label}\n`;
+    }
+    summaryText += `Date: ${date} at ${time}\n`;
+    summaryText += `Venue: ${venueName}\n`;
+    summaryText += `Email: ${booking.email_id}\n`;
+    summaryText += `Mobile: ${booking.mobile_number}\n`;
+    if (booking.quote) {
+      summaryText += `${describeQuote(booking.quote)}\n`;
+    }
+  } else { // It's a table booking
+    summaryText = `Alright, ${booking.full_name}, let's summarize your table reservation:\n`;
+    summaryText += `Guests: ${booking.guestCount}\n`;
+    summaryText += `Date: ${date} at ${time}\n`;
+    summaryText += `Venue: ${venueName}\n`;
+  }
+  if (booking.deposit) {
+    summaryText += `Deposit: ${formatMoney(booking.deposit.amount, booking.deposit.currency)}, payable by card once you confirm. ` +
+      `We'll hold your booking for ${booking.deposit.holdMinutes} minutes while you pay.\n`;
+  }
+  summaryText += `Is this all correct? (Yes/No)`;
+  return summaryText;
+}
+
+/**
+ * Prices the package and add-ons of a group booking for the summary, and works out the deposit
+ * needed to hold the booking. Both are kept with the booking, so the guest is booked at the
+ * price they confirmed.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking draft.
+ * @returns {Promise<Array<string>>} - Amounts a generated summary must keep.
+ */
+async function prepareSummary(ctx, booking) {
+  const facts = [];
+  delete booking.quote;
+  if (booking.type === 'group') {
+    const quote = await ctx.services.quoteBooking(booking);
+    if (quote) {
+      booking.quote = quote;
+      facts.push(...describeQuote(quote).split('\n').map((line) => line.split(': ').pop()));
+    }
+  }
+  const deposit = ctx.services.quoteDeposit(booking);
+  if (deposit) {
+    booking.deposit = deposit;
+    facts.push(formatMoney(deposit.amount, deposit.currency));
+  } else {
+    delete booking.deposit;
+  }
+  return facts;
+}
+
+/**
+ * Lists the booking details a generated reply about this booking must keep (see lib/llm/guardrails.js).
+ * @param {object} booking - The booking draft.
+ * @returns {Array<string>} - Guest count, date, time, venue and reference, as far as known.
+ */
+function bookingFacts(booking) {
+  const facts = [];
+  if (booking.guestCount) facts.push(String(booking.guestCount));
+  if (booking.bookingUTC) {
+    const { date, time } = formatDubai(booking.bookingUTC);
+    facts.push(date, time);
+  }
+  if (booking.venue) facts.push(booking.venue);
+  if (booking.booking_ref) facts.push(booking.booking_ref);
+  return facts;
+}
+
+/**
+ * Describes what the guest has chosen so far, e.g. "for 4 guests on Tuesday, 8 January at 7:00 PM".
+ * @param {object} booking - The booking draft.
+ * @returns {string} - The description, or '' if nothing is known yet.
+ */
+function describeDraft(booking) {
+  const parts = [];
+  if (booking.guestCount) parts.push(`for ${booking.guestCount} guests`);
+  if (booking.venue) parts.push(`at ${booking.venue}`);
+  if (booking.bookingUTC) {
+    const { date, time } = formatDubai(booking.bookingUTC);
+    parts.push(`on ${date} at ${time}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Sets the number of guests if the booking rules allow it, and works out the booking type
+ * (see lib/bookingRules.js).
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking draft.
+ * @param {number} guestCount - The number of guests the guest gave.
+ * @returns {Promise<string|null>} - Why a party of this size can't be booked, or null once it is set.
+ */
+async function applyGuestCount(ctx, booking, guestCount) {
+  const problem = await ctx.services.checkPartySize(guestCount, booking.eventFormat); // Any format while a group hasn't chosen one
+  if (problem) {
+    console.log(`DEBUG: Party of ${guestCount} rejected: ${problem}.`);
+    return problem;
+  }
+  if (booking.guestCount && booking.guestCount !== guestCount) {
+    booking.clearPackages(); // Packages depend on the party size
+  }
+  booking.guestCount = guestCount;
+  booking.type = ctx.services.inferBookingType(guestCount, undefined, booking.requestedType);
+  if (booking.type !== 'group') {
+    delete booking.eventFormat; // Table bookings are seated
+  }
+  return null;
+}
+
+/**
+ * Builds the response asking for another number of guests when the booking rules rule out the given one.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking draft.
+ * @param {string} problem - The explanation from applyGuestCount.
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildPartySizeResponse(ctx, booking, problem) {
+  return ctx.respond()
+    .say(await ctx.generateReply(`Unfortunately, ${problem}. How many guests will there be?`))
+    .setBookingFlow(booking)
+    .setContext('awaiting-guest-count', 2);
+}
+
+/**
+ * Builds the response asking a group whether their event is seated, standing or mixed,
+ * which decides the venue capacity that applies.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking draft.
+ * @param {string} [intro] - Text to start with, e.g. "Got it, 150 guests.".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildEventFormatResponse(ctx, booking, intro = '') {
+  const step = findBookingStep('format');
+  return ctx.respond()
+    .say(await ctx.generateReply({ text: `${intro} ${step.prompt}`.trim(), facts: bookingFacts(booking) }))
+    .setBookingFlow(booking)
+    .setContext(step.context, 2);
+}
+
+/**
+ * Builds the response that continues a booking at its current step.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking draft.
+ * @param {string} [greeting] - Text to start with, e.g. "Welcome back!".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function resumeBooking(ctx, booking, greeting = '') {
+  const stepName = getBookingStep(booking);
+  const step = findBookingStep(stepName);
+  console.log(`DEBUG: Resuming booking for session ${ctx.sessionId} at step "${stepName}".`);
+
+  if (stepName === 'venue') {
+    return buildVenueOptionsResponse(ctx, booking, greeting);
+  }
+  if (stepName === 'package' || stepName === 'addons') {
+    return continueAfterVenue(ctx, booking, greeting);
+  }
+  if (stepName === 'confirm') {
+    const quoteFacts = await prepareSummary(ctx, booking);
+    return ctx.respond()
+      .say(await ctx.generateReply({ text: `${greeting} ${buildBookingSummary(booking)}`.trim(), facts: [...bookingFacts(booking), ...quoteFacts] }, true))
+      .setBookingFlow(booking)
+      .setContext(step.context, 2);
+  }
+
+  const draft = describeDraft(booking);
+  const intro = draft ? `Let's pick up your booking ${draft} where we left off.` : '';
+  return ctx.respond()
+    .say(await ctx.generateReply({ text: `${greeting} ${intro} ${step.prompt}`.replace(/\s+/g, ' ').trim(), facts: bookingFacts(booking) }))
+    .setBookingFlow(booking)
+    .setContext(step.context, 2);
+}
+
+module.exports = {
+  BOOKING_STEPS,
+  getBookingStep,
+  findBookingStep,
+  needsEventFormat,
+  buildBookingSummary,
+  bookingFacts,
+  prepareSummary,
+  applyGuestCount,
+  buildPartySizeResponse,
+  buildEventFormatResponse,
+  resumeBooking,
+};
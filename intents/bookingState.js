@@ -0,0 +1,136 @@
+// intents/bookingState.js - The booking being put together, as carried in the booking-flow context
+
+const { currentTimezone } = require('../lib/tenants');
+
+const BOOKING_FLOW_CONTEXT = 'booking-flow';
+
+// Statuses of bookings the guest can still change or cancel through Manage Booking. 'Pending Deposit'
+// bookings are confirmed or released by their deposit first; 'No Show', 'Deposit Expired' etc. are over.
+const CHANGEABLE_BOOKING_STATUSES = ['Confirmed', 'Reconfirmed', 'New Lead'];
+
+/**
+ * @typedef {object} BookingDetails
+ * @property {'table'|'group'} [type] - Booking type, inferred from guestCount and the booking rules (see lib/bookingRules.js).
+ * @property {'table'|'group'} [requestedType] - The type the guest asked for in Select Booking Type.
+ * @property {number} [guestCount] - Number of guests.
+ * @property {'seated'|'standing'|'mixed'} [eventFormat] - Format of a group event, which decides the venue capacity (see lib/bookingRules.js).
+ * @property {string} [bookingDate] - Local date of the property, YYYY-MM-DD.
+ * @property {string} [bookingTime] - Local time of the property, HH:mm.
+ * @property {string} [bookingUTC] - Booking start as a UTC ISO string.
+ * @property {string} [venue] - Venue name (space_name in Airtable).
+ * @property {string} [venue_id] - Airtable record ID of the venue.
+ * @property {string} [package_id] - Record id of the chosen package, 'none' if the group goes without one.
+ * @property {Array<string>} [addon_ids] - Record ids of the chosen add-ons (empty if none).
+ * @property {object} [quote] - Price quote shown in the summary of a group booking (see lib/pricing.js).
+ * @property {object} [deposit] - Deposit that holds the booking: { amount, currency, holdMinutes }, plus
+ *   { paymentId, url, dueAt } once the payment link is made.
+ * @property {string} [full_name] - Guest name.
+ * @property {string} [mobile_number] - Guest phone number in E.164.
+ * @property {string} [email_id] - Guest email address.
+ * @property {string} [booking_ref] - Reference code read out to the guest, e.g. "GL-7KQ4".
+ * @property {string} [language] - Language of the conversation ('en', 'ar', ...), set when the booking is confirmed.
+ * @property {Array<string>} [suggestedSlots] - UTC ISO times offered when the requested time was full.
+ * @property {Array<string>} [offeredVenues] - Venue names in the order they were offered, so the guest can pick "the second one".
+ * @property {Array<string>} [offeredPackages] - Package names in the order they were offered.
+ * @property {Array<string>} [offeredAddOns] - Add-on names in the order they were offered.
+ */
+
+/**
+ * The booking-flow context parameters with helpers for the steps of the booking flow.
+ * Parameters it doesn't know about (e.g. Dialogflow's "number.original") are kept as they are.
+ * @extends BookingDetails
+ */
+class BookingState {
+  /**
+   * @param {BookingDetails} [details] - Initial booking details.
+   */
+  constructor(details = {}) {
+    Object.assign(this, details);
+  }
+
+  /**
+   * Reads the booking from the booking-flow context of a webhook request.
+   * @param {Array<object>} contexts - queryResult.outputContexts of the request.
+   * @returns {BookingState} - The booking, empty if the context isn't there.
+   */
+  static fromContexts(contexts) {
+    const context = (contexts || []).find((c) => c.name.endsWith(`/contexts/${BOOKING_FLOW_CONTEXT}`));
+    return new BookingState(context && context.parameters ? context.parameters : {});
+  }
+
+  /**
+   * Sets the booking time and forgets any alternative times and venues offered earlier.
+   * @param {object} bookingMoment - The booking time as a moment (any time zone).
+   */
+  setDateTime(bookingMoment) {
+    const local = bookingMoment.clone().tz(currentTimezone());
+    this.bookingDate = local.format('YYYY-MM-DD');
+    this.bookingTime = local.format('HH:mm');
+    this.bookingUTC = local.toISOString();
+    delete this.suggestedSlots;
+    delete this.offeredVenues;
+  }
+
+  /**
+   * Sets the venue and forgets the venues offered earlier. Packages and add-ons depend on the
+   * venue, so they are chosen again.
+   * @param {object} venue - A venue as returned by getAvailableVenues ({ id, name }).
+   */
+  setVenue(venue) {
+    if (venue.id !== this.venue_id) {
+      this.clearPackages();
+    }
+    this.venue = venue.name;
+    this.venue_id = venue.id;
+    delete this.offeredVenues;
+  }
+
+  /**
+   * Forgets the chosen venue, e.g. when it can no longer take the booking, along with its packages and add-ons.
+   */
+  clearVenue() {
+    delete this.venue;
+    delete this.venue_id;
+    this.clearPackages();
+  }
+
+  /**
+   * Forgets the chosen package, add-ons and their quote, e.g. when the venue or party size changes.
+   */
+  clearPackages() {
+    delete this.package_id;
+    delete this.addon_ids;
+    delete this.quote;
+    delete this.offeredPackages;
+    delete this.offeredAddOns;
+  }
+
+  /**
+   * @returns {boolean} - True once the guest's name, phone number and email are known.
+   */
+  hasContactDetails() {
+    return Boolean(this.full_name && this.mobile_number && this.email_id);
+  }
+
+  /**
+   * @returns {boolean} - True once the guest has given something to book; the venues, times and
+   * packages offered to them don't count.
+   */
+  hasBookingDetails() {
+    return Boolean(this.type || this.requestedType || this.guestCount || this.bookingUTC || this.venue_id
+      || this.full_name || this.mobile_number || this.email_id);
+  }
+
+  /**
+   * @returns {BookingDetails} - Plain parameters for the booking-flow context.
+   */
+  toParameters() {
+    return { ...this };
+  }
+}
+
+module.exports = {
+  BOOKING_FLOW_CONTEXT,
+  CHANGEABLE_BOOKING_STATUSES,
+  BookingState,
+};
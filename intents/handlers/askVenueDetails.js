@@ -0,0 +1,51 @@
+// intents/handlers/askVenueDetails.js - Describes a venue the guest asks about
+
+const { readVenueName } = require('../helpers');
+const { parseOrdinal } = require('../../lib/venueMatcher');
+const { findRequestedVenue, buildVenueDisambiguationPrompt } = require('../venueOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  // Prioritize 'venue_name' as per user's request, fallback to 'space_name'
+  let venueRaw = readVenueName(ctx.getParameter('venue_name') || ctx.getParameter('space_name'));
+  if (!venueRaw && booking.offeredVenues && parseOrdinal(ctx.queryText, booking.offeredVenues.length) !== null) {
+    venueRaw = ctx.queryText; // "Tell me about the second one"
+  }
+  console.log(`DEBUG: Ask Venue Details Intent - venueRaw: '${venueRaw}'`);
+
+  if (!venueRaw) {
+    return ctx.reply(`I couldn't catch the venue name you're asking about. Could you please say it again?`);
+  }
+
+  const venues = await services.getAvailableVenues(); // All venues; empty if they couldn't be loaded
+  if (venues.length === 0) {
+    return ctx.reply("There was a problem fetching venue details. Please try again.");
+  }
+
+  const { venue, candidates } = await findRequestedVenue(ctx, venueRaw, booking.offeredVenues);
+  if (candidates.length > 1) {
+    booking.offeredVenues = candidates.map((v) => v.name);
+    return ctx.respond()
+      .say(await ctx.generateReply({ text: buildVenueDisambiguationPrompt(candidates), facts: booking.offeredVenues }))
+      .setBookingFlow(booking);
+  }
+  if (!venue) {
+    return ctx.reply(`Sorry, I couldn't find details for "${venueRaw}". Please ensure you're asking about one of our listed venues.`);
+  }
+
+  // Includes both standing and seated capacity
+  const prompt = {
+    text: `${venue.name} has a standing capacity of ${venue.standing_capacity} and a seated capacity of ${venue.seated_capacity}. ${venue.description || ""}`.trim(),
+    instructions: `The user asked for details about the venue "${venue.name}". As a helpful booking concierge, explain this information clearly to the user. Do NOT ask any follow up questions.`,
+  };
+  const reply = await ctx.generateReply(prompt);
+
+  // Not chosen yet: Select Venue Intent checks the venue can take the booking before it goes into the draft
+  const response = ctx.respond().say(reply);
+  return booking.hasBookingDetails() ? response.setBookingFlow(booking) : response; // Keep a booking in progress going
+}
+
+module.exports = { intent: "Ask Venue Details Intent", handle };
@@ -0,0 +1,98 @@
+// intents/handlers/booking.js - Starts a booking from whatever the guest gave in the first sentence
+
+const moment = require("moment-timezone");
+const { formatDubai } = require('../../lib/time');
+const { currentTimezone } = require('../../lib/tenants');
+const { BookingState } = require('../bookingState');
+const { singleValue, readTimeOfDay } = require('../helpers');
+const { buildNoAvailabilityResponse } = require('../venueOptions');
+const { applyGuestCount, buildPartySizeResponse, needsEventFormat, buildEventFormatResponse } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { params, services } = ctx;
+  const booking = new BookingState(); // A new booking starts from scratch
+  ctx.booking = booking;
+  const guestCount = singleValue(params.guestCount, 'first');
+  const rawBookingDate = singleValue(params.bookingdate, 'first');
+  const rawBookingTime = singleValue(params.bookingtime);
+
+  // Both date and time given: store them as the local time they describe
+  if (rawBookingDate && rawBookingTime) {
+    const bookingDateOnly = moment(rawBookingDate).format("YYYY-MM-DD");
+    booking.setDateTime(moment.tz(`${bookingDateOnly} ${readTimeOfDay(rawBookingTime)}`, "YYYY-MM-DD HH:mm", currentTimezone()));
+  }
+
+  // A party the booking rules rule out: ask for another number first
+  const partySizeProblem = guestCount && await applyGuestCount(ctx, booking, guestCount);
+  if (partySizeProblem) {
+    return buildPartySizeResponse(ctx, booking, partySizeProblem);
+  }
+
+  // Scenario 1: All initial parameters (guest count, date, time) are provided
+  if (guestCount && rawBookingDate && rawBookingTime) {
+    console.log("DEBUG: Booking Intent - All parameters provided.");
+    const { date, time } = formatDubai(booking.bookingUTC);
+    // A group event needs its format first: venues hold a different number of guests seated and standing
+    if (needsEventFormat(booking)) {
+      return buildEventFormatResponse(ctx, booking, `Got it! For ${guestCount} guests on ${date} at ${time}.`);
+    }
+
+    const venues = await services.getAvailableVenues(guestCount, booking.bookingUTC, booking.type, booking.eventFormat); // Filtered by capacity, booking rules and existing bookings
+    if (venues.length === 0) {
+      console.log("DEBUG: Booking Intent - No venue free at the requested time. Suggesting alternatives.");
+      return buildNoAvailabilityResponse(ctx, booking);
+    }
+
+    booking.offeredVenues = venues.map(v => v.name); // So the guest can answer "the second one"
+    // Explicitly ask the LLM to list all venues and forbid greetings/filtering
+    const fulfillmentText = await ctx.generateReply({
+      text: `For your reservation of ${guestCount} on ${date} at ${time}, these are the venues available for booking:\n\n${venues.map(v => `* ${v.name.trim()}`).join('\n')}\n\nDo any of these venues work for you?`,
+      instructions: `
+                **Strictly adhere to the following:**
+                **1. Do NOT include any greetings (e.g., "Good morning", "Good evening", "Hello").**
+                **2. Start the response with the exact sentence: "For your reservation of ${guestCount} on ${date} at ${time}, these are the venues available for booking:"**
+                **3. After that sentence, list ALL the provided venue options clearly with bullet points, each on a new line.**
+                **4. Conclude with the exact question: "Do any of these venues work for you?"**
+                **5. Do NOT filter or ask about preferences like 'vibe'.**
+            `,
+      facts: [String(guestCount), date, time, ...venues.map(v => v.name.trim())],
+    });
+    return ctx.respond()
+      .say(fulfillmentText)
+      .setBookingFlow(booking) // Store all initial details
+      .setContext('awaiting-venue-selection', 2); // Direct to venue selection
+  }
+
+  // Scenario 2: Only date and time are provided (e.g., "I want to book an event on 29th July")
+  if (rawBookingDate && rawBookingTime) {
+    console.log("DEBUG: Booking Intent - Only date and time provided.");
+    const { date, time } = formatDubai(booking.bookingUTC);
+    return ctx.respond()
+      .say(await ctx.generateReply(`Okay, for ${date} at ${time}. How many guests will there be?`))
+      .setBookingFlow(booking)
+      .setContext('awaiting-guest-count', 2);
+  }
+
+  // Scenario 3: Only guest count is provided
+  if (guestCount) {
+    console.log("DEBUG: Booking Intent - Only guest count provided.");
+    if (needsEventFormat(booking)) {
+      return buildEventFormatResponse(ctx, booking, `Got it! For ${guestCount} guests.`);
+    }
+    return ctx.respond()
+      .say(await ctx.generateReply(`Got it! For ${guestCount} guests. And on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`))
+      .setBookingFlow(booking)
+      .setContext('awaiting-datetime', 2);
+  }
+
+  // Scenario 4: No key parameters provided initially (e.g., "I want to book something")
+  console.log("DEBUG: Booking Intent - No key parameters provided initially.");
+  return ctx.respond()
+    .say(await ctx.generateReply(`To help you book, how many guests will there be?`))
+    .setContext('awaiting-guest-count', 2);
+}
+
+module.exports = { intent: "Booking Intent", handle };
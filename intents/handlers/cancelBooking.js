@@ -0,0 +1,24 @@
+// intents/handlers/cancelBooking.js - Asks the guest to confirm the cancellation
+
+const { CHANGEABLE_BOOKING_STATUSES } = require('../bookingState');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const manageCtx = ctx.findContext('manage-booking');
+  if (!manageCtx || !manageCtx.parameters || !manageCtx.parameters.booking_id) {
+    return (await ctx.reply("To cancel a booking, I first need your booking reference and the email address or phone number you booked with."))
+      .setContext('awaiting-booking-lookup', 2);
+  }
+  if (!CHANGEABLE_BOOKING_STATUSES.includes(manageCtx.parameters.status)) {
+    return ctx.reply(`Your booking for ${ctx.services.describeBooking(manageCtx.parameters)} can no longer be cancelled through me. Please contact us directly if you need help with it.`);
+  }
+
+  return ctx.respond()
+    .say(await ctx.generateReply(`Just to confirm, you'd like to cancel your booking for ${ctx.services.describeBooking(manageCtx.parameters)}? (Yes/No)`, true))
+    .setContext('manage-booking', 5, manageCtx.parameters)
+    .setContext('awaiting-cancel-confirmation', 2);
+}
+
+module.exports = { intent: "Cancel Booking", handle };
@@ -0,0 +1,49 @@
+// intents/handlers/captureAddOns.js - Group guest chose add-ons ("the DJ and the shisha", "1 and 3") or none
+
+const { buildAddOnOptionsResponse, continueAfterVenue, isDeclining, findOffer } = require('../packageOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  const addonsParam = ctx.getParameter('addons');
+  const text = String((Array.isArray(addonsParam) ? addonsParam.join(', ') : addonsParam) || ctx.queryText || '').trim();
+  console.log(`DEBUG: Capture Add-ons Intent - add-ons: '${text}'`);
+
+  if (!booking.venue_id) {
+    return ctx.reply("Let's choose a venue first. Which venue would you like to book?");
+  }
+
+  if (isDeclining(text)) {
+    booking.addon_ids = [];
+    delete booking.offeredAddOns;
+    return continueAfterVenue(ctx, booking, "No add-ons, noted.");
+  }
+
+  const addOns = await services.getAvailableAddOns(booking.venue_id, booking.guestCount);
+  // One add-on whose name has "and" in it ("Wine and Cheese"), or several: "the DJ, shisha and 3"
+  const whole = findOffer(text, addOns, booking.offeredAddOns);
+  const parts = whole.offer ? [text] : text.split(/,|&|\band\b|\bplus\b/i).map((part) => part.trim()).filter(Boolean);
+  const chosen = [];
+  const unknown = [];
+  for (const part of parts) {
+    const { offer } = part === text ? whole : findOffer(part, addOns, booking.offeredAddOns);
+    if (offer) {
+      chosen.push(offer);
+    } else {
+      unknown.push(part);
+    }
+  }
+  if (chosen.length === 0 || unknown.length > 0) {
+    const notFound = unknown.length > 0 ? `I couldn't find "${unknown.join('", "')}".` : "I didn't catch which add-ons you'd like.";
+    return buildAddOnOptionsResponse(ctx, booking, addOns, notFound);
+  }
+
+  booking.addon_ids = [...new Set(chosen.map((a) => a.id))];
+  delete booking.offeredAddOns;
+  const names = [...new Set(chosen.map((a) => a.name))];
+  return continueAfterVenue(ctx, booking, `I've added ${names.join(' and ')}.`);
+}
+
+module.exports = { intent: "Capture Add-ons Intent", handle };
@@ -0,0 +1,34 @@
+// intents/handlers/captureDateTime.js - Guest gave the date and time of the booking
+
+const { dubaiMomentFrom } = require('../helpers');
+const { buildVenueOptionsResponse } = require('../venueOptions');
+const { needsEventFormat, buildEventFormatResponse } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking } = ctx;
+  const dateParam = ctx.getParameter('date');
+  const timeParam = ctx.getParameter('time');
+
+  // When alternatives were suggested, the guest may just give a new time for the same day
+  const bookingDatePart = dateParam ? dateParam.substring(0, 10) : booking.bookingDate;
+  if (!bookingDatePart || !timeParam) {
+    return ctx.reply("I need both a date and a time for your booking. Please tell me again.");
+  }
+
+  const bookingMoment = dubaiMomentFrom(bookingDatePart, timeParam);
+  if (!bookingMoment.isValid()) {
+    console.error(`Invalid date or time from Dialogflow: Date=${dateParam}, Time=${timeParam}`);
+    return ctx.reply("I couldn't understand that date or time. Please use a common format like 'tomorrow at 7 PM'.");
+  }
+
+  booking.setDateTime(bookingMoment);
+  if (needsEventFormat(booking)) {
+    return buildEventFormatResponse(ctx, booking); // Venue capacity depends on it
+  }
+  return buildVenueOptionsResponse(ctx, booking);
+}
+
+module.exports = { intent: "Capture DateTime Intent", handle };
@@ -0,0 +1,31 @@
+// intents/handlers/captureGuestCount.js - Guest said how many people are coming
+
+const { applyGuestCount, buildPartySizeResponse, needsEventFormat, buildEventFormatResponse } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking } = ctx;
+  const guestCount = ctx.getParameter('number');
+
+  if (!guestCount || guestCount <= 0) {
+    return ctx.reply("Please provide a valid number of guests.");
+  }
+
+  // Sets the booking type from the guest count as well
+  const problem = await applyGuestCount(ctx, booking, guestCount);
+  if (problem) {
+    return buildPartySizeResponse(ctx, booking, problem);
+  }
+  if (needsEventFormat(booking)) {
+    return buildEventFormatResponse(ctx, booking, `Thank you, ${guestCount} guests.`);
+  }
+
+  return ctx.respond()
+    .say(await ctx.generateReply("And on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')"))
+    .setBookingFlow(booking)
+    .setContext('awaiting-datetime', 2);
+}
+
+module.exports = { intent: "Capture Guest Count Intent", handle };
@@ -0,0 +1,115 @@
+// intents/handlers/collectContactDetails.js - Collects and validates the guest's name, phone and email
+
+const { normalizeEmail, normalizePhoneNumber, normalizeGuestName, extractGuestName } = require('../../lib/contactDetails');
+const { buildBookingSummary, bookingFacts, prepareSummary } = require('../bookingFlow');
+
+// Re-prompts for a value the guest gave but we couldn't accept
+const INVALID_FIELD_PROMPTS = {
+  name: "I didn't quite catch your name. Could you tell me your full name?",
+  phone: "That mobile number doesn't look right. Could you give it again, including the country code if it's not a UAE number?",
+  email: "That email address doesn't look right. Could you check it and send it again?",
+};
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { params, booking } = ctx;
+  console.log(`DEBUG: Raw params in CollectContactDetails: ${JSON.stringify(params, null, 2)}`);
+
+  // Update with new parameters from the current turn, keeping only values that validate.
+  // invalidFields lists what the guest gave but we couldn't accept, so we re-prompt for just that.
+  const invalidFields = [];
+  let givenName = '';
+  // Ensure we handle the personName object structure correctly
+  if (params.personName && typeof params.personName === 'object' && params.personName.name) {
+    givenName = params.personName.name;
+  } else if (params.personName && typeof params.personName === 'string') { // Fallback for direct string
+    givenName = params.personName;
+  }
+  if (givenName) {
+    const name = normalizeGuestName(givenName);
+    if (name) {
+      booking.full_name = name;
+    } else {
+      console.log(`DEBUG: CollectContactDetails - rejected name: "${givenName}"`);
+      invalidFields.push('name');
+    }
+  }
+  if (params.phoneNumber) {
+    const phone = normalizePhoneNumber(params.phoneNumber);
+    if (phone) {
+      booking.mobile_number = phone;
+    } else {
+      console.log(`DEBUG: CollectContactDetails - rejected phone number: "${params.phoneNumber}"`);
+      invalidFields.push('phone');
+    }
+  }
+  if (params.emailAddress) {
+    const email = normalizeEmail(params.emailAddress);
+    if (email) {
+      booking.email_id = email;
+    } else {
+      console.log(`DEBUG: CollectContactDetails - rejected email: "${params.emailAddress}"`);
+      invalidFields.push('email');
+    }
+  }
+
+  // If personName parameter is still not set, look for a name in queryText
+  // (only if the guest didn't just give one that failed validation)
+  if (!booking.full_name && !invalidFields.includes('name')) {
+    const extractedName = extractGuestName(ctx.queryText);
+    console.log(`DEBUG: CollectContactDetails - name extracted from queryText "${ctx.queryText}": ${JSON.stringify(extractedName)}`);
+    if (extractedName) {
+      booking.full_name = extractedName;
+    }
+  }
+
+  booking.full_name = booking.full_name || '';
+  booking.mobile_number = booking.mobile_number || '';
+  booking.email_id = booking.email_id || '';
+  console.log(`DEBUG: Collected contact details - Name: '${booking.full_name}', Phone: '${booking.mobile_number}', Email: '${booking.email_id}'`);
+
+  const response = ctx.respond().setBookingFlow(booking); // Always update booking-flow context
+
+  // Check if all required contact details are present
+  if (booking.hasContactDetails()) {
+    console.log("DEBUG: All contact details present. Proceeding to summary.");
+    const quoteFacts = await prepareSummary(ctx, booking); // Package, add-ons, minimum spend and VAT of a group booking
+    return response
+      .say(await ctx.generateReply({
+        text: buildBookingSummary(booking),
+        facts: [...bookingFacts(booking), booking.full_name, ...(booking.type === 'group' ? [booking.email_id, booking.mobile_number] : []), ...quoteFacts],
+      }, true))
+      .setBookingFlow(booking) // Again, now with the quote
+      .setContext('awaiting-final-confirmation', 2, {
+        full_name: booking.full_name,
+        mobile_number: booking.mobile_number,
+        email_id: booking.email_id
+      })
+      .clearContext('awaiting-contact-details'); // We have all info
+  }
+
+  console.log(`DEBUG: Missing or invalid contact details (invalid: ${invalidFields.join(', ') || 'none'}). Prompting again.`);
+  let promptText;
+  if (invalidFields.length > 0) {
+    // Re-prompt only for what the guest got wrong
+    promptText = invalidFields.map((field) => INVALID_FIELD_PROMPTS[field]).join(' ');
+  } else {
+    const missingFields = [];
+    if (!booking.full_name) missingFields.push("full name");
+    if (!booking.mobile_number) missingFields.push("mobile number");
+    if (!booking.email_id) missingFields.push("email address");
+    promptText = `I still need your ${missingFields.join(' and ')} to finalize the booking.`;
+  }
+
+  return response
+    .say(await ctx.generateReply(promptText))
+    .setContext('awaiting-contact-details', 2, { // Pass back what was collected to maintain state
+      personName: booking.full_name, // Use personName as per Dialogflow parameter name
+      phoneNumber: booking.mobile_number, // Use phoneNumber as per Dialogflow parameter name
+      emailAddress: booking.email_id // Use emailAddress as per Dialogflow parameter name
+    });
+}
+
+module.exports = { intent: "CollectContactDetails", handle };
@@ -0,0 +1,129 @@
+// intents/handlers/confirmBooking.js - Guest confirmed the summary: queue the booking and confirm it
+
+const { formatDubai } = require('../../lib/time');
+const { formatMoney } = require('../../lib/pricing');
+const { AvailabilityUnknownError } = require('../../lib/bookingRules');
+const { getBookingStep, bookingFacts, resumeBooking } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+
+  const step = getBookingStep(booking);
+  if (step === 'type') {
+    console.error("❌ ConfirmBooking: no booking draft in the booking-flow context or the session store.");
+    return ctx.reply("I apologize, I seem to have lost track of your booking details. Could you please start over?");
+  }
+  if (step !== 'confirm') {
+    // Something is still missing: ask for it instead of confirming an incomplete booking
+    return resumeBooking(ctx, booking);
+  }
+  console.log(`DEBUG: ConfirmBooking: Retrieved booking details from context: ${JSON.stringify(booking, null, 2)}`);
+
+  // The venue was free when the guest chose it, but another booking, a closure or a rule may have taken the slot since
+  let freeVenues;
+  try {
+    freeVenues = await services.getAvailableVenues(booking.guestCount, booking.bookingUTC, booking.type, booking.eventFormat);
+  } catch (error) {
+    if (!(error instanceof AvailabilityUnknownError)) {
+      throw error;
+    }
+    console.error("❌ ConfirmBooking: Could not check the venue is still free:", error.message);
+    return ctx.respond()
+      .say(await ctx.generateReply({
+        text: `I'm sorry, I couldn't check that ${booking.venue} is still free just now. Please say yes again in a moment to confirm.`,
+        facts: [booking.venue],
+      }))
+      .setBookingFlow(booking)
+      .setContext('awaiting-final-confirmation', 2);
+  }
+  if (!freeVenues.some((v) => v.id === booking.venue_id)) {
+    const reason = await services.explainVenueUnavailable(booking.venue, booking);
+    console.log(`DEBUG: ConfirmBooking: ${booking.venue} can no longer take the booking: ${reason}`);
+    const problem = reason || `${booking.venue} is no longer available`;
+    booking.clearVenue();
+    return ctx.respond()
+      .say(await ctx.generateReply(`I'm sorry, ${problem}. Would you like to choose another venue?`))
+      .setBookingFlow(booking)
+      .setContext('awaiting-venue-selection', 2)
+      .clearContext('awaiting-final-confirmation');
+  }
+
+  // Generate the reference before replying so it can be read out and stored with the record
+  booking.booking_ref = await services.generateBookingReference();
+  booking.language = ctx.language; // Emails and reminders go out in the language of the conversation
+
+  // A booking that needs a deposit is held until it is paid (see /payments/webhook in index.js)
+  if (booking.deposit) {
+    try {
+      booking.deposit = await services.createDepositLink(booking);
+    } catch (error) {
+      console.error("❌ ConfirmBooking: Could not create the deposit payment link:", error.message);
+      delete booking.booking_ref; // Not booked yet: a new reference is made on the next try
+      return ctx.respond()
+        .say(await ctx.generateReply("I'm sorry, I couldn't set up the deposit payment just now. Please say yes again in a moment to confirm."))
+        .setBookingFlow(booking)
+        .setContext('awaiting-final-confirmation', 2);
+    }
+  }
+
+  const bookingDetails = booking.toParameters();
+  const isGroupBooking = booking.type === 'group';
+  const { deposit } = booking;
+  const { date, time } = formatDubai(booking.bookingUTC);
+  const grandTotal = booking.quote ? formatMoney(booking.quote.grandTotal, booking.quote.currency) : null;
+  const quotedTotal = grandTotal ? ` Your quoted total is ${grandTotal} including VAT.` : '';
+  const depositAmount = deposit ? formatMoney(deposit.amount, deposit.currency) : null;
+  const holdUntil = deposit ? formatDubai(deposit.dueAt) : null; // A hold can run into the next day
+  let confirmationMessage;
+  if (deposit) {
+    confirmationMessage = `Thank you! Your ${isGroupBooking ? 'group booking' : 'table reservation'} for ${booking.guestCount} guests at ${booking.venue} on ${date} at ${time} for ${booking.full_name} is held until ${holdUntil.time} on ${holdUntil.date}. Your booking reference is ${booking.booking_ref}.${quotedTotal} ` +
+      `To confirm it, please pay the deposit of ${depositAmount} here: ${deposit.url} We've also texted you the link.`;
+  } else {
+    confirmationMessage = isGroupBooking
+      ? `Excellent! Your group booking for ${booking.guestCount} guests at ${booking.venue} on ${date} at ${time} for ${booking.full_name} has been confirmed. Your booking reference is ${booking.booking_ref}.${quotedTotal} A manager will be in touch shortly, and we've sent the event packages to ${booking.email_id}.`
+      : `Excellent! Your table reservation for ${booking.guestCount} guests at ${booking.venue} on ${date} at ${time} for ${booking.full_name} has been confirmed. Your booking reference is ${booking.booking_ref}. We look forward to seeing you!`;
+  }
+
+  // --- STEP 1: DURABLY QUEUE THE BACKGROUND OPERATIONS BEFORE CONFIRMING ---
+  try {
+    const status = deposit ? "Pending Deposit" : isGroupBooking ? "New Lead" : "Confirmed";
+    services.enqueueOutboxJob('createBooking', { bookingDetails, status });
+    if (deposit) {
+      services.enqueueOutboxJob('sendDepositLinkSms', { bookingDetails });
+    }
+    if (isGroupBooking) {
+      if (booking.quote && booking.quote.lines.some((line) => line.kind === 'addon')) {
+        services.enqueueOutboxJob('createBookingAddons', { bookingDetails }); // Needs the booking record, so queued after it
+      }
+      services.enqueueOutboxJob('sendEmailWithPdf', { recipientEmail: booking.email_id, recipientName: booking.full_name });
+      // Make sure a manager actually picks up the lead
+      services.enqueueOutboxJob('notifyStaffByEmail', { bookingDetails });
+      services.enqueueOutboxJob('notifyStaffBySms', { bookingDetails });
+    } else if (!deposit) { // Held tables are confirmed once the deposit is paid
+      services.enqueueOutboxJob('sendBookingEmail', { kind: 'confirmation', bookingDetails });
+      services.enqueueOutboxJob('sendBookingConfirmationSms', { bookingDetails });
+    }
+  } catch (error) {
+    console.error("❌ ConfirmBooking: Could not queue booking in the outbox:", error.message);
+    delete booking.booking_ref; // Not booked yet: a new reference is made on the next try
+    return ctx.respond()
+      .say(await ctx.generateReply("I'm sorry, I couldn't save your booking just now. Please say yes again in a moment to confirm."))
+      .setBookingFlow(booking)
+      .setContext('awaiting-final-confirmation', 2);
+  }
+
+  // --- STEP 2: SEND THE CONFIRMATION TO DIALOGFLOW ---
+  return ctx.respond()
+    .say(await ctx.generateReply({
+      text: confirmationMessage,
+      instructions: deposit ? "Keep the payment link exactly as written." : undefined,
+      facts: [...bookingFacts(booking), booking.full_name, ...(grandTotal ? [grandTotal] : []), ...(deposit ? [depositAmount, deposit.url, holdUntil.date, holdUntil.time] : [])],
+    }))
+    .clearContext('booking-flow') // Clear booking-flow context to end the session
+    .clearContext('awaiting-final-confirmation');
+}
+
+module.exports = { intent: "ConfirmBooking", handle };
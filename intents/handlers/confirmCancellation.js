@@ -0,0 +1,42 @@
+// intents/handlers/confirmCancellation.js - Cancels the booking found by Manage Booking
+
+const { CHANGEABLE_BOOKING_STATUSES } = require('../bookingState');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { services } = ctx;
+  const manageCtx = ctx.findContext('manage-booking');
+  if (!manageCtx || !manageCtx.parameters || !manageCtx.parameters.booking_id) {
+    return ctx.reply("I apologize, I seem to have lost track of your booking. Could you please give me your booking reference again?");
+  }
+  const booking = manageCtx.parameters;
+  if (!CHANGEABLE_BOOKING_STATUSES.includes(booking.status)) {
+    return ctx.reply(`Your booking for ${services.describeBooking(booking)} can no longer be cancelled through me. Please contact us directly if you need help with it.`);
+  }
+
+  try {
+    await services.updateBooking(booking.booking_id, { "Status": "Cancelled" });
+  } catch (error) {
+    console.error("❌ Confirm Cancellation Intent - Error cancelling booking:", error.message);
+    return ctx.reply("There was a problem cancelling your booking. Please try again shortly.");
+  }
+  const depositPaid = booking.deposit && booking.deposit.status === 'Paid';
+  try {
+    services.enqueueOutboxJob('sendBookingEmail', { kind: 'cancellation', bookingDetails: booking });
+    if (depositPaid) {
+      services.enqueueOutboxJob('notifyStaffOfCancelledDeposit', { bookingDetails: booking }); // Refunds are up to the venue
+    }
+  } catch (error) {
+    console.error("❌ Confirm Cancellation Intent - Could not queue cancellation email:", error.message);
+  }
+
+  const depositNote = depositPaid ? ' Our team will be in touch about your deposit.' : '';
+  return ctx.respond()
+    .say(await ctx.generateReply(`Your booking for ${services.describeBooking(booking)} has been cancelled.${depositNote} We hope to welcome you another time.`, false, true))
+    .clearContext('manage-booking')
+    .clearContext('awaiting-cancel-confirmation');
+}
+
+module.exports = { intent: "Confirm Cancellation", handle };
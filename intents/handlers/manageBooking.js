@@ -0,0 +1,58 @@
+// intents/handlers/manageBooking.js - Finds an existing booking by reference plus email or phone
+
+const { CHANGEABLE_BOOKING_STATUSES } = require('../bookingState');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { params, services } = ctx;
+  const lookupCtx = ctx.findContext('awaiting-booking-lookup');
+  const lookup = { ...(lookupCtx && lookupCtx.parameters && lookupCtx.parameters.lookup) };
+  if (params.booking_reference) lookup.reference = params.booking_reference;
+  if (params.emailAddress) lookup.email = params.emailAddress;
+  if (params.phoneNumber) lookup.phone = params.phoneNumber;
+
+  if (!lookup.reference || !(lookup.email || lookup.phone)) {
+    const missingFields = [];
+    if (!lookup.reference) missingFields.push("booking reference");
+    if (!lookup.email && !lookup.phone) missingFields.push("the email address or phone number you booked with");
+    return (await ctx.reply(`To find your booking, I need your ${missingFields.join(' and ')}.`))
+      .setContext('awaiting-booking-lookup', 2, { lookup });
+  }
+
+  let booking;
+  try {
+    booking = await services.findBooking(lookup);
+  } catch (error) {
+    console.error("❌ Manage Booking Intent - Error looking up booking:", error.message);
+    return ctx.reply("There was a problem looking up your booking. Please try again shortly.");
+  }
+
+  if (!booking) {
+    console.log(`DEBUG: Manage Booking Intent - No booking found for reference ${lookup.reference}.`);
+    return (await ctx.reply("I couldn't find a booking with those details. Could you please give me your booking reference and the email address or phone number you booked with again?"))
+      .setContext('awaiting-booking-lookup', 2, { lookup: {} });
+  }
+
+  if (booking.status === 'Cancelled') {
+    return ctx.reply(`Your booking for ${services.describeBooking(booking)} has already been cancelled.`);
+  }
+  if (booking.status === 'Pending Deposit') {
+    const link = booking.deposit && booking.deposit.url ? ` with the link we sent you (${booking.deposit.url})` : '';
+    return ctx.reply({
+      text: `Your booking ${booking.booking_ref} for ${services.describeBooking(booking)} is waiting for its deposit. Please pay it${link} to confirm the booking; you can change it after that.`,
+      facts: [booking.booking_ref, ...(link ? [booking.deposit.url] : [])],
+    });
+  }
+  if (!CHANGEABLE_BOOKING_STATUSES.includes(booking.status)) {
+    console.log(`DEBUG: Manage Booking Intent - Booking ${booking.booking_ref} is '${booking.status}' and can't be changed.`);
+    return ctx.reply(`Your booking for ${services.describeBooking(booking)} can no longer be changed through me. Please contact us directly if you need help with it.`);
+  }
+
+  return (await ctx.reply(`I found your booking${booking.booking_ref ? ` ${booking.booking_ref}` : ''} for ${services.describeBooking(booking)}. Would you like to change the date and time, the number of guests or the venue, or would you like to cancel it?`))
+    .setContext('manage-booking', 5, booking)
+    .clearContext('awaiting-booking-lookup');
+}
+
+module.exports = { intent: "Manage Booking", handle };
@@ -0,0 +1,153 @@
+// intents/handlers/modifyBooking.js - Changes the date/time, guest count or venue of the booking found by Manage Booking
+
+const moment = require("moment-timezone");
+const { formatDubai } = require('../../lib/time');
+const { currentTimezone, currentTenant } = require('../../lib/tenants');
+const { formatMoney } = require('../../lib/pricing');
+const { singleValue, readVenueName } = require('../helpers');
+const { findRequestedVenue, buildVenueDisambiguationPrompt } = require('../venueOptions');
+const { CHANGEABLE_BOOKING_STATUSES } = require('../bookingState');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { params, services } = ctx;
+  const manageCtx = ctx.findContext('manage-booking');
+  if (!manageCtx || !manageCtx.parameters || !manageCtx.parameters.booking_id) {
+    return (await ctx.reply("To change a booking, I first need your booking reference and the email address or phone number you booked with."))
+      .setContext('awaiting-booking-lookup', 2);
+  }
+
+  const managedBooking = manageCtx.parameters;
+  if (!CHANGEABLE_BOOKING_STATUSES.includes(managedBooking.status)) {
+    return ctx.reply(`Your booking for ${services.describeBooking(managedBooking)} can no longer be changed through me. Please contact us directly if you need help with it.`);
+  }
+  const updatedBooking = { ...managedBooking };
+  // Only this turn's parameters: the contexts still hold the venue from earlier turns
+  const venueRaw = readVenueName(params.venue_name || params.space_name);
+  const guestCount = singleValue(params.number, 'first');
+
+  if (params.date || params.time) {
+    const currentMoment = moment.utc(managedBooking.bookingUTC).tz(currentTimezone());
+    const datePart = params.date ? params.date.substring(0, 10) : currentMoment.format('YYYY-MM-DD');
+    const timePart = params.time ? params.time.substring(11, 19) : currentMoment.format('HH:mm:ss');
+    const bookingMoment = moment.tz(`${datePart}T${timePart}`, 'YYYY-MM-DDTHH:mm:ss', currentTimezone());
+    if (!bookingMoment.isValid()) {
+      console.error(`Invalid date or time from Dialogflow: Date=${params.date}, Time=${params.time}`);
+      return ctx.reply("I couldn't understand that date or time. Please use a common format like 'tomorrow at 7 PM'.");
+    }
+    updatedBooking.bookingUTC = bookingMoment.toISOString();
+  }
+  if (guestCount) {
+    if (guestCount <= 0) {
+      return ctx.reply("Please provide a valid number of guests.");
+    }
+    const problem = await services.checkPartySize(guestCount, managedBooking.eventFormat);
+    if (problem) {
+      return ctx.reply(`Unfortunately, ${problem}. Your booking is still for ${managedBooking.guestCount} guests.`);
+    }
+    updatedBooking.guestCount = guestCount;
+    updatedBooking.type = services.inferBookingType(guestCount, undefined, managedBooking.requestedType); // Settled once the venue is known
+  }
+
+  if (!venueRaw && updatedBooking.bookingUTC === managedBooking.bookingUTC && updatedBooking.guestCount === managedBooking.guestCount) {
+    return ctx.reply("What would you like to change: the date and time, the number of guests or the venue?");
+  }
+
+  let wantedVenue = updatedBooking.venue || '';
+  if (venueRaw) {
+    const { venue, candidates } = await findRequestedVenue(ctx, venueRaw, managedBooking.offeredVenues);
+    if (candidates.length > 1) {
+      return (await ctx.reply({ text: buildVenueDisambiguationPrompt(candidates), facts: candidates.map((v) => v.name) }))
+        .setContext('manage-booking', 5, { ...managedBooking, offeredVenues: candidates.map((v) => v.name) });
+    }
+    wantedVenue = venue ? venue.name : venueRaw;
+  }
+
+  // Re-run the same checks as a new booking, ignoring the booking's own slot
+  const venues = await services.getAvailableVenues(updatedBooking.guestCount, updatedBooking.bookingUTC, updatedBooking.type, updatedBooking.eventFormat, managedBooking.booking_id);
+  const selectedVenue = venues.find(v => v.name.toLowerCase() === wantedVenue.toLowerCase());
+
+  if (!selectedVenue) {
+    const { date, time } = formatDubai(updatedBooking.bookingUTC);
+    const reason = await services.explainVenueUnavailable(wantedVenue, updatedBooking);
+    const problem = reason || `we couldn't find the venue "${venueRaw || updatedBooking.venue}"`;
+    const prompt = venues.length > 0
+      ? {
+        text: `Unfortunately, ${problem}. For ${updatedBooking.guestCount} guests on ${date} at ${time} we could offer: ${venues.map(v => v.name).join(', ')}. Would you like to move your booking to one of these?`,
+        instructions: "Please list ALL of these options clearly.",
+        facts: [String(updatedBooking.guestCount), date, time, ...venues.map(v => v.name)],
+      }
+      : `Unfortunately, ${problem}, and none of our other venues can take ${updatedBooking.guestCount} guests on ${date} at ${time}. Would you like to try a different date or time?`;
+    return (await ctx.reply(prompt))
+      .setContext('manage-booking', 5, { ...updatedBooking, offeredVenues: venues.map(v => v.name) }); // Keep the requested changes until a venue fits
+  }
+
+  updatedBooking.venue = selectedVenue.name;
+  updatedBooking.venue_id = selectedVenue.id;
+  delete updatedBooking.offeredVenues;
+
+  // The package, add-ons and deposit of a group booking depend on the party size and venue
+  const repriced = updatedBooking.guestCount !== managedBooking.guestCount || updatedBooking.venue_id !== managedBooking.venue_id;
+  if (repriced) {
+    updatedBooking.type = services.inferBookingType(updatedBooking.guestCount, selectedVenue, managedBooking.requestedType); // The venue may have its own group threshold
+    if (updatedBooking.type !== 'group') {
+      delete updatedBooking.eventFormat; // Only group events have a format
+    }
+  }
+  const pricing = repriced ? await services.repriceBooking(managedBooking, updatedBooking) : null;
+
+  try {
+    await services.updateBooking(managedBooking.booking_id, { ...services.buildBookingFields(updatedBooking), ...(pricing ? pricing.fields : {}) });
+  } catch (error) {
+    console.error("❌ Modify Booking Intent - Error updating booking:", error.message);
+    return ctx.reply("There was a problem updating your booking. Please try again shortly.");
+  }
+  if (pricing) {
+    updatedBooking.package_id = pricing.fields.package_id && pricing.fields.package_id[0];
+    updatedBooking.package_name = pricing.fields.package_name;
+    updatedBooking.grand_total = pricing.fields.grand_total;
+  }
+  const currency = currentTenant().pricing.currency;
+  const formatTotal = (total, none = 'Not quoted') => (total ? formatMoney(total, currency) : none);
+  try {
+    services.enqueueOutboxJob('sendBookingEmail', { kind: 'update', bookingDetails: updatedBooking });
+    if (pricing && (managedBooking.type === 'group' || updatedBooking.type === 'group')) {
+      services.enqueueOutboxJob('replaceBookingAddons', { bookingDetails: { ...updatedBooking, quote: pricing.quote } });
+    }
+    if (pricing && pricing.needsStaff) {
+      services.enqueueOutboxJob('notifyStaffOfBookingChange', {
+        bookingDetails: { ...updatedBooking, quote: pricing.quote },
+        changes: {
+          previous_guest_count: managedBooking.guestCount,
+          previous_venue: managedBooking.venue,
+          previous_total: formatTotal(managedBooking.grand_total),
+          dropped_items: pricing.droppedItems.join(', ') || 'None',
+          deposit_paid: formatTotal(pricing.depositPaid, 'None'),
+          deposit_due: formatTotal(pricing.depositDue, 'None'),
+        },
+      });
+    }
+  } catch (error) {
+    console.error("❌ Modify Booking Intent - Could not queue update email:", error.message);
+  }
+
+  let text = `Done! Your booking is now for ${services.describeBooking(updatedBooking)}.`;
+  const facts = [];
+  if (pricing && pricing.quote) {
+    const total = formatMoney(pricing.quote.grandTotal, pricing.quote.currency);
+    text += ` Your new quoted total is ${total} including VAT.`;
+    facts.push(total);
+  }
+  if (pricing && pricing.droppedItems.length > 0) {
+    text += ` ${pricing.droppedItems.join(' and ')} can't be booked for this party size or venue, so our events team will be in touch about it.`;
+    facts.push(...pricing.droppedItems);
+  } else if (pricing && pricing.depositPaid !== pricing.depositDue) {
+    text += ` Our events team will be in touch about your deposit.`;
+  }
+  return (await ctx.reply({ text: `${text} Is there anything else you'd like to change?`, facts }))
+    .setContext('manage-booking', 5, updatedBooking);
+}
+
+module.exports = { intent: "Modify Booking", handle };
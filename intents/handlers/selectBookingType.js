@@ -0,0 +1,53 @@
+// intents/handlers/selectBookingType.js - Guest chose between a table and a group event
+
+const { findBookingStep } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  const bookingType = ctx.getParameter('booking_type');
+  booking.requestedType = bookingType;
+  // A party at or above the group threshold stays a group booking (see lib/bookingRules.js)
+  booking.type = booking.guestCount ? services.inferBookingType(booking.guestCount, undefined, bookingType) : bookingType;
+  if (booking.type !== 'group') {
+    delete booking.eventFormat; // Table bookings are seated
+  }
+
+  const response = ctx.respond().setBookingFlow(booking);
+  let prompt;
+  let nextContext;
+
+  if (bookingType === 'table') {
+    // If guest count is already known, proceed to date/time
+    if (booking.guestCount) {
+      prompt = `Great! For ${booking.guestCount} guests, on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`;
+      nextContext = 'awaiting-datetime';
+    } else {
+      prompt = "Great! For a table booking, how many guests will there be?";
+      nextContext = 'awaiting-guest-count';
+    }
+  } else if (bookingType === 'group') {
+    // For group, directly ask for guest count, skip package selection
+    if (booking.guestCount && !booking.eventFormat) {
+      prompt = `Alright, a group event for ${booking.guestCount} guests. ${findBookingStep('format').prompt}`;
+      nextContext = 'awaiting-event-format';
+    } else if (booking.guestCount) {
+      prompt = `Alright, for a group event with ${booking.guestCount} guests, on what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`;
+      nextContext = 'awaiting-datetime';
+    } else {
+      prompt = `Alright, for a group event, I'll need a few details to get started. How many guests will there be?`;
+      nextContext = 'awaiting-guest-count';
+    }
+  } else {
+    prompt = "I'm sorry, I didn't understand the booking type. Please choose 'table' or 'group'.";
+  }
+
+  if (nextContext) {
+    response.setContext(nextContext, 2);
+  }
+  return response.say(await ctx.generateReply(prompt));
+}
+
+module.exports = { intent: "Select Booking Type Intent", handle };
@@ -0,0 +1,44 @@
+// intents/handlers/selectEventFormat.js - Group guest said whether the event is seated, standing or mixed
+
+const { EVENT_FORMATS } = require('../../lib/bookingRules');
+const { readEventFormat } = require('../helpers');
+const { buildEventFormatResponse } = require('../bookingFlow');
+const { buildVenueOptionsResponse } = require('../venueOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  const eventFormat = readEventFormat(ctx.getParameter('event_format') || ctx.queryText);
+
+  if (!eventFormat) {
+    return buildEventFormatResponse(ctx, booking, "I'm sorry, I didn't catch that.");
+  }
+
+  // Venues hold a different number of guests seated and standing
+  if (booking.guestCount) {
+    const problem = await services.checkPartySize(booking.guestCount, eventFormat);
+    if (problem) {
+      return (await buildEventFormatResponse(ctx, booking, `Unfortunately, ${problem}. You can choose another format or change the number of guests.`))
+        .setContext('awaiting-guest-count', 2);
+    }
+  }
+  booking.eventFormat = eventFormat;
+
+  if (!booking.guestCount) {
+    return ctx.respond()
+      .say(await ctx.generateReply(`A ${EVENT_FORMATS[eventFormat].name}, noted. How many guests will there be?`))
+      .setBookingFlow(booking)
+      .setContext('awaiting-guest-count', 2);
+  }
+  if (booking.bookingUTC) {
+    return buildVenueOptionsResponse(ctx, booking);
+  }
+  return ctx.respond()
+    .say(await ctx.generateReply(`A ${EVENT_FORMATS[eventFormat].name} for ${booking.guestCount} guests, noted. On what date and time would you like to book? (e.g., 'tomorrow at 7 PM')`))
+    .setBookingFlow(booking)
+    .setContext('awaiting-datetime', 2);
+}
+
+module.exports = { intent: "Select Event Format Intent", handle };
@@ -0,0 +1,42 @@
+// intents/handlers/selectPackage.js - Group guest chose one of the offered packages, or none
+
+const { singleValue } = require('../helpers');
+const { NO_PACKAGE, buildPackageOptionsResponse, continueAfterVenue, isDeclining, findOffer } = require('../packageOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  const text = String(singleValue(ctx.getParameter('package_name')) || ctx.queryText || '').trim();
+  console.log(`DEBUG: Select Package Intent - package: '${text}'`);
+
+  if (!booking.venue_id) {
+    return ctx.reply("Let's choose a venue first. Which venue would you like to book?");
+  }
+
+  if (isDeclining(text)) {
+    booking.package_id = NO_PACKAGE;
+    delete booking.offeredPackages;
+    return continueAfterVenue(ctx, booking, "No problem, we'll go ahead without a package.");
+  }
+
+  const packages = await services.getAvailablePackages(booking.venue_id, booking.guestCount);
+  const { offer, candidates } = findOffer(text, packages, booking.offeredPackages);
+  if (candidates.length > 1) {
+    const names = candidates.map((p) => p.name);
+    return ctx.respond()
+      .say(await ctx.generateReply({ text: `Did you mean the ${names.slice(0, -1).join(', ')} or the ${names[names.length - 1]} package?`, facts: names }))
+      .setBookingFlow(booking)
+      .setContext('awaiting-package-selection', 2);
+  }
+  if (!offer) {
+    return buildPackageOptionsResponse(ctx, booking, packages, "I couldn't find that package.");
+  }
+
+  booking.package_id = offer.id;
+  delete booking.offeredPackages;
+  return continueAfterVenue(ctx, booking, `The ${offer.name} package, great choice.`);
+}
+
+module.exports = { intent: "Select Package Intent", handle };
@@ -0,0 +1,29 @@
+// intents/handlers/selectTimeSlot.js - Guest picked one of the alternatives offered by buildNoAvailabilityResponse
+
+const moment = require("moment-timezone");
+const { singleValue } = require('../helpers');
+const { buildVenueOptionsResponse } = require('../venueOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, params } = ctx;
+  const suggestedSlots = booking.suggestedSlots || [];
+  // Only this turn's parameters: the contexts still hold the guest count as "number"
+  const choice = singleValue(params.ordinal || params.number);
+  const slotIndex = parseInt(choice) - 1;
+
+  if (suggestedSlots.length === 0) {
+    return ctx.reply("On what date and time would you like to book? (e.g., 'tomorrow at 7 PM')");
+  }
+  if (isNaN(slotIndex) || slotIndex < 0 || slotIndex >= suggestedSlots.length) {
+    return (await ctx.reply(`Please choose one of the suggested times by its number, from 1 to ${suggestedSlots.length}.`))
+      .setContext('awaiting-slot-selection', 2);
+  }
+
+  booking.setDateTime(moment.utc(suggestedSlots[slotIndex]));
+  return buildVenueOptionsResponse(ctx, booking);
+}
+
+module.exports = { intent: "Select Time Slot Intent", handle };
@@ -0,0 +1,90 @@
+// intents/handlers/selectVenue.js - Guest chose one of the offered venues
+
+const { formatDubai } = require('../../lib/time');
+const { readVenueName } = require('../helpers');
+const { parseOrdinal } = require('../../lib/venueMatcher');
+const { findRequestedVenue, buildVenueDisambiguationPrompt } = require('../venueOptions');
+const { continueAfterVenue } = require('../packageOptions');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  const { booking, services } = ctx;
+  // Prioritize 'venue_name' as per user's request, fallback to 'space_name'
+  let venueRaw = readVenueName(ctx.getParameter('venue_name') || ctx.getParameter('space_name'));
+  if (!venueRaw && booking.offeredVenues && parseOrdinal(ctx.queryText, booking.offeredVenues.length) !== null) {
+    venueRaw = ctx.queryText; // "The second one"
+  }
+  console.log(`DEBUG: Select Venue Intent - venueRaw: '${venueRaw}'`);
+
+  if (!venueRaw && booking.venue) {
+    // A venue is already selected: the guest is confirming it. It is checked again below, as the
+    // date, time or party size may have changed since it was chosen.
+    console.log("DEBUG: Select Venue Intent - venueRaw empty, but venue already in context. Checking it is still free.");
+    return selectAvailableVenue(ctx, { id: booking.venue_id, name: booking.venue });
+  }
+  if (!venueRaw) {
+    let prompt = `Which venue are you interested in?`;
+    if (booking.guestCount && booking.bookingUTC) {
+      const { date, time } = formatDubai(booking.bookingUTC);
+      prompt = `Okay, for ${booking.guestCount} guests on ${date} at ${time}. ${prompt}`;
+    }
+    const response = ctx.respond()
+      .say(await ctx.generateReply(prompt))
+      .setContext('awaiting-venue-name', 2); // Explicitly await the venue name
+    // Keep booking-flow context if it exists
+    if (ctx.findContext('booking-flow')) {
+      response.setBookingFlow(booking);
+    }
+    return response;
+  }
+
+  const { venue, candidates } = await findRequestedVenue(ctx, venueRaw, booking.offeredVenues);
+  if (candidates.length > 1) {
+    booking.offeredVenues = candidates.map((v) => v.name);
+    return ctx.respond()
+      .say(await ctx.generateReply({ text: buildVenueDisambiguationPrompt(candidates), facts: booking.offeredVenues }))
+      .setBookingFlow(booking)
+      .setContext('awaiting-venue-selection', 2);
+  }
+  if (!venue) {
+    return ctx.reply("I couldn't find that venue. Please select from the available venues.");
+  }
+  return selectAvailableVenue(ctx, venue);
+}
+
+/**
+ * Books the venue into the draft if it can take the booking, or explains why it can't.
+ * @param {import('../intentContext').IntentContext} ctx
+ * @param {object} venue - The venue the guest chose ({ id, name }).
+ * @returns {Promise<import('../responseBuilder').WebhookResponse>} - The response.
+ */
+async function selectAvailableVenue(ctx, venue) {
+  const { booking, services } = ctx;
+  const availableVenues = await services.getAvailableVenues(booking.guestCount, booking.bookingUTC, booking.type, booking.eventFormat); // Filtered by capacity, booking rules and existing bookings
+  const selectedVenue = availableVenues.find(v => v.id === venue.id);
+
+  if (!selectedVenue) {
+    if (booking.venue_id === venue.id) {
+      booking.clearVenue(); // Chosen earlier, but it can no longer take the booking
+    }
+    // Explain why a known venue can't be booked instead of pretending it doesn't exist
+    const reason = await services.explainVenueUnavailable(venue.name, booking);
+    const text = reason
+      ? `Unfortunately, ${reason}. Please choose another of the available venues.`
+      : "I couldn't find that venue. Please select from the available venues.";
+    return ctx.respond()
+      .say(await ctx.generateReply(text))
+      .setBookingFlow(booking)
+      .setContext('awaiting-venue-selection', 2);
+  }
+
+  booking.setVenue(selectedVenue);
+  booking.type = services.inferBookingType(booking.guestCount, selectedVenue, booking.requestedType); // The venue may have its own group threshold
+
+  // Group bookings are offered the venue's packages and add-ons, then everyone gives contact details
+  return continueAfterVenue(ctx, booking, `Great! You've chosen ${selectedVenue.name}.`);
+}
+
+module.exports = { intent: "Select Venue Intent", handle };
@@ -0,0 +1,21 @@
+// intents/handlers/welcome.js - Greets the guest and lists the venues, or resumes an unfinished booking
+
+const { resumeBooking } = require('../bookingFlow');
+
+/**
+ * @param {import('../intentContext').IntentContext} ctx
+ */
+async function handle(ctx) {
+  if (ctx.resumed) {
+    // A returning guest (e.g. calling again) with a half-finished booking in the session store
+    return resumeBooking(ctx, ctx.booking, "Welcome back!");
+  }
+  const venues = await ctx.services.getAvailableVenues(); // Get all venues, no guest count filter yet
+  const venueNames = venues.map(v => v.name).join(', ');
+  const prompt = `Hello! Welcome to our booking service. We offer bookings for ${venueNames}. Are you looking to book a table or a group event?`;
+  return ctx.respond()
+    .say(await ctx.generateReply(prompt))
+    .setContext('awaiting-booking-type', 5);
+}
+
+module.exports = { intent: "Welcome Intent", handle };
@@ -0,0 +1,120 @@
+// intents/helpers.js - Reading Dialogflow parameters shared by the intent handlers
+
+const moment = require("moment-timezone");
+const { currentTimezone } = require('../lib/tenants');
+
+/**
+ * Extracts a parameter from Dialogflow, checking multiple sources.
+ * @param {object} dialogflowRequest The Dialogflow webhook request.
+ * @param {string} paramName The name of the parameter to extract.
+ * @returns {any} The parameter value, or undefined if not found.
+ */
+function getParameter(dialogflowRequest, paramName) {
+  const queryResult = dialogflowRequest.queryResult;
+  // Check parameters from the current intent
+  if (queryResult.parameters && queryResult.parameters[paramName]) {
+    console.log(`DEBUG: Parameter '${paramName}' found in current intent parameters. Value: ${JSON.stringify(queryResult.parameters[paramName])}`); // Added value logging
+    return queryResult.parameters[paramName];
+  }
+  // Check parameters from input contexts
+  if (queryResult.outputContexts) {
+    for (const context of queryResult.outputContexts) {
+      if (context.parameters && context.parameters[paramName]) {
+        console.log(`DEBUG: Parameter '${paramName}' found in output context: ${context.name}. Value: ${JSON.stringify(context.parameters[paramName])}`); // Added value logging
+        return context.parameters[paramName];
+      }
+    }
+  }
+  console.log(`DEBUG: Parameter '${paramName}' not found.`);
+  return undefined;
+}
+
+/**
+ * Finds a context by its display name.
+ * @param {Array<object>} contexts - queryResult.outputContexts of the request.
+ * @param {string} contextName - e.g. "manage-booking".
+ * @returns {object|undefined} - The context, if active.
+ */
+function findContext(contexts, contextName) {
+  return (contexts || []).find((c) => c.name.endsWith(`/contexts/${contextName}`));
+}
+
+/**
+ * Dialogflow sends list parameters as arrays; takes the one value we use.
+ * @param {any} value - Parameter value.
+ * @param {'first'|'last'} [which='last'] - Which element to take from an array.
+ * @returns {any} - The single value.
+ */
+function singleValue(value, which = 'last') {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return which === 'first' ? value[0] : value[value.length - 1];
+}
+
+/**
+ * Reads a venue name parameter (@space_name entity or plain text) as a trimmed string.
+ * @param {any} value - Value of the venue_name or space_name parameter.
+ * @returns {string} - The venue name, or '' if none was given.
+ */
+function readVenueName(value) {
+  let venueRaw = singleValue(value);
+  if (typeof venueRaw === 'object' && venueRaw !== null && venueRaw.name) {
+    venueRaw = venueRaw.name; // If it's an object with a 'name' property
+  }
+  return String(venueRaw || '').trim();
+}
+
+/**
+ * Reads the format of a group event from the @event_format entity or what the guest said,
+ * e.g. "a sit-down dinner", "cocktails and canapés" or "some seated, some standing".
+ * @param {any} value - Value of the event_format parameter, or the guest's words.
+ * @returns {string|null} - 'seated', 'standing' or 'mixed', or null if it names none of them.
+ */
+function readEventFormat(value) {
+  const text = String(singleValue(value) || '').toLowerCase();
+  const seated = /seat|sit|dinner|lunch|banquet/.test(text);
+  const standing = /stand|cocktail|canap|reception|mingl/.test(text);
+  if (/mix|both/.test(text) || (seated && standing)) {
+    return 'mixed';
+  }
+  if (standing) {
+    return 'standing';
+  }
+  return seated ? 'seated' : null;
+}
+
+/**
+ * Reads the HH:mm part of a Dialogflow @sys.time value such as "2025-07-29T19:00:00+04:00".
+ * @param {string} rawTime - The time parameter.
+ * @returns {string} - The time as HH:mm.
+ */
+function readTimeOfDay(rawTime) {
+  const timeStartIndex = rawTime.indexOf('T') + 1;
+  const timeEndIndex = rawTime.indexOf('+');
+  if (timeStartIndex !== -1 && timeEndIndex !== -1 && timeEndIndex > timeStartIndex) {
+    return rawTime.substring(timeStartIndex, timeEndIndex).substring(0, 5);
+  }
+  console.warn(`WARN: Fallback time parsing used for rawBookingTime: ${rawTime}`);
+  return moment(rawTime).format("HH:mm");
+}
+
+/**
+ * Combines a date and a Dialogflow @sys.time value into a local time of the property.
+ * @param {string} datePart - The date as YYYY-MM-DD (or a @sys.date value).
+ * @param {string} timeParam - The @sys.time value, e.g. "2025-07-29T19:00:00+04:00".
+ * @returns {object} - The moment in the tenant's timezone; check isValid() before use.
+ */
+function dubaiMomentFrom(datePart, timeParam) {
+  return moment.tz(`${datePart.substring(0, 10)}T${timeParam.substring(11, 19)}`, 'YYYY-MM-DDTHH:mm:ss', currentTimezone());
+}
+
+module.exports = {
+  getParameter,
+  findContext,
+  singleValue,
+  readVenueName,
+  readEventFormat,
+  readTimeOfDay,
+  dubaiMomentFrom,
+};
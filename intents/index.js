@@ -0,0 +1,179 @@
+// intents/index.js - Routes Dialogflow webhook requests to the registered intent handlers
+//
+// Each intent lives in its own module under ./handlers and exports
+//   { intent: "<Dialogflow intent display name>", handle: async (ctx) => WebhookResponse }
+// To add an intent, create the module and add it to BUILT_IN_HANDLERS (or call registerIntent).
+
+const { IntentContext } = require('./intentContext');
+const { WebhookResponse } = require('./responseBuilder');
+const { BOOKING_FLOW_CONTEXT, BookingState } = require('./bookingState');
+const { getBookingStep, findBookingStep } = require('./bookingFlow');
+const { currentTenant } = require('../lib/tenants');
+const { AvailabilityUnknownError } = require('../lib/bookingRules');
+
+const BUILT_IN_HANDLERS = [
+  require('./handlers/welcome'),
+  require('./handlers/booking'),
+  require('./handlers/selectBookingType'),
+  require('./handlers/captureGuestCount'),
+  require('./handlers/selectEventFormat'),
+  require('./handlers/captureDateTime'),
+  require('./handlers/selectTimeSlot'),
+  require('./handlers/askVenueDetails'),
+  require('./handlers/selectVenue'),
+  require('./handlers/selectPackage'),
+  require('./handlers/captureAddOns'),
+  require('./handlers/collectContactDetails'),
+  require('./handlers/confirmBooking'),
+  require('./handlers/manageBooking'),
+  require('./handlers/modifyBooking'),
+  require('./handlers/cancelBooking'),
+  require('./handlers/confirmCancellation'),
+];
+
+const intentHandlers = new Map();
+
+/**
+ * Registers the handler for a Dialogflow intent.
+ * @param {string} intentName - The intent's display name in Dialogflow.
+ * @param {Function} handle - async (ctx: IntentContext) => WebhookResponse.
+ */
+function registerIntent(intentName, handle) {
+  if (intentHandlers.has(intentName)) {
+    throw new Error(`A handler for intent "${intentName}" is already registered.`);
+  }
+  intentHandlers.set(intentName, handle);
+}
+
+/**
+ * @param {string} intentName - The intent's display name in Dialogflow.
+ * @returns {Function|undefined} - The registered handler.
+ */
+function getIntentHandler(intentName) {
+  return intentHandlers.get(intentName);
+}
+
+/**
+ * Answers intents without a handler.
+ * @param {IntentContext} ctx - The current request.
+ * @returns {Promise<WebhookResponse>} - The response.
+ */
+async function handleUnknownIntent(ctx) {
+  return ctx.reply("I'm not sure how to handle that request yet.");
+}
+
+/**
+ * Session store key of a request. For phone calls the session is the caller's number, so the
+ * tenant is part of the key: a guest calling two properties has a booking draft with each.
+ * @param {IntentContext} ctx - The current request.
+ * @returns {string} - e.g. "marina:+971501234567".
+ */
+function sessionKey(ctx) {
+  return `${currentTenant().id}:${ctx.sessionId}`;
+}
+
+/**
+ * Restores the booking draft from the session store when Dialogflow no longer sends it,
+ * e.g. after the guest asked a few side questions or on a second call from the same number.
+ * @param {IntentContext} ctx - The current request.
+ * @param {object} sessionStore - See lib/sessionStore.js.
+ */
+function restoreSession(ctx, sessionStore) {
+  const saved = sessionStore.get(sessionKey(ctx));
+  if (!saved || saved.state === 'done' || ctx.findContext(BOOKING_FLOW_CONTEXT)) {
+    return;
+  }
+  const booking = new BookingState(saved.booking);
+  if (!booking.hasBookingDetails()) {
+    return; // Nothing was started, e.g. the guest only asked about the venues
+  }
+  ctx.booking = booking;
+  ctx.resumed = true;
+  console.log(`DEBUG: Restored booking for session ${ctx.sessionId} at step "${saved.state}" from the session store.`);
+}
+
+/**
+ * Saves the booking draft after a handler ran, and keeps an unfinished booking's contexts
+ * alive when the handler answered something else (e.g. a side question).
+ * @param {IntentContext} ctx - The current request.
+ * @param {WebhookResponse} response - The handler's response.
+ * @param {object} sessionStore - See lib/sessionStore.js.
+ */
+function saveSession(ctx, response, sessionStore) {
+  const flowContext = response.outputContexts.find((c) => c.name.endsWith(`/contexts/${BOOKING_FLOW_CONTEXT}`));
+  let booking;
+  if (flowContext && flowContext.lifespanCount === 0) {
+    booking = ctx.booking.toParameters(); // The handler finished (or dropped) the booking
+  } else if (flowContext) {
+    booking = flowContext.parameters || {};
+  } else {
+    booking = ctx.booking.toParameters();
+    if (Object.keys(booking).length === 0) {
+      sessionStore.delete(sessionKey(ctx)); // No booking in progress
+      return;
+    }
+  }
+
+  const previous = sessionStore.get(sessionKey(ctx));
+  const state = flowContext && flowContext.lifespanCount === 0 ? 'done' : getBookingStep(booking);
+  if (previous && previous.state !== state) {
+    console.log(`DEBUG: Session ${ctx.sessionId}: ${previous.state} -> ${state}`);
+  }
+  sessionStore.set(sessionKey(ctx), { state, booking });
+
+  if (!flowContext && state !== 'done') {
+    response.setBookingFlow(booking);
+    const waiting = response.outputContexts.some((c) => /\/contexts\/(awaiting-[^/]+|manage-booking)$/.test(c.name));
+    if (!waiting) {
+      response.setContext(findBookingStep(state).context, 2);
+    }
+  }
+}
+
+/**
+ * Runs the handler for the intent of a Dialogflow webhook request.
+ * @param {object} body - The webhook request body.
+ * @param {object} services - Functions the handlers may call (see intentServices in index.js).
+ * @returns {Promise<object>} - { status, body } for the HTTP response.
+ */
+async function handleWebhookRequest(body, services) {
+  const ctx = new IntentContext(body, services);
+  // Log the exact intent string and its length for debugging
+  console.log(`DEBUG: Webhook received intent (exact): "${ctx.intent}" (length: ${ctx.intent.length})`);
+
+  try {
+    if (services.sessionStore) {
+      restoreSession(ctx, services.sessionStore);
+    }
+    const handle = getIntentHandler(ctx.intent) || handleUnknownIntent;
+    console.log(`DEBUG: Entering ${ctx.intent}.`);
+    const response = await handle(ctx);
+    if (services.sessionStore && response instanceof WebhookResponse) {
+      saveSession(ctx, response, services.sessionStore);
+    }
+    const body = response instanceof WebhookResponse ? response.toJSON() : response;
+    // Not the whole response: its contexts hold the guest's contact details and payment link
+    console.log(`DEBUG: Webhook response for ${ctx.intent}: ${String(body.fulfillmentText || '').length} characters.`);
+    return { status: response.statusCode || 200, body };
+  } catch (error) {
+    if (error instanceof AvailabilityUnknownError) {
+      // Nothing was offered or booked: the guest's contexts stay as they were, so they can simply ask again
+      console.error("❌ Webhook error: venue availability is unknown:", error.message);
+      const response = ctx.respond().say(await ctx.generateReply("I'm sorry, I couldn't check which venues are free just now. Please try again in a moment."));
+      return { status: 200, body: response.toJSON() };
+    }
+    console.error("❌ Webhook error:", error);
+    return {
+      status: 500,
+      body: { fulfillmentText: await ctx.generateReply("I'm sorry, there was a technical issue. Please try again later.") },
+    };
+  }
+}
+
+BUILT_IN_HANDLERS.forEach(({ intent, handle }) => registerIntent(intent, handle));
+
+module.exports = {
+  registerIntent,
+  getIntentHandler,
+  handleWebhookRequest,
+};
@@ -0,0 +1,84 @@
+// intents/intentContext.js - Everything an intent handler needs about the current webhook request
+
+const { BookingState } = require('./bookingState');
+const { WebhookResponse } = require('./responseBuilder');
+const { getParameter, findContext } = require('./helpers');
+const { normalizeLanguage } = require('../lib/languages');
+
+/**
+ * Wraps a Dialogflow webhook request for the intent handlers.
+ * Handlers reach the rest of the app only through `services`, so they can be run with fakes.
+ */
+class IntentContext {
+  /**
+   * @param {object} body - The Dialogflow webhook request body.
+   * @param {object} services - Functions the handlers may call (see intentServices in index.js).
+   */
+  constructor(body, services) {
+    const queryResult = body.queryResult || {};
+    this.body = body;
+    this.intent = queryResult.intent ? queryResult.intent.displayName : '';
+    this.session = body.session;
+    /** Last part of the session path: the caller's number for phone calls. */
+    this.sessionId = String(body.session || '').split('/').pop();
+    this.params = queryResult.parameters || {};
+    this.queryText = queryResult.queryText || '';
+    this.contexts = queryResult.outputContexts || [];
+    /** Language of the conversation ('en', 'ar', ...), from the languageCode Dialogflow matched the query in. */
+    this.language = normalizeLanguage(queryResult.languageCode);
+    this.services = services;
+    /** @type {BookingState} */
+    this.booking = BookingState.fromContexts(this.contexts);
+    /** True when the booking was restored from the session store because its contexts had expired. */
+    this.resumed = false;
+  }
+
+  /**
+   * @param {string} contextName - e.g. "manage-booking".
+   * @returns {object|undefined} - The active context with that name.
+   */
+  findContext(contextName) {
+    return findContext(this.contexts, contextName);
+  }
+
+  /**
+   * Reads a parameter from the intent, falling back to the active contexts.
+   * @param {string} paramName - The parameter name.
+   * @returns {any} - The value, or undefined.
+   */
+  getParameter(paramName) {
+    return getParameter(this.body, paramName);
+  }
+
+  /**
+   * Turns a prompt into the reply for the guest, in the conversation's language (see lib/llm).
+   * @param {string|{ text: string, instructions?: string, facts?: Array<string> }} prompt - What the reply
+   *   should say, optionally with instructions that only the LLM sees and the facts it must keep.
+   * @param {boolean} [isSummaryConfirmation=false] - The prompt is a summary the guest must confirm.
+   * @param {boolean} [isFinalConfirmation=false] - The prompt ends the conversation.
+   * @returns {Promise<string>} - The reply text.
+   */
+  generateReply(prompt, isSummaryConfirmation = false, isFinalConfirmation = false) {
+    return this.services.generateReply(prompt, isSummaryConfirmation, isFinalConfirmation, this.language);
+  }
+
+  /**
+   * @returns {WebhookResponse} - A new, empty response for this session.
+   */
+  respond() {
+    return new WebhookResponse(this.session);
+  }
+
+  /**
+   * Shortcut for a response that only has text.
+   * @param {string|object} prompt - Passed to generateReply.
+   * @returns {Promise<WebhookResponse>} - The response.
+   */
+  async reply(prompt) {
+    return this.respond().say(await this.generateReply(prompt));
+  }
+}
+
+module.exports = {
+  IntentContext,
+};
@@ -0,0 +1,151 @@
+// intents/packageOptions.js - Packages and add-ons offered to group bookings once the venue is chosen
+//
+// venue -> package -> add-ons -> contact details. A step is skipped when the venue has nothing
+// to offer for the party size, and table bookings skip both.
+
+const { currentTenant } = require('../lib/tenants');
+const { formatMoney, formatOfferPrice } = require('../lib/pricing');
+const { matchVenue, parseOrdinal } = require('../lib/venueMatcher');
+
+const CONTACT_DETAILS_PROMPT = "Now, could I get your full name, email, and phone number to finalize your inquiry?";
+
+// package_id of a group booking that goes ahead without a package
+const NO_PACKAGE = 'none';
+
+// "No thanks", "none", "skip", "without a package"...
+const DECLINE_PATTERN = /^\s*(?:no|none|nothing|skip|without)\b|\bno (?:thanks|packages?|add-?ons?|extras)\b/i;
+
+/**
+ * @param {Array<object>} offers - Packages or add-ons (see Offer in lib/pricing.js).
+ * @returns {string} - Numbered list, e.g. "1. Gold – AED 250.00 per person (three courses)".
+ */
+function listOffers(offers) {
+  const { currency } = currentTenant().pricing;
+  return offers
+    .map((o, i) => `${i + 1}. ${o.name} – ${formatOfferPrice(o, currency)}${o.description ? ` (${o.description})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * @param {Array<object>} offers - Packages or add-ons.
+ * @returns {Array<string>} - Names and prices a generated reply must keep.
+ */
+function offerFacts(offers) {
+  const { currency } = currentTenant().pricing;
+  return offers.flatMap((o) => [o.name, formatMoney(o.price, currency)]);
+}
+
+/**
+ * Builds the response listing the packages of the chosen venue.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking (with venue and guestCount).
+ * @param {Array<object>} packages - The packages, see getAvailablePackages.
+ * @param {string} [intro] - Text to start with, e.g. "Great! You've chosen Rooftop.".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildPackageOptionsResponse(ctx, booking, packages, intro = '') {
+  const { currency } = currentTenant().pricing;
+  const venue = (await ctx.services.getAvailableVenues()).find((v) => v.id === booking.venue_id);
+  const minimumSpend = venue && venue.minimum_spend
+    ? ` ${booking.venue} has a minimum spend of ${formatMoney(venue.minimum_spend, currency)} for group events.`
+    : '';
+  booking.offeredPackages = packages.map((p) => p.name); // So the guest can answer "the second one"
+  const text = `${intro} For ${booking.guestCount} guests at ${booking.venue}, we offer these packages:\n\n${listOffers(packages)}\n\n` +
+    `Prices exclude VAT.${minimumSpend} Which package would you like? You can also continue without a package.`;
+  return ctx.respond()
+    .say(await ctx.generateReply({
+      text: text.trim(),
+      instructions: "List ALL the packages with their numbers and prices exactly as given, each on a new line. Do NOT invent other packages, prices or discounts.",
+      facts: [String(booking.guestCount), booking.venue, ...offerFacts(packages)],
+    }))
+    .setBookingFlow(booking)
+    .setContext('awaiting-package-selection', 2);
+}
+
+/**
+ * Builds the response listing the add-ons of the chosen venue.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking.
+ * @param {Array<object>} addOns - The add-ons, see getAvailableAddOns.
+ * @param {string} [intro] - Text to start with.
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildAddOnOptionsResponse(ctx, booking, addOns, intro = '') {
+  booking.offeredAddOns = addOns.map((a) => a.name);
+  const text = `${intro} You can also add:\n\n${listOffers(addOns)}\n\nWould you like any of these? Tell me the numbers or names, or say "no add-ons".`;
+  return ctx.respond()
+    .say(await ctx.generateReply({
+      text: text.trim(),
+      instructions: "List ALL the add-ons with their numbers and prices exactly as given, each on a new line. Do NOT invent other add-ons, prices or discounts.",
+      facts: offerFacts(addOns),
+    }))
+    .setBookingFlow(booking)
+    .setContext('awaiting-addons', 2);
+}
+
+/**
+ * Continues a booking once the venue is chosen: a group booking is offered the venue's
+ * packages and then its add-ons, then the guest is asked for contact details.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking (with venue and guestCount).
+ * @param {string} [intro] - Text to start with, e.g. "Great! You've chosen Rooftop.".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function continueAfterVenue(ctx, booking, intro = '') {
+  const { services } = ctx;
+  if (booking.type === 'group' && !booking.package_id) {
+    const packages = await services.getAvailablePackages(booking.venue_id, booking.guestCount);
+    if (packages.length > 0) {
+      return buildPackageOptionsResponse(ctx, booking, packages, intro);
+    }
+    booking.package_id = NO_PACKAGE;
+  }
+  if (booking.type === 'group' && !Array.isArray(booking.addon_ids)) {
+    const addOns = await services.getAvailableAddOns(booking.venue_id, booking.guestCount);
+    if (addOns.length > 0) {
+      return buildAddOnOptionsResponse(ctx, booking, addOns, intro);
+    }
+    booking.addon_ids = [];
+  }
+  return ctx.respond()
+    .say(await ctx.generateReply(`${intro} ${CONTACT_DETAILS_PROMPT}`.trim()))
+    .setBookingFlow(booking)
+    .setContext('awaiting-contact-details', 2)
+    .clearContext('awaiting-venue-selection');
+}
+
+/**
+ * @param {string} text - What the guest said.
+ * @returns {boolean} - True if the guest doesn't want a package or add-ons.
+ */
+function isDeclining(text) {
+  return DECLINE_PATTERN.test(String(text || ''));
+}
+
+/**
+ * Finds the package or add-on the guest asked for: by its position in the list offered last
+ * ("the second one"), or by a fuzzy match on the names.
+ * @param {string} text - What the guest said.
+ * @param {Array<object>} offers - The packages or add-ons.
+ * @param {Array<string>} [offeredNames] - Names in the order they were offered.
+ * @returns {{ offer: object|null, candidates: Array<object> }} - See matchVenue in lib/venueMatcher.js.
+ */
+function findOffer(text, offers, offeredNames) {
+  const position = offeredNames && offeredNames.length > 0 ? parseOrdinal(text, offeredNames.length) : null;
+  if (position !== null) {
+    return { offer: offers.find((o) => o.name === offeredNames[position]) || null, candidates: [] };
+  }
+  const query = String(text || '').replace(/\b(?:packages?|add-?ons?)\b/gi, ' ');
+  const { venue, candidates } = matchVenue(query, offers);
+  return { offer: venue, candidates };
+}
+
+module.exports = {
+  CONTACT_DETAILS_PROMPT,
+  NO_PACKAGE,
+  buildPackageOptionsResponse,
+  buildAddOnOptionsResponse,
+  continueAfterVenue,
+  isDeclining,
+  findOffer,
+};
@@ -0,0 +1,95 @@
+// intents/responseBuilder.js - Builds the JSON body returned to Dialogflow
+
+const { BOOKING_FLOW_CONTEXT } = require('./bookingState');
+
+/**
+ * A Dialogflow ES webhook response. Context names are given without the session prefix.
+ *
+ *   return ctx.respond()
+ *     .say(await ctx.generateReply("How many guests will there be?"))
+ *     .setBookingFlow(ctx.booking)
+ *     .setContext('awaiting-guest-count', 2);
+ */
+class WebhookResponse {
+  /**
+   * @param {string} session - The Dialogflow session path.
+   */
+  constructor(session) {
+    this.session = session;
+    this.fulfillmentText = '';
+    this.outputContexts = [];
+    this.statusCode = 200;
+  }
+
+  /**
+   * Sets the text spoken or shown to the guest.
+   * @param {string} text - The reply.
+   * @returns {WebhookResponse} - This response, for chaining.
+   */
+  say(text) {
+    this.fulfillmentText = text;
+    return this;
+  }
+
+  /**
+   * Sets an output context. A later call for the same context replaces the earlier one.
+   * @param {string} name - Context name, e.g. "awaiting-datetime".
+   * @param {number} lifespanCount - Number of turns the context stays active (0 clears it).
+   * @param {object} [parameters] - Context parameters.
+   * @returns {WebhookResponse} - This response, for chaining.
+   */
+  setContext(name, lifespanCount, parameters) {
+    const context = { name: `${this.session}/contexts/${name}`, lifespanCount };
+    if (parameters) {
+      context.parameters = parameters;
+    }
+    this.outputContexts = this.outputContexts.filter((c) => c.name !== context.name);
+    this.outputContexts.push(context);
+    return this;
+  }
+
+  /**
+   * Clears an output context.
+   * @param {string} name - Context name.
+   * @returns {WebhookResponse} - This response, for chaining.
+   */
+  clearContext(name) {
+    return this.setContext(name, 0);
+  }
+
+  /**
+   * Stores the booking in the booking-flow context.
+   * @param {import('./bookingState').BookingState|object} booking - The booking state or plain parameters.
+   * @param {number} [lifespanCount=5] - Number of turns the context stays active.
+   * @returns {WebhookResponse} - This response, for chaining.
+   */
+  setBookingFlow(booking, lifespanCount = 5) {
+    const parameters = typeof booking.toParameters === 'function' ? booking.toParameters() : booking;
+    return this.setContext(BOOKING_FLOW_CONTEXT, lifespanCount, parameters);
+  }
+
+  /**
+   * Sets the HTTP status code of the response.
+   * @param {number} statusCode - The status code.
+   * @returns {WebhookResponse} - This response, for chaining.
+   */
+  status(statusCode) {
+    this.statusCode = statusCode;
+    return this;
+  }
+
+  /**
+   * @returns {object} - The { fulfillmentText, outputContexts } response body.
+   */
+  toJSON() {
+    const body = { fulfillmentText: this.fulfillmentText };
+    if (this.outputContexts.length > 0) {
+      body.outputContexts = this.outputContexts;
+    }
+    return body;
+  }
+}
+
+module.exports = {
+  WebhookResponse,
+};
@@ -0,0 +1,129 @@
+// intents/venueOptions.js - Responses offering venues, or other times when no venue is free
+
+const { formatDubai } = require('../lib/time');
+const { matchVenue, parseOrdinal } = require('../lib/venueMatcher');
+
+/**
+ * Builds the prompt used when no venue can take the requested time.
+ * The alternatives are numbered so the guest can pick one in the next turn.
+ * @param {number} guestCount - The number of guests for the booking.
+ * @param {string} bookingUTC - The requested booking time as a UTC ISO string.
+ * @param {object} suggestions - Alternatives as returned by suggestAlternativeSlots.
+ * @returns {string|object} - The prompt to pass to generateReply.
+ */
+function buildNoAvailabilityPrompt(guestCount, bookingUTC, suggestions) {
+  const { date, time } = formatDubai(bookingUTC);
+  const problem = suggestions.reasons.length > 0
+    ? `we can't book ${guestCount} guests on ${date} at ${time}, because ${suggestions.reasons.join('; ')}`
+    : `none of our venues are available for ${guestCount} guests on ${date} at ${time}`;
+  const slots = [...suggestions.sameDay, ...suggestions.otherDays];
+  if (slots.length === 0) {
+    return `Unfortunately, ${problem}, and I couldn't find a free time close to it. Would you like to try a different date?`;
+  }
+  const slotFacts = slots.flatMap((s) => {
+    const slot = formatDubai(s.bookingUTC);
+    return [slot.date, slot.time];
+  });
+  const slotLines = slots.map((s, i) => {
+    const slot = formatDubai(s.bookingUTC);
+    return `${i + 1}. ${slot.date} at ${slot.time}`;
+  }).join('\n');
+  return {
+    text: `Unfortunately, ${problem}. These are the nearest times we can offer:\n\n${slotLines}\n\nWould any of these work for you? You can just tell me the number.`,
+    facts: [String(guestCount), date, time, ...slotFacts],
+    instructions: `
+                **Strictly adhere to the following:**
+                **1. List ALL the provided times clearly with their numbers, each on a new line.**
+                **2. Explain the reason given above in plain words, without adding other reasons.**
+                **3. Do NOT list any venues and do NOT invent other times.**
+            `,
+  };
+}
+
+/**
+ * Builds the response for a requested time that no venue can take.
+ * The suggested times are kept in the booking-flow context so that the guest can pick
+ * one in the next turn without repeating the guest count or date.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking (with guestCount and bookingUTC).
+ * @param {string} [greeting] - Text to start with, e.g. "Welcome back!".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildNoAvailabilityResponse(ctx, booking, greeting = '') {
+  const suggestions = await ctx.services.suggestAlternativeSlots(booking.guestCount, booking.bookingUTC, booking.type, booking.eventFormat);
+  const slots = [...suggestions.sameDay, ...suggestions.otherDays];
+  booking.suggestedSlots = slots.map((s) => s.bookingUTC);
+  const prompt = buildNoAvailabilityPrompt(booking.guestCount, booking.bookingUTC, suggestions);
+  const withGreeting = (text) => `${greeting} ${text}`.trim();
+  return ctx.respond()
+    .say(await ctx.generateReply(typeof prompt === 'string' ? withGreeting(prompt) : { ...prompt, text: withGreeting(prompt.text) }))
+    .setBookingFlow(booking)
+    .setContext('awaiting-datetime', 2) // The guest may also ask for another date/time
+    .setContext('awaiting-slot-selection', slots.length > 0 ? 2 : 0);
+}
+
+/**
+ * Builds the response listing the venues free at the booking's date and time,
+ * or the alternative times if none is free.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {import('./bookingState').BookingState} booking - The booking (with guestCount and bookingUTC).
+ * @param {string} [greeting] - Text to start with, e.g. "Welcome back!".
+ * @returns {Promise<import('./responseBuilder').WebhookResponse>} - The response.
+ */
+async function buildVenueOptionsResponse(ctx, booking, greeting = '') {
+  const venues = await ctx.services.getAvailableVenues(booking.guestCount, booking.bookingUTC, booking.type, booking.eventFormat); // Filtered by capacity, booking rules and existing bookings
+  if (venues.length === 0) {
+    console.log("DEBUG: No venue free at the requested time. Suggesting alternatives.");
+    return buildNoAvailabilityResponse(ctx, booking, greeting);
+  }
+  const venueNames = venues.map(v => v.name).join(', ');
+  const { date, time } = formatDubai(booking.bookingUTC);
+  booking.offeredVenues = venues.map(v => v.name); // So the guest can answer "the second one"
+
+  // Explicitly ask the LLM to list all venues and forbid filtering
+  return ctx.respond()
+    .say(await ctx.generateReply({
+      text: `${greeting} Got it! For ${booking.guestCount} guests on ${date} at ${time}. Which venue would you like to book? Here are our options: ${venueNames}.`.trim(),
+      instructions: "Please list ALL of these options clearly to the user and ask if any of these work for them. Do NOT filter or ask about preferences like 'vibe'.",
+      facts: [String(booking.guestCount), date, time, ...venues.map(v => v.name)],
+    }))
+    .setBookingFlow(booking)
+    .setContext('awaiting-venue-selection', 2)
+    .clearContext('awaiting-slot-selection'); // Clear any pending slot suggestions
+}
+
+/**
+ * Finds the venue the guest asked for: by its position in the list offered last
+ * ("the second one"), or by a fuzzy match on the venue names and aliases.
+ * @param {import('./intentContext').IntentContext} ctx - The current request.
+ * @param {string} text - What the guest said, e.g. the venue_name parameter.
+ * @param {Array<string>} [offeredVenues] - Venue names in the order they were offered.
+ * @returns {Promise<{ venue: object|null, candidates: Array<object> }>} - See matchVenue in lib/venueMatcher.js.
+ */
+async function findRequestedVenue(ctx, text, offeredVenues) {
+  const venues = await ctx.services.getAvailableVenues(); // All venues, including those not free at the requested time
+  const position = offeredVenues && offeredVenues.length > 0 ? parseOrdinal(text, offeredVenues.length) : null;
+  if (position !== null) {
+    const venue = venues.find((v) => v.name === offeredVenues[position]);
+    return { venue: venue || null, candidates: [] };
+  }
+  return matchVenue(text, venues);
+}
+
+/**
+ * Builds the question asked when the guest's venue could be one of several.
+ * @param {Array<object>} candidates - The venues it could be.
+ * @returns {string} - e.g. "Did you mean Rooftop Terrace or Terrace Room?"
+ */
+function buildVenueDisambiguationPrompt(candidates) {
+  const names = candidates.map((v) => v.name);
+  return `Did you mean ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}?`;
+}
+
+module.exports = {
+  buildNoAvailabilityPrompt,
+  buildNoAvailabilityResponse,
+  buildVenueOptionsResponse,
+  findRequestedVenue,
+  buildVenueDisambiguationPrompt,
+};
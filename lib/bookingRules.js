@@ -0,0 +1,156 @@
+// lib/bookingRules.js - How many guests a booking may have, and which venues can host them
+//
+// The tenant's rules (see "rules" in lib/tenants.js) apply to every venue. These optional fields
+// of the "Venues" table override them for one venue:
+//   group_min_guests  - bookings of this many guests or more are group bookings
+//   min_party_size    - smallest party the venue takes
+//   max_party_size    - largest party the venue takes
+//   standing_events   - checkbox: the venue hosts standing (cocktail) events up to its standing_capacity
+//   mixed_capacity    - guests the venue holds for a mixed (part seated, part standing) event;
+//                       its seated_capacity if empty
+//   max_covers        - guests the venue holds at once. When set, bookings share the venue until it
+//                       is full; otherwise one booking takes the whole venue.
+
+/**
+ * Formats of a group event. `label` is stored in the event_format field of the "Bookings" table.
+ * Table bookings are always seated.
+ */
+const EVENT_FORMATS = {
+  seated: { name: 'seated dinner', label: 'Seated Dinner' },
+  standing: { name: 'standing event', label: 'Standing / Cocktail' },
+  mixed: { name: 'mixed event', label: 'Mixed' },
+};
+
+/**
+ * @typedef {object} BookingRules
+ * @property {number} groupMinGuests - Bookings of this many guests or more are group bookings.
+ * @property {number} minPartySize - Smallest party taken.
+ * @property {number} maxPartySize - Largest party taken, 0 for no limit.
+ * @property {number} maxCovers - Guests across all venues at the same time, 0 for no limit.
+ */
+
+/**
+ * Works out the booking type from the party size.
+ * @param {number} guestCount - The number of guests.
+ * @param {BookingRules} rules - The tenant's rules.
+ * @param {object} [venue] - The venue, if chosen (its group_min_guests wins over the tenant's).
+ * @param {string} [requestedType] - The type the guest asked for; a group event stays one.
+ * @returns {string} - 'group' or 'table'.
+ */
+function inferBookingType(guestCount, rules, venue, requestedType) {
+  const threshold = (venue && venue.group_min_guests) || rules.groupMinGuests;
+  if (guestCount >= threshold) {
+    return 'group';
+  }
+  return requestedType === 'group' ? 'group' : 'table';
+}
+
+/**
+ * @param {object} venue - A venue.
+ * @param {string} [format='seated'] - 'seated', 'standing' or 'mixed' (see EVENT_FORMATS).
+ * @returns {number} - Guests the venue holds in that format (0 if it doesn't host it).
+ */
+function venueCapacity(venue, format = 'seated') {
+  if (format === 'standing') {
+    return venue.standing_events ? venue.standing_capacity : 0;
+  }
+  if (format === 'mixed') {
+    return venue.mixed_capacity || venue.seated_capacity;
+  }
+  return venue.seated_capacity;
+}
+
+/**
+ * @param {object} venue - A venue.
+ * @param {BookingRules} rules - The tenant's rules.
+ * @param {string} [format='seated'] - 'seated', 'standing' or 'mixed'.
+ * @returns {number} - The largest party the venue can take in that format.
+ */
+function largestParty(venue, rules, format = 'seated') {
+  const limits = [venue.max_party_size, venue.max_covers, rules.maxPartySize, rules.maxCovers].filter((limit) => limit > 0);
+  return Math.min(venueCapacity(venue, format), ...limits);
+}
+
+/**
+ * Checks whether a venue can take a party of this size.
+ * @param {object} venue - A venue.
+ * @param {number} guestCount - The number of guests.
+ * @param {BookingRules} rules - The tenant's rules.
+ * @param {string} [format='seated'] - 'seated', 'standing' or 'mixed'.
+ * @returns {string|null} - A guest-facing explanation, or null if the venue can take the party.
+ */
+function getPartySizeViolation(venue, guestCount, rules, format = 'seated') {
+  const minimum = venue.min_party_size || rules.minPartySize;
+  if (minimum && guestCount < minimum) {
+    return `${venue.name} takes bookings of ${minimum} guests or more`;
+  }
+  if (format === 'standing' && !venue.standing_events) {
+    return `${venue.name} doesn't host standing events`;
+  }
+  const capacity = venueCapacity(venue, format);
+  if (capacity < guestCount) {
+    if (format === 'standing') {
+      return `${venue.name} holds up to ${capacity} guests standing`;
+    }
+    return format === 'mixed'
+      ? `${venue.name} holds up to ${capacity} guests for a mixed event`
+      : `${venue.name} seats up to ${capacity} guests`;
+  }
+  const largest = largestParty(venue, rules, format);
+  if (largest < guestCount) {
+    return `${venue.name} takes bookings of up to ${largest} guests`;
+  }
+  return null;
+}
+
+/**
+ * Checks a party size against the tenant's rules and all its venues, before a date is known.
+ * @param {number} guestCount - The number of guests.
+ * @param {Array<object>} venues - All venues of the tenant.
+ * @param {BookingRules} rules - The tenant's rules.
+ * @param {string} [format] - 'seated', 'standing' or 'mixed'; any of them while the guest hasn't chosen.
+ * @returns {string|null} - A guest-facing explanation, or null if some venue can take the party.
+ */
+function checkPartySize(guestCount, venues, rules, format) {
+  if (rules.minPartySize && guestCount < rules.minPartySize) {
+    return `we take bookings of ${rules.minPartySize} guests or more`;
+  }
+  const formats = format ? [format] : Object.keys(EVENT_FORMATS);
+  const fits = (v) => formats.some((f) => !getPartySizeViolation(v, guestCount, rules, f));
+  if (venues.length === 0 || venues.some(fits)) {
+    return null;
+  }
+  const largest = Math.max(...venues.flatMap((v) => formats.map((f) => largestParty(v, rules, f))));
+  const forFormat = format ? ` for a ${EVENT_FORMATS[format].name}` : '';
+  if (largest === 0 && format) {
+    return `we don't host ${EVENT_FORMATS[format].name}s`;
+  }
+  if (largest > 0 && guestCount > largest) {
+    return `the largest party we can host${forFormat} is ${largest} guests`;
+  }
+  return `none of our venues takes a party of ${guestCount}${forFormat}`;
+}
+
+/**
+ * Thrown when the existing bookings can't be loaded, so it is unknown whether a venue is free.
+ * Nothing may be offered or booked until they can be checked again.
+ */
+class AvailabilityUnknownError extends Error {
+  /**
+   * @param {Error} cause - The error loading the bookings.
+   */
+  constructor(cause) {
+    super(`Could not check the existing bookings: ${cause.message}`, { cause });
+    this.name = 'AvailabilityUnknownError';
+  }
+}
+
+module.exports = {
+  EVENT_FORMATS,
+  AvailabilityUnknownError,
+  inferBookingType,
+  venueCapacity,
+  largestParty,
+  getPartySizeViolation,
+  checkPartySize,
+};
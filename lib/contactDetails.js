@@ -0,0 +1,101 @@
+// lib/contactDetails.js - Validation and normalization of guest contact details
+
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '971').replace(/\D/g, '');
+
+// Words that show the guest said something other than their name (e.g. "my email is ...").
+const NOT_A_NAME_WORDS = [
+  'my', 'is', 'email', 'mail', 'phone', 'number', 'mobile', 'contact', 'name', 'booking',
+  'yes', 'no', 'ok', 'okay', 'hi', 'hello', 'hey', 'thanks', 'please', 'sure', 'table', 'guests',
+];
+
+/**
+ * Normalizes an email address: trims it and lowercases the domain. Accepts the RFC 5322
+ * dot-atom form (no quoted local parts or IP-literal domains) within the RFC 5321 length limits.
+ * @param {string} value - Email address as given by the guest.
+ * @returns {string|null} - The normalized address, or null if it is not a valid email.
+ */
+function normalizeEmail(value) {
+  const email = String(value || '').trim().replace(/^mailto:/i, '');
+  if (email.length > 254) return null;
+  const at = email.lastIndexOf('@');
+  if (at < 1) return null;
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1).toLowerCase();
+
+  const atext = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+";
+  if (local.length > 64 || !new RegExp(`^${atext}(\\.${atext})*$`).test(local)) return null;
+
+  const labels = domain.split('.');
+  if (labels.length < 2) return null;
+  const validLabel = (label) => label.length <= 63 && /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(label);
+  if (!labels.every(validLabel) || !/^[a-z]{2,}$/.test(labels[labels.length - 1])) return null;
+
+  return `${local}@${domain}`;
+}
+
+/**
+ * Normalizes a phone number to E.164 (e.g. "+971501234567"). Numbers without a country code
+ * get DEFAULT_COUNTRY_CODE, with a leading trunk "0" dropped ("050 123 4567" -> "+971501234567").
+ * @param {string} value - Phone number as given by the guest.
+ * @returns {string|null} - The E.164 number, or null if it is not a valid phone number.
+ */
+function normalizePhoneNumber(value) {
+  const raw = String(value || '').trim();
+  if (!raw || /[^\d\s().+-]/.test(raw)) return null;
+  let digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  } else if (!digits.startsWith(DEFAULT_COUNTRY_CODE) || digits.length <= 9) {
+    digits = DEFAULT_COUNTRY_CODE + digits;
+  }
+
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+  // UAE numbers are 8 (landline) or 9 (mobile) digits after the country code
+  if (digits.startsWith('971') && !/^971\d{8,9}$/.test(digits)) return null;
+  return `+${digits}`;
+}
+
+/**
+ * Normalizes a guest name: collapses whitespace and capitalizes all-lowercase names.
+ * Rejects values that are obviously not a name, such as an email, a number or "my email is".
+ * @param {string} value - Name as given by the guest.
+ * @returns {string|null} - The normalized name, or null if it does not look like a name.
+ */
+function normalizeGuestName(value) {
+  let name = String(value || '').trim().replace(/\s+/g, ' ');
+  if (name.length < 2 || name.length > 60) return null;
+  if (!/^[\p{L}][\p{L}\p{M}'’. -]*$/u.test(name)) return null;
+
+  const words = name.toLowerCase().replace(/[.’']/g, '').split(/[\s-]+/);
+  if (words.length > 5 || words.some((word) => NOT_A_NAME_WORDS.includes(word))) return null;
+
+  if (name === name.toLowerCase()) {
+    name = name.replace(/(^|[\s'-])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase());
+  }
+  return name;
+}
+
+/**
+ * Pulls a name out of phrases like "my name is Sara Khan" or "it's Omar", or takes the
+ * whole text when it is nothing but a name.
+ * @param {string} queryText - What the guest said.
+ * @returns {string|null} - The normalized name, or null if none was found.
+ */
+function extractGuestName(queryText) {
+  const text = String(queryText || '').trim();
+  const match = text.match(/\b(?:my name is|name is|name's|i am|i'm|this is|it's|it is|call me)\s+(.+?)(?:[,.!]|\s+and\s+|$)/i);
+  return normalizeGuestName(match ? match[1] : text);
+}
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  normalizeEmail,
+  normalizePhoneNumber,
+  normalizeGuestName,
+  extractGuestName,
+};
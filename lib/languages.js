@@ -0,0 +1,114 @@
+// lib/languages.js - Languages the bot can hold a conversation in (SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE)
+
+/**
+ * Everything the bot needs per language.
+ * `dialogflow` is the agent's languageCode, `speech` the Twilio <Gather> speech recognition
+ * language and `voice`/`voiceLanguage` the Twilio <Say> voice. `menuPrompt` is read out in the
+ * language menu at the start of a call. `englishOnlyNote` comes before replies that could only be
+ * given in English (the canonical text of templates mode), and `voiceMessages` are spoken when a
+ * call can't reach the Dialogflow agent.
+ */
+const LANGUAGES = {
+  en: {
+    code: 'en',
+    name: 'English',
+    dialogflow: 'en-US',
+    speech: 'en-US',
+    voice: 'Polly.Joanna',
+    voiceLanguage: 'en-US',
+    menuPrompt: 'For English, press {digit}.',
+    englishOnlyNote: '',
+    voiceMessages: {
+      unavailable: 'I apologize, the booking system is currently unavailable. Please try again later.',
+      repeat: "I'm sorry, I didn't get a clear response. Can you please repeat that?",
+      error: 'I apologize, there was an error connecting to our booking agent. Please try again later.',
+    },
+  },
+  ar: {
+    code: 'ar',
+    name: 'Arabic',
+    dialogflow: 'ar',
+    speech: 'ar-AE',
+    voice: 'Polly.Zeina',
+    voiceLanguage: 'arb',
+    menuPrompt: 'للعربية، اضغط {digit}.',
+    englishOnlyNote: 'عذرًا، الرد متاح بالإنجليزية فقط في الوقت الحالي:',
+    voiceMessages: {
+      unavailable: 'نعتذر، نظام الحجز غير متاح حاليًا. يرجى المحاولة مرة أخرى لاحقًا.',
+      repeat: 'عذرًا، لم أفهم ذلك جيدًا. هل يمكنك التكرار من فضلك؟',
+      error: 'نعتذر، حدث خطأ أثناء الاتصال بنظام الحجز. يرجى المحاولة مرة أخرى لاحقًا.',
+    },
+  },
+  hi: {
+    code: 'hi',
+    name: 'Hindi',
+    dialogflow: 'hi',
+    speech: 'hi-IN',
+    voice: 'Polly.Aditi',
+    voiceLanguage: 'hi-IN',
+    menuPrompt: 'हिंदी के लिए {digit} दबाएं।',
+    englishOnlyNote: 'क्षमा करें, अभी जवाब केवल अंग्रेज़ी में उपलब्ध है:',
+    voiceMessages: {
+      unavailable: 'क्षमा करें, बुकिंग सिस्टम अभी उपलब्ध नहीं है। कृपया बाद में फिर से प्रयास करें।',
+      repeat: 'क्षमा करें, जवाब स्पष्ट नहीं था। क्या आप कृपया दोहरा सकते हैं?',
+      error: 'क्षमा करें, हमारे बुकिंग सिस्टम से जुड़ने में एक त्रुटि हुई। कृपया बाद में फिर से प्रयास करें।',
+    },
+  },
+  ru: {
+    code: 'ru',
+    name: 'Russian',
+    dialogflow: 'ru',
+    speech: 'ru-RU',
+    voice: 'Polly.Tatyana',
+    voiceLanguage: 'ru-RU',
+    menuPrompt: 'Для русского языка нажмите {digit}.',
+    englishOnlyNote: 'Извините, сейчас ответ доступен только на английском:',
+    voiceMessages: {
+      unavailable: 'Извините, система бронирования сейчас недоступна. Пожалуйста, попробуйте позже.',
+      repeat: 'Извините, не удалось разобрать ответ. Повторите, пожалуйста.',
+      error: 'Извините, при подключении к системе бронирования произошла ошибка. Пожалуйста, попробуйте позже.',
+    },
+  },
+};
+
+const DEFAULT_LANGUAGE = LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : 'en';
+// Other languages are opt-in: the Dialogflow agent needs them added first
+const SUPPORTED_LANGUAGES = (process.env.SUPPORTED_LANGUAGES || DEFAULT_LANGUAGE)
+  .split(',')
+  .map((code) => code.trim().toLowerCase())
+  .filter((code) => {
+    if (!LANGUAGES[code]) {
+      console.warn(`⚠️ Unknown language "${code}" in SUPPORTED_LANGUAGES. Ignoring it.`);
+      return false;
+    }
+    return true;
+  });
+if (!SUPPORTED_LANGUAGES.includes(DEFAULT_LANGUAGE)) {
+  SUPPORTED_LANGUAGES.unshift(DEFAULT_LANGUAGE);
+}
+
+/**
+ * Maps a language code such as "ar-AE", "AR" or "en-US" to a supported language.
+ * @param {string} [languageCode] - e.g. Dialogflow's queryResult.languageCode.
+ * @returns {string} - The language code ('en', 'ar', ...), DEFAULT_LANGUAGE if not supported.
+ */
+function normalizeLanguage(languageCode) {
+  const code = String(languageCode || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * @param {string} [languageCode] - Any language code.
+ * @returns {object} - The settings of the (normalized) language, see LANGUAGES.
+ */
+function getLanguage(languageCode) {
+  return LANGUAGES[normalizeLanguage(languageCode)];
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  getLanguage,
+};
@@ -0,0 +1,42 @@
+// lib/llm/gemini.js - Google Gemini backend
+
+const axios = require("axios");
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - GEMINI_API_KEY.
+ * @param {string} [options.model='gemini-2.0-flash'] - Model name.
+ * @returns {object} - Provider with complete({ prompt, timeoutMs }).
+ */
+function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash' }) {
+  return {
+    name: 'gemini',
+    model,
+    async complete({ prompt, timeoutMs }) {
+      const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+      const payload = {
+        contents: [
+          {
+            parts: [
+              {
+                text: prompt,
+              },
+            ],
+          },
+        ],
+      };
+      const { data } = await axios.post(url, payload, {
+        params: { key: apiKey },
+        headers: { "Content-Type": "application/json" },
+        timeout: timeoutMs,
+      });
+      const reply = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!reply) {
+        throw new Error("Gemini response missing expected structure.");
+      }
+      return reply;
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,129 @@
+// lib/llm/guardrails.js - Checks that an LLM reply kept the booking facts of its prompt
+//
+// The LLM only rephrases the canonical text. A reply is rejected (and the canonical text is
+// used instead) when it dropped one of the prompt's facts (guest count, date, time, venue
+// names, booking reference...) or mentions a price, package or add-on the canonical text and
+// facts don't, even when they quote other prices and packages.
+// Replies in other languages translate the words, so only the parts of the facts with digits
+// (guest count, day of the month, time, booking reference) are checked there.
+
+// Prices: "AED 250", "250 dirhams", "$50", "€40", "per person", ...
+const PRICE_PATTERN = /(?:\b(?:aed|dhs?|usd|eur|gbp)\b\.?\s*\d[\d,.]*|\d[\d,.]*\s*(?:aed|dhs?|dirhams?|usd|eur|gbp)\b|[$€£]\s*\d[\d,.]*|\bper (?:person|head|guest)\b)/gi;
+// Offers the bot must not invent
+const PACKAGE_PATTERN = /\b(?:packages?|add-ons?|addons?|bundles?|promotions?|promo|upsell|upgrades?)\b/gi;
+// The word before an offer names it: "Gold package", "Shisha add-on"
+const NAMED_OFFER_PATTERN = /\b([A-Z][\w'&-]*)\s+(?:packages?|add-ons?|addons?|bundles?)\b/g;
+
+/**
+ * Lower-cases text and collapses whitespace, so that line breaks and case don't matter.
+ * @param {string} text - Any text.
+ * @returns {string} - The normalized text.
+ */
+function normalizeForMatch(text) {
+  return String(text).replace(/[\s ]+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Turns Arabic-Indic, Persian and Devanagari digits into 0-9.
+ * @param {string} text - Any text.
+ * @returns {string} - The text with Western digits.
+ */
+function toWesternDigits(text) {
+  return String(text).replace(/[٠-٩۰-۹०-९]/g, (digit) => {
+    const code = digit.charCodeAt(0);
+    const zero = code >= 0x0966 ? 0x0966 : code >= 0x06F0 ? 0x06F0 : 0x0660;
+    return String(code - zero);
+  });
+}
+
+/**
+ * @param {Array<string|number>} facts - Facts as given with the prompt.
+ * @param {string} [language] - Language of the reply.
+ * @returns {Array<string>} - What must appear in a reply in that language.
+ */
+function factsToCheck(facts, language) {
+  const present = facts.filter((fact) => fact !== undefined && fact !== null && String(fact).trim() !== '').map(String);
+  if (!language || language === 'en') {
+    return present;
+  }
+  // "Tuesday, 8 January" -> "8", "7:00 PM" -> "7:00", "GL-7KQ4" stays
+  return present.flatMap((fact) => fact.split(/[\s,]+/).filter((part) => /\d/.test(part)));
+}
+
+/**
+ * Checks that a reply contains a fact. A fact that starts or ends with a digit must not run into
+ * other digits, so "2" guests isn't found in "12 guests" nor "7:00" in "17:00".
+ * @param {string} normalizedReply - The reply, see normalizeForMatch.
+ * @param {string} fact - A fact as given with the prompt.
+ * @returns {boolean} - True if the reply contains the fact.
+ */
+function containsFact(normalizedReply, fact) {
+  const normalizedFact = normalizeForMatch(fact);
+  const escaped = normalizedFact.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^\d/.test(normalizedFact) ? '(?<!\\d[.,]?)' : '';
+  const after = /\d$/.test(normalizedFact) ? '(?![.,]?\\d)' : '';
+  return new RegExp(`${before}${escaped}${after}`).test(normalizedReply);
+}
+
+/**
+ * @param {string} price - A match of PRICE_PATTERN, e.g. "AED 11,760.00" or "per person".
+ * @returns {string} - The amount ("11760"), or the normalized words of a price without one.
+ */
+function priceKey(price) {
+  const amount = price.match(/\d[\d,.]*/);
+  return amount ? String(parseFloat(amount[0].replace(/,/g, '').replace(/\.$/, ''))) : normalizeForMatch(price);
+}
+
+/**
+ * @param {string} offer - A match of PACKAGE_PATTERN, e.g. "Add-ons".
+ * @returns {string} - The word without case, hyphen or plural ("addon").
+ */
+function offerKey(offer) {
+  return offer.toLowerCase().replace(/-/g, '').replace(/s$/, '');
+}
+
+/**
+ * Finds the matches of a pattern in a reply that its canonical text and facts don't have.
+ * @param {string} reply - The LLM's reply.
+ * @param {string} allowed - The canonical text and the facts.
+ * @param {RegExp} pattern - A global pattern, e.g. PRICE_PATTERN.
+ * @param {function(string): string} toKey - Makes matches comparable, e.g. priceKey.
+ * @returns {Array<string>} - The matches that are new, as written in the reply.
+ */
+function findNewMatches(reply, allowed, pattern, toKey) {
+  const allowedKeys = new Set((allowed.match(pattern) || []).map(toKey));
+  return [...new Set((reply.match(pattern) || []).filter((match) => !allowedKeys.has(toKey(match))))];
+}
+
+/**
+ * Lists what is wrong with an LLM reply.
+ * @param {string} reply - The LLM's reply.
+ * @param {object} prompt
+ * @param {string} prompt.text - The canonical reply text.
+ * @param {Array<string|number>} [prompt.facts=[]] - Values the reply must contain verbatim.
+ * @param {string} [prompt.language] - Language of the reply, see lib/languages.js.
+ * @returns {Array<string>} - The problems found; empty if the reply can be used.
+ */
+function findReplyViolations(reply, { text, facts = [], language }) {
+  const westernReply = toWesternDigits(reply);
+  const normalizedReply = normalizeForMatch(westernReply);
+  const problems = factsToCheck(facts, language)
+    .filter((fact) => !containsFact(normalizedReply, fact))
+    .map((fact) => `missing "${fact}"`);
+
+  // Prices and offers must each come from the canonical text or the facts
+  const allowed = [text, ...facts.map(String)].join('\n');
+  const allowedWords = new Set(normalizeForMatch(allowed).split(/[^\w'&-]+/));
+  findNewMatches(westernReply, allowed, PRICE_PATTERN, priceKey)
+    .forEach((price) => problems.push(`mentions a price ("${price}")`));
+  findNewMatches(westernReply, allowed, PACKAGE_PATTERN, offerKey)
+    .forEach((offer) => problems.push(`mentions an offer ("${offer}")`));
+  new Set([...westernReply.matchAll(NAMED_OFFER_PATTERN)].map((match) => match[1])).forEach((name) => {
+    if (!allowedWords.has(name.toLowerCase())) {
+      problems.push(`mentions an offer ("${name}")`);
+    }
+  });
+  return problems;
+}
+
+module.exports = { findReplyViolations };
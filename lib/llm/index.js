@@ -0,0 +1,147 @@
+// lib/llm/index.js - Turns prompts into guest-facing replies through a configurable chain of LLM providers
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createTemplatesProvider } = require('./templates');
+const { findReplyViolations } = require('./guardrails');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../languages');
+
+// Appended to every LLM prompt (not used in templates mode)
+const TONE_INSTRUCTIONS = {
+  // Extremely strict tone for final confirmation
+  final: `Tone: You are the official booking concierge. Use a warm, professional, and helpful voice. Speak directly to the user. Be concise. **IMPORTANT: You MUST ONLY confirm the booking using the exact information provided in the prompt. Do NOT ask any follow-up questions. Do NOT introduce new topics or offers (e.g., packages, add-ons). This is the final confirmation message.**`,
+  // For summary, explicitly tell the LLM to reiterate and then ask for confirmation
+  summary: `Tone: Use a warm, conversational voice. Be helpful and clear. Avoid emojis and technical terms. **IMPORTANT: Reiterate the provided summary exactly as given, and then ask "Is this all correct? (Yes/No)". Do NOT just respond with "Yes" or "No".**`,
+  // General tone instruction
+  general: `Tone: You are the official booking concierge for the venue. Use a warm, professional, and helpful voice. Speak directly to the user. Do NOT use phrases like "Here's what I know," "It sounds like," or "I understand." Avoid emojis, technical terms, and overly conversational fillers. Be concise. **IMPORTANT: Stick ONLY to the information and questions explicitly contained in the prompt. Do NOT add any extra information, suggestions, or unrequested follow-up questions (e.g., about preferences like "vibe" or "cuisine"). When provided with a list of options, you MUST list ALL of them clearly and explicitly, without filtering or summarizing. Just present the list and ask if any work.**`,
+};
+
+/**
+ * @param {string} language - Language code, see lib/languages.js.
+ * @returns {string} - Instruction to reply in that language ('' for English).
+ */
+function buildLanguageInstruction(language) {
+  if (!language || language === 'en') {
+    return '';
+  }
+  const { name } = LANGUAGES[language];
+  return `Language: Reply in ${name} only, translating everything above, including any questions quoted in these instructions. ` +
+    `Keep venue names and booking references exactly as written, and write all numbers, dates and times with Western digits (0-9).`;
+}
+
+/**
+ * @typedef {object} ReplyPrompt
+ * @property {string} text - The canonical reply. Templates mode returns exactly this.
+ * @property {string} [instructions] - Extra guidance for the LLM only (formatting, what not to add).
+ * @property {Array<string|number>} [facts] - Values an LLM reply must repeat verbatim (guest count, date,
+ *   time, venue names...). Otherwise the canonical text is used, see guardrails.js.
+ */
+
+/**
+ * Creates a provider by name.
+ * @param {string} name - 'gemini', 'openai' or 'templates'.
+ * @param {object} config - Settings as passed to createReplyGenerator.
+ * @returns {object|null} - The provider, or null if it isn't configured.
+ */
+function createProvider(name, config) {
+  switch (name) {
+    case 'gemini':
+      if (!config.gemini || !config.gemini.apiKey) {
+        console.warn("⚠️ GEMINI_API_KEY is not set. Skipping the gemini reply provider.");
+        return null;
+      }
+      return createGeminiProvider(config.gemini);
+    case 'openai':
+      if (!config.openai || (!config.openai.apiKey && !config.openai.baseUrl)) {
+        console.warn("⚠️ Neither OPENAI_API_KEY nor OPENAI_BASE_URL is set. Skipping the openai reply provider.");
+        return null;
+      }
+      return createOpenAIProvider(config.openai);
+    case 'templates':
+      return createTemplatesProvider();
+    default:
+      console.warn(`⚠️ Unknown reply provider "${name}". Skipping it.`);
+      return null;
+  }
+}
+
+/**
+ * Replies with the canonical text of a prompt. That text is always English, so guests talking in
+ * another language are told first why the reply isn't in their language.
+ * @param {object} request - The provider request ({ text }).
+ * @param {string} language - Language code of the conversation, see lib/languages.js.
+ * @returns {Promise<string>} - The reply.
+ */
+async function templateReply(request, language) {
+  const reply = await createTemplatesProvider().complete(request);
+  const note = LANGUAGES[language] && LANGUAGES[language].englishOnlyNote;
+  return note ? `${note} ${reply}` : reply;
+}
+
+/**
+ * Creates the reply generator used by the intent handlers.
+ * Providers are tried in order (provider, then fallbackOrder); templates mode always comes
+ * last, so a reply is returned even when every LLM fails.
+ * @param {object} config
+ * @param {string} [config.provider='gemini'] - First provider to try.
+ * @param {Array<string>} [config.fallbackOrder=['templates']] - Providers to try next, in order.
+ * @param {number} [config.timeoutMs=8000] - Timeout of each LLM request.
+ * @param {object} [config.gemini] - { apiKey, model }.
+ * @param {object} [config.openai] - { apiKey, baseUrl, model }.
+ * @returns {Function} - generateReply(prompt, isSummaryConfirmation, isFinalConfirmation).
+ */
+function createReplyGenerator(config) {
+  const { provider = 'gemini', fallbackOrder = ['templates'], timeoutMs = 8000 } = config;
+  const names = [...new Set([provider, ...fallbackOrder, 'templates'].map((name) => String(name).trim().toLowerCase()).filter(Boolean))];
+  const providers = names.map((name) => createProvider(name, config)).filter(Boolean);
+  console.log(`DEBUG: Reply providers in order: ${providers.map((p) => p.model ? `${p.name} (${p.model})` : p.name).join(', ')}`);
+
+  /**
+   * Generates the reply for the guest.
+   * @param {string|ReplyPrompt} prompt - The reply text, or { text, instructions, facts }.
+   * @param {boolean} [isSummaryConfirmation=false] - If true, adjusts tone for summary confirmation.
+   * @param {boolean} [isFinalConfirmation=false] - If true, adjusts tone for the final confirmation.
+   * @param {string} [language=DEFAULT_LANGUAGE] - Language of the reply. Templates mode always replies with the
+   *   (English) canonical text, after a note in the guest's language (see templateReply).
+   * @returns {Promise<string>} - The generated text response.
+   */
+  return async function generateReply(prompt, isSummaryConfirmation = false, isFinalConfirmation = false, language = DEFAULT_LANGUAGE) {
+    const { text, instructions, facts } = typeof prompt === 'string' ? { text: prompt } : prompt;
+    const tone = isFinalConfirmation ? TONE_INSTRUCTIONS.final
+      : isSummaryConfirmation ? TONE_INSTRUCTIONS.summary
+        : TONE_INSTRUCTIONS.general;
+    const request = {
+      text,
+      prompt: [text, instructions, tone, buildLanguageInstruction(language)].filter(Boolean).join('\n\n'),
+      timeoutMs,
+    };
+
+    for (const replyProvider of providers) {
+      try {
+        const reply = replyProvider.name === 'templates'
+          ? await templateReply(request, language)
+          : await replyProvider.complete(request);
+        console.log(`🟢 ${replyProvider.name} reply: ${reply}`);
+        if (replyProvider.name === 'templates') {
+          return reply;
+        }
+        const problems = findReplyViolations(reply, { text, facts, language });
+        if (problems.length === 0) {
+          return reply;
+        }
+        // The LLM changed the facts: use the canonical text rather than another LLM
+        console.warn(`⚠️ ${replyProvider.name} reply rejected (${problems.join('; ')}). Using the template text.`);
+        return templateReply(request, language);
+      } catch (error) {
+        console.error(`❌ ${replyProvider.name} reply failed:`, error.response ? JSON.stringify(error.response.data) : error.message);
+      }
+    }
+    // Only reached if templates mode itself failed
+    return templateReply(request, language);
+  };
+}
+
+module.exports = {
+  TONE_INSTRUCTIONS,
+  createReplyGenerator,
+};
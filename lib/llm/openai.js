@@ -0,0 +1,35 @@
+// lib/llm/openai.js - Backend for OpenAI and OpenAI-compatible chat completion APIs
+// (e.g. Azure OpenAI, OpenRouter, Ollama or vLLM via OPENAI_BASE_URL)
+
+const axios = require("axios");
+
+/**
+ * @param {object} options
+ * @param {string} [options.apiKey] - OPENAI_API_KEY (local servers may not need one).
+ * @param {string} [options.baseUrl='https://api.openai.com/v1'] - API base URL.
+ * @param {string} [options.model='gpt-4o-mini'] - Model name.
+ * @returns {object} - Provider with complete({ prompt, timeoutMs }).
+ */
+function createOpenAIProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini' }) {
+  return {
+    name: 'openai',
+    model,
+    async complete({ prompt, timeoutMs }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const { data } = await axios.post(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+      }, { headers, timeout: timeoutMs });
+      const reply = data?.choices?.[0]?.message?.content;
+      if (!reply) {
+        throw new Error("OpenAI-compatible response missing expected structure.");
+      }
+      return reply;
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,31 @@
+// lib/llm/templates.js - "Templates only" mode: replies with the prompt's own text, no LLM involved
+
+/**
+ * Tidies the canonical reply text: trims the indentation of template literals and
+ * collapses runs of blank lines.
+ * @param {string} text - The canonical reply text.
+ * @returns {string} - The reply.
+ */
+function tidyTemplateText(text) {
+  return String(text)
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @returns {object} - Provider with complete({ text }).
+ */
+function createTemplatesProvider() {
+  return {
+    name: 'templates',
+    model: null,
+    async complete({ text }) {
+      return tidyTemplateText(text);
+    },
+  };
+}
+
+module.exports = { createTemplatesProvider, tidyTemplateText };
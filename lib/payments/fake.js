@@ -0,0 +1,53 @@
+// lib/payments/fake.js - Payment provider that takes no money, for local runs and tests
+//
+// A link is "paid" by posting its event to /payments/webhook:
+//   { "paymentId": "fake_...", "reference": "GL-7KQ4", "tenantId": "default", "status": "paid" }
+// signed with an X-Payment-Signature header: the hex HMAC-SHA256 of the body with PAYMENT_WEBHOOK_SECRET.
+// Without a secret events are refused, unless PAYMENT_WEBHOOK_ALLOW_UNSIGNED is true (local runs only:
+// anyone could then mark a deposit as paid).
+
+const crypto = require('crypto');
+
+const EVENT_STATUSES = ['paid', 'failed', 'expired'];
+
+/**
+ * @param {object} options
+ * @param {string} [options.baseUrl='http://localhost:10000'] - Base URL of the payment links.
+ * @param {string} [options.webhookSecret] - PAYMENT_WEBHOOK_SECRET.
+ * @param {boolean} [options.allowUnsigned=false] - PAYMENT_WEBHOOK_ALLOW_UNSIGNED: accept events without a secret.
+ * @returns {object} - The provider, see lib/payments/index.js.
+ */
+function createFakePaymentProvider({ baseUrl = 'http://localhost:10000', webhookSecret, allowUnsigned = false } = {}) {
+  if (!webhookSecret) {
+    console.warn(allowUnsigned
+      ? "⚠️ PAYMENT_WEBHOOK_ALLOW_UNSIGNED is true. /payments/webhook accepts unsigned fake payment events."
+      : "⚠️ PAYMENT_WEBHOOK_SECRET is not set. /payments/webhook rejects all fake payment events.");
+  }
+  return {
+    name: 'fake',
+    minHoldMinutes: 0, // Links never expire on their own
+    webhookConfigured: Boolean(webhookSecret) || allowUnsigned,
+    async createPaymentLink({ reference }) {
+      const paymentId = `fake_${crypto.randomUUID()}`;
+      return { paymentId, url: `${baseUrl.replace(/\/+$/, '')}/payments/fake/${paymentId}?reference=${encodeURIComponent(reference)}` };
+    },
+    parseWebhook(req) {
+      if (webhookSecret) {
+        const expected = crypto.createHmac('sha256', webhookSecret).update(req.rawBody || '').digest('hex');
+        const provided = Buffer.from(String(req.get('X-Payment-Signature') || ''));
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, Buffer.from(expected))) {
+          throw new Error("Invalid X-Payment-Signature.");
+        }
+      } else if (!allowUnsigned) {
+        throw new Error("PAYMENT_WEBHOOK_SECRET is not set.");
+      }
+      const { paymentId, reference, tenantId, status } = req.body || {};
+      if (!reference || !EVENT_STATUSES.includes(status)) {
+        return null;
+      }
+      return { paymentId, reference, tenantId, status };
+    },
+  };
+}
+
+module.exports = { createFakePaymentProvider };
@@ -0,0 +1,71 @@
+// lib/payments/index.js - Payment links for booking deposits, through a configurable payment provider
+//
+// Provider interface:
+//   name
+//   minHoldMinutes              -> shortest hold its links can expire with; a shorter hold would
+//                                  release bookings whose link can still be paid
+//   webhookConfigured           -> false when its webhook events can't be verified; /payments/webhook
+//                                  then refuses them
+//   createPaymentLink(request)  -> { paymentId, url } for a PaymentRequest
+//   parseWebhook(req)           -> a PaymentEvent, or null for events that don't concern deposits.
+//                                  Throws if the request isn't signed by the provider.
+//
+// The "fake" provider takes no money: its links point back at this app and its webhook accepts
+// events signed with PAYMENT_WEBHOOK_SECRET, so the whole deposit flow can be run locally and in tests.
+
+const { createFakePaymentProvider } = require('./fake');
+const { createStripePaymentProvider } = require('./stripe');
+
+/**
+ * @typedef {object} PaymentRequest
+ * @property {string} reference - Booking reference the deposit is for, e.g. "GL-7KQ4".
+ * @property {string} tenantId - Tenant of the booking, sent back with the webhook.
+ * @property {number} amount - Amount to pay, e.g. 500 (not in minor units).
+ * @property {string} currency - Currency code, e.g. "AED".
+ * @property {string} description - Shown to the guest on the payment page.
+ * @property {string} [email] - Guest email, to prefill the payment page.
+ * @property {string} expiresAt - ISO date after which the link can no longer be paid.
+ */
+
+/**
+ * @typedef {object} PaymentEvent
+ * @property {string} paymentId - The provider's id of the payment link.
+ * @property {string} reference - Booking reference of the deposit.
+ * @property {string} [tenantId] - Tenant of the booking.
+ * @property {'paid'|'failed'|'expired'} status - What happened to the payment.
+ */
+
+/**
+ * Creates the payment provider selected by the DEPOSIT_PROVIDER setting.
+ * @param {object} config
+ * @param {string} [config.provider] - 'fake' or 'stripe'; deposits are off without one.
+ * @param {object} [config.fake] - { baseUrl, webhookSecret, allowUnsigned }.
+ * @param {object} [config.stripe] - { secretKey, webhookSecret, successUrl, cancelUrl }.
+ * @returns {object|null} - The provider, or null if none is configured.
+ * @throws {Error} - If the stripe provider is missing a setting it needs.
+ */
+function createPaymentProvider(config) {
+  switch (config.provider) {
+    case undefined:
+    case '':
+      return null;
+    case 'fake':
+      return createFakePaymentProvider(config.fake || {});
+    case 'stripe': {
+      // Stripe refuses Checkout Sessions without a success_url, so every deposit would fail
+      const stripe = config.stripe || {};
+      const missing = [['STRIPE_SECRET_KEY', stripe.secretKey], ['STRIPE_WEBHOOK_SECRET', stripe.webhookSecret], ['PAYMENT_SUCCESS_URL', stripe.successUrl]]
+        .filter(([, value]) => !value)
+        .map(([name]) => name);
+      if (missing.length > 0) {
+        throw new Error(`DEPOSIT_PROVIDER is stripe, but ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} not set.`);
+      }
+      return createStripePaymentProvider(stripe);
+    }
+    default:
+      console.warn(`⚠️ Unknown DEPOSIT_PROVIDER "${config.provider}". Deposits are off.`);
+      return null;
+  }
+}
+
+module.exports = { createPaymentProvider };
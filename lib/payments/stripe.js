@@ -0,0 +1,102 @@
+// lib/payments/stripe.js - Payment provider for Stripe Checkout
+//
+// Each deposit is a Checkout Session that expires with the booking's hold. Point a Stripe
+// webhook endpoint at /payments/webhook with the checkout.session.completed,
+// checkout.session.async_payment_succeeded, checkout.session.async_payment_failed and
+// checkout.session.expired events.
+
+const axios = require("axios");
+const crypto = require('crypto');
+
+const API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Webhook events signed longer ago are rejected as replays
+// Stripe only accepts Checkout Sessions that expire between 30 minutes and 24 hours from now
+const MIN_EXPIRY_SECONDS = 30 * 60 + 60;
+const MAX_EXPIRY_SECONDS = 24 * 60 * 60 - 60;
+
+/**
+ * Checks the Stripe-Signature header ("t=<timestamp>,v1=<signature>,...") of a webhook request.
+ * @param {string} header - The Stripe-Signature header.
+ * @param {Buffer|string} rawBody - The request body exactly as received.
+ * @param {string} secret - The endpoint's signing secret (whsec_...).
+ * @returns {boolean} - True if one of the v1 signatures matches and the timestamp is recent.
+ */
+function isValidSignature(header, rawBody, secret) {
+  const parts = String(header || '').split(',').map((part) => part.split('='));
+  const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0 || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody || ''}`).digest('hex'));
+  return signatures.some((signature) => {
+    const provided = Buffer.from(signature);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.secretKey - STRIPE_SECRET_KEY.
+ * @param {string} options.webhookSecret - STRIPE_WEBHOOK_SECRET, the signing secret of the webhook endpoint.
+ * @param {string} options.successUrl - Page the guest returns to after paying (required by Stripe).
+ * @param {string} [options.cancelUrl] - Page the guest returns to without paying.
+ * @returns {object} - The provider, see lib/payments/index.js.
+ */
+function createStripePaymentProvider({ secretKey, webhookSecret, successUrl, cancelUrl }) {
+  return {
+    name: 'stripe',
+    minHoldMinutes: Math.ceil(MIN_EXPIRY_SECONDS / 60),
+    webhookConfigured: true, // Deposits are off without STRIPE_WEBHOOK_SECRET
+    async createPaymentLink({ reference, tenantId, amount, currency, description, email, expiresAt }) {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const expirySeconds = Math.min(Math.max(Math.floor(Date.parse(expiresAt) / 1000) - nowSeconds, MIN_EXPIRY_SECONDS), MAX_EXPIRY_SECONDS);
+      const form = new URLSearchParams({
+        mode: 'payment',
+        client_reference_id: reference,
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': currency.toLowerCase(),
+        'line_items[0][price_data][unit_amount]': String(Math.round(amount * 100)), // Minor units of a two-decimal currency such as AED
+        'line_items[0][price_data][product_data][name]': description,
+        'metadata[booking_ref]': reference,
+        'metadata[tenant_id]': tenantId,
+        expires_at: String(nowSeconds + expirySeconds),
+        success_url: successUrl,
+      });
+      if (email) form.set('customer_email', email);
+      if (cancelUrl) form.set('cancel_url', cancelUrl);
+      const { data } = await axios.post(`${API_URL}/checkout/sessions`, form.toString(), {
+        headers: { Authorization: `Bearer ${secretKey}`, "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 10000,
+      });
+      if (!data || !data.id || !data.url) {
+        throw new Error("Stripe response missing expected structure.");
+      }
+      return { paymentId: data.id, url: data.url };
+    },
+    parseWebhook(req) {
+      if (!isValidSignature(req.get('Stripe-Signature'), req.rawBody, webhookSecret)) {
+        throw new Error("Invalid Stripe-Signature.");
+      }
+      const event = req.body || {};
+      const session = (event.data && event.data.object) || {};
+      const reference = session.client_reference_id || (session.metadata && session.metadata.booking_ref);
+      let status = null;
+      if (event.type === 'checkout.session.completed') {
+        status = session.payment_status === 'paid' ? 'paid' : null; // Delayed payment methods report later
+      } else if (event.type === 'checkout.session.async_payment_succeeded') {
+        status = 'paid';
+      } else if (event.type === 'checkout.session.async_payment_failed') {
+        status = 'failed';
+      } else if (event.type === 'checkout.session.expired') {
+        status = 'expired';
+      }
+      if (!status || !reference) {
+        return null;
+      }
+      return { paymentId: session.id, reference, tenantId: session.metadata && session.metadata.tenant_id, status };
+    },
+  };
+}
+
+module.exports = { createStripePaymentProvider };
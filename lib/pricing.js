@@ -0,0 +1,154 @@
+// lib/pricing.js - Packages, add-ons and the price quote of a group booking
+//
+// Packages are priced per person. Add-ons are priced per person or at a flat price. A venue
+// may have a minimum spend: when the package and add-ons come to less, the difference is added
+// as a top-up. VAT is charged on top of everything.
+//
+// Group bookings and large tables can be asked for a deposit to hold the booking: a share of
+// the quoted total, or an amount per guest when there is no quote.
+
+/**
+ * @typedef {object} Offer
+ * A package or add-on as read from the "Packages" or "Add_Ons" table.
+ * @property {string} id - Record id.
+ * @property {string} name - package_name / addon_name.
+ * @property {string} description - Short description read out to the guest.
+ * @property {number} price - Price per person for packages; per person or flat for add-ons.
+ * @property {boolean} perPerson - True if the price is per guest.
+ * @property {Array<string>} venueIds - Venues it is offered at; all venues if empty.
+ * @property {number} [minGuests] - Smallest party it is offered to.
+ * @property {number} [maxGuests] - Largest party it is offered to.
+ */
+
+/**
+ * @param {Offer} offer - A package or add-on.
+ * @param {string} venueId - Record id of the chosen venue.
+ * @param {number} guestCount - The number of guests.
+ * @returns {boolean} - True if the offer can be booked for this venue and party size.
+ */
+function isOfferedFor(offer, venueId, guestCount) {
+  if (offer.venueIds.length > 0 && !offer.venueIds.includes(venueId)) {
+    return false;
+  }
+  if (offer.minGuests && guestCount < offer.minGuests) {
+    return false;
+  }
+  return !offer.maxGuests || guestCount <= offer.maxGuests;
+}
+
+/**
+ * @param {number} amount - An amount of money.
+ * @returns {number} - The amount rounded to 2 decimals.
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * @param {number} amount - An amount of money.
+ * @param {string} currency - Currency code, e.g. "AED".
+ * @returns {string} - e.g. "AED 1,250.00".
+ */
+function formatMoney(amount, currency) {
+  return `${currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * @param {Offer} offer - A package or add-on.
+ * @param {string} currency - Currency code.
+ * @returns {string} - e.g. "AED 250.00 per person".
+ */
+function formatOfferPrice(offer, currency) {
+  return `${formatMoney(offer.price, currency)}${offer.perPerson ? ' per person' : ''}`;
+}
+
+/**
+ * Works out the price of a group booking.
+ * @param {object} options
+ * @param {number} options.guestCount - The number of guests.
+ * @param {Offer} [options.pkg] - The chosen package.
+ * @param {Array<Offer>} [options.addOns=[]] - The chosen add-ons.
+ * @param {number} [options.minimumSpend=0] - The venue's minimum spend before VAT.
+ * @param {number} options.vatRate - VAT in percent, e.g. 5.
+ * @param {string} options.currency - Currency code.
+ * @returns {object} - { currency, lines, itemsTotal, minimumSpend, minimumSpendTopUp, subtotal, vatRate, vat, grandTotal };
+ *   each line is { kind: 'package'|'addon', id, name, quantity, unitPrice, amount }.
+ */
+function buildQuote({ guestCount, pkg, addOns = [], minimumSpend = 0, vatRate, currency }) {
+  const toLine = (kind, offer) => {
+    const quantity = offer.perPerson ? guestCount : 1;
+    return { kind, id: offer.id, name: offer.name, quantity, unitPrice: offer.price, amount: roundMoney(offer.price * quantity) };
+  };
+  const lines = [
+    ...(pkg ? [toLine('package', pkg)] : []),
+    ...addOns.map((addOn) => toLine('addon', addOn)),
+  ];
+  const itemsTotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const minimumSpendTopUp = roundMoney(Math.max(0, minimumSpend - itemsTotal));
+  const subtotal = roundMoney(itemsTotal + minimumSpendTopUp);
+  const vat = roundMoney(subtotal * vatRate / 100);
+  return {
+    currency,
+    lines,
+    itemsTotal,
+    minimumSpend,
+    minimumSpendTopUp,
+    subtotal,
+    vatRate,
+    vat,
+    grandTotal: roundMoney(subtotal + vat),
+  };
+}
+
+/**
+ * Writes out a quote for the booking summary.
+ * @param {object} quote - As returned by buildQuote.
+ * @returns {string} - One line per item, the minimum spend top-up, VAT and the grand total.
+ */
+function describeQuote(quote) {
+  const money = (amount) => formatMoney(amount, quote.currency);
+  const lines = quote.lines.map((line) => (line.quantity > 1
+    ? `${line.name}: ${line.quantity} x ${money(line.unitPrice)} = ${money(line.amount)}`
+    : `${line.name}: ${money(line.amount)}`));
+  if (quote.minimumSpendTopUp > 0) {
+    lines.push(`Minimum spend top-up (minimum spend ${money(quote.minimumSpend)}): ${money(quote.minimumSpendTopUp)}`);
+  }
+  lines.push(`VAT (${quote.vatRate}%): ${money(quote.vat)}`);
+  lines.push(`Grand total: ${money(quote.grandTotal)}`);
+  return lines.join('\n');
+}
+
+/**
+ * @typedef {object} DepositRules
+ * A tenant's "deposit" settings.
+ * @property {number} percent - Share of the quoted total of a group booking, in percent.
+ * @property {number} perGuest - Amount per guest for bookings without a quote.
+ * @property {number} minTableGuests - Tables of this many guests or more pay a deposit; 0 for none.
+ * @property {number} holdMinutes - How long an unpaid booking is held.
+ */
+
+/**
+ * Works out the deposit a booking needs to be held.
+ * @param {object} booking - The booking draft ({ type, guestCount, quote }).
+ * @param {DepositRules} rules - The tenant's deposit settings.
+ * @returns {number} - The deposit, 0 if none is needed.
+ */
+function calculateDeposit({ type, guestCount, quote }, rules) {
+  const needsDeposit = type === 'group' || (rules.minTableGuests > 0 && guestCount >= rules.minTableGuests);
+  if (!needsDeposit) {
+    return 0;
+  }
+  if (quote && quote.grandTotal > 0) {
+    return roundMoney(quote.grandTotal * (rules.percent || 0) / 100);
+  }
+  return roundMoney((rules.perGuest || 0) * guestCount);
+}
+
+module.exports = {
+  isOfferedFor,
+  formatMoney,
+  formatOfferPrice,
+  buildQuote,
+  describeQuote,
+  calculateDeposit,
+};
@@ -0,0 +1,163 @@
+// lib/sessionStore.js - Server-side conversation sessions, kept independently of Dialogflow contexts
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} SessionRecord
+ * @property {string} id - Dialogflow session id (the caller's number for phone calls).
+ * @property {string} state - Step of the booking flow, see intents/bookingFlow.js.
+ * @property {object} booking - The booking draft (booking-flow parameters).
+ * @property {string} updatedAt - ISO time of the last change.
+ * @property {string} expiresAt - ISO time after which the session is forgotten.
+ */
+
+/**
+ * Keeps sessions in memory. Sessions expire ttlMinutes after their last change, or
+ * finishedTtlMinutes once the booking is done.
+ */
+class MemorySessionStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlMinutes=1440] - Lifetime of an unfinished booking.
+   * @param {number} [options.finishedTtlMinutes=30] - Lifetime of a session whose booking is done.
+   */
+  constructor({ ttlMinutes = 1440, finishedTtlMinutes = 30 } = {}) {
+    this.ttlMinutes = ttlMinutes;
+    this.finishedTtlMinutes = finishedTtlMinutes;
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {string} id - Session id.
+   * @returns {SessionRecord|null} - The session, or null if there is none or it expired.
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+      this.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Stores a session and restarts its TTL.
+   * @param {string} id - Session id.
+   * @param {{ state: string, booking: object }} data - The booking step and draft.
+   * @returns {SessionRecord} - The stored session.
+   */
+  set(id, { state, booking }) {
+    const now = Date.now();
+    const ttlMinutes = state === 'done' ? this.finishedTtlMinutes : this.ttlMinutes;
+    const session = {
+      id,
+      state,
+      booking,
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMinutes * 60 * 1000).toISOString(),
+    };
+    this.sessions.set(id, session);
+    this.prune();
+    return session;
+  }
+
+  /**
+   * @param {string} id - Session id.
+   */
+  delete(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Drops expired sessions.
+   */
+  prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (Date.parse(session.expiresAt) <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Keeps sessions in memory and in a JSON file, so half-finished bookings survive a restart.
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} file - Path of the JSON file.
+   * @param {object} [options] - TTLs, as for MemorySessionStore.
+   */
+  constructor(file, options) {
+    super(options);
+    this.file = file;
+    try {
+      for (const session of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+        this.sessions.set(session.id, session);
+      }
+      super.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error("❌ Error reading session store file:", error.message);
+      }
+    }
+  }
+
+  set(id, data) {
+    const session = super.set(id, data);
+    this.save();
+    return session;
+  }
+
+  delete(id) {
+    if (this.sessions.has(id)) {
+      super.delete(id);
+      this.save();
+    }
+  }
+
+  /**
+   * Writes the sessions to disk atomically (write to a temp file, then rename).
+   * Errors are logged: the in-memory sessions keep working.
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify([...this.sessions.values()], null, 2));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error("❌ Error writing session store file:", error.message);
+    }
+  }
+}
+
+/**
+ * Creates the session store selected by the SESSION_STORE setting.
+ * @param {object} options
+ * @param {string} [options.backend='memory'] - 'memory' or 'file'.
+ * @param {string} [options.file] - JSON file for the 'file' backend.
+ * @param {number} [options.ttlMinutes] - Lifetime of an unfinished booking.
+ * @param {number} [options.finishedTtlMinutes] - Lifetime of a session whose booking is done.
+ * @returns {MemorySessionStore} - The store.
+ */
+function createSessionStore({ backend = 'memory', file, ...ttls }) {
+  if (backend === 'file') {
+    return new FileSessionStore(file, ttls);
+  }
+  if (backend !== 'memory') {
+    console.warn(`⚠️ Unknown SESSION_STORE "${backend}". Keeping sessions in memory.`);
+  }
+  return new MemorySessionStore(ttls);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
@@ -0,0 +1,232 @@
+// lib/storage/airtable.js - Venues, closures, bookings, packages and add-ons kept in Airtable (the production backend)
+
+const axios = require("axios");
+
+/**
+ * Escapes a value for use inside a single-quoted Airtable formula string.
+ * @param {string} value - The raw value.
+ * @returns {string} - The escaped value.
+ */
+function escapeFormulaValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Builds the filterByFormula for a booking query (see BookingQuery in ./index.js).
+ * @param {object} query - The booking query.
+ * @returns {string|undefined} - The formula, or undefined to list all bookings.
+ */
+function buildBookingFormula({ statuses, localDates, reference, recordId, email, phoneDigits }) {
+  const conditions = [];
+  if (statuses) {
+    conditions.push(`OR(${statuses.map((s) => `{Status}='${escapeFormulaValue(s)}'`).join(',')})`);
+  }
+  if (localDates) {
+    conditions.push(`OR(${localDates.map((d) => `LEFT({event_date_time_local},10)='${escapeFormulaValue(d)}'`).join(',')})`);
+  }
+  if (reference) {
+    conditions.push(`{booking_ref}='${escapeFormulaValue(reference)}'`);
+  }
+  if (recordId) {
+    conditions.push(`RECORD_ID()='${escapeFormulaValue(recordId)}'`);
+  }
+  // Compare the last 9 digits so bookings stored before numbers were normalized still match
+  const contactFilters = [];
+  if (email) {
+    contactFilters.push(`LOWER({email})='${escapeFormulaValue(email)}'`);
+  }
+  if (phoneDigits) {
+    contactFilters.push(`RIGHT(REGEX_REPLACE({phone_no},'[^0-9]',''),9)='${escapeFormulaValue(phoneDigits)}'`);
+  }
+  if (contactFilters.length > 0) {
+    conditions.push(`OR(${contactFilters.join(',')})`);
+  }
+  if (conditions.length === 0) {
+    return undefined;
+  }
+  return conditions.length === 1 ? conditions[0] : `AND(${conditions.join(',')})`;
+}
+
+// Airtable creates or deletes at most this many records per request
+const MAX_RECORDS_PER_CREATE = 10;
+
+// Airtable answers 429 above 5 requests per second per base. A read that hits the limit is retried after
+// 250 ms, 500 ms, 1 s... (or its Retry-After), but only while the whole list() waits at most
+// RATE_LIMIT_MAX_WAIT_MS: conversation turns must answer within Dialogflow's 5 second webhook timeout,
+// and the venue cache serves its last good copy when a read fails. Writes run from the outbox, which
+// retries them itself.
+const RATE_LIMIT_BASE_DELAY_MS = 250;
+const RATE_LIMIT_MAX_WAIT_MS = 1500;
+
+/**
+ * Runs an Airtable request, retrying with exponential backoff while Airtable answers 429.
+ * @param {Function} request - Makes the request and returns its axios promise.
+ * @param {number} deadline - Time (ms since epoch) after which no retry may still be waiting.
+ * @returns {Promise<object>} - The axios response.
+ * @throws {Error} - The request's error if it isn't a 429, or the 429 once waiting again would pass the deadline.
+ */
+async function withRateLimitRetry(request, deadline) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!error.response || error.response.status !== 429) {
+        throw error;
+      }
+      const retryAfterSeconds = parseFloat(error.response.headers && error.response.headers['retry-after']);
+      const delayMs = retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : RATE_LIMIT_BASE_DELAY_MS * 2 ** attempt;
+      if (Date.now() + delayMs > deadline) {
+        console.warn(`⚠️ Airtable rate limit reached. Not retrying: the next try would be in ${delayMs / 1000}s.`);
+        throw error;
+      }
+      console.warn(`⚠️ Airtable rate limit reached. Retrying in ${delayMs / 1000}s.`);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Reads and writes the "Venues", "Venue_Closures", "Bookings", "Packages", "Add_Ons" and
+ * "Booking_Addons" tables through the Airtable REST API.
+ */
+class AirtableStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.baseId - BASE_ID.
+   * @param {string} options.token - AIRTABLE_TOKEN.
+   * @param {string} options.venuesTableId - AIRTABLE_VENUES_TABLE_ID.
+   * @param {string} options.bookingsTableId - AIRTABLE_BOOKINGS_TABLE_ID.
+   * @param {string} [options.closuresTableId] - AIRTABLE_CLOSURES_TABLE_ID (optional table).
+   * @param {string} [options.packagesTableId] - AIRTABLE_PACKAGES_TABLE_ID (optional table).
+   * @param {string} [options.addOnsTableId] - AIRTABLE_ADDONS_TABLE_ID (optional table).
+   * @param {string} [options.bookingAddonsTableId] - AIRTABLE_BOOKING_ADDONS_TABLE_ID (optional table).
+   */
+  constructor({ baseId, token, venuesTableId, bookingsTableId, closuresTableId, packagesTableId, addOnsTableId, bookingAddonsTableId }) {
+    this.name = 'airtable';
+    this.baseId = baseId;
+    this.token = token;
+    this.venuesTableId = venuesTableId;
+    this.bookingsTableId = bookingsTableId;
+    this.closuresTableId = closuresTableId;
+    this.packagesTableId = packagesTableId;
+    this.addOnsTableId = addOnsTableId;
+    this.bookingAddonsTableId = bookingAddonsTableId;
+  }
+
+  tableUrl(tableId) {
+    return `https://api.airtable.com/v0/${this.baseId}/${tableId}`;
+  }
+
+  /**
+   * Fetches all records of a table matching a formula, following the pagination offset.
+   * Pages that hit the rate limit are fetched again, for at most RATE_LIMIT_MAX_WAIT_MS (see withRateLimitRetry).
+   * @param {string} tableId - The table.
+   * @param {object} [params] - filterByFormula, maxRecords.
+   * @returns {Promise<Array<object>>} - The records.
+   */
+  async list(tableId, params = {}) {
+    const records = [];
+    const retryDeadline = Date.now() + RATE_LIMIT_MAX_WAIT_MS;
+    let offset;
+    do {
+      const resp = await withRateLimitRetry(() => axios.get(this.tableUrl(tableId), {
+        headers: { Authorization: `Bearer ${this.token}` },
+        params: { ...params, offset },
+      }), retryDeadline);
+      records.push(...resp.data.records);
+      offset = resp.data.offset;
+    } while (offset);
+    return records;
+  }
+
+  async listVenues() {
+    return this.list(this.venuesTableId, { pageSize: 100 });
+  }
+
+  async listClosures({ fromDate }) {
+    if (!this.closuresTableId) {
+      return [];
+    }
+    return this.list(this.closuresTableId, { filterByFormula: `NOT(IS_BEFORE({end_date},'${escapeFormulaValue(fromDate)}'))` });
+  }
+
+  async listBookings(query = {}) {
+    const params = {};
+    const formula = buildBookingFormula(query);
+    if (formula) params.filterByFormula = formula;
+    if (query.maxRecords) params.maxRecords = query.maxRecords;
+    return this.list(this.bookingsTableId, params);
+  }
+
+  async createBooking(fields) {
+    const cfg = {
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    const response = await axios.post(this.tableUrl(this.bookingsTableId), { records: [{ fields }] }, cfg);
+    return response.data.records[0];
+  }
+
+  async updateBooking(recordId, fields) {
+    const cfg = {
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    const response = await axios.patch(`${this.tableUrl(this.bookingsTableId)}/${recordId}`, { fields }, cfg);
+    return response.data;
+  }
+
+  async listPackages() {
+    return this.packagesTableId ? this.list(this.packagesTableId, { pageSize: 100 }) : [];
+  }
+
+  async listAddOns() {
+    return this.addOnsTableId ? this.list(this.addOnsTableId, { pageSize: 100 }) : [];
+  }
+
+  async listBookingAddons({ reference }) {
+    if (!this.bookingAddonsTableId) {
+      return [];
+    }
+    return this.list(this.bookingAddonsTableId, { filterByFormula: `{booking_ref}='${escapeFormulaValue(reference)}'` });
+  }
+
+  async createBookingAddons(fieldsList) {
+    if (!this.bookingAddonsTableId) {
+      console.warn("⚠️ AIRTABLE_BOOKING_ADDONS_TABLE_ID is not set. Skipping Booking_Addons records.");
+      return [];
+    }
+    const cfg = {
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    const records = [];
+    for (let i = 0; i < fieldsList.length; i += MAX_RECORDS_PER_CREATE) {
+      const batch = fieldsList.slice(i, i + MAX_RECORDS_PER_CREATE).map((fields) => ({ fields }));
+      const response = await axios.post(this.tableUrl(this.bookingAddonsTableId), { records: batch }, cfg);
+      records.push(...response.data.records);
+    }
+    return records;
+  }
+
+  async deleteBookingAddons(recordIds) {
+    if (!this.bookingAddonsTableId) {
+      return;
+    }
+    for (let i = 0; i < recordIds.length; i += MAX_RECORDS_PER_CREATE) {
+      await axios.delete(this.tableUrl(this.bookingAddonsTableId), {
+        headers: { Authorization: `Bearer ${this.token}` },
+        params: { records: recordIds.slice(i, i + MAX_RECORDS_PER_CREATE) },
+        paramsSerializer: { indexes: false }, // records[]=rec...&records[]=rec...
+      });
+    }
+  }
+}
+
+module.exports = { AirtableStorage, escapeFormulaValue };
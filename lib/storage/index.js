@@ -0,0 +1,55 @@
+// lib/storage/index.js - Where venues, closures, bookings, packages and add-ons are kept
+//
+// Every backend works with Airtable-style records ({ id, createdTime, fields }) using the
+// field names of the Airtable tables, so the rest of the app doesn't depend on the backend.
+//
+// Backend interface:
+//   listVenues()                    -> all "Venues" records
+//   listClosures({ fromDate })      -> "Venue_Closures" records ending on or after fromDate (YYYY-MM-DD)
+//   listBookings(query)             -> "Bookings" records matching a BookingQuery
+//   createBooking(fields)           -> the new record
+//   updateBooking(recordId, fields) -> the updated record
+//   listPackages()                  -> all "Packages" records
+//   listAddOns()                    -> all "Add_Ons" records
+//   listBookingAddons({ reference }) -> "Booking_Addons" records of a booking reference
+//   createBookingAddons(fieldsList) -> the new "Booking_Addons" records
+//   deleteBookingAddons(recordIds)  -> removes "Booking_Addons" records (when a booking is re-priced)
+
+const { AirtableStorage } = require('./airtable');
+const { JsonFileStorage } = require('./jsonFile');
+
+/**
+ * @typedef {object} BookingQuery
+ * All given conditions must match.
+ * @property {Array<string>} [statuses] - One of these statuses.
+ * @property {Array<string>} [localDates] - Event on one of these Dubai dates (YYYY-MM-DD).
+ * @property {string} [reference] - This booking reference.
+ * @property {string} [recordId] - This record id.
+ * @property {string} [email] - This email address (lower case), or...
+ * @property {string} [phoneDigits] - ...a phone number ending in these 9 digits.
+ * @property {number} [maxRecords] - Return at most this many records.
+ */
+
+/**
+ * Creates the storage backend selected by the STORAGE_BACKEND setting.
+ * @param {object} options
+ * @param {string} [options.backend='airtable'] - 'airtable' or 'json'.
+ * @param {string} [options.file] - JSON file for the 'json' backend.
+ * @param {object} [options.airtable] - Options for AirtableStorage.
+ * @returns {AirtableStorage|JsonFileStorage} - The backend.
+ */
+function createStorage({ backend = 'airtable', file, airtable }) {
+  if (backend === 'json') {
+    return new JsonFileStorage(file);
+  }
+  if (backend !== 'airtable') {
+    console.warn(`⚠️ Unknown STORAGE_BACKEND "${backend}". Using Airtable.`);
+  }
+  return new AirtableStorage(airtable);
+}
+
+module.exports = {
+  AirtableStorage,
+  JsonFileStorage,
+  createStorage,
+};
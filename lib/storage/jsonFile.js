@@ -0,0 +1,137 @@
+// lib/storage/jsonFile.js - Venues, closures, bookings, packages and add-ons kept in a local JSON file
+//
+// For running the bot without Airtable (locally, or against a fixture dataset). The file has
+// the same records as the Airtable tables:
+//   { "venues": [{ "id", "fields": {...} }], "closures": [...], "bookings": [...],
+//     "packages": [...], "addons": [...], "booking_addons": [...] }
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @param {string} value - A phone number in any format.
+ * @returns {string} - Its last 9 digits.
+ */
+function lastPhoneDigits(value) {
+  return String(value || '').replace(/\D/g, '').slice(-9);
+}
+
+/**
+ * Checks a booking record against a booking query (see BookingQuery in ./index.js),
+ * matching what the Airtable formula does.
+ * @param {object} record - The booking record.
+ * @param {object} query - The booking query.
+ * @returns {boolean} - True if the record matches.
+ */
+function matchesBookingQuery(record, { statuses, localDates, reference, recordId, email, phoneDigits }) {
+  const f = record.fields;
+  if (statuses && !statuses.includes(f.Status)) return false;
+  if (localDates && !localDates.includes(String(f.event_date_time_local || '').slice(0, 10))) return false;
+  if (reference && f.booking_ref !== reference) return false;
+  if (recordId && record.id !== recordId) return false;
+  if (email || phoneDigits) {
+    const emailMatches = email && String(f.email || '').toLowerCase() === email;
+    const phoneMatches = phoneDigits && lastPhoneDigits(f.phone_no) === phoneDigits;
+    if (!emailMatches && !phoneMatches) return false;
+  }
+  return true;
+}
+
+/**
+ * Keeps the tables in a JSON file. The file is read once and rewritten atomically on every change.
+ */
+class JsonFileStorage {
+  /**
+   * @param {string} file - Path of the JSON file; created on the first booking if missing.
+   */
+  constructor(file) {
+    this.name = 'json';
+    this.file = file;
+    this.data = { venues: [], closures: [], bookings: [], packages: [], addons: [], booking_addons: [] };
+    try {
+      Object.assign(this.data, JSON.parse(fs.readFileSync(file, 'utf8')));
+      console.log(`DEBUG: Loaded ${this.data.venues.length} venues and ${this.data.bookings.length} bookings from ${file}.`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error("❌ Error reading storage file:", error.message);
+      } else {
+        console.warn(`⚠️ Storage file ${file} does not exist yet. Starting without venues.`);
+      }
+    }
+  }
+
+  async listVenues() {
+    return this.data.venues;
+  }
+
+  async listClosures({ fromDate }) {
+    return this.data.closures.filter((r) => !r.fields.end_date || r.fields.end_date >= fromDate);
+  }
+
+  async listBookings(query = {}) {
+    const records = this.data.bookings.filter((r) => matchesBookingQuery(r, query));
+    return query.maxRecords ? records.slice(0, query.maxRecords) : records;
+  }
+
+  async createBooking(fields) {
+    const record = {
+      id: `rec${crypto.randomBytes(7).toString('hex')}`,
+      createdTime: new Date().toISOString(),
+      fields: Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)),
+    };
+    this.data.bookings.push(record);
+    this.save();
+    return record;
+  }
+
+  async updateBooking(recordId, fields) {
+    const record = this.data.bookings.find((r) => r.id === recordId);
+    if (!record) {
+      throw new Error(`Booking ${recordId} not found.`);
+    }
+    Object.assign(record.fields, fields);
+    this.save();
+    return record;
+  }
+
+  async listPackages() {
+    return this.data.packages;
+  }
+
+  async listAddOns() {
+    return this.data.addons;
+  }
+
+  async listBookingAddons({ reference }) {
+    return this.data.booking_addons.filter((r) => r.fields.booking_ref === reference);
+  }
+
+  async createBookingAddons(fieldsList) {
+    const records = fieldsList.map((fields) => ({
+      id: `rec${crypto.randomBytes(7).toString('hex')}`,
+      createdTime: new Date().toISOString(),
+      fields,
+    }));
+    this.data.booking_addons.push(...records);
+    this.save();
+    return records;
+  }
+
+  async deleteBookingAddons(recordIds) {
+    this.data.booking_addons = this.data.booking_addons.filter((r) => !recordIds.includes(r.id));
+    this.save();
+  }
+
+  /**
+   * Writes the tables to disk atomically (write to a temp file, then rename).
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+module.exports = { JsonFileStorage };
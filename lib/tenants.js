@@ -0,0 +1,160 @@
+// lib/tenants.js - Properties (tenants) served by one deployment
+//
+// Each tenant has its own storage (Airtable base or JSON file), timezone, booking rules,
+// email branding, package PDF and manager contacts. A request is matched to its tenant by the
+// Dialogflow project in the webhook's session path or by the Twilio number that was called.
+// Everything that runs for the request (including the outbox jobs it queues) then sees that
+// tenant through currentTenant(), so the booking code doesn't pass it around.
+//
+// Without a TENANTS_FILE the deployment serves a single tenant configured by the environment variables.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+const tenantContext = new AsyncLocalStorage();
+let tenants = [];
+
+/**
+ * @typedef {object} Tenant
+ * @property {string} id - Short id, e.g. "marina". Recorded on outbox jobs.
+ * @property {string} name - Property name, for logs and the admin endpoints.
+ * @property {string} [dialogflowProjectId] - Dialogflow agent of the property.
+ * @property {Array<string>} twilioNumbers - Twilio numbers guests call or text (E.164).
+ * @property {string} [smsFrom] - Number SMS are sent from; the first twilioNumbers entry by default.
+ * @property {string} timezone - IANA timezone of the property, e.g. "Asia/Dubai".
+ * @property {import('./bookingRules').BookingRules} rules - Party size limits and group threshold.
+ * @property {object} storage - { backend: 'airtable'|'json', file }.
+ * @property {object} airtable - { baseId, token, venuesTableId, bookingsTableId, closuresTableId,
+ *   packagesTableId, addOnsTableId, bookingAddonsTableId }.
+ * @property {object} pricing - { currency, vatRate } for the price quotes of group bookings (see lib/pricing.js).
+ * @property {import('./pricing').DepositRules} deposit - Deposits asked of group bookings and large tables.
+ * @property {object} email - { from, senderName, templatesDir }.
+ * @property {string} [pdfUrl] - Event packages PDF sent to group leads.
+ * @property {string} [managerEmail] - Used when a venue has no manager_email.
+ * @property {string} [managerPhone] - Used when a venue has no manager_phone.
+ * @property {string} [feedbackUrl] - Link in the thank-you email.
+ */
+
+/**
+ * Builds a tenant from an entry of the tenants file. Settings the entry leaves out are taken
+ * from the defaults, except the ones that identify a property: its Dialogflow project, phone
+ * numbers and JSON storage file.
+ * @param {object} entry - The tenants file entry.
+ * @param {Tenant} defaults - The tenant configured by the environment variables.
+ * @returns {Tenant} - The tenant.
+ */
+function buildTenant(entry, defaults) {
+  const twilioNumbers = entry.twilioNumbers || [];
+  return {
+    ...defaults,
+    ...entry,
+    name: entry.name || entry.id,
+    dialogflowProjectId: entry.dialogflowProjectId,
+    twilioNumbers,
+    smsFrom: entry.smsFrom || twilioNumbers[0] || defaults.smsFrom,
+    storage: { backend: defaults.storage.backend, ...entry.storage },
+    rules: { ...defaults.rules, ...entry.rules },
+    airtable: { ...defaults.airtable, ...entry.airtable },
+    pricing: { ...defaults.pricing, ...entry.pricing },
+    deposit: { ...defaults.deposit, ...entry.deposit },
+    email: { ...defaults.email, ...entry.email },
+  };
+}
+
+/**
+ * Loads the tenants from the tenants file (a JSON array of tenant settings, see fixtures/tenants.json).
+ * @param {string} [file] - TENANTS_FILE; without it the deployment has the single default tenant.
+ * @param {Tenant} defaults - The tenant configured by the environment variables.
+ * @returns {Array<Tenant>} - The tenants; the first one is used when a request matches none.
+ */
+function loadTenants(file, defaults) {
+  let entries = [];
+  if (file) {
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error("❌ Error reading tenants file:", error.message);
+    }
+  }
+  const valid = (Array.isArray(entries) ? entries : []).filter((entry) => {
+    if (!entry || !entry.id) {
+      console.warn("⚠️ Tenant without an id in the tenants file. Ignoring it.");
+      return false;
+    }
+    return true;
+  });
+  tenants = valid.length > 0 ? valid.map((entry) => buildTenant(entry, defaults)) : [defaults];
+  console.log(`DEBUG: Serving ${tenants.length} tenant(s): ${tenants.map((t) => t.id).join(', ')}.`);
+  return tenants;
+}
+
+/**
+ * @returns {Array<Tenant>} - All tenants.
+ */
+function listTenants() {
+  return tenants;
+}
+
+/**
+ * @param {string} id - A tenant id.
+ * @returns {Tenant|undefined} - The tenant.
+ */
+function getTenant(id) {
+  return tenants.find((t) => t.id === id);
+}
+
+/**
+ * Finds the tenant a request is for.
+ * @param {object} request
+ * @param {string} [request.sessionPath] - Dialogflow session, "projects/<project>/agent/sessions/<id>".
+ * @param {string} [request.phoneNumber] - The Twilio number that was called or texted ("To").
+ * @returns {Tenant} - The matching tenant, or the first one.
+ */
+function findTenant({ sessionPath, phoneNumber }) {
+  const project = (String(sessionPath || '').match(/^projects\/([^/]+)\//) || [])[1];
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  const tenant = tenants.find((t) => project && t.dialogflowProjectId === project)
+    || tenants.find((t) => digits && t.twilioNumbers.some((number) => String(number).replace(/\D/g, '') === digits));
+  if (!tenant && tenants.length > 1) {
+    console.warn(`⚠️ No tenant for project "${project || ''}" / number "${phoneNumber || ''}". Using ${tenants[0].id}.`);
+  }
+  return tenant || tenants[0];
+}
+
+/**
+ * Runs a function for a tenant: currentTenant() returns it in everything the function starts.
+ * @param {Tenant} tenant - The tenant.
+ * @param {Function} fn - The function.
+ * @returns {*} - What the function returns.
+ */
+function runWithTenant(tenant, fn) {
+  return tenantContext.run(tenant, fn);
+}
+
+/**
+ * @returns {Tenant} - The tenant of the current request or job, the first tenant outside of one.
+ */
+function currentTenant() {
+  return tenantContext.getStore() || tenants[0];
+}
+
+/**
+ * @returns {string} - The timezone of the current tenant.
+ */
+function currentTimezone() {
+  const tenant = currentTenant();
+  return (tenant && tenant.timezone) || DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  loadTenants,
+  listTenants,
+  getTenant,
+  findTenant,
+  runWithTenant,
+  currentTenant,
+  currentTimezone,
+};
@@ -0,0 +1,48 @@
+// lib/time.js - Date/time helpers in the property's timezone
+// (Asia/Dubai unless the tenant has another one, see lib/tenants.js)
+
+const moment = require("moment-timezone");
+const { currentTimezone } = require("./tenants");
+
+// 🔹 Format UTC time into local (Dubai) time
+/**
+ * Formats a UTC ISO string into the property's local date and time.
+ * @param {string} utcIso - The UTC ISO date string.
+ * @param {string} [language='en'] - Language code for date and time (e.g. 'ar' gives "الثلاثاء، 8 يناير").
+ * @param {string} [timezone] - IANA timezone; the current tenant's by default.
+ * @returns {object} - An object with formatted local date and time.
+ */
+function formatDubai(utcIso, language = 'en', timezone = currentTimezone()) {
+  const m = moment.utc(utcIso).tz(timezone);
+  if (language !== 'en') {
+    const when = m.toDate();
+    return {
+      date: new Intl.DateTimeFormat(language, { timeZone: timezone, weekday: "long", day: "numeric", month: "long" }).format(when),
+      time: new Intl.DateTimeFormat(language, { timeZone: timezone, hour: "numeric", minute: "2-digit" }).format(when),
+      local_datetime: m.format("YYYY-MM-DD HH:mm:ss")
+    };
+  }
+  return {
+    date: m.format("dddd, D MMMM"), // e.g., "Wednesday, 2 July"
+    time: m.format("h:mm A"), // e.g., "9:30 PM"
+    local_datetime: m.format("YYYY-MM-DD HH:mm:ss") // e.g., "2025-07-05 19:00:00"
+  };
+}
+
+// 🔹 Convert booking date/time to UTC from local (Dubai) time
+/**
+ * Builds a UTC ISO string from a local date and time.
+ * @param {string} date - The date string (YYYY-MM-DD).
+ * @param {string} time - The time string (e.g., "7:00 PM", "19:00").
+ * @param {string} [timezone] - IANA timezone; the current tenant's by default.
+ * @returns {string} - The UTC ISO date string.
+ */
+function buildDubaiUTC(date, time, timezone = currentTimezone()) {
+  // Handles both 12-hour (h:mm A) and 24-hour (HH:mm) formats
+  return moment.tz(`${date} ${time}`, ["YYYY-MM-DD h:mm A", "YYYY-MM-DD HH:mm"], timezone).toISOString();
+}
+
+module.exports = {
+  formatDubai,
+  buildDubaiUTC,
+};
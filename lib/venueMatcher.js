@@ -0,0 +1,147 @@
+// lib/venueMatcher.js - Finds the venue a guest means from what they typed or said
+//
+// Guests rarely say the exact space_name: "the rooftop", "roof top terrace" or a
+// speech-to-text misspelling like "rufftop" should still find "Rooftop Terrace". Each
+// venue's name and aliases are compared word by word (allowing small typos) and as a whole
+// (edit distance). When two venues score about the same, both are returned so the bot can
+// ask which one the guest means.
+
+// Words that don't help to tell venues apart
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'at', 'in', 'on', 'of', 'venue', 'please', 'one', 'i', 'want', 'would', 'like', 'to', 'book', 'take', 'go', 'with', 'for', 'us']);
+// Best score needed to accept a venue
+const MATCH_THRESHOLD = 0.75;
+// Venues scoring this close to the best one are ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+
+const ORDINAL_WORDS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+/**
+ * @param {string} text - Any text.
+ * @returns {Array<string>} - Its lower-case words without punctuation and filler words.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !FILLER_WORDS.has(word));
+}
+
+/**
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} - The Levenshtein distance.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} - 1 for equal strings down to 0 for completely different ones.
+ */
+function stringSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Scores how well what the guest said matches one venue name or alias.
+ * @param {Array<string>} queryWords - Words of what the guest said.
+ * @param {string} candidate - A venue name or alias.
+ * @returns {number} - 0 to 1.
+ */
+function scoreName(queryWords, candidate) {
+  const nameWords = tokenize(candidate);
+  if (queryWords.length === 0 || nameWords.length === 0) {
+    return 0;
+  }
+  // Whole-string comparison without spaces, so "roof top" matches "rooftop"
+  const whole = stringSimilarity(queryWords.join(''), nameWords.join(''));
+  // Word overlap, counting longer words with a small typo as matching ("room" and "roof" are different words)
+  const wordMatches = (word, others) => others.some((other) => other === word
+    || (word.length >= 5 && other.length >= 5 && stringSimilarity(word, other) >= 0.7));
+  // Split words ("roof top") are also tried joined
+  const pairs = queryWords.slice(1).map((word, i) => queryWords[i] + word);
+  const matchedPairs = pairs.map((pair) => wordMatches(pair, nameWords));
+  const matchedNameWords = nameWords.filter((word) => wordMatches(word, [...queryWords, ...pairs])).length;
+  const matchedQueryWords = queryWords
+    .filter((word, i) => wordMatches(word, nameWords) || matchedPairs[i - 1] || matchedPairs[i]).length;
+  // A guest naming part of a venue ("the terrace") is fine; extra unrelated words count against it
+  const overlap = (matchedNameWords / nameWords.length) * 0.5 + (matchedQueryWords / queryWords.length) * 0.5;
+  return Math.max(whole, overlap);
+}
+
+/**
+ * Finds the venue the guest means.
+ * @param {string} query - What the guest typed or said, e.g. "the roof top".
+ * @param {Array<object>} venues - Venues ({ name, aliases }) to choose from.
+ * @returns {{ venue: object|null, candidates: Array<object> }} - The venue if there is a clear
+ *   match; otherwise the venues it could be (empty if none is close).
+ */
+function matchVenue(query, venues) {
+  const queryWords = tokenize(query);
+  const scored = venues
+    .map((venue) => ({
+      venue,
+      score: Math.max(...[venue.name, ...(venue.aliases || [])].map((name) => scoreName(queryWords, name))),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = scored[0];
+  if (!best || best.score < MATCH_THRESHOLD - AMBIGUITY_MARGIN) {
+    return { venue: null, candidates: [] };
+  }
+  const close = scored.filter((s) => s.score >= best.score - AMBIGUITY_MARGIN);
+  if (best.score >= MATCH_THRESHOLD && (close.length === 1 || best.score === 1 && close[1].score < 1)) {
+    return { venue: best.venue, candidates: [] };
+  }
+  return { venue: null, candidates: close.map((s) => s.venue) };
+}
+
+/**
+ * Reads a position in a list the guest was given, e.g. "the second one", "number 2", "3rd" or "the last one".
+ * @param {string} text - What the guest said.
+ * @param {number} listLength - Number of options offered.
+ * @returns {number|null} - The 0-based index, or null if the text doesn't pick a position.
+ */
+function parseOrdinal(text, listLength) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+  let position = null;
+  if (words.some((word) => word === 'last' || word === 'final')) {
+    position = listLength;
+  } else if (words.some((word) => ORDINAL_WORDS.includes(word))) {
+    position = ORDINAL_WORDS.indexOf(words.find((word) => ORDINAL_WORDS.includes(word))) + 1; // "the second one"
+  } else if (words.some((word) => /^\d+(st|nd|rd|th)$/.test(word))) {
+    position = parseInt(words.find((word) => /^\d+(st|nd|rd|th)$/.test(word))); // "the 2nd"
+  } else {
+    // A bare number, optionally after "option"/"number": "2", "number two"
+    const rest = words.filter((word) => !['the', 'option', 'number', 'no', 'one'].includes(word) || words.length === 1);
+    if (rest.length === 1 && /^\d+$/.test(rest[0])) {
+      position = parseInt(rest[0]);
+    } else if (rest.length === 1 && NUMBER_WORDS.includes(rest[0])) {
+      position = NUMBER_WORDS.indexOf(rest[0]) + 1;
+    }
+  }
+  return position && position >= 1 && position <= listLength ? position - 1 : null;
+}
+
+module.exports = {
+  matchVenue,
+  parseOrdinal,
+};
@@ -0,0 +1,92 @@
+// lib/venueRepository.js - Cached access to the "Venues" table
+//
+// Venues rarely change, but every conversation turn needs them. The repository keeps the
+// whole table in memory for ttlSeconds, shares one storage request between concurrent
+// callers, and keeps serving the last good copy (stale-while-error) when Airtable is down
+// or rate limited.
+
+class VenueRepository {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - The storage backend, see lib/storage.
+   * @param {Function} options.mapRecord - Turns a "Venues" record into a venue object.
+   * @param {number} [options.ttlSeconds=300] - How long a loaded copy is used without asking the storage again.
+   * @param {number} [options.retrySeconds=30] - After a failed refresh, how long the stale copy is used before retrying.
+   */
+  constructor({ storage, mapRecord, ttlSeconds = 300, retrySeconds = 30 }) {
+    this.storage = storage;
+    this.mapRecord = mapRecord;
+    this.ttlSeconds = ttlSeconds;
+    this.retrySeconds = retrySeconds;
+    this.venues = null; // Last good copy
+    this.loadedAt = null;
+    this.nextRefreshAt = 0;
+    this.lastError = null;
+    this.loading = null; // Promise of the refresh in progress
+  }
+
+  /**
+   * Returns all venues, from the cache when it is fresh.
+   * @returns {Promise<Array<object>>} - The venues.
+   * @throws {Error} - If the storage can't be reached and nothing was loaded before.
+   */
+  async getAll() {
+    if (this.venues && Date.now() < this.nextRefreshAt) {
+      return this.venues;
+    }
+    if (!this.loading) {
+      this.loading = this.refresh().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Loads the whole table from the storage.
+   * @returns {Promise<Array<object>>} - The venues, or the stale copy if the request failed.
+   */
+  async refresh() {
+    try {
+      const records = await this.storage.listVenues();
+      this.venues = records.map(this.mapRecord);
+      this.loadedAt = new Date().toISOString();
+      this.nextRefreshAt = Date.now() + this.ttlSeconds * 1000;
+      this.lastError = null;
+      console.log(`DEBUG: Loaded ${this.venues.length} venues from ${this.storage.name}.`);
+      return this.venues;
+    } catch (error) {
+      this.lastError = error.response ? `${error.response.status} ${error.message}` : error.message;
+      if (!this.venues) {
+        throw error;
+      }
+      this.nextRefreshAt = Date.now() + this.retrySeconds * 1000;
+      console.warn(`⚠️ Could not refresh venues from ${this.storage.name} (${this.lastError}). Using the copy loaded at ${this.loadedAt}.`);
+      return this.venues;
+    }
+  }
+
+  /**
+   * Marks the cached venues as expired, so the next getAll() reloads them (e.g. after editing
+   * the table). The old copy is still used if that reload fails.
+   */
+  invalidate() {
+    this.nextRefreshAt = 0;
+    console.log("DEBUG: Venue cache invalidated.");
+  }
+
+  /**
+   * @returns {object} - Cache state for the admin endpoint.
+   */
+  status() {
+    return {
+      cached_venues: this.venues ? this.venues.length : 0,
+      loaded_at: this.loadedAt,
+      next_refresh_at: this.venues ? new Date(this.nextRefreshAt).toISOString() : null,
+      stale: Boolean(this.venues && this.lastError),
+      last_error: this.lastError,
+    };
+  }
+}
+
+module.exports = { VenueRepository };
@@ -0,0 +1,171 @@
+// test/availability.test.js - Which venues are offered for a date and time, end to end through /webhook
+// against a storage file seeded with existing bookings
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'availability-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const HEADER_SECRET = 'test-dialogflow-secret';
+
+/**
+ * @param {string} id - Record id.
+ * @param {string} venueId - Record id of the venue.
+ * @param {string} local - Local (Dubai) start, "YYYY-MM-DD HH:mm:ss".
+ * @param {string} status - Booking status.
+ * @param {number} guestCount - The number of guests.
+ * @returns {object} - A "Bookings" record.
+ */
+function bookingRecord(id, venueId, local, status, guestCount) {
+  const venueName = venueId === 'recVenueLounge01' ? 'The Lounge' : 'The Rooftop';
+  return {
+    id,
+    createdTime: '2030-01-01T00:00:00.000Z',
+    fields: { space_id: [venueId], space_name: venueName, event_date_time_local: local, Status: status, guest_count: guestCount },
+  };
+}
+
+const storage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), 'utf8'));
+storage.bookings = [
+  bookingRecord('recLoungeConfirmed', 'recVenueLounge01', '2030-03-05 19:00:00', 'Confirmed', 6),
+  bookingRecord('recLoungeCancelled', 'recVenueLounge01', '2030-03-06 19:00:00', 'Cancelled', 6),
+  bookingRecord('recLoungePending', 'recVenueLounge01', '2030-03-07 19:00:00', 'Pending Deposit', 6),
+  bookingRecord('recRooftopGroup', 'recVenueRooftop1', '2030-03-12 19:00:00', 'Confirmed', 30),
+  bookingRecord('recRooftopTable', 'recVenueRooftop1', '2030-03-25 20:00:00', 'Confirmed', 6),
+];
+storage.venues.find((v) => v.id === 'recVenueRooftop1').fields.max_covers = 40; // Shared by bookings until full
+storage.closures = [
+  { id: 'recClosureRooftop', fields: { space_id: ['recVenueRooftop1'], start_date: '2030-03-20', reason: 'Private event' } },
+  { id: 'recClosureAll', fields: { start_date: '2030-03-21', end_date: '2030-03-22', reason: 'National holiday' } },
+];
+fs.writeFileSync(STORAGE_FILE, JSON.stringify(storage));
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE: path.join(dir, 'outbox.json'),
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  DIALOGFLOW_WEBHOOK_HEADER_SECRET: HEADER_SECRET,
+});
+const { app } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a Dialogflow webhook request in the booking flow.
+ * @param {string} intent - Intent display name.
+ * @param {object} parameters - Intent parameters.
+ * @param {object} booking - The booking-flow context parameters.
+ * @returns {Promise<object>} - { reply, booking }: the reply text and the booking-flow parameters sent back.
+ */
+async function sendIntent(intent, parameters, booking) {
+  const session = 'projects/test/agent/sessions/availability-test';
+  const response = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': HEADER_SECRET },
+    body: JSON.stringify({
+      session,
+      queryResult: {
+        queryText: 'test',
+        intent: { displayName: intent },
+        parameters,
+        outputContexts: [{ name: `${session}/contexts/booking-flow`, lifespanCount: 5, parameters: booking }],
+      },
+    }),
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  const flow = (body.outputContexts || []).find((c) => c.name.endsWith('/booking-flow'));
+  return { reply: body.fulfillmentText, booking: flow ? flow.parameters : {} };
+}
+
+/**
+ * Asks for the venues free at a local (Dubai) date and time.
+ * @param {string} date - "YYYY-MM-DD".
+ * @param {string} time - "HH:mm".
+ * @param {object} [booking] - The booking so far; a table for 4 by default.
+ * @returns {Promise<object>} - { reply, booking }.
+ */
+function askFor(date, time, booking = { type: 'table', guestCount: 4 }) {
+  return sendIntent('Capture DateTime Intent', { date: `${date}T12:00:00+04:00`, time: `${date}T${time}:00+04:00` }, booking);
+}
+
+test('a booking holds its venue for the booking duration', async () => {
+  assert.deepEqual((await askFor('2030-03-05', '20:30')).booking.offeredVenues, ['The Rooftop']);
+  assert.deepEqual((await askFor('2030-03-05', '18:00')).booking.offeredVenues, ['The Rooftop']);
+  assert.deepEqual((await askFor('2030-03-05', '21:00')).booking.offeredVenues, ['The Rooftop', 'The Lounge']);
+  assert.deepEqual((await askFor('2030-03-05', '17:00')).booking.offeredVenues, ['The Rooftop', 'The Lounge']);
+});
+
+test('only bookings in a holding status take the venue', async () => {
+  assert.deepEqual((await askFor('2030-03-06', '19:00')).booking.offeredVenues, ['The Rooftop', 'The Lounge']);
+  assert.deepEqual((await askFor('2030-03-07', '19:00')).booking.offeredVenues, ['The Rooftop']);
+});
+
+test('suggests the nearest free times on the same day and the same time on nearby days', async () => {
+  const group = { type: 'group', guestCount: 30, eventFormat: 'seated' }; // Only The Rooftop seats 30
+  const { reply, booking } = await askFor('2030-03-12', '19:30', group);
+  assert.match(reply, /none of our venues are available for 30 guests on Tuesday, 12 March at 7:30 PM/);
+  assert.ok(reply.includes([
+    '1. Tuesday, 12 March at 5:00 PM',
+    '2. Tuesday, 12 March at 9:00 PM',
+    '3. Tuesday, 12 March at 9:30 PM',
+    '4. Monday, 11 March at 7:30 PM',
+    '5. Wednesday, 13 March at 7:30 PM',
+    '6. Thursday, 14 March at 7:30 PM',
+  ].join('\n')), reply);
+  assert.equal(booking.suggestedSlots.length, 6);
+
+  const picked = await sendIntent('Select Time Slot Intent', { number: 2 }, booking);
+  assert.match(picked.reply, /For 30 guests on Tuesday, 12 March at 9:00 PM/);
+  assert.deepEqual(picked.booking.offeredVenues, ['The Rooftop']);
+});
+
+test('a booking has to start and end within the opening hours of the venue', async () => {
+  assert.deepEqual((await askFor('2030-03-08', '13:00')).booking.offeredVenues, ['The Lounge']);
+  assert.deepEqual((await askFor('2030-03-08', '22:00')).booking.offeredVenues, ['The Rooftop', 'The Lounge']);
+  assert.deepEqual((await askFor('2030-03-08', '23:00')).booking.offeredVenues, ['The Rooftop']);
+  assert.deepEqual((await askFor('2030-03-09', '00:00')).booking.offeredVenues, ['The Rooftop']); // Open until 2 AM
+});
+
+test('tables need MIN_LEAD_HOURS and groups GROUP_MIN_LEAD_HOURS of notice', async () => {
+  const inAnHour = moment().tz('Asia/Dubai').add(1, 'hour');
+  const table = await askFor(inAnHour.format('YYYY-MM-DD'), inAnHour.format('HH:mm'));
+  assert.match(table.reply, /because The Rooftop needs at least 2 hours' notice for table reservations; The Lounge needs at least 2 hours' notice for table reservations/);
+
+  const tomorrow = moment().tz('Asia/Dubai').add(1, 'day');
+  const group = await askFor(tomorrow.format('YYYY-MM-DD'), '20:00', { type: 'group', guestCount: 30, eventFormat: 'seated' });
+  assert.match(group.reply, /because The Rooftop needs at least 48 hours' notice for group bookings/);
+});
+
+test('closed venues are not offered on their closure dates', async () => {
+  assert.deepEqual((await askFor('2030-03-20', '20:00')).booking.offeredVenues, ['The Lounge']);
+  const { reply } = await askFor('2030-03-22', '20:00');
+  assert.match(reply, /because The Rooftop is closed on Friday, 22 March \(National holiday\); The Lounge is closed on Friday, 22 March \(National holiday\)/);
+});
+
+test('a venue with max_covers is shared until the overlapping bookings fill it', async () => {
+  assert.deepEqual((await askFor('2030-03-25', '21:00')).booking.offeredVenues, ['The Rooftop', 'The Lounge']);
+  const group = { type: 'group', guestCount: 34, eventFormat: 'seated' };
+  assert.deepEqual((await askFor('2030-03-25', '21:00', group)).booking.offeredVenues, ['The Rooftop']);
+  const { reply } = await askFor('2030-03-25', '21:00', { ...group, guestCount: 35 });
+  assert.match(reply, /none of our venues are available for 35 guests on Monday, 25 March at 9:00 PM/);
+});
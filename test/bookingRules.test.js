@@ -0,0 +1,56 @@
+// test/bookingRules.test.js - Party size limits, group threshold and venue capacity
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { inferBookingType, venueCapacity, largestParty, getPartySizeViolation, checkPartySize } = require('../lib/bookingRules');
+
+const rules = { groupMinGuests: 10, minPartySize: 1, maxPartySize: 0, maxCovers: 0 };
+const lounge = { id: 'recVenueLounge01', name: 'The Lounge', seated_capacity: 12, standing_capacity: 20 };
+const rooftop = { id: 'recVenueRooftop1', name: 'The Rooftop', seated_capacity: 40, standing_capacity: 80, standing_events: true };
+
+test('the group threshold of the venue wins over the tenant one', () => {
+  assert.equal(inferBookingType(9, rules), 'table');
+  assert.equal(inferBookingType(10, rules), 'group');
+  assert.equal(inferBookingType(8, rules, { ...lounge, group_min_guests: 8 }), 'group');
+  assert.equal(inferBookingType(4, rules, lounge, 'group'), 'group');
+});
+
+test('a venue takes parties between its minimum and its seats', () => {
+  assert.equal(getPartySizeViolation(lounge, 12, rules), null);
+  assert.equal(getPartySizeViolation(lounge, 13, rules), 'The Lounge seats up to 12 guests');
+  assert.equal(getPartySizeViolation({ ...rooftop, min_party_size: 6 }, 4, rules), 'The Rooftop takes bookings of 6 guests or more');
+  assert.equal(getPartySizeViolation(lounge, 1, { ...rules, minPartySize: 2 }), 'The Lounge takes bookings of 2 guests or more');
+});
+
+test('max_party_size, max_covers and the tenant limits cap the largest party', () => {
+  assert.equal(largestParty(rooftop, rules), 40);
+  assert.equal(largestParty({ ...rooftop, max_party_size: 30 }, rules), 30);
+  assert.equal(largestParty({ ...rooftop, max_covers: 25 }, rules), 25);
+  assert.equal(largestParty(rooftop, { ...rules, maxPartySize: 35, maxCovers: 20 }), 20);
+  assert.equal(getPartySizeViolation(rooftop, 36, { ...rules, maxPartySize: 35 }), 'The Rooftop takes bookings of up to 35 guests');
+});
+
+test('checkPartySize explains what the tenant can take before a venue is chosen', () => {
+  assert.equal(checkPartySize(30, [lounge, rooftop], rules, 'seated'), null);
+  assert.equal(checkPartySize(1, [lounge, rooftop], { ...rules, minPartySize: 2 }), 'we take bookings of 2 guests or more');
+  assert.equal(checkPartySize(50, [lounge, rooftop], rules, 'seated'), 'the largest party we can host for a seated dinner is 40 guests');
+  assert.equal(checkPartySize(5, [], rules), null);
+});
+
+test('a venue holds as many guests as its capacity for the event format', () => {
+  assert.equal(venueCapacity(rooftop, 'standing'), 80);
+  assert.equal(venueCapacity(lounge, 'standing'), 0);
+  assert.equal(venueCapacity(lounge, 'mixed'), 12);
+  assert.equal(venueCapacity({ ...rooftop, mixed_capacity: 60 }, 'mixed'), 60);
+  assert.equal(getPartySizeViolation(rooftop, 70, rules, 'standing'), null);
+  assert.equal(getPartySizeViolation(rooftop, 90, rules, 'standing'), 'The Rooftop holds up to 80 guests standing');
+  assert.equal(getPartySizeViolation(lounge, 15, rules, 'standing'), "The Lounge doesn't host standing events");
+  assert.equal(getPartySizeViolation(rooftop, 45, rules, 'mixed'), 'The Rooftop holds up to 40 guests for a mixed event');
+});
+
+test('checkPartySize tries every format until the guest has chosen one', () => {
+  assert.equal(checkPartySize(70, [lounge, rooftop], rules), null);
+  assert.equal(checkPartySize(70, [lounge, rooftop], rules, 'seated'), 'the largest party we can host for a seated dinner is 40 guests');
+  assert.equal(checkPartySize(90, [lounge, rooftop], rules), 'the largest party we can host is 80 guests');
+  assert.equal(checkPartySize(15, [lounge], rules, 'standing'), "we don't host standing events");
+});
@@ -0,0 +1,46 @@
+// test/contactDetails.test.js - Validation and normalization of guest names, phone numbers and emails
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, normalizePhoneNumber, normalizeGuestName, extractGuestName } = require('../lib/contactDetails');
+
+test('normalizes valid email addresses and rejects invalid ones', () => {
+  assert.equal(normalizeEmail('  Sara.Khan+events@Example.COM '), 'Sara.Khan+events@example.com');
+  assert.equal(normalizeEmail('mailto:sara@example.ae'), 'sara@example.ae');
+  for (const email of ['sara@example', 'sara.example.com', '@example.com', 'sara..khan@example.com', 'sara@-example.com', 'sara@example.c0m', 'my email is sara@example.com']) {
+    assert.equal(normalizeEmail(email), null, email);
+  }
+});
+
+test('normalizes phone numbers to E.164 with the UAE as the default country', () => {
+  assert.equal(normalizePhoneNumber('050 123 4567'), '+971501234567');
+  assert.equal(normalizePhoneNumber('0501234567'), '+971501234567');
+  assert.equal(normalizePhoneNumber('501234567'), '+971501234567');
+  assert.equal(normalizePhoneNumber('971501234567'), '+971501234567');
+  assert.equal(normalizePhoneNumber('00971 50 123 4567'), '+971501234567');
+  assert.equal(normalizePhoneNumber('0044 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhoneNumber('+44 (20) 7946-0958'), '+442079460958');
+});
+
+test('rejects phone numbers that cannot be dialled', () => {
+  for (const phone of ['050 123', '+971 50 123 45678', 'call me on 050 123 4567', '+0501234567', '']) {
+    assert.equal(normalizePhoneNumber(phone), null, phone);
+  }
+});
+
+test('normalizes guest names and rejects what is not a name', () => {
+  assert.equal(normalizeGuestName('  sara   khan '), 'Sara Khan');
+  assert.equal(normalizeGuestName("o'brien-smith"), "O'Brien-Smith");
+  assert.equal(normalizeGuestName('McDonald'), 'McDonald');
+  assert.equal(normalizeGuestName('سارة خان'), 'سارة خان');
+  for (const name of ['my email is', 'sara@example.com', '0501234567', 'yes', 'S', 'Sara Khan and her friends from work']) {
+    assert.equal(normalizeGuestName(name), null, name);
+  }
+});
+
+test('extracts a name from what the guest said', () => {
+  assert.equal(extractGuestName('my name is sara khan, and my number is 050 123 4567'), 'Sara Khan');
+  assert.equal(extractGuestName("It's Omar."), 'Omar');
+  assert.equal(extractGuestName('Omar Ali'), 'Omar Ali');
+  assert.equal(extractGuestName('my email is sara@example.com'), null);
+});
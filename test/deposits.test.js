@@ -0,0 +1,192 @@
+// test/deposits.test.js - Deposits end to end: the booking is held, paid through the fake payment
+// provider's /payments/webhook, or released by the depositHolds job
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deposits-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const OUTBOX_FILE = path.join(dir, 'outbox.json');
+const WEBHOOK_SECRET = 'test-payment-secret';
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), STORAGE_FILE);
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE,
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  DEPOSIT_PROVIDER: 'fake',
+  DEPOSIT_PER_GUEST: '100',
+  DEPOSIT_MIN_TABLE_GUESTS: '8',
+  DEPOSIT_HOLD_MINUTES: '60',
+  PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  DIALOGFLOW_WEBHOOK_HEADER_SECRET: 'test-dialogflow-secret',
+  ADMIN_API_TOKEN: 'test-admin-token',
+});
+const { app } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} urlPath - e.g. "/webhook".
+ * @param {object|string} body - JSON body; a string is sent as is.
+ * @param {object} [headers] - Extra headers.
+ * @returns {Promise<object>} - { status, body }.
+ */
+async function post(urlPath, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Sends a Dialogflow webhook request for the booking flow.
+ * @param {string} intent - Intent display name.
+ * @param {object} parameters - Intent parameters.
+ * @param {object} booking - The booking-flow context parameters.
+ * @returns {Promise<object>} - { status, body }.
+ */
+function sendIntent(intent, parameters, booking) {
+  const session = 'projects/test/agent/sessions/deposit-test';
+  return post('/webhook', {
+    session,
+    queryResult: {
+      queryText: 'test',
+      intent: { displayName: intent },
+      parameters,
+      outputContexts: [{ name: `${session}/contexts/booking-flow`, lifespanCount: 5, parameters: booking }],
+    },
+  }, { 'X-Webhook-Secret': 'test-dialogflow-secret' });
+}
+
+/**
+ * Posts a payment event signed like the fake provider's webhook expects.
+ * @param {object} event - { paymentId, reference, status }.
+ * @param {string} [signature] - Overrides the signature.
+ * @returns {Promise<object>} - { status, body }.
+ */
+function sendPaymentEvent(event, signature) {
+  const body = JSON.stringify({ tenantId: 'default', ...event });
+  return post('/payments/webhook', body, {
+    'X-Payment-Signature': signature || crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex'),
+  });
+}
+
+/**
+ * @param {string} reference - Booking reference.
+ * @returns {object|undefined} - The booking's fields as written to the storage file.
+ */
+function storedBooking(reference) {
+  const record = JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.find((r) => r.fields.booking_ref === reference);
+  return record && record.fields;
+}
+
+/**
+ * Books a table of 8 through the webhook and waits for the outbox to write it.
+ * @param {string} bookingUTC - The booking time.
+ * @returns {Promise<object>} - { reference, paymentId, reply }.
+ */
+async function bookHeldTable(bookingUTC) {
+  const draft = { type: 'table', guestCount: 8, bookingUTC, venue: 'The Lounge', venue_id: 'recVenueLounge01' };
+  const contact = { personName: 'Sara Khan', emailAddress: 'sara@example.com', phoneNumber: '+971501234567' };
+  const summary = await sendIntent('CollectContactDetails', contact, draft);
+  const flow = summary.body.outputContexts.find((c) => c.name.endsWith('/booking-flow')).parameters;
+  assert.equal(flow.deposit.amount, 800);
+
+  const confirmation = await sendIntent('ConfirmBooking', {}, flow);
+  const [, paymentId, reference] = confirmation.body.fulfillmentText.match(/\/payments\/fake\/(fake_[\w-]+)\?reference=(GL-\w+)/);
+  for (let i = 0; i < 50 && !storedBooking(reference); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return { reference, paymentId, reply: confirmation.body.fulfillmentText };
+}
+
+test('a table that grows past the deposit threshold is sent to staff for its deposit', async () => {
+  const draft = { type: 'table', guestCount: 4, bookingUTC: '2030-01-11T15:00:00.000Z', venue: 'The Lounge', venue_id: 'recVenueLounge01' };
+  const summary = await sendIntent('CollectContactDetails', { personName: 'Sara Khan', emailAddress: 'sara@example.com', phoneNumber: '+971501234567' }, draft);
+  const flow = summary.body.outputContexts.find((c) => c.name.endsWith('/booking-flow')).parameters;
+  assert.equal(flow.deposit, undefined);
+  const confirmation = await sendIntent('ConfirmBooking', {}, flow);
+  const [reference] = confirmation.body.fulfillmentText.match(/GL-\w+/);
+  for (let i = 0; i < 50 && !storedBooking(reference); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  const found = await sendIntent('Manage Booking', { booking_reference: reference, emailAddress: 'sara@example.com' }, {});
+  const managed = found.body.outputContexts.find((c) => c.name.endsWith('/manage-booking'));
+  const session = 'projects/test/agent/sessions/deposit-test';
+  const modified = await post('/webhook', {
+    session,
+    queryResult: { queryText: 'test', intent: { displayName: 'Modify Booking' }, parameters: { number: 9 }, outputContexts: [managed] },
+  }, { 'X-Webhook-Secret': 'test-dialogflow-secret' });
+  assert.match(modified.body.fulfillmentText, /Our events team will be in touch about your deposit/);
+  const jobs = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+  const notice = jobs.find((job) => job.type === 'notifyStaffOfBookingChange' && job.payload.bookingDetails.booking_ref === reference);
+  assert.deepEqual([notice.payload.changes.deposit_paid, notice.payload.changes.deposit_due], ['None', 'AED 900.00']);
+});
+
+test('a paid deposit confirms the held booking', async () => {
+  const { reference, paymentId, reply } = await bookHeldTable('2030-01-09T15:00:00.000Z');
+  assert.match(reply, /is held until .* please pay the deposit of AED 800\.00 here/);
+  assert.deepEqual(
+    (({ Status, deposit_amount, deposit_status, payment_id }) => ({ Status, deposit_amount, deposit_status, payment_id }))(storedBooking(reference)),
+    { Status: 'Pending Deposit', deposit_amount: 800, deposit_status: 'Pending', payment_id: paymentId },
+  );
+
+  assert.equal((await sendPaymentEvent({ paymentId, reference, status: 'paid' }, 'not-the-signature')).status, 400);
+  assert.equal((await sendPaymentEvent({ paymentId: 'fake_other', reference, status: 'expired' })).status, 200);
+  assert.equal(storedBooking(reference).Status, 'Pending Deposit', 'events for another payment are ignored');
+
+  assert.deepEqual(await sendPaymentEvent({ paymentId, reference, status: 'paid' }), { status: 200, body: { received: true } });
+  assert.equal(storedBooking(reference).Status, 'Confirmed');
+  assert.equal(storedBooking(reference).deposit_status, 'Paid');
+
+  // Providers send events more than once
+  assert.equal((await sendPaymentEvent({ paymentId, reference, status: 'paid' })).status, 200);
+  assert.equal(storedBooking(reference).Status, 'Confirmed');
+});
+
+test('an event for an unknown booking is refused so the provider sends it again', async () => {
+  assert.equal((await sendPaymentEvent({ paymentId: 'fake_1', reference: 'GL-ZZZZ', status: 'paid' })).status, 500);
+});
+
+test('an unpaid booking is released when its hold runs out, and a late payment goes to staff', async () => {
+  const { reference, paymentId } = await bookHeldTable('2030-01-10T15:00:00.000Z');
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 2 * 60 * 60 * 1000; // Past the 60 minute hold
+  try {
+    const run = await post('/admin/jobs/depositHolds/run', {}, { Authorization: 'Bearer test-admin-token' });
+    assert.equal(run.status, 200);
+  } finally {
+    Date.now = realNow;
+  }
+  assert.equal(storedBooking(reference).Status, 'Deposit Expired');
+
+  assert.equal((await sendPaymentEvent({ paymentId, reference, status: 'paid' })).status, 200);
+  assert.equal(storedBooking(reference).Status, 'Deposit Expired', 'a late payment does not take the venue back');
+  assert.equal(storedBooking(reference).deposit_status, 'Paid');
+  const jobs = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+  assert.ok(jobs.some((job) => job.type === 'notifyStaffOfLateDeposit' && job.payload.bookingDetails.booking_ref === reference));
+});
@@ -0,0 +1,281 @@
+// test/emails.test.js - Emails to guests and staff from the booking flow and the scheduled jobs, end to end and
+// caught by a local SMTP server
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emails-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const HEADER_SECRET = 'test-dialogflow-secret';
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * A booking for the scheduled jobs, dated relative to now.
+ * @param {string} reference - Booking reference, also used for the record id.
+ * @param {string} status - Booking status.
+ * @param {object} start - Local (Dubai) start as a moment.
+ * @param {object} [createdAt] - When the booking came in; a week before the start by default.
+ * @returns {object} - A "Bookings" record.
+ */
+function bookingRecord(reference, status, start, createdAt = start.clone().subtract(7, 'days')) {
+  return {
+    id: `rec${reference.replace('-', '')}`,
+    createdTime: createdAt.toISOString(),
+    fields: {
+      booking_ref: reference,
+      guest_name: 'Layla Hassan',
+      phone_no: '+971502222222',
+      email: 'layla@example.com',
+      booking_type: 'Group Booking',
+      space_id: ['recVenueRooftop1'],
+      space_name: 'The Rooftop',
+      event_date_time_local: start.format('YYYY-MM-DD HH:mm:ss'),
+      guest_count: 30,
+      Status: status,
+    },
+  };
+}
+
+const now = moment().tz('Asia/Dubai').startOf('minute');
+const storage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), 'utf8'));
+storage.bookings = [
+  bookingRecord('GL-OPEN', 'New Lead', moment.tz('2030-05-01 19:00', 'Asia/Dubai'), now.clone().subtract(5, 'days')),
+  bookingRecord('GL-FRSH', 'New Lead', moment.tz('2030-05-02 19:00', 'Asia/Dubai'), now.clone().subtract(1, 'day')),
+  bookingRecord('GL-THNX', 'Completed', now.clone().subtract(2, 'days').hour(19).minute(0)),
+  bookingRecord('GL-LATE', 'Confirmed', now.clone().subtract(3, 'hours')),
+  bookingRecord('GL-ARRV', 'Confirmed', now.clone().subtract(30, 'minutes')),
+];
+fs.writeFileSync(STORAGE_FILE, JSON.stringify(storage));
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE: path.join(dir, 'outbox.json'),
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  DIALOGFLOW_WEBHOOK_HEADER_SECRET: HEADER_SECRET,
+  ADMIN_API_TOKEN: ADMIN_TOKEN,
+  EMAIL_SERVICE_HOST: '127.0.0.1',
+  EMAIL_SERVICE_USER: 'bookings@example.com',
+  EMAIL_SERVICE_PASS: 'test-password',
+});
+const { app } = require('..');
+
+const mails = [];
+let mailServer;
+let server;
+let baseUrl;
+
+/**
+ * Starts an SMTP server that accepts every message and keeps it in `mails` as { to, raw }.
+ * It speaks just enough SMTP for nodemailer.
+ * @returns {Promise<object>} - The net.Server, listening on a free port.
+ */
+async function startMailServer() {
+  const smtp = net.createServer((socket) => {
+    let buffer = '';
+    let data = null; // Lines of the message while receiving DATA
+    let to = [];
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line === '.') {
+            mails.push({ to, raw: data.join('\r\n') });
+            data = null;
+            to = [];
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (command === 'AUTH') {
+          socket.write('235 Authenticated\r\n');
+        } else if (command === 'RCPT') {
+          to.push(line.match(/<([^>]*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  smtp.listen(0, '127.0.0.1');
+  await new Promise((resolve) => smtp.once('listening', resolve));
+  return smtp;
+}
+
+before(async () => {
+  mailServer = await startMailServer();
+  process.env.EMAIL_SERVICE_PORT = String(mailServer.address().port); // Read on every send
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mailServer.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Waits for an email.
+ * @param {string} to - The recipient.
+ * @param {RegExp} subject - Matches the Subject header.
+ * @returns {Promise<object>} - { headers, body }: headers unfolded, the body with quoted-printable decoded.
+ */
+async function waitForMail(to, subject) {
+  for (let i = 0; i < 50; i++) {
+    for (const mail of mails.filter((m) => m.to.includes(to))) {
+      const [folded, ...parts] = mail.raw.split('\r\n\r\n');
+      const headers = folded.replace(/\r\n(?=[ \t])/g, '');
+      if (subject.test(headers.match(/^Subject: (.*)$/m)[1])) {
+        const body = parts.join('\r\n\r\n')
+          .replace(/=\r\n/g, '')
+          .replace(/(=[0-9A-F]{2})+/g, (bytes) => Buffer.from(bytes.replace(/=/g, ''), 'hex').toString('utf8'));
+        return { headers, body };
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`No email to ${to} with a subject matching ${subject}.`);
+}
+
+/**
+ * Sends a Dialogflow webhook request.
+ * @param {string} intent - Intent display name.
+ * @param {object} parameters - Intent parameters.
+ * @param {Array<object>} [contexts=[]] - Output contexts of the previous turn.
+ * @returns {Promise<object>} - { reply, contexts }.
+ */
+async function sendIntent(intent, parameters, contexts = []) {
+  const response = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': HEADER_SECRET },
+    body: JSON.stringify({
+      session: 'projects/test/agent/sessions/emails-test',
+      queryResult: { queryText: 'test', intent: { displayName: intent }, parameters, outputContexts: contexts },
+    }),
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  return { reply: body.fulfillmentText, contexts: body.outputContexts || [] };
+}
+
+/**
+ * Confirms a booking draft through ConfirmBooking and waits until the outbox has written it.
+ * @param {object} booking - A complete booking draft (booking-flow parameters).
+ * @returns {Promise<string>} - The booking reference.
+ */
+async function confirmBooking(booking) {
+  const { reply } = await sendIntent('ConfirmBooking', {}, [
+    { name: 'projects/test/agent/sessions/emails-test/contexts/booking-flow', lifespanCount: 5, parameters: booking },
+  ]);
+  const [reference] = reply.match(/GL-\w{4}/);
+  for (let i = 0; i < 50; i++) {
+    if (JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.some((r) => r.fields.booking_ref === reference)) {
+      return reference;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Booking ${reference} was not written.`);
+}
+
+/**
+ * Runs a scheduled job now through the admin endpoint.
+ * @param {string} name - Job name, e.g. "leadFollowUps".
+ * @returns {Promise<object>} - The job's last run: { name, last_run_at, last_status, processed, last_error }.
+ */
+async function runJob(name) {
+  const response = await fetch(`${baseUrl}/admin/jobs/${name}/run`, { method: 'POST', headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+const guest = { full_name: 'Sara Khan', email_id: 'sara@example.com', mobile_number: '+971501234567' };
+
+test('a confirmed table gets a confirmation email with a calendar invite, and changes send updates', async () => {
+  const reference = await confirmBooking({
+    ...guest, type: 'table', guestCount: 4, bookingUTC: '2030-04-10T15:00:00.000Z', venue: 'The Lounge', venue_id: 'recVenueLounge01',
+  });
+  const confirmation = await waitForMail('sara@example.com', new RegExp(`^Your reservation at The Lounge is confirmed \\(${reference}\\)$`));
+  assert.match(confirmation.body, new RegExp(`Booking reference: <strong>${reference}</strong><br>`));
+  assert.match(confirmation.body, /Date: Wednesday, 10 April<br>\s*Time: 7:00 PM \(local time\)<br>\s*Guests: 4/);
+  assert.match(confirmation.body, /METHOD:REQUEST/);
+  assert.match(confirmation.body, new RegExp(`UID:${reference}@booking-concierge`));
+  assert.match(confirmation.body, /DTSTART:20300410T150000Z\r\nDTEND:20300410T170000Z/);
+  assert.match(confirmation.body, /Content-Disposition: attachment; filename=booking.ics/);
+
+  const { contexts } = await sendIntent('Manage Booking', { booking_reference: reference, emailAddress: 'sara@example.com' });
+  await sendIntent('Modify Booking', { number: 6 }, contexts);
+  const update = await waitForMail('sara@example.com', new RegExp(`^Your reservation ${reference} has been updated$`));
+  assert.match(update.body, /Guests: 6/);
+  assert.match(update.body, new RegExp(`METHOD:REQUEST[\\s\\S]*UID:${reference}@booking-concierge`));
+
+  await sendIntent('Confirm Cancellation', {}, contexts);
+  const cancellation = await waitForMail('sara@example.com', new RegExp(`^Your reservation ${reference} has been cancelled$`));
+  assert.match(cancellation.body, new RegExp(`METHOD:CANCEL[\\s\\S]*UID:${reference}@booking-concierge[\\s\\S]*STATUS:CANCELLED`));
+});
+
+test('a group lead is emailed to the manager of the venue, who can reply to the guest directly', async () => {
+  const draft = {
+    type: 'group', guestCount: 30, eventFormat: 'seated', bookingUTC: '2030-04-12T15:00:00.000Z', venue: 'The Rooftop', venue_id: 'recVenueRooftop1',
+    package_id: 'recPackageGold01', addon_ids: [],
+  };
+  const summary = await sendIntent('CollectContactDetails', { personName: 'Omar Ali', emailAddress: 'omar@example.com', phoneNumber: '0559876543' }, [
+    { name: 'projects/test/agent/sessions/emails-test/contexts/booking-flow', lifespanCount: 5, parameters: draft },
+  ]);
+  const reference = await confirmBooking(summary.contexts.find((c) => c.name.endsWith('/booking-flow')).parameters);
+
+  const lead = await waitForMail('rooftop@example.com', new RegExp(`^New group lead: 30 guests at The Rooftop on Friday, 12 April \\(${reference}\\)$`));
+  assert.match(lead.headers, /^Reply-To: omar@example.com$/m);
+  assert.match(lead.body, /Guests: 30<br>\s*Format: Seated Dinner<br>\s*Package: Gold<br>\s*Quoted total: AED 7,875.00/);
+  assert.match(lead.body, /Guest: Omar Ali<br>\s*Email: <a href="mailto:omar@example.com">omar@example.com<\/a><br>\s*Mobile: <a href="tel:\+971559876543">\+971559876543<\/a>/);
+});
+
+test('scheduled emails are sent once, however often their job runs', async () => {
+  assert.equal((await runJob('leadFollowUps')).processed, 1);
+  const followUp = await waitForMail('rooftop@example.com', /^Follow-up needed: group lead GL-OPEN is still a New Lead$/);
+  assert.match(followUp.headers, /^Reply-To: layla@example.com$/m);
+  assert.equal((await runJob('thankYouMessages')).processed, 1);
+  await waitForMail('layla@example.com', /^Thank you for visiting The Rooftop$/);
+
+  const sentBefore = mails.length;
+  const again = await runJob('leadFollowUps');
+  assert.deepEqual([again.last_status, again.processed], ['ok', 0]);
+  assert.equal((await runJob('thankYouMessages')).processed, 0);
+  assert.equal(mails.length, sentBefore);
+  assert.equal(mails.filter((m) => /^Subject: Follow-up needed/m.test(m.raw)).length, 1, 'GL-FRSH is too new to follow up');
+
+  const { sent } = JSON.parse(fs.readFileSync(process.env.JOB_HISTORY_FILE, 'utf8'));
+  assert.deepEqual(Object.keys(sent).sort(), ['leadFollowUps:GL-OPEN', 'thankYouMessages:GL-THNX']);
+});
+
+test('confirmed bookings are flagged as no-shows NO_SHOW_GRACE_MINUTES after they started', async () => {
+  assert.equal((await runJob('noShows')).processed, 1);
+  const statuses = Object.fromEntries(JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.map((r) => [r.fields.booking_ref, r.fields.Status]));
+  assert.equal(statuses['GL-LATE'], 'No Show');
+  assert.equal(statuses['GL-ARRV'], 'Confirmed');
+  assert.equal((await runJob('noShows')).processed, 0);
+});
@@ -0,0 +1,357 @@
+// test/intents.test.js - The intent handlers, run through handleWebhookRequest with fake services
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTenants, runWithTenant, listTenants } = require('../lib/tenants');
+const { MemorySessionStore } = require('../lib/sessionStore');
+const { handleWebhookRequest } = require('../intents');
+const { AvailabilityUnknownError } = require('../lib/bookingRules');
+
+loadTenants(undefined, {
+  id: 'test',
+  name: 'test',
+  timezone: 'Asia/Dubai',
+  rules: { groupMinGuests: 10, minPartySize: 1, maxPartySize: 0, maxCovers: 0 },
+  pricing: { currency: 'AED', vatRate: 5 },
+  deposit: { percent: 25, perGuest: 100, minTableGuests: 8, holdMinutes: 60 },
+});
+
+const SESSION = 'projects/p/agent/sessions/s1';
+const ROOFTOP = { id: 'recVenueRooftop1', name: 'The Rooftop' };
+const LOUNGE = { id: 'recVenueLounge01', name: 'The Lounge' };
+
+const confirmedBooking = {
+  booking_id: 'recBooking00001',
+  booking_ref: 'GL-7KQ4',
+  status: 'Confirmed',
+  type: 'group',
+  guestCount: 30,
+  bookingUTC: '2030-01-08T15:00:00.000Z',
+  venue: 'The Rooftop',
+  venue_id: 'recVenueRooftop1',
+  eventFormat: 'standing',
+  full_name: 'Sara Khan',
+  email_id: 's@example.com',
+  mobile_number: '+971501234567',
+  package_id: 'recPackageGold01',
+  package_name: 'Gold',
+  grand_total: 11760,
+};
+
+/**
+ * @param {string} intent - Intent display name.
+ * @param {object} [parameters] - Intent parameters.
+ * @param {object} [contexts] - Context name -> parameters.
+ * @returns {object} - A Dialogflow webhook request body.
+ */
+function webhookRequest(intent, parameters = {}, contexts = {}) {
+  return {
+    session: SESSION,
+    queryResult: {
+      queryText: 'test',
+      intent: { displayName: intent },
+      parameters,
+      outputContexts: Object.entries(contexts).map(([name, params]) => ({ name: `${SESSION}/contexts/${name}`, lifespanCount: 5, parameters: params })),
+    },
+  };
+}
+
+/**
+ * @param {object} response - The { status, body } of handleWebhookRequest.
+ * @param {string} name - Context name.
+ * @returns {object|undefined} - The output context.
+ */
+function outputContext(response, name) {
+  return (response.body.outputContexts || []).find((c) => c.name === `${SESSION}/contexts/${name}`);
+}
+
+let services;
+let jobs;
+let updates;
+
+beforeEach(() => {
+  jobs = [];
+  updates = [];
+  services = {
+    generateReply: async (prompt) => (typeof prompt === 'string' ? prompt : prompt.text),
+    describeBooking: (b) => `${b.guestCount} guests at ${b.venue}`,
+    enqueueOutboxJob: (type, payload) => jobs.push({ type, payload }),
+    updateBooking: async (recordId, fields) => updates.push({ recordId, fields }),
+    findBooking: async () => null,
+    inferBookingType: (guestCount) => (guestCount >= 10 ? 'group' : 'table'),
+    checkPartySize: async () => null,
+    getAvailableVenues: async () => [ROOFTOP, LOUNGE],
+    explainVenueUnavailable: async (name) => `${name} is already booked then`,
+    buildBookingFields: (b) => ({ guest_count: b.guestCount, space_name: b.venue }),
+    repriceBooking: async () => ({ fields: {}, quote: null, droppedItems: [], depositPaid: 0, depositDue: 0, needsStaff: false }),
+    generateBookingReference: async () => 'GL-NEW1',
+    createDepositLink: async (booking) => ({ ...booking.deposit, paymentId: 'fake_1', url: 'http://localhost/payments/fake/fake_1', dueAt: '2030-01-01T12:00:00.000Z' }),
+  };
+});
+
+test('answers intents without a handler', async () => {
+  const response = await handleWebhookRequest(webhookRequest('No Such Intent'), services);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.fulfillmentText, "I'm not sure how to handle that request yet.");
+});
+
+test('Manage Booking asks for what is missing to look up a booking', async () => {
+  const response = await handleWebhookRequest(webhookRequest('Manage Booking', { booking_reference: 'GL-7KQ4' }), services);
+  assert.match(response.body.fulfillmentText, /the email address or phone number you booked with/);
+  assert.deepEqual(outputContext(response, 'awaiting-booking-lookup').parameters, { lookup: { reference: 'GL-7KQ4' } });
+});
+
+test('Manage Booking keeps a changeable booking for the next turn', async () => {
+  let lookup;
+  services.findBooking = async (query) => {
+    lookup = query;
+    return confirmedBooking;
+  };
+  const response = await handleWebhookRequest(webhookRequest('Manage Booking', { booking_reference: 'GL-7KQ4', emailAddress: 's@example.com' }), services);
+  assert.deepEqual(lookup, { reference: 'GL-7KQ4', email: 's@example.com' });
+  assert.deepEqual(outputContext(response, 'manage-booking').parameters, confirmedBooking);
+});
+
+test('Manage Booking points a booking waiting for its deposit at the payment link', async () => {
+  services.findBooking = async () => ({ ...confirmedBooking, status: 'Pending Deposit', deposit: { amount: 2940, url: 'https://pay.example/abc' } });
+  const response = await handleWebhookRequest(webhookRequest('Manage Booking', { booking_reference: 'GL-7KQ4', emailAddress: 's@example.com' }), services);
+  assert.match(response.body.fulfillmentText, /waiting for its deposit/);
+  assert.match(response.body.fulfillmentText, /https:\/\/pay\.example\/abc/);
+  assert.equal(outputContext(response, 'manage-booking'), undefined);
+});
+
+test('Modify Booking refuses bookings that are no longer active', async () => {
+  for (const status of ['Cancelled', 'Deposit Expired', 'Pending Deposit']) {
+    const response = await handleWebhookRequest(webhookRequest('Modify Booking', { number: 40 }, { 'manage-booking': { ...confirmedBooking, status } }), services);
+    assert.match(response.body.fulfillmentText, /can no longer be changed/, status);
+  }
+  assert.deepEqual(updates, []);
+  assert.deepEqual(jobs, []);
+});
+
+test('Modify Booking re-quotes a group when the guest count changes', async () => {
+  const quote = { currency: 'AED', grandTotal: 19635, lines: [{ kind: 'package', id: 'recPackageGold01', name: 'Gold' }] };
+  let repriced;
+  services.repriceBooking = async (previous, updated) => {
+    repriced = { previous, updated };
+    return {
+      fields: { package_name: 'Gold', package_id: ['recPackageGold01'], grand_total: 19635 },
+      quote,
+      droppedItems: [],
+      depositPaid: 2940,
+      depositDue: 4908.75,
+      needsStaff: true,
+    };
+  };
+  const response = await handleWebhookRequest(webhookRequest('Modify Booking', { number: 60 }, { 'manage-booking': confirmedBooking }), services);
+
+  assert.equal(repriced.previous.guestCount, 30);
+  assert.equal(repriced.updated.guestCount, 60);
+  assert.deepEqual(updates, [{
+    recordId: 'recBooking00001',
+    fields: { guest_count: 60, space_name: 'The Rooftop', package_name: 'Gold', package_id: ['recPackageGold01'], grand_total: 19635 },
+  }]);
+  assert.deepEqual(jobs.map((job) => job.type), ['sendBookingEmail', 'replaceBookingAddons', 'notifyStaffOfBookingChange']);
+  assert.deepEqual(jobs[2].payload.changes, {
+    previous_guest_count: 30,
+    previous_venue: 'The Rooftop',
+    previous_total: 'AED 11,760.00',
+    dropped_items: 'None',
+    deposit_paid: 'AED 2,940.00',
+    deposit_due: 'AED 4,908.75',
+  });
+  assert.match(response.body.fulfillmentText, /Your new quoted total is AED 19,635\.00 including VAT\. Our events team will be in touch about your deposit\./);
+  assert.equal(outputContext(response, 'manage-booking').parameters.grand_total, 19635);
+});
+
+test('Modify Booking keeps a requested group a group and applies the venue\'s group threshold', async () => {
+  services.inferBookingType = (guestCount, venue, requestedType) => {
+    const threshold = (venue && venue.group_min_guests) || 10;
+    return guestCount >= threshold || requestedType === 'group' ? 'group' : 'table';
+  };
+  let repriced;
+  services.repriceBooking = async (previous, updated) => {
+    repriced = updated;
+    return { fields: {}, quote: null, droppedItems: [], depositPaid: 0, depositDue: 0, needsStaff: false };
+  };
+
+  await handleWebhookRequest(webhookRequest('Modify Booking', { number: 6 }, { 'manage-booking': { ...confirmedBooking, requestedType: 'group' } }), services);
+  assert.equal(repriced.type, 'group');
+  assert.equal(repriced.eventFormat, 'standing');
+
+  services.getAvailableVenues = async () => [{ ...ROOFTOP, group_min_guests: 6 }, LOUNGE];
+  await handleWebhookRequest(webhookRequest('Modify Booking', { number: 6 }, { 'manage-booking': confirmedBooking }), services);
+  assert.equal(repriced.type, 'group');
+
+  await handleWebhookRequest(webhookRequest('Modify Booking', { number: 4 }, { 'manage-booking': confirmedBooking }), services);
+  assert.equal(repriced.type, 'table');
+  assert.equal(repriced.eventFormat, undefined);
+});
+
+test('Modify Booking leaves the price alone when only the time changes', async () => {
+  services.repriceBooking = async () => assert.fail('should not re-quote');
+  await handleWebhookRequest(webhookRequest('Modify Booking', { time: '2030-01-08T21:00:00+04:00' }, { 'manage-booking': confirmedBooking }), services);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(jobs.map((job) => job.type), ['sendBookingEmail']);
+});
+
+test('Confirm Cancellation cancels the booking and queues the email', async () => {
+  const response = await handleWebhookRequest(webhookRequest('Confirm Cancellation', {}, { 'manage-booking': confirmedBooking }), services);
+  assert.deepEqual(updates, [{ recordId: 'recBooking00001', fields: { Status: 'Cancelled' } }]);
+  assert.deepEqual(jobs.map((job) => [job.type, job.payload.kind]), [['sendBookingEmail', 'cancellation']]);
+  assert.equal(outputContext(response, 'manage-booking').lifespanCount, 0);
+});
+
+test('Confirm Cancellation asks staff to settle a paid deposit', async () => {
+  const booking = { ...confirmedBooking, deposit: { amount: 2940, currency: 'AED', status: 'Paid', paymentId: 'fake_1' } };
+  const response = await handleWebhookRequest(webhookRequest('Confirm Cancellation', {}, { 'manage-booking': booking }), services);
+  assert.deepEqual(jobs.map((job) => job.type), ['sendBookingEmail', 'notifyStaffOfCancelledDeposit']);
+  assert.match(response.body.fulfillmentText, /Our team will be in touch about your deposit/);
+});
+
+const tableDraft = {
+  type: 'table',
+  guestCount: 4,
+  bookingUTC: '2030-01-09T15:00:00.000Z',
+  venue: 'The Lounge',
+  venue_id: 'recVenueLounge01',
+  full_name: 'Sara Khan',
+  email_id: 's@example.com',
+  mobile_number: '+971501234567',
+};
+
+test('Select Venue checks a venue chosen earlier is still free before moving on', async () => {
+  services.getAvailableVenues = async (guestCount) => (guestCount ? [ROOFTOP] : [ROOFTOP, LOUNGE]);
+  const response = await handleWebhookRequest(webhookRequest('Select Venue Intent', {}, { 'booking-flow': { ...tableDraft, full_name: undefined } }), services);
+  assert.match(response.body.fulfillmentText, /The Lounge is already booked then/);
+  assert.equal(outputContext(response, 'booking-flow').parameters.venue, undefined);
+  assert.ok(outputContext(response, 'awaiting-venue-selection'));
+});
+
+test('ConfirmBooking does not book a venue that was taken in the meantime', async () => {
+  services.getAvailableVenues = async () => [ROOFTOP];
+  const response = await handleWebhookRequest(webhookRequest('ConfirmBooking', {}, { 'booking-flow': tableDraft }), services);
+  assert.deepEqual(jobs, []);
+  assert.match(response.body.fulfillmentText, /The Lounge is already booked then\. Would you like to choose another venue\?/);
+  assert.equal(outputContext(response, 'booking-flow').parameters.venue_id, undefined);
+});
+
+test('ConfirmBooking asks to try again when it cannot check the venue is still free', async () => {
+  services.getAvailableVenues = async () => {
+    throw new AvailabilityUnknownError(new Error('Rate limited'));
+  };
+  const response = await handleWebhookRequest(webhookRequest('ConfirmBooking', {}, { 'booking-flow': tableDraft }), services);
+  assert.deepEqual(jobs, []);
+  assert.match(response.body.fulfillmentText, /couldn't check that The Lounge is still free/);
+  assert.equal(outputContext(response, 'booking-flow').parameters.venue_id, 'recVenueLounge01');
+  assert.ok(outputContext(response, 'awaiting-final-confirmation'));
+});
+
+test('does not offer venues when the existing bookings cannot be checked', async () => {
+  services.getAvailableVenues = async (guestCount, bookingUTC) => {
+    if (bookingUTC) {
+      throw new AvailabilityUnknownError(new Error('Rate limited'));
+    }
+    return [ROOFTOP, LOUNGE];
+  };
+  const response = await handleWebhookRequest(webhookRequest('Select Venue Intent', { venue_name: 'The Lounge' }, { 'booking-flow': { ...tableDraft, venue: undefined, venue_id: undefined, full_name: undefined } }), services);
+  assert.equal(response.status, 200);
+  assert.match(response.body.fulfillmentText, /couldn't check which venues are free/);
+  assert.equal(outputContext(response, 'booking-flow'), undefined);
+});
+
+test('ConfirmBooking holds a booking with a deposit until it is paid', async () => {
+  const draft = {
+    type: 'table',
+    guestCount: 8,
+    bookingUTC: '2030-01-09T15:00:00.000Z',
+    venue: 'The Lounge',
+    venue_id: 'recVenueLounge01',
+    full_name: 'Sara Khan',
+    email_id: 's@example.com',
+    mobile_number: '+971501234567',
+    deposit: { amount: 800, currency: 'AED', holdMinutes: 60 },
+  };
+  const response = await handleWebhookRequest(webhookRequest('ConfirmBooking', {}, { 'booking-flow': draft }), services);
+
+  assert.deepEqual(jobs.map((job) => job.type), ['createBooking', 'sendDepositLinkSms']);
+  assert.equal(jobs[0].payload.status, 'Pending Deposit');
+  assert.equal(jobs[0].payload.bookingDetails.booking_ref, 'GL-NEW1');
+  assert.equal(jobs[0].payload.bookingDetails.deposit.paymentId, 'fake_1');
+  assert.match(response.body.fulfillmentText, /is held until 4:00 PM on Tuesday, 1 January\./);
+  assert.match(response.body.fulfillmentText, /deposit of AED 800\.00 here: http:\/\/localhost\/payments\/fake\/fake_1/);
+  assert.equal(outputContext(response, 'booking-flow').lifespanCount, 0);
+});
+
+test('keys the session store by tenant and session', async () => {
+  const sessionStore = new MemorySessionStore();
+  services.sessionStore = sessionStore;
+  const [tenant] = listTenants();
+  await runWithTenant(tenant, () => handleWebhookRequest(webhookRequest('Capture Guest Count Intent', { number: 4 }), services));
+  assert.equal(sessionStore.get('s1'), null);
+  assert.equal(sessionStore.get('test:s1').booking.guestCount, 4);
+});
+
+test('does not welcome back a guest who only asked about a venue', async () => {
+  const sessionStore = new MemorySessionStore();
+  services.sessionStore = sessionStore;
+  const asked = await handleWebhookRequest(webhookRequest('Ask Venue Details Intent', { venue_name: 'The Rooftop' }), services);
+  assert.equal(outputContext(asked, 'booking-flow'), undefined);
+
+  sessionStore.set('test:s1', { state: 'type', booking: { offeredVenues: ['The Rooftop', 'The Lounge'] } });
+  const welcome = await handleWebhookRequest(webhookRequest('Welcome Intent'), services);
+  assert.doesNotMatch(welcome.body.fulfillmentText, /Welcome back/);
+});
+
+test('Select Time Slot does not take the guest count in the contexts for the slot number', async () => {
+  const slots = ['2030-01-09T14:00:00.000Z', '2030-01-09T16:00:00.000Z'];
+  const draft = { type: 'table', guestCount: 2, number: 2, bookingUTC: '2030-01-09T15:00:00.000Z', suggestedSlots: slots };
+  const response = await handleWebhookRequest(webhookRequest('Select Time Slot Intent', {}, { 'booking-flow': draft }), services);
+  assert.match(response.body.fulfillmentText, /Please choose one of the suggested times by its number, from 1 to 2\./);
+  assert.equal(outputContext(response, 'booking-flow'), undefined);
+
+  const picked = await handleWebhookRequest(webhookRequest('Select Time Slot Intent', { ordinal: 2 }, { 'booking-flow': draft }), services);
+  assert.equal(outputContext(picked, 'booking-flow').parameters.bookingUTC, slots[1]);
+});
+
+test('welcomes back a guest who stopped at venue selection', async () => {
+  const sessionStore = new MemorySessionStore();
+  services.sessionStore = sessionStore;
+  sessionStore.set('test:s1', { state: 'venue', booking: { type: 'table', guestCount: 4, bookingUTC: '2030-01-09T15:00:00.000Z' } });
+  const response = await handleWebhookRequest(webhookRequest('Welcome Intent'), services);
+  assert.match(response.body.fulfillmentText, /^Welcome back! Got it! For 4 guests .* Here are our options: The Rooftop, The Lounge\./);
+  assert.ok(outputContext(response, 'awaiting-venue-selection'));
+});
+
+test('CollectContactDetails keeps the valid details and re-prompts only for the invalid one', async () => {
+  const draft = { ...tableDraft, full_name: undefined, email_id: undefined, mobile_number: undefined };
+  const response = await handleWebhookRequest(webhookRequest('CollectContactDetails', {
+    personName: { name: 'sara khan' },
+    phoneNumber: '050 123 4567',
+    emailAddress: 'sara@example',
+  }, { 'booking-flow': draft }), services);
+  assert.equal(response.body.fulfillmentText, "That email address doesn't look right. Could you check it and send it again?");
+  assert.deepEqual(outputContext(response, 'awaiting-contact-details').parameters, {
+    personName: 'Sara Khan',
+    phoneNumber: '+971501234567',
+    emailAddress: '',
+  });
+});
+
+test('CollectContactDetails does not take "my email is" for a name', async () => {
+  const draft = { ...tableDraft, full_name: undefined, email_id: undefined, mobile_number: undefined };
+  const response = await handleWebhookRequest(webhookRequest('CollectContactDetails', {
+    personName: 'my email is',
+    emailAddress: 'Sara@Example.com',
+  }, { 'booking-flow': draft }), services);
+  assert.equal(response.body.fulfillmentText, "I didn't quite catch your name. Could you tell me your full name?");
+  assert.equal(outputContext(response, 'booking-flow').parameters.full_name, '');
+  assert.equal(outputContext(response, 'booking-flow').parameters.email_id, 'Sara@example.com');
+});
+
+test('asks which venue the guest means when two names are about as close', async () => {
+  services.getAvailableVenues = async () => [{ id: 'recVenueTerrace1', name: 'Rooftop Terrace' }, { id: 'recVenueTerrace2', name: 'Terrace Room' }];
+  const response = await handleWebhookRequest(webhookRequest('Ask Venue Details Intent', { venue_name: 'the terrace' }), services);
+  assert.equal(response.body.fulfillmentText, 'Did you mean Rooftop Terrace or Terrace Room?');
+  assert.deepEqual(outputContext(response, 'booking-flow').parameters.offeredVenues, ['Rooftop Terrace', 'Terrace Room']);
+});
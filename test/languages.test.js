@@ -0,0 +1,36 @@
+// test/languages.test.js - Supported languages and localized dates
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once when lib/languages.js is loaded
+process.env.SUPPORTED_LANGUAGES = 'ar, HI, xx';
+delete process.env.DEFAULT_LANGUAGE;
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, getLanguage } = require('../lib/languages');
+const { formatDubai } = require('../lib/time');
+
+test('SUPPORTED_LANGUAGES keeps the known languages and always includes the default one', () => {
+  assert.equal(DEFAULT_LANGUAGE, 'en');
+  assert.deepEqual(SUPPORTED_LANGUAGES, ['en', 'ar', 'hi']);
+});
+
+test('normalizeLanguage maps language codes to a supported language', () => {
+  assert.equal(normalizeLanguage('ar-AE'), 'ar');
+  assert.equal(normalizeLanguage('HI_in'), 'hi');
+  assert.equal(normalizeLanguage('en-US'), 'en');
+  assert.equal(normalizeLanguage('ru'), 'en');
+  assert.equal(normalizeLanguage(undefined), 'en');
+  assert.equal(getLanguage('ar-AE').voice, 'Polly.Zeina');
+});
+
+test('formatDubai formats dates and times in the guest language', () => {
+  const utc = '2030-01-08T15:00:00.000Z';
+  assert.deepEqual(formatDubai(utc, 'en', 'Asia/Dubai'), {
+    date: 'Tuesday, 8 January',
+    time: '7:00 PM',
+    local_datetime: '2030-01-08 19:00:00',
+  });
+  const arabic = formatDubai(utc, 'ar', 'Asia/Dubai');
+  assert.equal(arabic.date, 'الثلاثاء، 8 يناير');
+  assert.equal(arabic.local_datetime, '2030-01-08 19:00:00');
+});
@@ -0,0 +1,99 @@
+// test/llm.test.js - The reply generator: provider fallback, guardrails and templates mode
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createReplyGenerator } = require('../lib/llm');
+const { findReplyViolations } = require('../lib/llm/guardrails');
+
+const originalPost = axios.post;
+
+afterEach(() => {
+  axios.post = originalPost;
+});
+
+/**
+ * Makes Gemini answer every request with this text.
+ * @param {string|Error} reply - The reply, or the error the request fails with.
+ */
+function stubGemini(reply) {
+  axios.post = async () => {
+    if (reply instanceof Error) throw reply;
+    return { data: { candidates: [{ content: { parts: [{ text: reply }] } }] } };
+  };
+}
+
+const prompt = {
+  text: 'Got it! For 4 guests on Tuesday, 8 January at 7:00 PM. Which venue would you like to book?',
+  facts: ['4', 'Tuesday, 8 January', '7:00 PM'],
+};
+
+test('templates mode replies with the canonical text', async () => {
+  const generateReply = createReplyGenerator({ provider: 'templates' });
+  assert.equal(await generateReply('  How many guests\n   will there be?  '), 'How many guests\nwill there be?');
+});
+
+test('templates mode tells guests in another language why the reply is in English', async () => {
+  const generateReply = createReplyGenerator({ provider: 'templates' });
+  const reply = await generateReply('How many guests will there be?', false, false, 'ar');
+  assert.ok(reply.endsWith(' How many guests will there be?'));
+  assert.notEqual(reply, 'How many guests will there be?');
+});
+
+test('uses the LLM reply when it keeps the facts', async () => {
+  stubGemini('Lovely! 4 guests on Tuesday, 8 January at 7:00 PM. Which of our venues would you like?');
+  const generateReply = createReplyGenerator({ provider: 'gemini', gemini: { apiKey: 'key' } });
+  assert.equal(await generateReply(prompt), 'Lovely! 4 guests on Tuesday, 8 January at 7:00 PM. Which of our venues would you like?');
+});
+
+test('falls back to the canonical text when the LLM changes a fact', async () => {
+  stubGemini('Lovely! 5 guests on Tuesday, 8 January at 8:00 PM. Which venue would you like?');
+  const generateReply = createReplyGenerator({ provider: 'gemini', gemini: { apiKey: 'key' } });
+  assert.equal(await generateReply(prompt), prompt.text);
+});
+
+test('falls back to the canonical text when the LLM fails', async () => {
+  stubGemini(new Error('timeout of 8000ms exceeded'));
+  const generateReply = createReplyGenerator({ provider: 'gemini', gemini: { apiKey: 'key' } });
+  assert.equal(await generateReply(prompt), prompt.text);
+});
+
+test('guardrails reject prices and offers the canonical text does not mention', () => {
+  assert.deepEqual(findReplyViolations('For 4 guests. Our Gold package is AED 250 per person.', { text: 'For 4 guests.', facts: ['4'] }), [
+    'mentions a price ("AED 250")',
+    'mentions a price ("per person")',
+    'mentions an offer ("package")',
+    'mentions an offer ("Gold")',
+  ]);
+  assert.deepEqual(findReplyViolations('حجز لـ 4 ضيوف.', { text: 'For 4 guests.', facts: ['4 guests'], language: 'ar' }), []);
+});
+
+test('guardrails reject invented prices and offers next to quoted ones', () => {
+  const quoted = {
+    text: 'Alright, Sara, let\'s summarize your group inquiry:\nPackage: Gold\nTotal: AED 11,760.00 including VAT',
+    facts: ['Gold', 'AED 11,760.00'],
+  };
+  assert.deepEqual(findReplyViolations('Your Gold package comes to AED 11,760.00 including VAT.', quoted), []);
+  assert.deepEqual(findReplyViolations('Your Gold package comes to AED 11,760.00, and you get an AED 100 discount.', quoted), [
+    'mentions a price ("AED 100")',
+  ]);
+  assert.deepEqual(findReplyViolations('Your Gold package comes to AED 11,760.00. You could also add our DJ add-on.', quoted), [
+    'mentions an offer ("add-on")',
+    'mentions an offer ("DJ")',
+  ]);
+  assert.deepEqual(findReplyViolations('Your Platinum package comes to AED 11,760.00.', quoted), [
+    'missing "Gold"',
+    'mentions an offer ("Platinum")',
+  ]);
+});
+
+test('guardrails match numbers whole, so a wrong guest count or time is caught', () => {
+  const facts = ['2', '8 January', '7:00 PM'];
+  assert.deepEqual(findReplyViolations('For 12 guests on 18 January at 17:00 PM.', { text: 'For 2 guests.', facts }), [
+    'missing "2"',
+    'missing "8 January"',
+    'missing "7:00 PM"',
+  ]);
+  assert.deepEqual(findReplyViolations('For 2 guests on 8 January at 7:00 PM.', { text: 'For 2 guests.', facts }), []);
+  assert.deepEqual(findReplyViolations('حجز لـ ١٤ ضيفًا.', { text: 'For 4 guests.', facts: ['4 guests'], language: 'ar' }), ['missing "4"']);
+});
@@ -0,0 +1,169 @@
+// test/manageBooking.test.js - Booking references, looking up, changing and cancelling a booking end to end through
+// /webhook against a storage file seeded with existing bookings
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manage-booking-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const HEADER_SECRET = 'test-dialogflow-secret';
+const SESSION = 'projects/test/agent/sessions/manage-booking-test';
+
+const storage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), 'utf8'));
+const guest = { guest_name: 'Sara Khan', phone_no: '+971501234567', email: 'sara@example.com', booking_type: 'General Reservation' };
+storage.bookings = [
+  {
+    id: 'recSaraBooking01',
+    createdTime: '2030-01-01T00:00:00.000Z',
+    fields: { ...guest, booking_ref: 'GL-7KQ4', space_id: ['recVenueLounge01'], space_name: 'The Lounge', event_date_time_local: '2030-04-02 19:00:00', guest_count: 4, Status: 'Confirmed' },
+  },
+  {
+    id: 'recOtherBooking1',
+    createdTime: '2030-01-01T00:00:00.000Z',
+    fields: { ...guest, booking_ref: 'GL-P2XR', space_id: ['recVenueLounge01'], space_name: 'The Lounge', event_date_time_local: '2030-04-03 19:00:00', guest_count: 8, Status: 'Confirmed' },
+  },
+  {
+    id: 'recSaraCancelled',
+    createdTime: '2030-01-01T00:00:00.000Z',
+    fields: { ...guest, booking_ref: 'GL-M3CN', space_id: ['recVenueLounge01'], space_name: 'The Lounge', event_date_time_local: '2030-04-05 19:00:00', guest_count: 4, Status: 'Cancelled' },
+  },
+];
+fs.writeFileSync(STORAGE_FILE, JSON.stringify(storage));
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE: path.join(dir, 'outbox.json'),
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  DIALOGFLOW_WEBHOOK_HEADER_SECRET: HEADER_SECRET,
+});
+const { app } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a Dialogflow webhook request.
+ * @param {string} intent - Intent display name.
+ * @param {object} parameters - Intent parameters.
+ * @param {Array<object>} [contexts=[]] - Output contexts of the previous turn.
+ * @returns {Promise<object>} - { reply, contexts }.
+ */
+async function sendIntent(intent, parameters, contexts = []) {
+  const response = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': HEADER_SECRET },
+    body: JSON.stringify({
+      session: SESSION,
+      queryResult: { queryText: 'test', intent: { displayName: intent }, parameters, outputContexts: contexts },
+    }),
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  return { reply: body.fulfillmentText, contexts: body.outputContexts || [] };
+}
+
+/**
+ * Looks up a booking and returns the contexts to change it with.
+ * @param {object} lookup - Manage Booking parameters.
+ * @returns {Promise<object>} - { reply, contexts, managed }: managed is the manage-booking context.
+ */
+async function findBooking(lookup) {
+  const found = await sendIntent('Manage Booking', lookup);
+  return { ...found, managed: found.contexts.find((c) => c.name.endsWith('/manage-booking')) };
+}
+
+/**
+ * @param {string} id - Record id.
+ * @returns {object} - The booking's fields as written to the storage file.
+ */
+function storedBooking(id) {
+  return JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.find((r) => r.id === id).fields;
+}
+
+test('finds a booking by its reference and the email or phone number it was made with', async () => {
+  const byEmail = await findBooking({ booking_reference: 'GL-7KQ4', emailAddress: 'Sara@Example.com' });
+  assert.match(byEmail.reply, /I found your booking GL-7KQ4 for 4 guests at The Lounge on Tuesday, 2 April at 7:00 PM/);
+  assert.equal(byEmail.managed.parameters.booking_id, 'recSaraBooking01');
+
+  const byPhone = await findBooking({ booking_reference: 'GL-7KQ4', phoneNumber: '050 123 4567' });
+  assert.equal(byPhone.managed.parameters.booking_id, 'recSaraBooking01');
+});
+
+test('does not give away a booking for the wrong contact details', async () => {
+  for (const lookup of [{ emailAddress: 'omar@example.com' }, { phoneNumber: '+971509999999' }]) {
+    const { reply, managed } = await findBooking({ booking_reference: 'GL-7KQ4', ...lookup });
+    assert.match(reply, /I couldn't find a booking with those details/);
+    assert.equal(managed, undefined);
+  }
+});
+
+test('a cancelled booking cannot be changed', async () => {
+  const { reply, managed } = await findBooking({ booking_reference: 'GL-M3CN', emailAddress: 'sara@example.com' });
+  assert.match(reply, /has already been cancelled/);
+  assert.equal(managed, undefined);
+});
+
+test('changes update the existing record after the same checks as a new booking', async () => {
+  const { contexts } = await findBooking({ booking_reference: 'GL-7KQ4', emailAddress: 'sara@example.com' });
+
+  const taken = await sendIntent('Modify Booking', { date: '2030-04-03T12:00:00+04:00', time: '2030-04-03T20:00:00+04:00' }, contexts);
+  assert.match(taken.reply, /The Lounge is already booked on Wednesday, 3 April at 8:00 PM/);
+  assert.equal(storedBooking('recSaraBooking01').event_date_time_local, '2030-04-02 19:00:00');
+
+  const moved = await sendIntent('Modify Booking', { number: 6 }, contexts);
+  assert.match(moved.reply, /Done! Your booking is now for 6 guests at The Lounge on Tuesday, 2 April at 7:00 PM/);
+  const { bookings } = JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8'));
+  assert.equal(bookings.length, 3);
+  assert.equal(storedBooking('recSaraBooking01').guest_count, 6);
+  assert.equal(storedBooking('recSaraBooking01').booking_ref, 'GL-7KQ4');
+});
+
+test('cancelling sets the status of the record', async () => {
+  const { contexts } = await findBooking({ booking_reference: 'GL-P2XR', phoneNumber: '+971501234567' });
+  const { reply } = await sendIntent('Confirm Cancellation', {}, contexts);
+  assert.match(reply, /Your booking for 8 guests at The Lounge on Wednesday, 3 April at 7:00 PM has been cancelled/);
+  assert.equal(storedBooking('recOtherBooking1').Status, 'Cancelled');
+});
+
+test('accepts the booking reference the way guests type or say it', async () => {
+  for (const reference of ['gl 7kq4', 'GL7KQ4', ' Gl-7kq4 ']) {
+    const { managed } = await findBooking({ booking_reference: reference, emailAddress: 'sara@example.com' });
+    assert.equal(managed && managed.parameters.booking_id, 'recSaraBooking01', reference);
+  }
+});
+
+test('a new booking gets a short reference that is read out and stored with the record', async () => {
+  const booking = { type: 'table', guestCount: 2, bookingUTC: '2030-04-10T15:00:00.000Z', venue: 'The Lounge', venue_id: 'recVenueLounge01' };
+  const summary = await sendIntent('CollectContactDetails', { personName: 'Omar Ali', emailAddress: 'omar@example.com', phoneNumber: '0559876543' }, [
+    { name: `${SESSION}/contexts/booking-flow`, lifespanCount: 5, parameters: booking },
+  ]);
+  const { reply } = await sendIntent('ConfirmBooking', {}, summary.contexts);
+  const [, reference] = reply.match(/Your booking reference is (GL-\w+)\./);
+  assert.match(reference, /^GL-[ABCDEFGHJKMNPQRSTUVWXYZ2-9]{4}$/); // No 0/O or 1/I/L to mix up
+
+  let record;
+  for (let i = 0; i < 50 && !record; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    record = JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.find((r) => r.fields.booking_ref === reference);
+  }
+  assert.equal(record.fields.guest_name, 'Omar Ali');
+  const { managed } = await findBooking({ booking_reference: reference.replace('-', ' ').toLowerCase(), phoneNumber: '+971 55 987 6543' });
+  assert.equal(managed.parameters.booking_id, record.id);
+});
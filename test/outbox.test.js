@@ -0,0 +1,172 @@
+// test/outbox.test.js - Outbox retries with backoff, recovery after a restart and the admin replay endpoint
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const OUTBOX_FILE = path.join(dir, 'outbox.json');
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * @param {string} reference - Booking reference.
+ * @returns {object} - Booking details in booking-flow shape.
+ */
+function bookingDetails(reference) {
+  return {
+    booking_ref: reference,
+    type: 'table',
+    guestCount: 4,
+    bookingUTC: '2030-05-01T15:00:00.000Z',
+    venue: 'The Lounge',
+    venue_id: 'recVenueLounge01',
+    full_name: 'Sara Khan',
+    mobile_number: '+971501234567',
+  };
+}
+
+/**
+ * A job as it was left in the outbox file before the restart.
+ * @param {string} id - Job id.
+ * @param {string} type - Outbox handler.
+ * @param {object} [fields] - Overrides, e.g. status and attempts.
+ * @returns {object} - The job.
+ */
+function outboxJob(id, type, fields = {}) {
+  return {
+    id,
+    type,
+    payload: { bookingDetails: bookingDetails(`GL-${id.slice(-4).toUpperCase()}`), status: 'Confirmed' },
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    created_at: '2020-01-01T00:00:00.000Z',
+    next_attempt_at: '2020-01-01T00:00:00.000Z',
+    ...fields,
+  };
+}
+
+const storage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), 'utf8'));
+storage.bookings = [{ id: 'recWrittenBefore', createdTime: '2030-01-01T00:00:00.000Z', fields: { booking_ref: 'GL-AAAA', Status: 'Confirmed' } }];
+fs.writeFileSync(STORAGE_FILE, JSON.stringify(storage));
+
+const startedAt = Date.now();
+fs.writeFileSync(OUTBOX_FILE, JSON.stringify([
+  // Reached the storage, but the process stopped before the job was marked done
+  outboxJob('create-aaaa', 'createBooking', { status: 'processing', attempts: 1 }),
+  outboxJob('create-bbbb', 'createBooking', { status: 'processing' }),
+  outboxJob('sms-first-cccc', 'sendBookingConfirmationSms'),
+  outboxJob('sms-second-dddd', 'sendBookingConfirmationSms', { attempts: 1 }),
+  outboxJob('sms-last-eeee', 'sendBookingConfirmationSms', { attempts: 2 }),
+  outboxJob('sms-later-ffff', 'sendBookingConfirmationSms', { next_attempt_at: new Date(startedAt + 3600 * 1000).toISOString() }),
+  outboxJob('sms-failed-gggg', 'sendBookingConfirmationSms', { status: 'failed', attempts: 3, last_error: 'Twilio is down' }),
+]));
+
+for (const name of ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN']) {
+  delete process.env[name]; // So every SMS fails
+}
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE,
+  OUTBOX_MAX_ATTEMPTS: '3',
+  OUTBOX_RETRY_BASE_SECONDS: '30',
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  ADMIN_API_TOKEN: ADMIN_TOKEN,
+});
+const { app } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Calls an admin endpoint.
+ * @param {string} method - HTTP method.
+ * @param {string} urlPath - e.g. "/admin/outbox".
+ * @returns {Promise<object>} - { status, body }.
+ */
+async function admin(method, urlPath) {
+  const response = await fetch(`${baseUrl}${urlPath}`, { method, headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * @returns {Promise<object>} - The outbox jobs by id.
+ */
+async function outboxJobs() {
+  const { body } = await admin('GET', '/admin/outbox');
+  return Object.fromEntries(body.jobs.map((job) => [job.id, job]));
+}
+
+/**
+ * @param {object} job - An outbox job.
+ * @returns {number} - Seconds from the start of the test until its next attempt.
+ */
+function retryDelaySeconds(job) {
+  return (Date.parse(job.next_attempt_at) - startedAt) / 1000;
+}
+
+test('lists the jobs a restart left processing as pending, and the failed ones by status', async () => {
+  const jobs = await outboxJobs();
+  assert.equal(jobs['create-aaaa'].status, 'pending');
+  assert.equal(jobs['create-bbbb'].status, 'pending');
+  const { body } = await admin('GET', '/admin/outbox?status=failed');
+  assert.deepEqual(body.jobs.map((job) => job.id), ['sms-failed-gggg']);
+});
+
+test('only failed jobs can be replayed', async () => {
+  assert.equal((await admin('POST', '/admin/outbox/no-such-job/replay')).status, 404);
+  assert.equal((await admin('POST', '/admin/outbox/sms-later-ffff/replay')).status, 409);
+});
+
+test('runs the due jobs, retries failures with exponential backoff and gives up after OUTBOX_MAX_ATTEMPTS', async () => {
+  const replay = await admin('POST', '/admin/outbox/sms-failed-gggg/replay');
+  assert.equal(replay.status, 200);
+  assert.deepEqual([replay.body.job.status, replay.body.job.attempts], ['pending', 0]);
+
+  let jobs = await outboxJobs();
+  for (let i = 0; i < 50 && jobs['sms-failed-gggg'].attempts === 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    jobs = await outboxJobs();
+  }
+
+  const { bookings } = JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8'));
+  assert.deepEqual(bookings.map((r) => r.fields.booking_ref), ['GL-AAAA', 'GL-BBBB'], 'a booking that was written already is not written again');
+  assert.equal(jobs['create-aaaa'].status, 'done');
+  assert.equal(jobs['create-bbbb'].status, 'done');
+
+  const first = jobs['sms-first-cccc'];
+  assert.deepEqual([first.status, first.attempts, first.last_error], ['pending', 1, 'Failed to send confirmation SMS for GL-CCCC.']);
+  assert.ok(retryDelaySeconds(first) >= 30 && retryDelaySeconds(first) < 40, first.next_attempt_at);
+  const second = jobs['sms-second-dddd'];
+  assert.deepEqual([second.status, second.attempts], ['pending', 2]);
+  assert.ok(retryDelaySeconds(second) >= 60 && retryDelaySeconds(second) < 70, second.next_attempt_at);
+  assert.deepEqual([jobs['sms-last-eeee'].status, jobs['sms-last-eeee'].attempts], ['failed', 3]);
+  assert.deepEqual([jobs['sms-later-ffff'].status, jobs['sms-later-ffff'].attempts], ['pending', 0], 'jobs that are not due yet wait');
+  assert.deepEqual([jobs['sms-failed-gggg'].status, jobs['sms-failed-gggg'].attempts], ['pending', 1]);
+
+  const saved = Object.fromEntries(JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8')).map((job) => [job.id, job]));
+  assert.equal(saved['sms-last-eeee'].status, 'failed');
+  assert.equal(saved['create-bbbb'].status, 'done');
+});
+
+test('admin endpoints need the admin token', async () => {
+  const response = await fetch(`${baseUrl}/admin/outbox`, { headers: { Authorization: 'Bearer wrong-token' } });
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,76 @@
+// test/payments.test.js - The payment providers: webhook signatures and the links they create
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createPaymentProvider } = require('../lib/payments');
+const { createFakePaymentProvider } = require('../lib/payments/fake');
+
+const originalPost = axios.post;
+
+afterEach(() => {
+  axios.post = originalPost;
+});
+
+/**
+ * @param {object} body - The event.
+ * @param {object} [headers] - Request headers.
+ * @returns {object} - A request as parseWebhook sees it.
+ */
+function webhookRequest(body, headers = {}) {
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, get: (name) => headers[name] };
+}
+
+const paid = { paymentId: 'fake_1', reference: 'GL-7KQ4', tenantId: 'default', status: 'paid' };
+
+test('fake provider accepts events signed with the webhook secret', () => {
+  const provider = createFakePaymentProvider({ webhookSecret: 'secret' });
+  const signature = crypto.createHmac('sha256', 'secret').update(JSON.stringify(paid)).digest('hex');
+  assert.equal(provider.webhookConfigured, true);
+  assert.deepEqual(provider.parseWebhook(webhookRequest(paid, { 'X-Payment-Signature': signature })), paid);
+  assert.throws(() => provider.parseWebhook(webhookRequest(paid, { 'X-Payment-Signature': 'nope' })), /Invalid X-Payment-Signature/);
+});
+
+test('fake provider refuses unsigned events without a secret unless allowed', () => {
+  const refusing = createFakePaymentProvider({});
+  assert.equal(refusing.webhookConfigured, false);
+  assert.throws(() => refusing.parseWebhook(webhookRequest(paid)), /PAYMENT_WEBHOOK_SECRET is not set/);
+
+  const allowing = createFakePaymentProvider({ allowUnsigned: true });
+  assert.equal(allowing.webhookConfigured, true);
+  assert.deepEqual(allowing.parseWebhook(webhookRequest(paid)), paid);
+});
+
+test('stripe provider needs its keys and a success URL to start', () => {
+  assert.throws(
+    () => createPaymentProvider({ provider: 'stripe', stripe: { secretKey: 'sk_test', webhookSecret: 'whsec_test' } }),
+    /DEPOSIT_PROVIDER is stripe, but PAYMENT_SUCCESS_URL is not set/,
+  );
+  assert.throws(() => createPaymentProvider({ provider: 'stripe' }), /STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, PAYMENT_SUCCESS_URL are not set/);
+});
+
+test('stripe provider creates a Checkout Session that returns the guest to the success URL', async () => {
+  let form;
+  axios.post = async (url, body) => {
+    form = new URLSearchParams(body);
+    return { data: { id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' } };
+  };
+  const provider = createPaymentProvider({
+    provider: 'stripe',
+    stripe: { secretKey: 'sk_test', webhookSecret: 'whsec_test', successUrl: 'https://example.com/deposit-paid' },
+  });
+  const link = await provider.createPaymentLink({
+    reference: 'GL-7KQ4',
+    tenantId: 'default',
+    amount: 800,
+    currency: 'AED',
+    description: 'Deposit for GL-7KQ4',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  });
+  assert.deepEqual(link, { paymentId: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+  assert.equal(form.get('success_url'), 'https://example.com/deposit-paid');
+  assert.equal(form.get('line_items[0][price_data][unit_amount]'), '80000');
+  assert.equal(form.has('cancel_url'), false);
+});
@@ -0,0 +1,54 @@
+// test/pricing.test.js - Price quotes of group bookings: packages, add-ons, minimum spend and VAT
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isOfferedFor, formatOfferPrice, buildQuote, describeQuote } = require('../lib/pricing');
+
+const gold = { id: 'recPkgGold', name: 'Gold', price: 250, perPerson: true, venueIds: [] };
+const sunset = { id: 'recPkgSunset', name: 'Rooftop Sunset', price: 300, perPerson: true, venueIds: ['recVenueRooftop1'], minGuests: 20 };
+const dj = { id: 'recAddonDj', name: 'DJ', price: 2500, perPerson: false, venueIds: [] };
+const cake = { id: 'recAddonCake', name: 'Celebration Cake', price: 45, perPerson: true, venueIds: [] };
+
+test('offers are limited to their venues and party sizes', () => {
+  assert.equal(isOfferedFor(gold, 'recVenueLounge01', 12), true);
+  assert.equal(isOfferedFor(sunset, 'recVenueLounge01', 25), false);
+  assert.equal(isOfferedFor(sunset, 'recVenueRooftop1', 19), false);
+  assert.equal(isOfferedFor(sunset, 'recVenueRooftop1', 20), true);
+  assert.equal(isOfferedFor({ ...dj, maxGuests: 30 }, 'recVenueRooftop1', 31), false);
+  assert.equal(formatOfferPrice(gold, 'AED'), 'AED 250.00 per person');
+  assert.equal(formatOfferPrice(dj, 'AED'), 'AED 2,500.00');
+});
+
+test('per-person prices are multiplied by the guests and VAT is added on top', () => {
+  const quote = buildQuote({ guestCount: 20, pkg: gold, addOns: [dj, cake], vatRate: 5, currency: 'AED' });
+  assert.deepEqual(quote.lines.map((line) => [line.name, line.quantity, line.amount]), [
+    ['Gold', 20, 5000],
+    ['DJ', 1, 2500],
+    ['Celebration Cake', 20, 900],
+  ]);
+  assert.equal(quote.itemsTotal, 8400);
+  assert.equal(quote.minimumSpendTopUp, 0);
+  assert.equal(quote.vat, 420);
+  assert.equal(quote.grandTotal, 8820);
+});
+
+test('a minimum spend above the items is topped up before VAT', () => {
+  const quote = buildQuote({ guestCount: 12, pkg: { ...gold, price: 150 }, minimumSpend: 5000, vatRate: 5, currency: 'AED' });
+  assert.equal(quote.itemsTotal, 1800);
+  assert.equal(quote.minimumSpendTopUp, 3200);
+  assert.equal(quote.subtotal, 5000);
+  assert.equal(quote.grandTotal, 5250);
+  assert.equal(describeQuote(quote), [
+    'Gold: 12 x AED 150.00 = AED 1,800.00',
+    'Minimum spend top-up (minimum spend AED 5,000.00): AED 3,200.00',
+    'VAT (5%): AED 250.00',
+    'Grand total: AED 5,250.00',
+  ].join('\n'));
+});
+
+test('amounts are rounded to 2 decimals', () => {
+  const quote = buildQuote({ guestCount: 3, pkg: { ...gold, price: 33.333 }, vatRate: 5, currency: 'AED' });
+  assert.equal(quote.itemsTotal, 100);
+  assert.equal(quote.vat, 5);
+  assert.equal(quote.grandTotal, 105);
+});
@@ -0,0 +1,79 @@
+// test/sessionStore.test.js - Session lifetimes and the file-backed session store
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../lib/sessionStore');
+
+const realNow = Date.now;
+afterEach(() => {
+  Date.now = realNow;
+});
+
+/**
+ * Moves the clock forward.
+ * @param {number} minutes - Minutes to skip.
+ */
+function advanceMinutes(minutes) {
+  const now = Date.now();
+  Date.now = () => now + minutes * 60 * 1000;
+}
+
+test('an unfinished booking is kept for ttlMinutes after its last change', () => {
+  const store = new MemorySessionStore({ ttlMinutes: 60, finishedTtlMinutes: 5 });
+  store.set('caller', { state: 'date', booking: { guestCount: 4 } });
+  advanceMinutes(45);
+  assert.deepEqual(store.get('caller').booking, { guestCount: 4 });
+  store.set('caller', { state: 'time', booking: { guestCount: 4 } });
+  advanceMinutes(45);
+  assert.equal(store.get('caller').state, 'time');
+  advanceMinutes(16);
+  assert.equal(store.get('caller'), null);
+  assert.equal(store.sessions.size, 0);
+});
+
+test('a finished booking is forgotten after finishedTtlMinutes', () => {
+  const store = new MemorySessionStore({ ttlMinutes: 60, finishedTtlMinutes: 5 });
+  store.set('caller', { state: 'done', booking: { guestCount: 4 } });
+  advanceMinutes(4);
+  assert.equal(store.get('caller').state, 'done');
+  advanceMinutes(2);
+  assert.equal(store.get('caller'), null);
+});
+
+test('storing a session prunes the expired ones', () => {
+  const store = new MemorySessionStore({ ttlMinutes: 10 });
+  store.set('old', { state: 'date', booking: {} });
+  advanceMinutes(11);
+  store.set('new', { state: 'date', booking: {} });
+  assert.deepEqual([...store.sessions.keys()], ['new']);
+});
+
+test('the file store keeps sessions across restarts and drops the expired ones', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+  const file = path.join(dir, 'sessions.json');
+  try {
+    const store = new FileSessionStore(file, { ttlMinutes: 60 });
+    store.set('kept', { state: 'contact', booking: { venue_id: 'recVenueLounge01' } });
+    store.set('deleted', { state: 'date', booking: {} });
+    store.delete('deleted');
+
+    const restarted = new FileSessionStore(file, { ttlMinutes: 60 });
+    assert.deepEqual(restarted.get('kept').booking, { venue_id: 'recVenueLounge01' });
+    assert.equal(restarted.get('deleted'), null);
+
+    advanceMinutes(61);
+    assert.equal(new FileSessionStore(file, { ttlMinutes: 60 }).sessions.size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createSessionStore falls back to memory for an unknown backend', () => {
+  assert.ok(createSessionStore({ backend: 'redis' }) instanceof MemorySessionStore);
+  const store = createSessionStore({ ttlMinutes: 15, finishedTtlMinutes: 2 });
+  assert.equal(store.ttlMinutes, 15);
+  assert.equal(store.finishedTtlMinutes, 2);
+});
@@ -0,0 +1,134 @@
+// test/sms.test.js - Guests replying C or X to the confirmation and reminder SMS (/twilio-sms)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const twilio = require('twilio');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const OUTBOX_FILE = path.join(dir, 'outbox.json');
+const TWILIO_AUTH_TOKEN = 'test-twilio-token';
+const SARA = '+971501234567';
+
+/**
+ * @param {string} reference - Booking reference, also used for the record id.
+ * @param {string} phone - The guest's number.
+ * @param {string} local - Local (Dubai) start, "YYYY-MM-DD HH:mm:ss".
+ * @param {string} status - Booking status.
+ * @returns {object} - A "Bookings" record.
+ */
+function bookingRecord(reference, phone, local, status) {
+  return {
+    id: `rec${reference.replace('-', '')}`,
+    createdTime: '2020-01-01T00:00:00.000Z',
+    fields: {
+      booking_ref: reference,
+      guest_name: 'Sara Khan',
+      phone_no: phone,
+      email: 'sara@example.com',
+      booking_type: 'General Reservation',
+      space_id: ['recVenueLounge01'],
+      space_name: 'The Lounge',
+      event_date_time_local: local,
+      guest_count: 4,
+      Status: status,
+    },
+  };
+}
+
+const storage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), 'utf8'));
+storage.bookings = [
+  bookingRecord('GL-PAST', SARA, '2020-06-01 19:00:00', 'Confirmed'),
+  bookingRecord('GL-LATR', SARA, '2030-07-01 19:00:00', 'Confirmed'),
+  bookingRecord('GL-NEXT', SARA, '2030-06-01 19:00:00', 'Confirmed'),
+  bookingRecord('GL-GONE', '+971503333333', '2030-06-01 19:00:00', 'Cancelled'),
+];
+fs.writeFileSync(STORAGE_FILE, JSON.stringify(storage));
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE,
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  TWILIO_AUTH_TOKEN,
+});
+const { app } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Posts an inbound SMS to /twilio-sms, signed like Twilio does.
+ * @param {string} from - The sender's number.
+ * @param {string} body - The message.
+ * @returns {Promise<string>} - The text of the TwiML reply.
+ */
+async function textUs(from, body) {
+  const url = `${baseUrl}/twilio-sms`;
+  const params = { From: from, Body: body };
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, url, params),
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+  assert.equal(response.status, 200);
+  return (await response.text()).replace(/<[^>]+>/g, '').replace(/&apos;/g, "'");
+}
+
+/**
+ * @param {string} reference - Booking reference.
+ * @returns {string} - The status of the booking in the storage file.
+ */
+function storedStatus(reference) {
+  return JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8')).bookings.find((r) => r.fields.booking_ref === reference).fields.Status;
+}
+
+test('C reconfirms the next upcoming booking of the number', async () => {
+  const reply = await textUs(SARA, ' c ');
+  assert.equal(reply, 'Thank you! Your booking GL-NEXT at The Lounge on Saturday, 1 June at 7:00 PM is confirmed. See you soon!');
+  assert.equal(storedStatus('GL-NEXT'), 'Reconfirmed');
+  assert.equal(storedStatus('GL-LATR'), 'Confirmed');
+  assert.equal(storedStatus('GL-PAST'), 'Confirmed');
+});
+
+test('X cancels the next upcoming booking and queues the cancellation email', async () => {
+  const reply = await textUs(SARA, 'X');
+  assert.equal(reply, 'Your booking GL-NEXT at The Lounge has been cancelled. We hope to welcome you another time.');
+  assert.equal(storedStatus('GL-NEXT'), 'Cancelled');
+  const jobs = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+  assert.deepEqual(
+    jobs.map((job) => [job.type, job.payload.kind, job.payload.bookingDetails.booking_ref]),
+    [['sendBookingEmail', 'cancellation', 'GL-NEXT']],
+  );
+
+  assert.match(await textUs(SARA, 'yes'), /Your booking GL-LATR at The Lounge on Monday, 1 July at 7:00 PM is confirmed/);
+});
+
+test('other replies get the instructions and change nothing', async () => {
+  assert.equal(await textUs(SARA, 'maybe'), "Sorry, we didn't understand that. Reply C to confirm your booking or X to cancel it.");
+  assert.equal(storedStatus('GL-LATR'), 'Reconfirmed');
+});
+
+test('a number without an upcoming booking is told so', async () => {
+  assert.match(await textUs('+971503333333', 'C'), /We couldn't find an upcoming booking for this number/);
+  assert.equal(storedStatus('GL-GONE'), 'Cancelled');
+});
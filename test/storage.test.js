@@ -0,0 +1,190 @@
+// test/storage.test.js - The storage backends, against the sample dataset in fixtures/storage.json
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { AirtableStorage, JsonFileStorage } = require('../lib/storage');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'storage.json');
+const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+
+const booking = {
+  booking_ref: 'GL-7KQ4',
+  Status: 'Confirmed',
+  event_date_time_local: '2030-01-08 19:00:00',
+  guest_count: 4,
+  space_name: 'The Lounge',
+  email: 'sara@example.com',
+  phone_no: '+971 50 123 4567',
+};
+
+describe('JsonFileStorage', () => {
+  let dir;
+  let file;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    file = path.join(dir, 'storage.json');
+    fs.copyFileSync(FIXTURE_FILE, file);
+    storage = new JsonFileStorage(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists the venues, packages and add-ons of the file', async () => {
+    assert.deepEqual((await storage.listVenues()).map((r) => r.fields.space_name), ['The Rooftop', 'The Lounge']);
+    assert.deepEqual((await storage.listPackages()).map((r) => r.fields.package_name), ['Silver', 'Gold', 'Rooftop Sunset']);
+    assert.deepEqual((await storage.listAddOns()).map((r) => r.fields.addon_name), ['DJ', 'Celebration Cake', 'Shisha']);
+  });
+
+  test('starts empty when the file does not exist yet', async () => {
+    const empty = new JsonFileStorage(path.join(dir, 'missing.json'));
+    assert.deepEqual(await empty.listVenues(), []);
+    assert.deepEqual(await empty.listBookings(), []);
+  });
+
+  test('writes bookings to the file, without empty fields', async () => {
+    const created = await storage.createBooking({ ...booking, package_name: null });
+    assert.match(created.id, /^rec[0-9a-f]{14}$/);
+    assert.equal('package_name' in created.fields, false);
+
+    await storage.updateBooking(created.id, { Status: 'Cancelled' });
+    const [stored] = await new JsonFileStorage(file).listBookings({ recordId: created.id });
+    assert.equal(stored.fields.Status, 'Cancelled');
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+
+  test('rejects updates of unknown bookings', async () => {
+    await assert.rejects(storage.updateBooking('recMissing', { Status: 'Cancelled' }), /Booking recMissing not found/);
+  });
+
+  test('finds bookings like the Airtable formula does', async () => {
+    const { id } = await storage.createBooking(booking);
+    await storage.createBooking({ ...booking, booking_ref: 'GL-AB12', Status: 'Cancelled', event_date_time_local: '2030-01-09 19:00:00' });
+
+    const refs = async (query) => (await storage.listBookings(query)).map((r) => r.fields.booking_ref);
+    assert.deepEqual(await refs({ statuses: ['Confirmed', 'Reconfirmed'] }), ['GL-7KQ4']);
+    assert.deepEqual(await refs({ localDates: ['2030-01-09'] }), ['GL-AB12']);
+    assert.deepEqual(await refs({ reference: 'GL-7KQ4', email: 'sara@example.com' }), ['GL-7KQ4']);
+    assert.deepEqual(await refs({ reference: 'GL-7KQ4', phoneDigits: '501234567' }), ['GL-7KQ4']);
+    assert.deepEqual(await refs({ reference: 'GL-7KQ4', email: 'someone@example.com' }), []);
+    assert.deepEqual(await refs({ recordId: id }), ['GL-7KQ4']);
+    assert.equal((await storage.listBookings({ maxRecords: 1 })).length, 1);
+  });
+
+  test('creates, lists and deletes the add-ons of a booking', async () => {
+    const records = await storage.createBookingAddons([
+      { booking_ref: 'GL-7KQ4', addon_id: ['recAddonDJ00001'], addon_name: 'DJ' },
+      { booking_ref: 'GL-7KQ4', addon_id: ['recAddonShisha1'], addon_name: 'Shisha' },
+      { booking_ref: 'GL-AB12', addon_id: ['recAddonDJ00001'], addon_name: 'DJ' },
+    ]);
+    assert.deepEqual((await storage.listBookingAddons({ reference: 'GL-7KQ4' })).map((r) => r.fields.addon_name), ['DJ', 'Shisha']);
+
+    await storage.deleteBookingAddons([records[0].id, records[1].id]);
+    assert.deepEqual(await new JsonFileStorage(file).listBookingAddons({ reference: 'GL-7KQ4' }), []);
+    assert.equal((await storage.listBookingAddons({ reference: 'GL-AB12' })).length, 1);
+  });
+});
+
+describe('AirtableStorage', () => {
+  const TABLES = { tblVenues: 'venues', tblPackages: 'packages', tblAddOns: 'addons', tblBookings: 'bookings', tblBookingAddons: 'booking_addons' };
+  const original = { get: axios.get, delete: axios.delete };
+  let requests;
+  let storage;
+
+  beforeEach(() => {
+    requests = [];
+    // Serves the fixture tables one record per page, like Airtable with pageSize=1
+    axios.get = async (url, config) => {
+      requests.push({ method: 'get', url, params: config.params });
+      const records = fixture[TABLES[url.split('/').pop()]];
+      const index = Number(config.params.offset || 0);
+      return { data: { records: records.slice(index, index + 1), offset: index + 1 < records.length ? String(index + 1) : undefined } };
+    };
+    axios.delete = async (url, config) => {
+      requests.push({ method: 'delete', url, params: config.params });
+      return { data: { records: config.params.records.map((id) => ({ id, deleted: true })) } };
+    };
+    storage = new AirtableStorage({
+      baseId: 'appTest',
+      token: 'patTest',
+      venuesTableId: 'tblVenues',
+      bookingsTableId: 'tblBookings',
+      packagesTableId: 'tblPackages',
+      addOnsTableId: 'tblAddOns',
+      bookingAddonsTableId: 'tblBookingAddons',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(axios, original);
+  });
+
+  test('follows the pagination offset to read whole tables', async () => {
+    assert.deepEqual(await storage.listVenues(), fixture.venues);
+    assert.deepEqual(await storage.listAddOns(), fixture.addons);
+    assert.deepEqual(requests.filter((r) => r.url.endsWith('/tblAddOns')).map((r) => r.params.offset), [undefined, '1', '2']);
+  });
+
+  test('retries a page that hits the rate limit', async () => {
+    const serve = axios.get;
+    let calls = 0;
+    axios.get = async (url, config) => {
+      calls++;
+      if (calls === 2) {
+        throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: { 'retry-after': '0.01' } } });
+      }
+      return serve(url, config);
+    };
+    assert.deepEqual(await storage.listPackages(), fixture.packages);
+    assert.equal(calls, 4);
+  });
+
+  test('gives up on the rate limit rather than wait past the webhook timeout', async () => {
+    let calls = 0;
+    axios.get = async () => {
+      calls++;
+      throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: {} } });
+    };
+    const started = Date.now();
+    await assert.rejects(storage.listVenues(), /429/);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(calls, 3); // After waiting 250 ms and 500 ms; 1 s more would pass the limit
+
+    calls = 0;
+    axios.get = async () => {
+      calls++;
+      throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: { 'retry-after': '30' } } });
+    };
+    await assert.rejects(storage.listVenues(), /429/);
+    assert.equal(calls, 1);
+  });
+
+  test('gives up on other errors straight away', async () => {
+    axios.get = async () => {
+      throw Object.assign(new Error('Request failed with status code 422'), { response: { status: 422, headers: {} } });
+    };
+    await assert.rejects(storage.listVenues(), /422/);
+  });
+
+  test('turns booking queries into a filterByFormula', async () => {
+    await storage.listBookings({ statuses: ['Confirmed'], reference: 'GL-7KQ4', email: "o'brien@example.com", maxRecords: 1 });
+    assert.deepEqual(requests[0].params, {
+      filterByFormula: "AND(OR({Status}='Confirmed'),{booking_ref}='GL-7KQ4',OR(LOWER({email})='o\\'brien@example.com'))",
+      maxRecords: 1,
+      offset: undefined,
+    });
+  });
+
+  test('deletes booking add-ons ten records at a time', async () => {
+    const ids = Array.from({ length: 12 }, (_, i) => `recAddonLine${String(i).padStart(4, '0')}`);
+    await storage.deleteBookingAddons(ids);
+    assert.deepEqual(requests.map((r) => [r.method, r.params.records.length]), [['delete', 10], ['delete', 2]]);
+  });
+});
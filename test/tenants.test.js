@@ -0,0 +1,66 @@
+// test/tenants.test.js - Loading tenants and matching requests to them
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadTenants, findTenant, runWithTenant, currentTenant, currentTimezone, getTenant } = require('../lib/tenants');
+
+const defaults = {
+  id: 'default',
+  name: 'Default',
+  twilioNumbers: ['+97140000000'],
+  smsFrom: '+97140000000',
+  timezone: 'Asia/Dubai',
+  rules: { groupMinGuests: 10, minPartySize: 1, maxPartySize: 200 },
+  storage: { backend: 'airtable' },
+  airtable: { baseId: 'appDefault', token: 'default-token', venuesTableId: 'tblVenues' },
+  pricing: { currency: 'AED', vatRate: 0.05 },
+  deposit: { minTableGuests: 8, holdMinutes: 60 },
+  email: { from: 'bookings@default.example', senderName: 'Default', templatesDir: './templates/emails' },
+};
+
+before(() => {
+  loadTenants(path.join(__dirname, '..', 'fixtures', 'tenants.json'), defaults);
+});
+
+test('tenants take the settings they leave out from the defaults', () => {
+  const marina = getTenant('marina');
+  assert.deepEqual(marina.rules, { groupMinGuests: 10, minPartySize: 1, maxPartySize: 120 });
+  assert.equal(marina.airtable.baseId, 'appMarinaXXXXXXXX');
+  assert.equal(marina.airtable.token, 'default-token');
+  assert.equal(marina.smsFrom, '+97145550101');
+  assert.equal(marina.email.templatesDir, './templates/emails');
+  assert.deepEqual(marina.pricing, defaults.pricing);
+
+  const muscat = getTenant('rooftop-muscat');
+  assert.equal(muscat.timezone, 'Asia/Muscat');
+  assert.deepEqual(muscat.storage, { backend: 'json', file: './data/storage-rooftop-muscat.json' });
+  assert.deepEqual(muscat.deposit, { minTableGuests: 6, holdMinutes: 30 });
+});
+
+test('a request is matched by its Dialogflow project, then by the number that was called', () => {
+  assert.equal(findTenant({ sessionPath: 'projects/rooftop-muscat-agent/agent/sessions/abc' }).id, 'rooftop-muscat');
+  assert.equal(findTenant({ phoneNumber: '+968 2200 0202' }).id, 'rooftop-muscat');
+  assert.equal(findTenant({ sessionPath: 'projects/marina-grill-agent/agent/sessions/abc', phoneNumber: '+96822000202' }).id, 'marina');
+});
+
+test('a request that matches no tenant goes to the first one', () => {
+  assert.equal(findTenant({ sessionPath: 'projects/unknown-agent/agent/sessions/abc', phoneNumber: '+15550000000' }).id, 'marina');
+  assert.equal(findTenant({}).id, 'marina');
+});
+
+test('currentTenant() follows runWithTenant() into async work', async () => {
+  const muscat = getTenant('rooftop-muscat');
+  const seen = await runWithTenant(muscat, async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    return { id: currentTenant().id, timezone: currentTimezone() };
+  });
+  assert.deepEqual(seen, { id: 'rooftop-muscat', timezone: 'Asia/Muscat' });
+  assert.equal(currentTenant().id, 'marina');
+});
+
+test('without a tenants file the deployment serves the default tenant', () => {
+  assert.deepEqual(loadTenants(undefined, defaults), [defaults]);
+  assert.deepEqual(loadTenants(path.join(__dirname, 'no-such-tenants.json'), defaults), [defaults]);
+  loadTenants(path.join(__dirname, '..', 'fixtures', 'tenants.json'), defaults);
+});
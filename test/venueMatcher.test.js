@@ -0,0 +1,49 @@
+// test/venueMatcher.test.js - Finding the venue a guest means: fuzzy, by alias or by list position
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchVenue, parseOrdinal } = require('../lib/venueMatcher');
+
+const ROOFTOP = { id: 'recVenueRooftop1', name: 'Rooftop Terrace', aliases: ['sky bar'] };
+const LOUNGE = { id: 'recVenueLounge01', name: 'The Lounge', aliases: [] };
+const GARDEN = { id: 'recVenueGarden01', name: 'Garden Room', aliases: [] };
+const VENUES = [ROOFTOP, LOUNGE, GARDEN];
+
+test('matches part of a venue name', () => {
+  assert.deepEqual(matchVenue('the rooftop', VENUES), { venue: ROOFTOP, candidates: [] });
+  assert.deepEqual(matchVenue('lounge please', VENUES), { venue: LOUNGE, candidates: [] });
+});
+
+test('matches a name split into other words', () => {
+  assert.deepEqual(matchVenue('roof top terrace', VENUES), { venue: ROOFTOP, candidates: [] });
+});
+
+test('matches a name with a one-letter misspelling', () => {
+  assert.deepEqual(matchVenue('Rooftop Terrase', VENUES), { venue: ROOFTOP, candidates: [] });
+  assert.deepEqual(matchVenue('the lounje', VENUES), { venue: LOUNGE, candidates: [] });
+});
+
+test('matches a venue by its alias', () => {
+  assert.deepEqual(matchVenue('the Sky Bar', VENUES), { venue: ROOFTOP, candidates: [] });
+});
+
+test('finds no venue for something unrelated', () => {
+  assert.deepEqual(matchVenue('the beach club', VENUES), { venue: null, candidates: [] });
+});
+
+test('returns both venues when two names are about as close', () => {
+  const terraceRoom = { id: 'recVenueTerrace1', name: 'Terrace Room', aliases: [] };
+  const { venue, candidates } = matchVenue('the terrace', [ROOFTOP, terraceRoom, LOUNGE]);
+  assert.equal(venue, null);
+  assert.deepEqual(candidates.map((v) => v.name).sort(), ['Rooftop Terrace', 'Terrace Room']);
+});
+
+test('reads a position in the offered list', () => {
+  assert.equal(parseOrdinal('the second one', 3), 1);
+  assert.equal(parseOrdinal('the 3rd', 3), 2);
+  assert.equal(parseOrdinal('number two', 3), 1);
+  assert.equal(parseOrdinal('2', 3), 1);
+  assert.equal(parseOrdinal('the last one', 3), 2);
+  assert.equal(parseOrdinal('the fourth one', 3), null);
+  assert.equal(parseOrdinal('the rooftop', 3), null);
+});
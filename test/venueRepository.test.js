@@ -0,0 +1,105 @@
+// test/venueRepository.test.js - Caching of the "Venues" table and stale-while-error
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { VenueRepository } = require('../lib/venueRepository');
+
+const realNow = Date.now;
+afterEach(() => {
+  Date.now = realNow;
+});
+
+/**
+ * @param {number} seconds - Seconds to skip.
+ */
+function advanceSeconds(seconds) {
+  const now = Date.now();
+  Date.now = () => now + seconds * 1000;
+}
+
+/**
+ * A storage backend whose venue list can fail on demand.
+ * @returns {object} - The fake storage; `calls` counts the requests, set `failWith` to make them fail.
+ */
+function fakeStorage() {
+  const storage = {
+    name: 'fake',
+    calls: 0,
+    failWith: null,
+    records: [{ id: 'recVenueLounge01', fields: { Name: 'The Lounge' } }],
+    async listVenues() {
+      storage.calls += 1;
+      if (storage.failWith) {
+        throw storage.failWith;
+      }
+      return storage.records;
+    },
+  };
+  return storage;
+}
+
+const mapRecord = (record) => ({ id: record.id, name: record.fields.Name });
+
+test('serves the cached venues until they expire', async () => {
+  const storage = fakeStorage();
+  const repository = new VenueRepository({ storage, mapRecord, ttlSeconds: 60 });
+  assert.deepEqual(await repository.getAll(), [{ id: 'recVenueLounge01', name: 'The Lounge' }]);
+  storage.records = [{ id: 'recVenueRooftop1', fields: { Name: 'The Rooftop' } }];
+  advanceSeconds(59);
+  assert.equal((await repository.getAll())[0].name, 'The Lounge');
+  assert.equal(storage.calls, 1);
+  advanceSeconds(2);
+  assert.equal((await repository.getAll())[0].name, 'The Rooftop');
+  assert.equal(storage.calls, 2);
+});
+
+test('concurrent callers share one storage request', async () => {
+  const storage = fakeStorage();
+  const repository = new VenueRepository({ storage, mapRecord });
+  const [first, second] = await Promise.all([repository.getAll(), repository.getAll()]);
+  assert.equal(first, second);
+  assert.equal(storage.calls, 1);
+});
+
+test('keeps serving the last good copy while the storage fails, and retries after retrySeconds', async () => {
+  const storage = fakeStorage();
+  const repository = new VenueRepository({ storage, mapRecord, ttlSeconds: 60, retrySeconds: 10 });
+  await repository.getAll();
+  advanceSeconds(61);
+  storage.failWith = Object.assign(new Error('Too Many Requests'), { response: { status: 429 } });
+
+  assert.equal((await repository.getAll())[0].name, 'The Lounge');
+  assert.equal(storage.calls, 2);
+  assert.deepEqual(
+    { stale: repository.status().stale, last_error: repository.status().last_error },
+    { stale: true, last_error: '429 Too Many Requests' },
+  );
+
+  advanceSeconds(5);
+  await repository.getAll();
+  assert.equal(storage.calls, 2);
+
+  storage.failWith = null;
+  advanceSeconds(6);
+  await repository.getAll();
+  assert.equal(storage.calls, 3);
+  assert.equal(repository.status().stale, false);
+});
+
+test('throws when the first load fails', async () => {
+  const storage = fakeStorage();
+  storage.failWith = new Error('Airtable is down');
+  const repository = new VenueRepository({ storage, mapRecord });
+  await assert.rejects(repository.getAll(), /Airtable is down/);
+  storage.failWith = null;
+  assert.equal((await repository.getAll()).length, 1);
+});
+
+test('invalidate() makes the next call reload the venues', async () => {
+  const storage = fakeStorage();
+  const repository = new VenueRepository({ storage, mapRecord, ttlSeconds: 300 });
+  await repository.getAll();
+  repository.invalidate();
+  await repository.getAll();
+  assert.equal(storage.calls, 2);
+});
@@ -0,0 +1,136 @@
+// test/webhookAuth.test.js - Authentication of /webhook (basic auth or header secret) and the Twilio webhooks
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const twilio = require('twilio');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-auth-test-'));
+const STORAGE_FILE = path.join(dir, 'storage.json');
+const HEADER_SECRET = 'test-dialogflow-secret';
+const TWILIO_AUTH_TOKEN = 'test-twilio-token';
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'storage.json'), STORAGE_FILE);
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  STORAGE_FILE,
+  OUTBOX_FILE: path.join(dir, 'outbox.json'),
+  JOB_HISTORY_FILE: path.join(dir, 'jobs.json'),
+  SCHEDULER_DISABLED_JOBS: 'all',
+  LLM_PROVIDER: 'templates',
+  DIALOGFLOW_WEBHOOK_HEADER_SECRET: HEADER_SECRET,
+  TWILIO_AUTH_TOKEN,
+});
+const { app } = require('..');
+
+const settings = { ...process.env };
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  // The middlewares read the secrets on every request
+  for (const name of ['DIALOGFLOW_WEBHOOK_USERNAME', 'DIALOGFLOW_WEBHOOK_PASSWORD', 'DIALOGFLOW_WEBHOOK_HEADER_SECRET', 'TWILIO_AUTH_TOKEN']) {
+    if (settings[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = settings[name];
+    }
+  }
+});
+
+/**
+ * Posts a Dialogflow webhook request for an intent without a handler.
+ * @param {object} [headers] - Extra headers.
+ * @returns {Promise<number>} - The response status.
+ */
+async function postWebhook(headers = {}) {
+  const response = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      session: 'projects/test/agent/sessions/auth-test',
+      queryResult: { queryText: 'test', intent: { displayName: 'No Such Intent' }, parameters: {}, outputContexts: [] },
+    }),
+  });
+  return response.status;
+}
+
+/**
+ * Posts an inbound SMS to /twilio-sms.
+ * @param {object} params - The form parameters.
+ * @param {string} [signature] - The X-Twilio-Signature header; signed with TWILIO_AUTH_TOKEN if omitted.
+ * @returns {Promise<object>} - { status, text }.
+ */
+async function postSms(params, signature) {
+  const url = `${baseUrl}/twilio-sms`;
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const sig = signature === undefined ? twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, url, params) : signature;
+  if (sig) {
+    headers['X-Twilio-Signature'] = sig;
+  }
+  const response = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+  return { status: response.status, text: await response.text() };
+}
+
+/**
+ * @param {string} credentials - "username:password".
+ * @returns {string} - The Authorization header value.
+ */
+function basicAuth(credentials) {
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+test('/webhook accepts the header secret', async () => {
+  assert.equal(await postWebhook({ 'X-Webhook-Secret': HEADER_SECRET }), 200);
+});
+
+test('/webhook rejects a missing or wrong header secret', async () => {
+  assert.equal(await postWebhook(), 401);
+  assert.equal(await postWebhook({ 'X-Webhook-Secret': 'wrong-secret' }), 401);
+});
+
+test('/webhook checks basic auth when a password is set', async () => {
+  delete process.env.DIALOGFLOW_WEBHOOK_HEADER_SECRET;
+  process.env.DIALOGFLOW_WEBHOOK_USERNAME = 'dialogflow';
+  process.env.DIALOGFLOW_WEBHOOK_PASSWORD = 'test-password';
+  assert.equal(await postWebhook({ Authorization: basicAuth('dialogflow:test-password') }), 200);
+  assert.equal(await postWebhook({ Authorization: basicAuth('dialogflow:wrong-password') }), 401);
+  assert.equal(await postWebhook({ Authorization: basicAuth('someone:test-password') }), 401);
+  assert.equal(await postWebhook(), 401);
+});
+
+test('/webhook refuses requests when no secret is configured', async () => {
+  delete process.env.DIALOGFLOW_WEBHOOK_HEADER_SECRET;
+  assert.equal(await postWebhook({ 'X-Webhook-Secret': HEADER_SECRET }), 503);
+});
+
+test('/twilio-sms accepts a correctly signed request', async () => {
+  const { status, text } = await postSms({ From: '+971500000000', Body: 'C' });
+  assert.equal(status, 200);
+  assert.match(text, /We couldn't find an upcoming booking for this number/);
+});
+
+test('/twilio-sms rejects a missing or bad X-Twilio-Signature', async () => {
+  assert.equal((await postSms({ From: '+971500000000', Body: 'C' }, '')).status, 403);
+  assert.equal((await postSms({ From: '+971500000000', Body: 'C' }, 'bm90IGEgc2lnbmF0dXJl')).status, 403);
+  const signedForOtherBody = twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, `${baseUrl}/twilio-sms`, { From: '+971500000000', Body: 'C' });
+  assert.equal((await postSms({ From: '+971500000000', Body: 'X' }, signedForOtherBody)).status, 403);
+});
+
+test('/twilio-sms refuses requests when TWILIO_AUTH_TOKEN is not set', async () => {
+  delete process.env.TWILIO_AUTH_TOKEN;
+  assert.equal((await postSms({ From: '+971500000000', Body: 'C' })).status, 503);
+});